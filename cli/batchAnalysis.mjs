@@ -0,0 +1,441 @@
+// cli/batchAnalysis.mjs
+// Version 1.1.4
+// Command-line runner for the analysis engine. It takes a settings file saved from the app
+// ("Save Settings"), a usage file (NEM12 or advanced CSV) and a solar file, runs the same
+// analysis as the "Run ROI Analysis" button, and writes the results as JSON and CSV. In batch
+// mode it does the same for every case folder a glob pattern matches.
+//
+// Usage:
+//   node cli/batchAnalysis.mjs --settings settings.json --usage usage.csv [--solar solar.csv] [--out results]
+//   node cli/batchAnalysis.mjs --batch "cases/*" [--out results]
+//
+// Each case folder holds a settings file (settings*.json), a usage file (usage*) and, unless the
+// settings say there is no existing solar, a solar file (solar*).
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { runAnalysis } from '../js/engine.js';
+import { buildConfig } from '../js/config.js';
+import { parseDataFile, parsePriceCsv } from '../js/parsers.js';
+import { getTimeSettings, getUsageCsvOptions, getSolarCsvOptions } from '../js/dataParser.js';
+import { buildResultsCsv } from '../js/export.js';
+
+const USAGE = `Usage:
+  node cli/batchAnalysis.mjs --settings <file.json> --usage <file> [--solar <file>] [--prices <file>] [options]
+  node cli/batchAnalysis.mjs --batch <glob> [options]
+
+Options:
+  --settings <file>     Settings saved from the app with "Save Settings".
+  --usage <file>        Usage data: a NEM12 file or a CSV read with the saved Advanced Usage CSV Options.
+  --solar <file>        Solar data for the existing system (not needed if the settings say there is none).
+  --prices <file>       Wholesale prices for dynamic tariffs: an AEMO price file or a CSV of interval prices.
+  --batch <glob>        Case folders to run, e.g. "cases/*". Can be given more than once. Each folder holds a
+                        settings*.json, a usage* file, and optionally a solar* and a price* file.
+  --out <dir>           Where to write the results (default: results).
+  --providers <ids>     Comma-separated provider IDs to compare; the first is the baseline.
+                        Defaults to the providers ticked when the settings were saved (or, for older
+                        settings files, every provider in the file), in order.
+  --nmi <nmi>           The NMI to use from a NEM12 file (default: the one with the most data).
+  --sizing              Also run the detailed system sizing.
+  -h, --help            Show this help.`;
+
+// The settings file format version `saveStateToFile` (storage.js) writes.
+const SETTINGS_VERSION = '1.0.2';
+
+// How the files in a case folder are recognised, by the start of their names.
+const CASE_FILE_PREFIXES = { settings: 'settings', usage: 'usage', solar: 'solar', prices: 'price' };
+
+/**
+ * Reads and checks a settings file saved from the app.
+ * @param {string} settingsPath - The path of the settings file.
+ * @returns {object} The saved settings `{ version, savedAt, providers, selectedProviders, uiInputs }`
+ *   (`selectedProviders` is missing from older files).
+ * @throws {Error} If the file isn't a settings file.
+ */
+function loadSettings(settingsPath) {
+    const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    // 1. Check for the same fields the app does when a settings file is loaded.
+    if (!settings.version || !Array.isArray(settings.providers) || !settings.uiInputs) {
+        throw new Error(`${settingsPath} is not a settings file saved from the app.`);
+    }
+    // 2. Older or newer files may still load, but say so.
+    if (settings.version !== SETTINGS_VERSION) {
+        console.warn(`${settingsPath}: settings file version ${settings.version} (expected ${SETTINGS_VERSION}).`);
+    }
+    return settings;
+}
+
+/**
+ * Works out whether a usage file is NEM12 from its first record: NEM12 files start with a 100 (header)
+ * record, or a 200 (NMI details) record if the header was left out.
+ * @param {string} text - The file's text.
+ * @returns {string} 'nem12', 'nem13' or 'advanced'.
+ */
+function detectUsageFormat(text) {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    const recordType = firstLine.trim().split(',')[0];
+    if (recordType === '100') {
+        // The header record names the file format: NEM12 (interval data) or NEM13 (basic meter reads).
+        return /NEM13/i.test(firstLine) ? 'nem13' : 'nem12';
+    }
+    if (recordType === '200') return 'nem12';
+    if (recordType === '250') return 'nem13';
+    return 'advanced';
+}
+
+/**
+ * Reads and parses a usage file with the saved timezone and Advanced Usage CSV Options.
+ * @param {string} usagePath - The path of the usage file.
+ * @param {Function} readInput - Returns the saved setting with the given element ID.
+ * @param {string} [nmi] - The NMI to use from a NEM12 file; defaults to the one with the most days.
+ * @returns {object} `{ days, warnings }`: the usage days and anything worth knowing about the file.
+ * @throws {Error} If the file is NEM13, or the NMI isn't in it, or it has no usable data.
+ */
+function loadUsage(usagePath, readInput, nmi) {
+    const text = fs.readFileSync(usagePath, 'utf8');
+    const format = detectUsageFormat(text);
+    if (format === 'nem13') {
+        throw new Error(`${usagePath} is a NEM13 file. Load it in the app, which averages the meter reads into the manual daily inputs, then save the settings in manual mode.`);
+    }
+    const timeSettings = getTimeSettings(readInput);
+
+    // 1. NEM12: use the chosen NMI, or the one with the most data.
+    if (format === 'nem12') {
+        const { dailyDataByNmi, report } = parseDataFile('usage', text, { format, csvOptions: null, timeSettings });
+        const nmis = Object.keys(dailyDataByNmi).sort((a, b) => report.nmis[b].days - report.nmis[a].days);
+        if (nmis.length === 0) {
+            throw new Error(`No usable interval data was found in the NEM12 file ${usagePath}. ${report.problems.join(' ')}`);
+        }
+        const chosenNmi = nmi || nmis[0];
+        if (!dailyDataByNmi[chosenNmi]) {
+            throw new Error(`NMI ${chosenNmi} is not in ${usagePath} (it has ${nmis.join(', ')}).`);
+        }
+        const warnings = [...report.problems];
+        if (nmis.length > 1) warnings.push(`The file has ${nmis.length} NMIs; NMI ${chosenNmi} was used.`);
+        return { days: dailyDataByNmi[chosenNmi], warnings };
+    }
+
+    // 2. Advanced CSV: the saved options are used where they fit the file, otherwise what was detected.
+    const { days, options, changed, warnings } = parseDataFile('usage', text, { format, csvOptions: getUsageCsvOptions(readInput), timeSettings });
+    if (changed.length > 0) {
+        warnings.push(`The saved Advanced Usage CSV Options didn't fit the file, so these were detected instead: ${changed.map(key => `${key} = ${JSON.stringify(options[key])}`).join(', ')}.`);
+    }
+    return { days, warnings };
+}
+
+/**
+ * Reads and parses a solar file with the saved solar format, timezone and Advanced Solar CSV Options.
+ * @param {string} solarPath - The path of the solar file.
+ * @param {Function} readInput - Returns the saved setting with the given element ID.
+ * @returns {object} `{ days, warnings }`: the solar days and anything worth knowing about the file.
+ */
+function loadSolar(solarPath, readInput) {
+    const { days, fit } = parseDataFile('solar', fs.readFileSync(solarPath, 'utf8'), getSolarCsvOptions(readInput));
+    return { days, warnings: fit ? [...fit.warnings] : [] };
+}
+
+/**
+ * Reads and parses a wholesale price file with the saved timezone settings.
+ * @param {string} pricePath - The path of the price file.
+ * @param {Function} readInput - Returns the saved setting with the given element ID.
+ * @returns {object} `{ days, warnings }`: the price days and anything worth knowing about the file.
+ * @throws {Error} If the file has no date/time or price column.
+ */
+function loadPrices(pricePath, readInput) {
+    const days = parsePriceCsv(fs.readFileSync(pricePath, 'utf8'), getTimeSettings(readInput));
+    return { days, warnings: days.length === 0 ? [`No prices were found in ${pricePath}.`] : [] };
+}
+
+/**
+ * Runs the analysis for one case.
+ * @param {object} caseFiles - `{ name, settings, usage, solar, prices }`: the case's name and file paths (`usage`,
+ *   `solar` and `prices` may be null).
+ * @param {object} options - `{ providers, nmi, sizing }` from the command line.
+ * @returns {object} `{ name, files, warnings, providers, results }`, where `results` is from `runAnalysis` (engine.js).
+ */
+function runCase(caseFiles, options) {
+    // 1. Read the settings; the saved inputs are keyed by the ID of the field they came from.
+    const settings = loadSettings(caseFiles.settings);
+    const readInput = (id) => settings.uiInputs[id];
+    const selectedProviderIds = options.providers || settings.selectedProviders || settings.providers.map(p => p.id);
+    const unknownIds = selectedProviderIds.filter(id => !settings.providers.some(p => p.id === id));
+    if (unknownIds.length > 0) {
+        throw new Error(`Provider ${unknownIds.join(', ')} is not in ${caseFiles.settings}.`);
+    }
+
+    // 2. Read the data files (manual mode uses the saved daily averages instead).
+    const warnings = [];
+    let usage = null;
+    let solar = null;
+    let prices = null;
+    if (!readInput('manualInputToggle')) {
+        if (!caseFiles.usage) throw new Error('No usage file was given.');
+        ({ days: usage } = collectWarnings(loadUsage(caseFiles.usage, readInput, options.nmi), warnings));
+        if (caseFiles.solar) ({ days: solar } = collectWarnings(loadSolar(caseFiles.solar, readInput), warnings));
+        if (caseFiles.prices) ({ days: prices } = collectWarnings(loadPrices(caseFiles.prices, readInput), warnings));
+    }
+
+    // 3. Build the configuration the page would, and run the analysis.
+    const config = buildConfig(readInput, settings.providers, selectedProviderIds, { electricityData: usage || [] });
+    const results = runAnalysis({ config, usage, solar, prices, providers: settings.providers, sizing: options.sizing });
+    warnings.push(...results.warnings);
+    const providers = selectedProviderIds.map(id => settings.providers.find(p => p.id === id));
+    return { name: caseFiles.name, files: caseFiles, warnings, providers, results };
+}
+
+/**
+ * Adds the warnings from loading a file to a list.
+ * @param {object} loaded - The result of `loadUsage`, `loadSolar` or `loadPrices`.
+ * @param {Array<string>} warnings - The list to add to.
+ * @returns {object} The loaded result, unchanged.
+ */
+function collectWarnings(loaded, warnings) {
+    warnings.push(...loaded.warnings);
+    return loaded;
+}
+
+/**
+ * Sums up each provider's results for a case: one row of the summary CSV per provider.
+ * @param {object} caseResult - The result of `runCase`.
+ * @returns {Array<object>} `{ case, providerId, providerName, year1Cost, baselineYear1Cost, totalCost,
+ *   totalSavings, roiYear, npv, irr }` for each provider.
+ */
+function summariseCase(caseResult) {
+    const { financials, config } = caseResult.results;
+    return caseResult.providers.map((provider) => {
+        const result = financials[provider.id];
+        return {
+            case: caseResult.name,
+            providerId: provider.id,
+            providerName: provider.name,
+            year1Cost: result.annualCosts[0],
+            baselineYear1Cost: financials.baselineCosts[1],
+            totalCost: result.annualCosts.reduce((sum, cost) => sum + cost, 0),
+            totalSavings: result.cumulativeSavingsPerYear[config.numYears - 1],
+            roiYear: result.roiYear,
+            npv: config.discountRateEnabled ? result.npv : null,
+            irr: result.irr,
+        };
+    });
+}
+
+/**
+ * Turns rows of values into CSV text, quoting any value that needs it.
+ * @param {Array<object>} rows - The rows, all with the same keys.
+ * @returns {string} The CSV content, with a header row and CRLF line endings.
+ */
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const headers = Object.keys(rows[0]);
+    const formatValue = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers.join(','), ...rows.map(row => headers.map(key => formatValue(row[key])).join(','))].join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes a case's results: `results.json` (the settings used, the seasonal averages and every provider's
+ * yearly results) and `results.csv` (the same yearly table as the app's CSV export).
+ * @param {string} outDir - The folder to write to.
+ * @param {object} caseResult - The result of `runCase`.
+ */
+function writeCaseResults(outDir, caseResult) {
+    const { financials, config, simulationData, touHours, gapFill, sizing } = caseResult.results;
+    fs.mkdirSync(outDir, { recursive: true });
+    const output = {
+        case: caseResult.name,
+        files: caseResult.files,
+        warnings: caseResult.warnings,
+        summary: summariseCase(caseResult),
+        config,
+        simulationData,
+        touHours,
+        gapFill,
+        sizing,
+        financials,
+    };
+    // The public holidays are a Set, which JSON would write as {}.
+    const replacer = (key, value) => value instanceof Set ? [...value].sort() : value;
+    fs.writeFileSync(path.join(outDir, 'results.json'), JSON.stringify(output, replacer, 2));
+    fs.writeFileSync(path.join(outDir, 'results.csv'), buildResultsCsv(financials, config));
+}
+
+/**
+ * Turns one segment of a glob pattern into a regular expression: `*` matches any run of characters and `?`
+ * any one character, within a single file or folder name.
+ * @param {string} segment - The pattern segment, e.g. 'case-*'.
+ * @returns {RegExp} The regular expression.
+ */
+function globSegmentToRegExp(segment) {
+    const source = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the folders below a folder, at any depth (hidden folders are skipped).
+ * @param {string} dir - The folder to look in.
+ * @returns {Array<string>} The paths of the folders.
+ */
+function listFoldersRecursive(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .flatMap(entry => [path.join(dir, entry.name), ...listFoldersRecursive(path.join(dir, entry.name))]);
+}
+
+/**
+ * Finds the paths a glob pattern matches. Supports `*` and `?` within a name and `**` for any number of
+ * folders, which covers patterns like "cases/*" or "clients/**\/case-*" on any platform.
+ * @param {string} pattern - The glob pattern.
+ * @returns {Array<string>} The matching paths, sorted.
+ */
+function expandGlob(pattern) {
+    // 1. Start from the root of an absolute pattern, or the current folder.
+    const root = path.isAbsolute(pattern) ? path.parse(pattern).root : '.';
+    const segments = pattern.slice(root === '.' ? 0 : root.length).split(/[\\/]+/).filter(Boolean);
+
+    // 2. Match each segment against the paths matched so far.
+    let matches = [root];
+    for (const segment of segments) {
+        const next = [];
+        for (const base of matches) {
+            if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) continue;
+            if (segment === '**') {
+                next.push(base, ...listFoldersRecursive(base));
+            } else if (!/[*?]/.test(segment)) {
+                if (fs.existsSync(path.join(base, segment))) next.push(path.join(base, segment));
+            } else {
+                const regex = globSegmentToRegExp(segment);
+                next.push(...fs.readdirSync(base).filter(name => !name.startsWith('.') && regex.test(name)).map(name => path.join(base, name)));
+            }
+        }
+        matches = [...new Set(next)];
+    }
+    return matches.sort();
+}
+
+/**
+ * Finds the settings, usage, solar and price files in a case folder by the start of their names.
+ * @param {string} caseDir - The case folder.
+ * @returns {object} `{ name, settings, usage, solar, prices }`, with null for a file that isn't there.
+ * @throws {Error} If the folder has no settings file, or more than one file of a kind.
+ */
+function findCaseFiles(caseDir) {
+    const fileNames = fs.readdirSync(caseDir).filter(name => fs.statSync(path.join(caseDir, name)).isFile());
+    const caseFiles = { name: path.basename(path.resolve(caseDir)) };
+    for (const [kind, prefix] of Object.entries(CASE_FILE_PREFIXES)) {
+        const found = fileNames.filter(name => name.toLowerCase().startsWith(prefix) && (kind !== 'settings' || name.toLowerCase().endsWith('.json')));
+        if (found.length > 1) {
+            throw new Error(`${caseDir} has more than one ${kind} file (${found.join(', ')}).`);
+        }
+        caseFiles[kind] = found.length === 1 ? path.join(caseDir, found[0]) : null;
+    }
+    if (!caseFiles.settings) {
+        throw new Error(`${caseDir} has no settings file (settings*.json).`);
+    }
+    return caseFiles;
+}
+
+/**
+ * Reads the command line, runs each case and writes the results. A case that fails is reported and the rest
+ * still run; the exit code is 1 if any failed.
+ */
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            settings: { type: 'string' },
+            usage: { type: 'string' },
+            solar: { type: 'string' },
+            prices: { type: 'string' },
+            batch: { type: 'string', multiple: true },
+            out: { type: 'string', default: 'results' },
+            providers: { type: 'string' },
+            nmi: { type: 'string' },
+            sizing: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    // A shell that expands the batch pattern itself passes the extra folders as positional arguments.
+    const batchPatterns = [...(values.batch || []), ...(values.batch ? positionals : [])];
+    if (values.help || (!values.settings && batchPatterns.length === 0)) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    const options = {
+        providers: values.providers ? values.providers.split(',').map(id => id.trim()).filter(Boolean) : null,
+        nmi: values.nmi || null,
+        sizing: values.sizing,
+    };
+
+    // 1. Work out the cases: the files given, or every folder the batch patterns match.
+    let cases;
+    if (batchPatterns.length > 0) {
+        const caseDirs = [...new Set(batchPatterns.flatMap(expandGlob))].filter(dir => fs.statSync(dir).isDirectory());
+        if (caseDirs.length === 0) {
+            console.error(`No case folders match ${batchPatterns.join(', ')}.`);
+            process.exitCode = 1;
+            return;
+        }
+        cases = caseDirs.map(dir => ({ dir, outDir: path.join(values.out, path.basename(path.resolve(dir)))}));
+    } else {
+        const name = path.basename(values.settings, path.extname(values.settings));
+        cases = [{ files: { name, settings: values.settings, usage: values.usage || null, solar: values.solar || null, prices: values.prices || null }, outDir: values.out }];
+    }
+
+    // 2. Run each case, carrying on past any that fail.
+    const summaryRows = [];
+    let failures = 0;
+    for (const caseInfo of cases) {
+        const label = caseInfo.dir || caseInfo.files.settings;
+        try {
+            const caseResult = runCase(caseInfo.files || findCaseFiles(caseInfo.dir), options);
+            caseResult.warnings.forEach(warning => console.warn(`${label}: ${warning}`));
+            writeCaseResults(caseInfo.outDir, caseResult);
+            summaryRows.push(...summariseCase(caseResult));
+            console.log(`${label}: done (${caseResult.providers.length} providers, results in ${caseInfo.outDir})`);
+        } catch (err) {
+            failures++;
+            console.error(`${label}: failed - ${err.message}`);
+        }
+    }
+
+    // 3. Write the summary of every case, one row per provider.
+    if (summaryRows.length > 0) {
+        fs.mkdirSync(values.out, { recursive: true });
+        fs.writeFileSync(path.join(values.out, 'summary.csv'), toCsv(summaryRows));
+    }
+    if (cases.length > 1) {
+        console.log(`${cases.length - failures} of ${cases.length} cases ran; summary in ${path.join(values.out, 'summary.csv')}`);
+    }
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
@@ -27,11 +27,14 @@
  * SOFTWARE.
  */
 
-import { state } from './state.js';
-import { getNumericInput, escalate, parseRangesToHours, getSeason } from './utils.js';
+import { escalate, parseRangesToHours, parseRangesToIntervals, getIntervalMinutes, resampleIntervals, resampleRates, getSeason, filterRulesForDate, getDayType, getTierPeriodDays, reconstructConsumption } from './utils.js';
 import { tariffComponents } from './tariffComponents.js';
+import { DISPATCH_STRATEGIES, getDispatchPlan } from './dispatchStrategies.js';
 import { generateHourlyConsumptionProfileFromDailyTOU, generateHourlySolarProfileFromDaily } from './profiles.js';
 
+// How many days are analysed between sizing progress reports.
+const SIZING_PROGRESS_DAYS = 100;
+
 /**
  * Calculates the Internal Rate of Return (IRR) for a series of cash flows
  * using the Newton-Raphson method.
@@ -39,7 +42,7 @@ import { generateHourlyConsumptionProfileFromDailyTOU, generateHourlySolarProfil
  * @param {number} [guess=0.1] - An initial guess for the IRR.
  * @returns {number|null} The calculated IRR as a decimal, or null if it fails to converge.
  */
-function calculateIRR(cashFlows, guess = 0.1) {
+export function calculateIRR(cashFlows, guess = 0.1) {
     const maxIterations = 100;
     const tolerance = 1e-6; // How close to zero the NPV needs to be.
 
@@ -113,7 +116,7 @@ function calculateAverageSOCAt6am(provider, batteryConfig, simulationData) {
  * @param {string} dateString - The date of the simulation ('YYYY-MM-DD').
  * @returns {number} The adjusted daily cost after applying conditions.
  */
-function applySpecialConditions(dailyCost, dailyBreakdown, conditions, dateString) {
+export function applySpecialConditions(dailyCost, dailyBreakdown, conditions, dateString) {
     let adjustedCost = dailyCost;
     if (!conditions || conditions.length === 0) {
         return adjustedCost;
@@ -140,10 +143,11 @@ function applySpecialConditions(dailyCost, dailyBreakdown, conditions, dateStrin
                 metricValue = totalImport - totalExport;
                 break;
             case 'import_in_window':
-                const ruleHours = parseRangesToHours(condition.condition.hours || '');
+                const imports = dailyBreakdown.intervalImports || [];
+                const windowIntervals = parseRangesToIntervals(condition.condition.hours || '', getIntervalMinutes(imports));
                 metricValue = 0;
-                for (const h of ruleHours) {
-                    metricValue += dailyBreakdown.hourlyImports[h] || 0;
+                for (const i of windowIntervals) {
+                    metricValue += imports[i] || 0;
                 }
                 break;
         }
@@ -168,18 +172,6 @@ function applySpecialConditions(dailyCost, dailyBreakdown, conditions, dateStrin
     return adjustedCost;
 }
 
-/**
- * Retrieves the Feed-in Tariff (FIT) degradation settings from the UI.
- * @returns {object} Configuration for FIT degradation.
- */
-function getFitDegradationConfig() {
-    return {
-        startYear: getNumericInput("fitDegradationStartYear", 1),
-        endYear: getNumericInput("fitDegradationEndYear", 10),
-        minRate: getNumericInput("fitMinimumRate", 0.03)
-    };
-}
-
 /**
  * Calculates the degraded Feed-in Tariff (FIT) rate for a given year.
  * The rate degrades linearly from the base rate to the minimum rate over a specified period.
@@ -211,71 +203,293 @@ export function getDegradedFitRate(baseRate, year, config) {
     return baseRate - (rateDifference * percentage);
 }
 
+/**
+ * Combines the existing and new solar arrays into the AC output seen by the house, applying
+ * inverter clipping. If the new panels have their own inverter each array is clipped separately;
+ * otherwise the new panels are assumed to share the existing inverter. An inverter size of 0 means "unlimited".
+ * @param {number[]} existingSolar - Interval DC generation of the existing array (kWh).
+ * @param {number[]} newSolar - Interval DC generation of the new array (kWh), at the same resolution.
+ * @param {object} config - The main analysis configuration (inverter sizes and replacement flag).
+ * @returns {{acSolar: number[], clippedSolar: number[]}} The AC output and the energy lost to clipping per interval.
+ */
+function applyInverterClipping(existingSolar, newSolar, config) {
+    const intervalHours = 24 / existingSolar.length;
+    const existingInverterKW = config.replaceExistingSystem ? 0 : (config.existingSolarInverterKW || 0);
+    const newInverterKW = config.newSolarInverterKW || 0;
+    const clip = (value, inverterKW) => (inverterKW > 0 ? Math.min(value, inverterKW * intervalHours) : value);
+
+    const acSolar = [];
+    const clippedSolar = [];
+    for (let i = 0; i < existingSolar.length; i++) {
+        const existingDC = existingSolar[i] || 0;
+        const newDC = newSolar[i] || 0;
+        let ac;
+        if (newInverterKW > 0 || config.replaceExistingSystem) {
+            ac = clip(existingDC, existingInverterKW) + clip(newDC, newInverterKW);
+        } else {
+            ac = clip(existingDC + newDC, existingInverterKW);
+        }
+        acSolar.push(ac);
+        clippedSolar.push(existingDC + newDC - ac);
+    }
+    return { acSolar, clippedSolar };
+}
+
+/**
+ * Resolves a provider's grid export limit into a per-interval energy cap.
+ * Supported `exportLimitType` values are 'none', 'static' (a fixed kW limit), 'zero' (no export allowed)
+ * and 'schedule', where `exportLimitSchedule` lists time windows and kW limits, e.g. "10am-3pm=1.5; 3pm-10am=5".
+ * Intervals not covered by the schedule are unlimited.
+ * @param {object} provider - The provider tariff configuration.
+ * @param {number} intervalMinutes - The length of each interval in minutes.
+ * @returns {number[]} The maximum kWh that may be exported in each interval (Infinity if unlimited).
+ */
+function getExportLimitPerInterval(provider, intervalMinutes) {
+    const numIntervals = 1440 / intervalMinutes;
+    const intervalHours = intervalMinutes / 60;
+    const limits = Array(numIntervals).fill(Infinity);
+
+    switch (provider.exportLimitType) {
+        case 'zero':
+            limits.fill(0);
+            break;
+        case 'static':
+            limits.fill((provider.exportLimitKW || 0) * intervalHours);
+            break;
+        case 'schedule':
+            for (const entry of (provider.exportLimitSchedule || '').split(';')) {
+                const [hours, kW] = entry.split('=');
+                const limitKW = parseFloat(kW);
+                if (!hours || isNaN(limitKW)) continue;
+                for (const i of parseRangesToIntervals(hours, intervalMinutes)) {
+                    limits[i] = limitKW * intervalHours;
+                }
+            }
+            break;
+    }
+    return limits;
+}
+
+/**
+ * Returns the representative days used to cost an average seasonal day in manual mode: a weekday and a
+ * weekend day in the middle of each of the season's three months, so month-, date- and day-type-restricted
+ * rules apply. Public holidays aren't modelled for average days.
+ * @param {string} season - The season name ('Summer', 'Autumn', 'Winter' or 'Spring').
+ * @returns {Array<object>} `{ date, dayType, days }` for each representative day, where `days` is the number
+ *   of days in the year it stands for. The year in `date` is a placeholder and has no effect.
+ */
+function getSeasonRepresentativeDays(season) {
+    const seasonMonths = { Summer: [12, 1, 2], Autumn: [3, 4, 5], Winter: [6, 7, 8], Spring: [9, 10, 11] };
+    const daysInMonth = 365 / 12;
+    return (seasonMonths[season] || []).flatMap(month => {
+        const date = `2001-${String(month).padStart(2, '0')}-15`;
+        return [
+            { date: date, dayType: 'weekday', days: daysInMonth * 5 / 7 },
+            { date: date, dayType: 'weekend', days: daysInMonth * 2 / 7 },
+        ];
+    });
+}
+
+/**
+ * Looks up the wholesale prices loaded for a day, at the resolution of the day's usage data.
+ * @param {Map<string, number[]>} priceMap - The interval prices ($/kWh) from the price file, keyed by date.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @param {number} intervalMinutes - The length of each interval in minutes.
+ * @returns {number[]|null} The price for each interval, or null if there are no prices for the date.
+ */
+function getIntervalPricesForDay(priceMap, date, intervalMinutes) {
+    const prices = priceMap.get(date);
+    return prices ? resampleRates(prices, intervalMinutes) : null;
+}
+
+/**
+ * Records a simulated day's peak demand against its billing month, for providers with demand charges.
+ * @param {Map<string, object>} demandByMonth - The peak demand recorded so far, keyed by 'YYYY-MM'.
+ * @param {Array} importRules - The provider's import rules.
+ * @param {object} dailyBreakdown - The day's interval imports and date.
+ * @param {number} [days=1] - The number of days the simulated day stands for (e.g. an average day in manual mode).
+ */
+function recordDemand(demandByMonth, importRules, dailyBreakdown, days = 1) {
+    if (!(importRules || []).some(r => r.type === 'demand') || !dailyBreakdown.date) return;
+    const peaks = tariffComponents.DEMAND_RULES.peak(importRules, dailyBreakdown);
+    const monthKey = dailyBreakdown.date.substring(0, 7);
+    const month = demandByMonth.get(monthKey) || { date: dailyBreakdown.date, peaks: peaks.map(() => 0), days: 0 };
+    month.peaks = month.peaks.map((peak, i) => Math.max(peak, peaks[i]));
+    month.days += days;
+    demandByMonth.set(monthKey, month);
+}
+
+/**
+ * Totals the demand charges for every billing month recorded by `recordDemand`.
+ * @param {Map<string, object>} demandByMonth - The peak demand recorded for each month.
+ * @param {Array} importRules - The provider's import rules.
+ * @param {object} escalationConfig - Contains the tariff escalation rate and the current simulation year.
+ * @param {object|null} [rawYear1=null] - If given, the seasonal raw data to add the peak demand and charges to.
+ * @returns {number} The total demand charge.
+ */
+function calculateDemandCharges(demandByMonth, importRules, escalationConfig, rawYear1 = null) {
+    let totalCharge = 0;
+    for (const month of demandByMonth.values()) {
+        const [y, m] = month.date.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+        const charge = tariffComponents.DEMAND_RULES.calculate(importRules, { peaks: month.peaks, days: month.days, daysInMonth: daysInMonth }, escalationConfig);
+        totalCharge += charge;
+        // Store raw data for the debug table.
+        const rawSeason = rawYear1?.[getSeason(month.date)];
+        if (rawSeason) {
+            rawSeason.peakDemandKW = Math.max(rawSeason.peakDemandKW || 0, ...month.peaks);
+            rawSeason.demandCharge = (rawSeason.demandCharge || 0) + charge;
+        }
+    }
+    return totalCharge;
+}
+
 /**
  * Simulates energy flows for a single 24-hour period.
  * This is the core simulation function that models consumption, solar, and battery behavior.
- * @param {number[]} hourlyConsumption - Array of 24 consumption values (kWh).
- * @param {number[]} hourlySolar - Array of 24 solar generation values (kWh).
+ * The day is stepped at the resolution of the input arrays (24 hourly values, 48 half-hourly,
+ * 96 for 15-minute or 288 for 5-minute data), so inverter power limits are applied per interval.
+ * The battery is run greedily, guided by the provider's dispatch strategy, unless the strategy supplies
+ * its own schedule (the 'optimal' mode, see optimalDispatch.js).
+ * @param {number[]} intervalConsumption - Array of consumption values (kWh) for each interval of the day.
+ * @param {number[]} intervalSolar - Array of solar generation values (kWh), at the same resolution as the consumption.
  * @param {object} provider - The provider tariff configuration.
  * @param {object|null} batteryConfig - The battery configuration. If null, a no-battery baseline is simulated.
- * @param {number} [initialSOC=0] - The initial state of charge of the battery in kWh.
+ *   Optional `roundTripEfficiency` (decimal), `minSocPercent` and `backupReservePercent` model conversion
+ *   losses, the unusable bottom of the battery, and energy held back for blackouts.
+ * @param {object} [options={}] - Optional details of the day.
+ * @param {number} [options.initialSOC=0] - The initial state of charge of the battery in kWh.
+ * @param {number[]|null} [options.intervalClippedSolar=null] - DC energy lost to solar inverter clipping in each interval.
+ *   A DC-coupled battery (`batteryConfig.dcCoupled`) can capture it before it is lost.
+ * @param {string|null} [options.dateString=null] - The date being simulated ('YYYY-MM-DD'). Only the tariff rules in force
+ *   on this date are used, and the dispatch strategy uses it to pick the special conditions that apply.
+ * @param {string|null} [options.dayType=null] - 'weekday', 'weekend' or 'holiday', for rules limited to certain day types.
+ *   If not given, it is worked out from the date (without public holidays).
+ * @param {number[]|null} [options.intervalPrices=null] - The wholesale price ($/kWh) for each interval, for dynamic tariffs.
+ *   The battery charges from the grid when import prices are negative and exports into price spikes.
+ * @param {number} [options.divertibleLoadKWh=0] - Controlled load (e.g. a hot water system) that can run on surplus solar
+ *   instead of the grid. It takes solar that would otherwise be curtailed first, then solar that would be exported.
  * @returns {object} An object containing the daily breakdown of energy flows and the final battery SOC.
  */
-export function simulateDay(hourlyConsumption, hourlySolar, provider, batteryConfig, initialSOC = 0) {
+export function simulateDay(intervalConsumption, intervalSolar, provider, batteryConfig, { initialSOC = 0, intervalClippedSolar = null, dateString = null, dayType = null, intervalPrices = null, divertibleLoadKWh = 0 } = {}) {
+    // Work with only the import and export rules that apply on this date (rules can be limited to months, dates or day types).
+    provider = { ...provider, importRules: filterRulesForDate(provider.importRules, dateString, dayType), exportRules: filterRulesForDate(provider.exportRules, dateString, dayType) };
+    const month = dateString ? parseInt(dateString.split('-')[1], 10) : undefined;
+    const numIntervals = intervalConsumption.length || 24;
+    const intervalMinutes = 1440 / numIntervals;
+    const intervalHours = intervalMinutes / 60; // Converts kW limits into kWh per interval.
     const results = {
         peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0,
         tier1ExportKWh: 0, tier2ExportKWh: 0,
         gridChargeKWh: 0,
-        hourlyImports: Array(24).fill(0),
-        hourlyExports: Array(24).fill(0)
+        clippedSolarKWh: 0,
+        curtailedExportKWh: 0,
+        divertedSolarKWh: 0,
+        date: dateString,
+        dayType: dayType,
+        intervalPrices: intervalPrices,
+        intervalMinutes: intervalMinutes,
+        intervalImports: Array(numIntervals).fill(0),
+        intervalExports: Array(numIntervals).fill(0)
     };
     let currentSOC = initialSOC;
     let gridChargeCost = 0;
     let socAt6am = 0; // For debug tracking.
+    const exportLimits = getExportLimitPerInterval(provider, intervalMinutes);
 
     if (!batteryConfig) { // --- No-battery baseline simulation ---
-        for (let h = 0; h < 24; h++) {
-            const consumption = hourlyConsumption[h] || 0;
-            const solar = hourlySolar[h] || 0;
+        for (let i = 0; i < numIntervals; i++) {
+            results.clippedSolarKWh += intervalClippedSolar?.[i] || 0;
+            const consumption = intervalConsumption[i] || 0;
+            const solar = intervalSolar[i] || 0;
             const net = consumption - solar; // Net energy needed from grid or exported.
             if (net > 0) {
-                results.hourlyImports[h] = net;
+                results.intervalImports[i] = net;
             } else {
-                results.hourlyExports[h] = -net;
+                results.intervalExports[i] = -net;
             }
         }
+    } else if (DISPATCH_STRATEGIES[provider.dispatchStrategy]?.optimise) { // --- Optimised battery schedule ---
+        const schedule = DISPATCH_STRATEGIES[provider.dispatchStrategy].optimise(intervalConsumption, intervalSolar, provider, batteryConfig, initialSOC, exportLimits, month, intervalPrices, intervalClippedSolar);
+        results.intervalImports = schedule.intervalImports;
+        results.intervalExports = schedule.intervalExports;
+        results.curtailedExportKWh = schedule.curtailedExportKWh;
+        // Energy charged from the grid is costed through the import rules, like the rest of the interval's imports.
+        results.gridChargeKWh = schedule.gridChargeKWh;
+        results.clippedSolarKWh = (intervalClippedSolar || []).reduce((a, b) => a + b, 0) - schedule.clippedCapturedKWh;
+        currentSOC = schedule.finalSOC;
+        socAt6am = schedule.socAt6am;
     } else { // --- Battery simulation logic ---
-        for (let h = 0; h < 24; h++) {
-            if (h === 6) socAt6am = currentSOC; // Record SOC at 6am.
-            const consumption = hourlyConsumption[h] || 0;
-            const solar = hourlySolar[h] || 0;
+        const maxTransferPerInterval = batteryConfig.inverterKW * intervalHours;
+        // Split the round-trip efficiency evenly between the charge and discharge legs.
+        const legEfficiency = Math.sqrt(batteryConfig.roundTripEfficiency ?? 1);
+        const minSOC = batteryConfig.capacity * ((batteryConfig.minSocPercent || 0) / 100);
+        // Self-consumption never discharges below the backup reserve (or the minimum SOC, if higher).
+        const dischargeFloorSOC = Math.max(minSOC, batteryConfig.capacity * ((batteryConfig.backupReservePercent || 0) / 100));
+        // Pre-compute which import rule applies to each interval for costing grid charging.
+        const touRules = (provider.importRules || []).filter(r => r.type === 'tou').map(r => ({ rate: r.rate, intervals: parseRangesToIntervals(r.hours, intervalMinutes) }));
+        const flatRule = (provider.importRules || []).find(r => r.type === 'flat');
+        // Ask the provider's dispatch strategy how to run the battery today.
+        const dispatchPlan = getDispatchPlan({ provider, intervalConsumption, intervalSolar, numIntervals, intervalMinutes, batteryConfig, legEfficiency, month, intervalPrices });
+
+        for (let i = 0; i < numIntervals; i++) {
+            const minuteOfDay = i * intervalMinutes;
+            const hour = Math.floor(minuteOfDay / 60);
+            if (minuteOfDay === 360) socAt6am = currentSOC; // Record SOC at 6am.
+            const consumption = intervalConsumption[i] || 0;
+            const solar = intervalSolar[i] || 0;
 
             // 1. Direct self-consumption: Solar power used directly by the house.
             const selfConsumption = Math.min(consumption, solar);
             let net = consumption - selfConsumption; // Remaining consumption to be met.
             const excessSolar = solar - selfConsumption; // Solar power left over.
 
-            // 2. Charge battery with excess solar.
+            // 2a. A DC-coupled battery soaks up energy the solar inverter would otherwise clip.
+            let clipped = intervalClippedSolar?.[i] || 0;
+            let dcChargeAmount = 0;
+            if (batteryConfig.dcCoupled && clipped > 0 && currentSOC < batteryConfig.capacity) {
+                dcChargeAmount = Math.min(clipped, maxTransferPerInterval, (batteryConfig.capacity - currentSOC) / legEfficiency);
+                currentSOC += dcChargeAmount * legEfficiency;
+                clipped -= dcChargeAmount;
+            }
+            results.clippedSolarKWh += clipped;
+
+            // 2b. Charge battery with excess solar. `chargeAmount` is the energy drawn from the solar surplus;
+            // only `chargeAmount * legEfficiency` of it ends up stored.
             let chargeAmount = 0;
             if (excessSolar > 0 && currentSOC < batteryConfig.capacity) {
-                chargeAmount = Math.min(excessSolar, batteryConfig.inverterKW, batteryConfig.capacity - currentSOC);
-                currentSOC += chargeAmount;
+                chargeAmount = Math.min(excessSolar, maxTransferPerInterval - dcChargeAmount, (batteryConfig.capacity - currentSOC) / legEfficiency);
+                currentSOC += chargeAmount * legEfficiency;
             }
             // Any solar left after charging is exported to the grid.
-            results.hourlyExports[h] = excessSolar - chargeAmount;
+            results.intervalExports[i] = excessSolar - chargeAmount;
 
-            // 3. Discharge battery to meet remaining consumption.
-            if (net > 0 && currentSOC > 0) {
-                const dischargeAmount = Math.min(net, batteryConfig.inverterKW, currentSOC);
-                currentSOC -= dischargeAmount;
+            // 3. Discharge battery to meet remaining consumption, down to the discharge floor
+            // plus any charge the dispatch strategy is holding back for later in the day.
+            const loadFloorSOC = Math.min(batteryConfig.capacity, dischargeFloorSOC + dispatchPlan.reserveSOC[i]);
+            let dischargeAmount = 0;
+            if (net > 0 && currentSOC > loadFloorSOC) {
+                dischargeAmount = Math.min(net, maxTransferPerInterval, (currentSOC - loadFloorSOC) * legEfficiency);
+                currentSOC -= dischargeAmount / legEfficiency;
                 net -= dischargeAmount;
             }
 
+            // 3b. Force-discharge into the grid if the strategy calls for it (and the battery isn't
+            // charging from solar), using the inverter capacity left over and staying within the export limit.
+            if (dispatchPlan.forceExport[i] && chargeAmount === 0 && currentSOC > dischargeFloorSOC) {
+                const exportHeadroom = Math.max(0, exportLimits[i] - results.intervalExports[i]);
+                const forcedExport = Math.min(maxTransferPerInterval - dischargeAmount, exportHeadroom, (currentSOC - dischargeFloorSOC) * legEfficiency);
+                if (forcedExport > 0) {
+                    currentSOC -= forcedExport / legEfficiency;
+                    results.intervalExports[i] += forcedExport;
+                }
+            }
+
             // 4. Any remaining consumption is imported from the grid.
-            results.hourlyImports[h] = net;
+            results.intervalImports[i] = net;
             
-            // 5. Grid Charging Logic (during specified off-peak hours).
-            if (provider.gridChargeEnabled && h >= provider.gridChargeStart && h < provider.gridChargeEnd) {
+            // 5. Grid Charging Logic (during specified off-peak hours, unless the plan is shaving a demand peak).
+            if (provider.gridChargeEnabled && !dispatchPlan.blockGridCharge[i] && hour >= provider.gridChargeStart && hour < provider.gridChargeEnd) {
                 const chargeThresholdSOC = batteryConfig.capacity * (batteryConfig.gridChargeThreshold / 100);
                 const chargeTriggerSOC = batteryConfig.capacity * (batteryConfig.socChargeTrigger / 100);
 
@@ -283,45 +497,73 @@ export function simulateDay(hourlyConsumption, hourlySolar, provider, batteryCon
                 if (currentSOC < chargeTriggerSOC) {
                     const chargeNeeded = chargeThresholdSOC - currentSOC;
                     if (chargeNeeded > 0) {
-                        const gridChargeAmount = Math.min(chargeNeeded, batteryConfig.inverterKW, batteryConfig.capacity - currentSOC);
+                        // The amount drawn from the grid, of which only `legEfficiency` is stored.
+                        const gridChargeAmount = Math.min(chargeNeeded / legEfficiency, maxTransferPerInterval, (batteryConfig.capacity - currentSOC) / legEfficiency);
                         results.gridChargeKWh += gridChargeAmount;
-                        currentSOC += gridChargeAmount;
+                        currentSOC += gridChargeAmount * legEfficiency;
                         // Grid charging counts as an import.
-                        results.hourlyImports[h] += gridChargeAmount;
+                        results.intervalImports[i] += gridChargeAmount;
                         
-                        // Calculate the cost of this grid charge based on the tariff for the current hour.
-                        const touRule = (provider.importRules || []).find(r => r.type === 'tou' && parseRangesToHours(r.hours).includes(h));
-                        const flatRule = (provider.importRules || []).find(r => r.type === 'flat');
-                        const rateForHour = (touRule || flatRule)?.rate || 0;
-                        gridChargeCost += gridChargeAmount * rateForHour;
+                        // Calculate the cost of this grid charge based on the tariff for the current interval.
+                        const touRule = touRules.find(r => r.intervals.includes(i));
+                        const rateForInterval = (touRule || flatRule)?.rate || 0;
+                        gridChargeCost += gridChargeAmount * rateForInterval;
                     }
                 }
             }
+
+            // 6. Fill the battery from the grid if the plan calls for it (e.g. negative wholesale prices).
+            // This energy is costed through the import rules, like the rest of the interval's imports.
+            if (dispatchPlan.gridCharge[i] && currentSOC < batteryConfig.capacity) {
+                const gridChargeAmount = Math.min(maxTransferPerInterval - chargeAmount - dcChargeAmount, (batteryConfig.capacity - currentSOC) / legEfficiency);
+                if (gridChargeAmount > 0) {
+                    results.gridChargeKWh += gridChargeAmount;
+                    currentSOC += gridChargeAmount * legEfficiency;
+                    results.intervalImports[i] += gridChargeAmount;
+                }
+            }
+        }
+    }
+
+    // --- Divert surplus solar into the controlled load, using solar that would be curtailed first ---
+    for (const overLimitOnly of [true, false]) {
+        for (let i = 0; i < numIntervals && results.divertedSolarKWh < divertibleLoadKWh; i++) {
+            const available = overLimitOnly ? Math.max(0, results.intervalExports[i] - exportLimits[i]) : results.intervalExports[i];
+            const diverted = Math.min(available, divertibleLoadKWh - results.divertedSolarKWh);
+            results.intervalExports[i] -= diverted;
+            results.divertedSolarKWh += diverted;
         }
     }
 
-    // --- Categorize hourly imports into TOU periods (Peak, Shoulder, Off-Peak) ---
-    const peakRule = (provider.importRules || []).find(r => r.name.toLowerCase().includes('peak'));
-    const shoulderRule = (provider.importRules || []).find(r => r.name.toLowerCase().includes('shoulder'));
-    const peakHours = parseRangesToHours(peakRule?.hours || '');
-    const shoulderHours = parseRangesToHours(shoulderRule?.hours || '');
+    // --- Apply the grid export limit before any exports are credited ---
+    for (let i = 0; i < numIntervals; i++) {
+        const curtailed = Math.max(0, results.intervalExports[i] - exportLimits[i]);
+        results.intervalExports[i] -= curtailed;
+        results.curtailedExportKWh += curtailed;
+    }
+
+    // --- Categorize interval imports into TOU periods (Peak, Shoulder, Off-Peak) ---
+    const peakRule = (provider.importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('peak'));
+    const shoulderRule = (provider.importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('shoulder'));
+    const peakIntervals = parseRangesToIntervals(peakRule?.hours || '', intervalMinutes);
+    const shoulderIntervals = parseRangesToIntervals(shoulderRule?.hours || '', intervalMinutes);
 
-    for (let h = 0; h < 24; h++) {
-        const gridImport = results.hourlyImports[h] || 0;
-        if (peakHours.includes(h)) {
+    for (let i = 0; i < numIntervals; i++) {
+        const gridImport = results.intervalImports[i] || 0;
+        if (peakIntervals.includes(i)) {
             results.peakKWh += gridImport;
-        } else if (shoulderHours.includes(h)) {
+        } else if (shoulderIntervals.includes(i)) {
             results.shoulderKWh += gridImport;
         } else {
             results.offPeakKWh += gridImport;
         }
     }
 
-    // --- Categorize daily exports into tiered rates if applicable ---
-    const dailyTotalExport = results.hourlyExports.reduce((a, b) => a + b, 0);
+    // --- Categorize daily exports into tiered rates if applicable (longer tier periods are spread evenly over their days) ---
+    const dailyTotalExport = results.intervalExports.reduce((a, b) => a + b, 0);
     const firstExportRule = (provider.exportRules || [])[0];
     if (provider.exportRules && firstExportRule && firstExportRule.type === 'tiered') {
-        results.tier1ExportKWh = Math.min(dailyTotalExport, firstExportRule.limit || Infinity);
+        results.tier1ExportKWh = Math.min(dailyTotalExport, (firstExportRule.limit || Infinity) / getTierPeriodDays(firstExportRule));
         results.tier2ExportKWh = dailyTotalExport - results.tier1ExportKWh;
     } else {
         results.tier1ExportKWh = dailyTotalExport;
@@ -335,24 +577,27 @@ export function simulateDay(hourlyConsumption, hourlySolar, provider, batteryCon
  * @param {object} config - The main analysis configuration object.
  * @param {object} simulationData - Seasonal average data (for manual mode).
  * @param {Array} electricityData - The parsed electricity usage data (for CSV mode).
+ * @param {Array|null} priceData - Wholesale price days `{ date, prices }`, for dynamic tariff rules (CSV mode).
  * @param {object} rawData - An object to store raw simulation outputs for debugging.
  * @returns {number} The total estimated annual cost for the baseline.
  */
-function calculateBaseline(config, simulationData, electricityData, rawData) {
+function calculateBaseline(config, simulationData, electricityData, priceData, rawData) {
     const baselineProvider = config.providers[0]; // Baseline always uses the first selected provider.
     const importCalculator = tariffComponents.IMPORT_RULES.calculate;
     const exportCalculator = tariffComponents.EXPORT_RULES.calculate;
+    const controlledLoadCalculator = tariffComponents.CONTROLLED_LOAD.calculate;
     const fitConfig = {
         degradationStartYear: config.fitDegradationStartYear,
         degradationEndYear: config.fitDegradationEndYear,
         minimumRate: config.fitMinimumRate,
+        priceEscalation: config.tariffEscalation, // For wholesale (dynamic) export prices.
     };
 
     let annualizedBaseCost = 0;
+    const demandByMonth = new Map(); // Peak demand per billing month, for demand charges.
     if (config.useManual) {
         // --- Manual Mode Baseline Calculation ---
         let totalCostForPeriod = 0;
-        const daysInQuarter = 365 / 4;
         for (const q in simulationData) {
             const quarter = simulationData[q];
             const season = q.split('_')[1];
@@ -360,47 +605,66 @@ function calculateBaseline(config, simulationData, electricityData, rawData) {
             const hourlyConsumption = generateHourlyConsumptionProfileFromDailyTOU(quarter.avgPeak, quarter.avgShoulder, quarter.avgOffPeak, baselineProvider.importRules);
             // Account for degradation of the existing solar system.
             const degradedExistingSolar = (config.existingSolarKW * config.manualSolarProfile) * Math.pow(1 - config.solarDegradation, config.existingSystemAge);
-            const hourlySolar = generateHourlySolarProfileFromDaily(degradedExistingSolar, q);
-            // Simulate an average day for the quarter.
-            const simResults = simulateDay(hourlyConsumption, hourlySolar, baselineProvider, null, 0);
-            const dailyBreakdown = simResults.dailyBreakdown;
+            const existingHourlySolar = generateHourlySolarProfileFromDaily(degradedExistingSolar, q);
+            const { acSolar, clippedSolar } = applyInverterClipping(existingHourlySolar, Array(24).fill(0), { ...config, replaceExistingSystem: false });
+            // Simulate an average weekday and weekend day for each month of the quarter.
+            for (const repDay of getSeasonRepresentativeDays(season)) {
+                const simResults = simulateDay(hourlyConsumption, acSolar, baselineProvider, null, { intervalClippedSolar: clippedSolar, dateString: repDay.date, dayType: repDay.dayType });
+                const dailyBreakdown = simResults.dailyBreakdown;
             
-            // Store raw data for debug table.
-            const rawSeason = rawData.baseline.year1[season];
-            if (rawSeason) {
-                rawSeason.days += daysInQuarter;
-                rawSeason.peakKWh += dailyBreakdown.peakKWh * daysInQuarter;
-                rawSeason.shoulderKWh += dailyBreakdown.shoulderKWh * daysInQuarter;
-                rawSeason.offPeakKWh += dailyBreakdown.offPeakKWh * daysInQuarter;
-                rawSeason.tier1ExportKWh += dailyBreakdown.tier1ExportKWh * daysInQuarter;
-                rawSeason.tier2ExportKWh += dailyBreakdown.tier2ExportKWh * daysInQuarter;
-            }
+                // Store raw data for debug table.
+                const rawSeason = rawData.baseline.year1[season];
+                if (rawSeason) {
+                    rawSeason.days += repDay.days;
+                    rawSeason.peakKWh += dailyBreakdown.peakKWh * repDay.days;
+                    rawSeason.shoulderKWh += dailyBreakdown.shoulderKWh * repDay.days;
+                    rawSeason.offPeakKWh += dailyBreakdown.offPeakKWh * repDay.days;
+                    rawSeason.tier1ExportKWh += dailyBreakdown.tier1ExportKWh * repDay.days;
+                    rawSeason.tier2ExportKWh += dailyBreakdown.tier2ExportKWh * repDay.days;
+                    rawSeason.clippedSolarKWh += dailyBreakdown.clippedSolarKWh * repDay.days;
+                    rawSeason.curtailedExportKWh += (dailyBreakdown.curtailedExportKWh || 0) * repDay.days;
+                }
             
-            // Calculate daily cost and add to the total for the quarter.
-            let dailyEnergyCost = importCalculator(baselineProvider.importRules, dailyBreakdown, { rate: 0, year: 1 });
-            dailyEnergyCost -= exportCalculator(baselineProvider.exportRules, dailyBreakdown, 1, fitConfig, getDegradedFitRate);
-            let totalDailyAdjustment = (baselineProvider.dailyCharge || 0) + dailyEnergyCost;
-            totalCostForPeriod += totalDailyAdjustment * daysInQuarter;
+                // Calculate daily cost and add to the total for the quarter.
+                let dailyEnergyCost = importCalculator(baselineProvider.importRules, dailyBreakdown, { rate: 0, year: 1 });
+                dailyEnergyCost -= exportCalculator(baselineProvider.exportRules, dailyBreakdown, 1, fitConfig, getDegradedFitRate);
+                let totalDailyAdjustment = (baselineProvider.dailyCharge || 0) + dailyEnergyCost;
+                totalCostForPeriod += totalDailyAdjustment * repDay.days;
+                recordDemand(demandByMonth, baselineProvider.importRules, dailyBreakdown, repDay.days);
+            }
         }
+        totalCostForPeriod += calculateDemandCharges(demandByMonth, baselineProvider.importRules, { rate: 0, year: 1 }, rawData.baseline.year1);
         annualizedBaseCost = totalCostForPeriod;
     } else if (electricityData) {
         // --- CSV Mode Baseline Calculation ---
         let totalCostForPeriod = 0;
         let daysProcessed = 0;
-        const peakRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('peak'));
-        const shoulderRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('shoulder'));
-        const peakHours = parseRangesToHours(peakRule?.hours || '');
-        const shoulderHours = parseRangesToHours(shoulderRule?.hours || '');
+        
+        const priceMap = new Map((priceData || []).map(d => [d.date, d.prices]));
+        const tierUsage = new Map(); // Usage so far in each monthly/quarterly tier period.
         
         // Process each day from the CSV data.
         electricityData.forEach(day => {
             daysProcessed++;
-            // The baseline breakdown comes directly from the usage CSV.
-            const dailyBreakdown = { peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0, hourlyImports: day.consumption, hourlyExports: day.feedIn };
-            for (let h = 0; h < 24; h++) {
-                const gridImport = day.consumption[h] || 0;
-                if (peakHours.includes(h)) { dailyBreakdown.peakKWh += gridImport; }
-                else if (shoulderHours.includes(h)) { dailyBreakdown.shoulderKWh += gridImport; }
+            // Categorise using the rules in force on this day.
+            const dayType = getDayType(day.date, config.publicHolidays);
+            const activeImportRules = filterRulesForDate(baselineProvider.importRules, day.date, dayType);
+            const peakRule = activeImportRules.find(r => r.type !== 'demand' && r.name.toLowerCase().includes('peak'));
+            const shoulderRule = activeImportRules.find(r => r.type !== 'demand' && r.name.toLowerCase().includes('shoulder'));
+            // The baseline breakdown comes directly from the usage CSV, at its native interval resolution.
+            const intervalMinutes = getIntervalMinutes(day.consumption);
+            const peakIntervals = parseRangesToIntervals(peakRule?.hours || '', intervalMinutes);
+            const shoulderIntervals = parseRangesToIntervals(shoulderRule?.hours || '', intervalMinutes);
+            // Measured exports over the grid export limit are curtailed, as in the simulated days.
+            const exportLimits = getExportLimitPerInterval(baselineProvider, intervalMinutes);
+            const intervalExports = day.feedIn.map((kWh, i) => Math.min(kWh || 0, exportLimits[i]));
+            const curtailedExportKWh = day.feedIn.reduce((total, kWh, i) => total + (kWh || 0) - intervalExports[i], 0);
+            const dailyBreakdown = { peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0, curtailedExportKWh: curtailedExportKWh, date: day.date, dayType: dayType, intervalPrices: getIntervalPricesForDay(priceMap, day.date, intervalMinutes), intervalMinutes: intervalMinutes, intervalImports: day.consumption, intervalExports: intervalExports };
+            const controlledLoadKWh = (day.controlledLoad || []).reduce((a, b) => a + b, 0);
+            for (let i = 0; i < day.consumption.length; i++) {
+                const gridImport = day.consumption[i] || 0;
+                if (peakIntervals.includes(i)) { dailyBreakdown.peakKWh += gridImport; }
+                else if (shoulderIntervals.includes(i)) { dailyBreakdown.shoulderKWh += gridImport; }
                 else { dailyBreakdown.offPeakKWh += gridImport; }
             }
             // Store raw data for debug table.
@@ -411,24 +675,32 @@ function calculateBaseline(config, simulationData, electricityData, rawData) {
                 rawSeason.peakKWh += dailyBreakdown.peakKWh;
                 rawSeason.shoulderKWh += dailyBreakdown.shoulderKWh;
                 rawSeason.offPeakKWh += dailyBreakdown.offPeakKWh;
-                const dailyTotalExport = dailyBreakdown.hourlyExports.reduce((a, b) => a + b, 0);
-                const firstExportRule = (baselineProvider.exportRules || [])[0];
+                rawSeason.curtailedExportKWh += dailyBreakdown.curtailedExportKWh;
+                const dailyTotalExport = dailyBreakdown.intervalExports.reduce((a, b) => a + b, 0);
+                const firstExportRule = filterRulesForDate(baselineProvider.exportRules, day.date, dayType)[0];
                 if (firstExportRule && firstExportRule.type === 'tiered') {
-                    const tier1Amount = Math.min(dailyTotalExport, firstExportRule.limit || Infinity);
+                    const tier1Amount = Math.min(dailyTotalExport, (firstExportRule.limit || Infinity) / getTierPeriodDays(firstExportRule));
                     rawSeason.tier1ExportKWh += tier1Amount;
                     rawSeason.tier2ExportKWh += dailyTotalExport - tier1Amount;
                 } else {
                     rawSeason.tier1ExportKWh += dailyTotalExport;
                 }
+                rawSeason.controlledLoadKWh += controlledLoadKWh;
             }
             
             // Calculate the cost for the day and add to the total.
-            let dailyEnergyCost = importCalculator(baselineProvider.importRules, dailyBreakdown, { rate: 0, year: 1 });
-            dailyEnergyCost -= exportCalculator(baselineProvider.exportRules, dailyBreakdown, 1, fitConfig, getDegradedFitRate);
+            let dailyEnergyCost = importCalculator(baselineProvider.importRules, dailyBreakdown, { rate: 0, year: 1 }, tierUsage);
+            dailyEnergyCost -= exportCalculator(baselineProvider.exportRules, dailyBreakdown, 1, fitConfig, getDegradedFitRate, tierUsage);
             let totalDailyAdjustment = (baselineProvider.dailyCharge || 0) + dailyEnergyCost;
             totalDailyAdjustment = applySpecialConditions(totalDailyAdjustment, dailyBreakdown, baselineProvider.specialConditions, day.date);
+            // The controlled load circuit is billed on its own tariff.
+            if (day.controlledLoad) {
+                totalDailyAdjustment += controlledLoadCalculator(baselineProvider, controlledLoadKWh, { rate: 0, year: 1 });
+            }
             totalCostForPeriod += totalDailyAdjustment;
+            recordDemand(demandByMonth, baselineProvider.importRules, dailyBreakdown);
         });
+        totalCostForPeriod += calculateDemandCharges(demandByMonth, baselineProvider.importRules, { rate: 0, year: 1 }, rawData.baseline.year1);
         // Annualize the cost based on the number of days processed.
         const annualizationFactor = daysProcessed > 0 ? 365 / daysProcessed : 0;
         annualizedBaseCost = totalCostForPeriod * annualizationFactor;
@@ -443,24 +715,29 @@ function calculateBaseline(config, simulationData, electricityData, rawData) {
  * @param {number} year - The current year of the analysis (for degradation).
  * @param {object} simulationData - Seasonal average data (for manual mode).
  * @param {Array} electricityData - Parsed usage data (for CSV mode).
+ * @param {Array|null} solarData - Parsed generation data of the existing system (for CSV mode).
+ * @param {Array|null} priceData - Wholesale price days `{ date, prices }`, for dynamic tariff rules (CSV mode).
  * @param {object} rawData - Object to store raw simulation outputs.
  * @returns {number} The total estimated annual cost for the system in the given year.
  */
-function calculateSystemYear(providerData, config, year, simulationData, electricityData, rawData) {
+function calculateSystemYear(providerData, config, year, simulationData, electricityData, solarData, priceData, rawData) {
     const importCalculator = tariffComponents.IMPORT_RULES.calculate;
     const exportCalculator = tariffComponents.EXPORT_RULES.calculate;
+    const controlledLoadCalculator = tariffComponents.CONTROLLED_LOAD.calculate;
     const fitConfig = {
         degradationStartYear: config.fitDegradationStartYear,
         degradationEndYear: config.fitDegradationEndYear,
         minimumRate: config.fitMinimumRate,
+        priceEscalation: config.tariffEscalation, // For wholesale (dynamic) export prices.
     };
     const baselineProvider = config.providers[0]; // Needed for profile generation in manual mode.
     let annualCost = 0;
+    const demandByMonth = new Map(); // Peak demand per billing month, for demand charges.
+    const rawYear1 = year === 1 ? rawData.system[providerData.id].year1 : null;
 
     if (config.useManual) {
         // --- Manual Mode System Calculation ---
         let totalCostForPeriod = 0;
-        const daysInQuarter = 365 / 4;
         for (const q in simulationData) {
             const quarter = simulationData[q];
             const season = q.split('_')[1];
@@ -470,48 +747,60 @@ function calculateSystemYear(providerData, config, year, simulationData, electri
             const newSystemCurrentAge = year - 1;
             const degradedExistingSolarDaily = (config.replaceExistingSystem ? 0 : config.existingSolarKW * config.manualSolarProfile) * Math.pow(1 - config.solarDegradation, existingSystemCurrentAge);
             const degradedNewSolarDaily = config.newSolarKW * config.manualSolarProfile * Math.pow(1 - config.solarDegradation, newSystemCurrentAge);
-            const totalDegradedSolarDaily = degradedExistingSolarDaily + degradedNewSolarDaily;
             const degradedExistingBattery = (config.replaceExistingSystem ? 0 : config.existingBattery) * Math.pow(1 - config.batteryDegradation, existingSystemCurrentAge);
             const degradedNewBattery = config.newBatteryKWH * Math.pow(1 - config.batteryDegradation, newSystemCurrentAge);
             const totalDegradedBatteryCapacity = degradedExistingBattery + degradedNewBattery;
-            const batteryConfig = { capacity: totalDegradedBatteryCapacity, inverterKW: config.newBatteryInverterKW, gridChargeThreshold: config.gridChargeThreshold, socChargeTrigger: config.socChargeTrigger };
+            const batteryConfig = { capacity: totalDegradedBatteryCapacity, inverterKW: config.newBatteryInverterKW, gridChargeThreshold: config.gridChargeThreshold, socChargeTrigger: config.socChargeTrigger, roundTripEfficiency: config.batteryRoundTripEfficiency, minSocPercent: config.batteryMinSoc, backupReservePercent: config.batteryBackupReserve, dcCoupled: config.batteryDcCoupled };
             
             let currentSOC = batteryConfig.capacity * 0.5; // Assume average starting SOC.
             const trueHourlyConsumption = generateHourlyConsumptionProfileFromDailyTOU(quarter.avgPeak, quarter.avgShoulder, quarter.avgOffPeak, baselineProvider.importRules);
-            const totalHourlySolar = generateHourlySolarProfileFromDaily(totalDegradedSolarDaily, q);
+            // Build each array's DC profile separately so inverter clipping can be applied per inverter.
+            const { acSolar, clippedSolar } = applyInverterClipping(
+                generateHourlySolarProfileFromDaily(degradedExistingSolarDaily, q),
+                generateHourlySolarProfileFromDaily(degradedNewSolarDaily, q),
+                config
+            );
             
-            // Simulate the average day for the quarter.
-            const simResults = simulateDay(trueHourlyConsumption, totalHourlySolar, providerData, batteryConfig, currentSOC);
-            const dailyBreakdown = simResults.dailyBreakdown;
+            // Simulate an average weekday and weekend day for each month of the quarter.
+            for (const repDay of getSeasonRepresentativeDays(season)) {
+                const simResults = simulateDay(trueHourlyConsumption, acSolar, providerData, batteryConfig, { initialSOC: currentSOC, intervalClippedSolar: clippedSolar, dateString: repDay.date, dayType: repDay.dayType });
+                const dailyBreakdown = simResults.dailyBreakdown;
             
-            // Store raw data for the first year.
-            if (year === 1) {
-                const rawSeason = rawData.system[providerData.id].year1[season];
-                if (rawSeason) {
-                    rawSeason.days += daysInQuarter;
-                    rawSeason.peakKWh += dailyBreakdown.peakKWh * daysInQuarter;
-                    rawSeason.shoulderKWh += dailyBreakdown.shoulderKWh * daysInQuarter;
-                    rawSeason.offPeakKWh += dailyBreakdown.offPeakKWh * daysInQuarter;
-                    rawSeason.tier1ExportKWh += dailyBreakdown.tier1ExportKWh * daysInQuarter;
-                    rawSeason.tier2ExportKWh += dailyBreakdown.tier2ExportKWh * daysInQuarter;
-                    rawSeason.gridChargeKWh += dailyBreakdown.gridChargeKWh * daysInQuarter;
-                    rawSeason.gridChargeCost += simResults.gridChargeCost * daysInQuarter;
+                // Store raw data for the first year.
+                if (year === 1) {
+                    const rawSeason = rawData.system[providerData.id].year1[season];
+                    if (rawSeason) {
+                        rawSeason.days += repDay.days;
+                        rawSeason.peakKWh += dailyBreakdown.peakKWh * repDay.days;
+                        rawSeason.shoulderKWh += dailyBreakdown.shoulderKWh * repDay.days;
+                        rawSeason.offPeakKWh += dailyBreakdown.offPeakKWh * repDay.days;
+                        rawSeason.tier1ExportKWh += dailyBreakdown.tier1ExportKWh * repDay.days;
+                        rawSeason.tier2ExportKWh += dailyBreakdown.tier2ExportKWh * repDay.days;
+                        rawSeason.gridChargeKWh += dailyBreakdown.gridChargeKWh * repDay.days;
+                        rawSeason.gridChargeCost += simResults.gridChargeCost * repDay.days;
+                        rawSeason.clippedSolarKWh += dailyBreakdown.clippedSolarKWh * repDay.days;
+                        rawSeason.curtailedExportKWh += (dailyBreakdown.curtailedExportKWh || 0) * repDay.days;
+                    }
                 }
-            }
             
-            // Calculate daily cost, accounting for tariff escalation and FIT degradation.
-            let dailyEnergyCost = simResults.gridChargeCost || 0;
-            dailyEnergyCost += importCalculator(providerData.importRules, dailyBreakdown, { rate: config.tariffEscalation, year: year });
-            dailyEnergyCost -= exportCalculator(providerData.exportRules, dailyBreakdown, year, fitConfig, getDegradedFitRate);
-            let totalDailyAdjustment = (providerData.dailyCharge || 0) + dailyEnergyCost;
-            totalCostForPeriod += totalDailyAdjustment * daysInQuarter;
+                // Calculate daily cost, accounting for tariff escalation and FIT degradation.
+                let dailyEnergyCost = simResults.gridChargeCost || 0;
+                dailyEnergyCost += importCalculator(providerData.importRules, dailyBreakdown, { rate: config.tariffEscalation, year: year });
+                dailyEnergyCost -= exportCalculator(providerData.exportRules, dailyBreakdown, year, fitConfig, getDegradedFitRate);
+                let totalDailyAdjustment = (providerData.dailyCharge || 0) + dailyEnergyCost;
+                totalCostForPeriod += totalDailyAdjustment * repDay.days;
+                recordDemand(demandByMonth, providerData.importRules, dailyBreakdown, repDay.days);
+            }
         }
+        totalCostForPeriod += calculateDemandCharges(demandByMonth, providerData.importRules, { rate: config.tariffEscalation, year: year }, rawYear1);
         annualCost = totalCostForPeriod;
     } else { 
         // --- CSV Mode System Calculation ---
         let totalCostForPeriod = 0;
         let daysProcessed = 0;
-        const solarDataMap = new Map(state.solarData.map(d => [d.date, d.hourly]));
+        const solarDataMap = new Map((solarData || []).map(d => [d.date, d]));
+        const priceMap = new Map((priceData || []).map(d => [d.date, d.prices]));
+        const tierUsage = new Map(); // Usage so far in each monthly/quarterly tier period.
         
         // Calculate system degradation for the current year.
         const existingSystemCurrentAge = config.existingSystemAge + year - 1;
@@ -523,33 +812,43 @@ function calculateSystemYear(providerData, config, year, simulationData, electri
         let currentSOC = totalDegradedBatteryCapacity * 0.5; // Start with average SOC.
         
         electricityData.forEach(day => {
-            const existingHourlySolar_historical = solarDataMap.get(day.date);
-            if (!existingHourlySolar_historical) return; // Skip days with no matching solar data.
+            const solarDay = solarDataMap.get(day.date);
+            if (!solarDay) return; // Skip days with no matching solar data.
             daysProcessed++;
 
-            const batteryConfig = { capacity: totalDegradedBatteryCapacity, inverterKW: config.newBatteryInverterKW, gridChargeThreshold: config.gridChargeThreshold, socChargeTrigger: config.socChargeTrigger };
+            // Simulate at the usage data's native resolution, bringing the solar data to match it.
+            const intervalMinutes = getIntervalMinutes(day.consumption);
+            const numIntervals = day.consumption.length;
+            const existingIntervalSolar_historical = resampleIntervals(solarDay.generation, intervalMinutes);
+
+            const batteryConfig = { capacity: totalDegradedBatteryCapacity, inverterKW: config.newBatteryInverterKW, gridChargeThreshold: config.gridChargeThreshold, socChargeTrigger: config.socChargeTrigger, roundTripEfficiency: config.batteryRoundTripEfficiency, minSocPercent: config.batteryMinSoc, backupReservePercent: config.batteryBackupReserve, dcCoupled: config.batteryDcCoupled };
             
             // Apply degradation to historical solar data.
-            const degradedExistingSolar = existingHourlySolar_historical.map(s => s * Math.pow(1 - config.solarDegradation, year - 1));
+            const degradedExistingSolar = existingIntervalSolar_historical.map(s => s * Math.pow(1 - config.solarDegradation, year - 1));
             // Generate a profile for the new solar panels and apply degradation.
             const newSolarGenerationDaily = config.newSolarKW * config.manualSolarProfile;
             const degradedNewSolarDaily = newSolarGenerationDaily * Math.pow(1 - config.solarDegradation, newSystemCurrentAge);
-            const newHourlySolar = generateHourlySolarProfileFromDaily(degradedNewSolarDaily, getSeason(day.date));
-            // Combine existing and new solar generation.
-            const existingSolarForSim = config.replaceExistingSystem ? Array(24).fill(0) : degradedExistingSolar;
-            const totalHourlySolar = existingSolarForSim.map((s, i) => s + newHourlySolar[i]);
+            const newIntervalSolar = resampleIntervals(generateHourlySolarProfileFromDaily(degradedNewSolarDaily, getSeason(day.date)), intervalMinutes);
+            // Combine existing and new solar generation, clipping at the solar inverter(s).
+            const existingSolarForSim = config.replaceExistingSystem ? Array(numIntervals).fill(0) : degradedExistingSolar;
+            const { acSolar: totalIntervalSolar, clippedSolar } = applyInverterClipping(existingSolarForSim, newIntervalSolar, config);
             
-            // Reconstruct the "true" household consumption before any existing solar was self-consumed.
-            const trueHourlyConsumption = Array(24).fill(0);
-            for (let h = 0; h < 24; h++) {
-                const selfConsumed = Math.max(0, (existingHourlySolar_historical[h] || 0) - (day.feedIn[h] || 0));
-                trueHourlyConsumption[h] = (day.consumption[h] || 0) + selfConsumed;
-            }
+            // Reconstruct the "true" household consumption before any existing solar (or battery) was used.
+            const trueIntervalConsumption = reconstructConsumption(day, existingIntervalSolar_historical, solarDay);
             
-            // Simulate the day with the new system.
-            const simResults = simulateDay(trueHourlyConsumption, totalHourlySolar, providerData, batteryConfig, currentSOC);
+            // Simulate the day with the new system, which may run the controlled load on surplus solar.
+            const controlledLoadKWh = (day.controlledLoad || []).reduce((a, b) => a + b, 0);
+            const simResults = simulateDay(trueIntervalConsumption, totalIntervalSolar, providerData, batteryConfig, {
+                initialSOC: currentSOC,
+                intervalClippedSolar: clippedSolar,
+                dateString: day.date,
+                dayType: getDayType(day.date, config.publicHolidays),
+                intervalPrices: getIntervalPricesForDay(priceMap, day.date, intervalMinutes),
+                divertibleLoadKWh: config.divertControlledLoad ? controlledLoadKWh : 0,
+            });
             currentSOC = simResults.finalSOC; // Carry over SOC to the next day.
             const dailyBreakdown = simResults.dailyBreakdown;
+            const controlledLoadGridKWh = controlledLoadKWh - dailyBreakdown.divertedSolarKWh;
             
             // Store raw data for year 1.
             if (year === 1) {
@@ -564,17 +863,27 @@ function calculateSystemYear(providerData, config, year, simulationData, electri
                     rawSeason.tier2ExportKWh += dailyBreakdown.tier2ExportKWh;
                     rawSeason.gridChargeKWh += dailyBreakdown.gridChargeKWh;
                     rawSeason.gridChargeCost += simResults.gridChargeCost;
+                    rawSeason.clippedSolarKWh += dailyBreakdown.clippedSolarKWh;
+                    rawSeason.curtailedExportKWh += dailyBreakdown.curtailedExportKWh;
+                    rawSeason.controlledLoadKWh += controlledLoadGridKWh;
+                    rawSeason.divertedSolarKWh += dailyBreakdown.divertedSolarKWh;
                 }
             }
             
             // Calculate the cost for the day and add to total.
             let dailyEnergyCost = simResults.gridChargeCost || 0;
-            dailyEnergyCost += importCalculator(providerData.importRules, dailyBreakdown, { rate: config.tariffEscalation, year: year });
-            dailyEnergyCost -= exportCalculator(providerData.exportRules, dailyBreakdown, year, fitConfig, getDegradedFitRate);
+            dailyEnergyCost += importCalculator(providerData.importRules, dailyBreakdown, { rate: config.tariffEscalation, year: year }, tierUsage);
+            dailyEnergyCost -= exportCalculator(providerData.exportRules, dailyBreakdown, year, fitConfig, getDegradedFitRate, tierUsage);
             let totalDailyAdjustment = (providerData.dailyCharge || 0) + dailyEnergyCost;
             totalDailyAdjustment = applySpecialConditions(totalDailyAdjustment, dailyBreakdown, providerData.specialConditions, day.date);
+            // The controlled load circuit is billed on its own tariff.
+            if (day.controlledLoad) {
+                totalDailyAdjustment += controlledLoadCalculator(providerData, controlledLoadGridKWh, { rate: config.tariffEscalation, year: year });
+            }
             totalCostForPeriod += totalDailyAdjustment;
+            recordDemand(demandByMonth, providerData.importRules, dailyBreakdown);
         });
+        totalCostForPeriod += calculateDemandCharges(demandByMonth, providerData.importRules, { rate: config.tariffEscalation, year: year }, rawYear1);
         // Annualize the cost based on the number of days processed.
         const annualizationFactor = daysProcessed > 0 ? 365 / daysProcessed : 0;
         annualCost = totalCostForPeriod * annualizationFactor;
@@ -582,16 +891,66 @@ function calculateSystemYear(providerData, config, year, simulationData, electri
     return annualCost;
 }
 
+/**
+ * Compares the Year 1 cost of running the battery under each available dispatch strategy,
+ * so the user can see which inverter operating mode suits a provider's plan best. The provider's
+ * own strategy isn't simulated again: its Year 1 cost from the main analysis is used.
+ * @param {object} providerData - The configuration for the provider being simulated.
+ * @param {number} selectedCost - The provider's Year 1 cost (including monthly fees) under its own strategy.
+ * @param {object} config - The main analysis configuration object.
+ * @param {object} simulationData - Seasonal average data (for manual mode).
+ * @param {Array} electricityData - Parsed usage data (for CSV mode).
+ * @param {Array|null} solarData - Parsed generation data of the existing system (for CSV mode).
+ * @param {Array|null} priceData - Wholesale price days (for CSV mode).
+ * @param {Function} [onStrategyDone] - Called after each strategy has been simulated.
+ * @returns {object} A map of strategy key to the Year 1 annual cost, including monthly fees.
+ */
+function compareDispatchStrategies(providerData, selectedCost, config, simulationData, electricityData, solarData, priceData, onStrategyDone = () => {}) {
+    // Providers with no (or an unknown) strategy run on self-consumption.
+    const selectedKey = DISPATCH_STRATEGIES[providerData.dispatchStrategy] ? providerData.dispatchStrategy : 'self_consumption';
+    const comparison = {};
+    for (const strategyKey in DISPATCH_STRATEGIES) {
+        if (strategyKey === selectedKey) {
+            comparison[strategyKey] = selectedCost;
+            continue;
+        }
+        // Use throwaway raw data so these runs don't add to the Year 1 performance tables.
+        const scratchRawData = { system: { [providerData.id]: { year1: {} } } };
+        const annualCost = calculateSystemYear({ ...providerData, dispatchStrategy: strategyKey }, config, 1, simulationData, electricityData, solarData, priceData, scratchRawData);
+        comparison[strategyKey] = annualCost + escalate((providerData.monthlyFee || 0) * 12, config.tariffEscalation, 1);
+        onStrategyDone();
+    }
+    return comparison;
+}
+
 /**
  * The main entry point for running the entire financial analysis over the specified number of years.
+ * It uses only its arguments (no page inputs or application state); see engine.js for running a
+ * complete analysis from the raw settings and data.
  * @param {object} config - The complete analysis configuration.
  * @param {object} simulationData - Seasonal average data (for manual mode).
  * @param {Array} electricityData - Parsed usage data (for CSV mode).
+ * @param {Array|null} [solarData=null] - Parsed generation data of the existing system (for CSV mode). Usage
+ *   days without solar data are skipped.
+ * @param {Array|null} [priceData=null] - Wholesale price days `{ date, prices }`, for dynamic tariff rules (CSV mode).
+ * @param {Function} [onProgress] - Called as each provider's work is done, with `{ providerId, completed, total }`:
+ *   the steps done and to do for that provider (one per analysis year, plus one per other dispatch strategy compared,
+ *   if `config.compareDispatchStrategies` is set).
  * @returns {object} An object containing the final financial results, raw data, and the config used.
  */
-export function runSimulation(config, simulationData, electricityData) {
+export function runSimulation(config, simulationData, electricityData, solarData = null, priceData = null, onProgress = () => {}) {
     const finalResults = { baselineCosts: [] };
     const rawData = { baseline: { year1: {} }, system: {} };
+    const hasBattery = config.newBatteryKWH > 0 || (!config.replaceExistingSystem && config.existingBattery > 0);
+    // Comparing the operating modes simulates Year 1 again for every other strategy (the optimal one is the slowest),
+    // so it is only done when asked for.
+    const compareStrategies = hasBattery && config.compareDispatchStrategies;
+    const totalSteps = config.numYears + (compareStrategies ? Object.keys(DISPATCH_STRATEGIES).length - 1 : 0);
+    const completedSteps = {};
+    const reportStep = (providerId) => {
+        completedSteps[providerId] = (completedSteps[providerId] || 0) + 1;
+        onProgress({ providerId, completed: completedSteps[providerId], total: totalSteps });
+    };
 
     // Initialize results and raw data structures for each selected provider.
     config.selectedProviders.forEach(pId => {
@@ -600,13 +959,13 @@ export function runSimulation(config, simulationData, electricityData) {
         finalResults[provider.id] = { annualCosts: [], cumulativeSavingsPerYear: [], roiYear: null, npv: 0 };
         rawData.system[provider.id] = { year1: {} };
         for (const q of ['Summer', 'Autumn', 'Winter', 'Spring']) {
-            rawData.baseline.year1[q] = { days: 0, peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0, tier1ExportKWh: 0, tier2ExportKWh: 0, gridChargeKWh: 0, gridChargeCost: 0 };
-            rawData.system[provider.id].year1[q] = { days: 0, peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0, tier1ExportKWh: 0, tier2ExportKWh: 0, gridChargeKWh: 0, gridChargeCost: 0 };
+            rawData.baseline.year1[q] = { days: 0, peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0, tier1ExportKWh: 0, tier2ExportKWh: 0, gridChargeKWh: 0, gridChargeCost: 0, clippedSolarKWh: 0, curtailedExportKWh: 0, peakDemandKW: 0, demandCharge: 0, controlledLoadKWh: 0, divertedSolarKWh: 0 };
+            rawData.system[provider.id].year1[q] = { days: 0, peakKWh: 0, shoulderKWh: 0, offPeakKWh: 0, tier1ExportKWh: 0, tier2ExportKWh: 0, gridChargeKWh: 0, gridChargeCost: 0, clippedSolarKWh: 0, curtailedExportKWh: 0, peakDemandKW: 0, demandCharge: 0, controlledLoadKWh: 0, divertedSolarKWh: 0 };
         }
     });
 
     // Calculate the initial annualized baseline cost (Year 1).
-    const annualizedBaseCost = calculateBaseline(config, simulationData, electricityData, rawData);
+    const annualizedBaseCost = calculateBaseline(config, simulationData, electricityData, priceData, rawData);
 
     // --- Loop through each year of the analysis period ---
     for (let y = 1; y <= config.numYears; y++) {
@@ -619,7 +978,7 @@ export function runSimulation(config, simulationData, electricityData) {
             if (!providerData) return;
 
             // Calculate the total cost with the system for this year.
-            const annualCost = calculateSystemYear(providerData, config, y, simulationData, electricityData, rawData);
+            const annualCost = calculateSystemYear(providerData, config, y, simulationData, electricityData, solarData, priceData, rawData);
 
             // Add any fixed monthly fees (also escalated).
             const finalAnnualCost = annualCost + escalate((providerData.monthlyFee || 0) * 12, config.tariffEscalation, y);
@@ -641,6 +1000,7 @@ export function runSimulation(config, simulationData, electricityData) {
             if (config.discountRateEnabled) {
                 finalResults[p].npv += annualSavings / Math.pow(1 + config.discountRate, y);
             }
+            reportStep(p);
         });
     }
     
@@ -669,6 +1029,15 @@ export function runSimulation(config, simulationData, electricityData) {
         }
     });
 
+    // --- Post-simulation: Compare battery dispatch strategies for each provider, if asked for ---
+    if (compareStrategies) {
+        config.selectedProviders.forEach(p => {
+            const providerData = config.providers.find(prov => prov.id === p);
+            if (!providerData) return;
+            finalResults[p].strategyComparison = compareDispatchStrategies(providerData, finalResults[p].annualCosts[0], config, simulationData, electricityData, solarData, priceData, () => reportStep(p));
+        });
+    }
+
     return { financials: finalResults, rawData: rawData, config: config };
 }
 
@@ -676,9 +1045,11 @@ export function runSimulation(config, simulationData, electricityData) {
  * Provides a simple, heuristic-based sizing recommendation based on annual energy needs.
  * @param {number} coverageTarget - The desired percentage of annual consumption to be met by solar.
  * @param {object} simulationData - Seasonal average consumption data.
+ * @param {Array|null} [solarData=null] - The parsed solar generation data of the existing system, if any.
+ * @param {number} [existingSolarKW=0] - The size of the existing solar system, in kW.
  * @returns {object} An object with recommended solar, battery, and inverter sizes.
  */
-export function calculateSizingRecommendations(coverageTarget, simulationData) {
+export function calculateSizingRecommendations(coverageTarget, simulationData, solarData = null, existingSolarKW = 0) {
     if (!simulationData || Object.keys(simulationData).length === 0) {
         return { solar: 0, battery: 0, inverter: 0, coverageTarget: coverageTarget };
     }
@@ -702,11 +1073,10 @@ export function calculateSizingRecommendations(coverageTarget, simulationData) {
     // Determine the average daily solar generation per kW of panels.
     // Use data from existing system if available, otherwise use a default.
     let avgDailyGenerationPerKW = 4.0; 
-    const existingKW = getNumericInput('existingSolarKW');
-    if (state.solarData && state.solarData.length > 0 && existingKW > 0) {
-        const totalGeneration = state.solarData.reduce((acc, day) => acc + day.hourly.reduce((a, b) => a + b, 0), 0);
-        const avgDailyGeneration = totalGeneration / state.solarData.length;
-        avgDailyGenerationPerKW = avgDailyGeneration / existingKW;
+    if (solarData && solarData.length > 0 && existingSolarKW > 0) {
+        const totalGeneration = solarData.reduce((acc, day) => acc + day.generation.reduce((a, b) => a + b, 0), 0);
+        const avgDailyGeneration = totalGeneration / solarData.length;
+        avgDailyGenerationPerKW = avgDailyGeneration / existingSolarKW;
     }
     
     const avgDailyConsumption = totalDays > 0 ? totalKWh / totalDays : 0;
@@ -742,16 +1112,17 @@ export function calculateSizingRecommendations(coverageTarget, simulationData) {
  * @param {Array} solarData - The parsed solar generation data.
  * @param {object} config - The main analysis configuration.
  * @param {object} simulationData - Seasonal average data for the heuristic fallback.
+ * @param {Function} [onProgress] - Called now and then with the fraction of the days analysed.
  * @returns {object|null} A detailed sizing result object, or null if data is insufficient.
  */
-export function calculateDetailedSizing(correctedElectricityData, solarData, config, simulationData) {
+export function calculateDetailedSizing(correctedElectricityData, solarData, config, simulationData, onProgress = () => {}) {
     if (!correctedElectricityData) return null;
 
     // Determine the peak hours from the baseline provider's tariff.
     const baselineProvider = config.providers.find(p => p.id === config.selectedProviders[0]);
     let peakHours;
     if (baselineProvider) {
-        const peakRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('peak'));
+        const peakRule = (baselineProvider.importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('peak'));
         peakHours = parseRangesToHours(peakRule?.hours || '');
     }
 	
@@ -763,39 +1134,43 @@ export function calculateDetailedSizing(correctedElectricityData, solarData, con
 
     const totalSolarKW = config.replaceExistingSystem ? config.newSolarKW : config.existingSolarKW + config.newSolarKW;
     const solarProfileSourceKw = config.existingSolarKW > 0 ? config.existingSolarKW : 1;
-    const solarDataMap = config.noExistingSolar ? new Map() : new Map((solarData || []).map(day => [day.date, day.hourly]));
+    const solarDataMap = config.noExistingSolar ? new Map() : new Map((solarData || []).map(day => [day.date, day.generation]));
     
     // These arrays will store the key metrics for each day of the year.
     const dailyPeakPeriodData = []; // Total kWh needed from battery during peak hours.
-    const dailyMaxHourData = [];    // Max kWh needed from battery in a single hour.
+    const dailyMaxHourData = [];    // Max power (kW) needed from battery in a single interval.
     let totalDays = 0;
 
     // Analyze each day in the dataset.
-    correctedElectricityData.forEach(day => {
+    correctedElectricityData.forEach((day, index) => {
+        if (index % SIZING_PROGRESS_DAYS === 0) onProgress(index / correctedElectricityData.length);
         totalDays++;
         let dailyPeakPeriodKWh = 0;
         let dailyMaxHourKWh = 0;
+        const intervalMinutes = getIntervalMinutes(day.consumption);
+        const intervalHours = intervalMinutes / 60;
         
-        // Generate the total hourly solar profile for the proposed system.
-        let hourlySolar;
+        // Generate the total solar profile for the proposed system at the usage data's resolution.
+        let intervalSolar;
         if (config.noExistingSolar) {
             const totalDailySolar = totalSolarKW * config.manualSolarProfile;
             const season = getSeason(day.date);
-            hourlySolar = generateHourlySolarProfileFromDaily(totalDailySolar, season);
+            intervalSolar = resampleIntervals(generateHourlySolarProfileFromDaily(totalDailySolar, season), intervalMinutes);
         } else {
-            const hourlySolarRaw = solarDataMap.get(day.date) || Array(24).fill(0);
-            hourlySolar = hourlySolarRaw.map(h => (h / solarProfileSourceKw) * totalSolarKW);
+            const intervalSolarRaw = resampleIntervals(solarDataMap.get(day.date), intervalMinutes);
+            intervalSolar = intervalSolarRaw.map(v => (v / solarProfileSourceKw) * totalSolarKW);
         }
 
-        // For each hour, calculate consumption not met by solar.
-        for (let h = 0; h < 24; h++) {
-            const consumption = day.consumption[h] || 0;
-            const solar = hourlySolar[h] || 0;
+        // For each interval, calculate consumption not met by solar.
+        for (let i = 0; i < day.consumption.length; i++) {
+            const consumption = day.consumption[i] || 0;
+            const solar = intervalSolar[i] || 0;
             const selfConsumption = Math.min(consumption, solar);
             const remainingConsumption = consumption - selfConsumption;
-            dailyMaxHourKWh = Math.max(dailyMaxHourKWh, remainingConsumption);
+            // Convert the interval's energy into average power so short spikes are sized correctly.
+            dailyMaxHourKWh = Math.max(dailyMaxHourKWh, remainingConsumption / intervalHours);
             
-            if (peakHours.includes(h)) {
+            if (peakHours.includes(Math.floor(i * intervalMinutes / 60))) {
                 dailyPeakPeriodKWh += consumption;
             }
         }
@@ -826,16 +1201,18 @@ export function calculateDetailedSizing(correctedElectricityData, solarData, con
     const inverterCoverageDays = dailyMaxHourData.filter(d => d <= finalInverterRec).length;
     
     // Get the heuristic recommendation as a comparison.
-    const heuristicRecs = calculateSizingRecommendations(config.recommendationCoverageTarget, simulationData);
+    const heuristicRecs = calculateSizingRecommendations(config.recommendationCoverageTarget, simulationData, solarData, config.existingSolarKW);
 
     // --- Blackout Sizing Calculation ---
     let blackoutResults = null;
     if (config.blackoutSizingEnabled && config.blackoutDuration > 0 && config.blackoutCoverage > 0) {
         // Find the highest consumption period of the specified duration in the entire dataset.
-        const allHours = correctedElectricityData.flatMap(d => d.consumption);
+        const allIntervals = correctedElectricityData.flatMap(d => d.consumption);
+        const intervalsPerHour = 60 / getIntervalMinutes(correctedElectricityData[0].consumption);
+        const windowLength = Math.round(config.blackoutDuration * intervalsPerHour);
         let maxConsumptionInWindow = 0;
-        for (let i = 0; i <= allHours.length - config.blackoutDuration; i++) {
-            const windowSum = allHours.slice(i, i + config.blackoutDuration).reduce((a, b) => a + b, 0);
+        for (let i = 0; i <= allIntervals.length - windowLength; i++) {
+            const windowSum = allIntervals.slice(i, i + windowLength).reduce((a, b) => a + b, 0);
             if (windowSum > maxConsumptionInWindow) maxConsumptionInWindow = windowSum;
         }
         // Calculate the required battery reserve to cover this period.
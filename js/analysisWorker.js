@@ -0,0 +1,55 @@
+// js/analysisWorker.js
+// Version 1.1.4
+// This module runs as a Web Worker. It runs the ROI simulation and the detailed sizing off the main
+// thread, so long CSV-mode analyses don't freeze the page, and reports its progress as it goes.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { runSimulation, calculateDetailedSizing } from './analysis.js';
+
+/**
+ * Runs the task sent by `runInAnalysisWorker` (in uiEvents.js). Posts `{ type: 'progress', progress }` with
+ * each progress report, then `{ type: 'done', result }` or `{ type: 'error', message }`.
+ * @param {MessageEvent} event - The message, with `{ task, payload }`. For the 'analysis' task the payload is
+ *   `{ config, simulationData, electricityData, solarData, priceData }`; for 'sizing' it is
+ *   `{ correctedElectricityData, solarData, config, simulationData }`.
+ */
+self.onmessage = (event) => {
+    const { task, payload } = event.data;
+    const reportProgress = (progress) => self.postMessage({ type: 'progress', progress });
+    try {
+        let result;
+        if (task === 'sizing') {
+            const { correctedElectricityData, solarData, config, simulationData } = payload;
+            result = calculateDetailedSizing(correctedElectricityData, solarData, config, simulationData, reportProgress);
+        } else {
+            const { config, simulationData, electricityData, solarData, priceData } = payload;
+            result = runSimulation(config, simulationData, electricityData, solarData, priceData, reportProgress);
+        }
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -2,6 +2,7 @@
 //Version 1.1.4
 // This module is responsible for gathering all user-configurable settings from the UI
 // and assembling them into a single configuration object used by the analysis engine.
+// The same object can be built from saved settings, for running the engine without the page.
 
 /*
  * Home Battery & Solar ROI Analyzer
@@ -27,8 +28,39 @@
  * SOFTWARE.
  */
 
-import { getNumericInput } from './utils.js';
 import { getProviders } from './providerManager.js';
+import { getPublicHolidays } from './holidays.js';
+import { state } from './state.js';
+
+/**
+ * Builds the set of public holidays used by day-type tariff rules, combining the selected
+ * state's holidays with any imported from a calendar file.
+ * @param {string} holidayState - The selected state code, or '' for none.
+ * @param {Array<object>} electricityData - The usage days, whose years the holidays are needed for.
+ * @param {Array<string>} importedHolidays - Dates imported from a calendar file, as 'YYYY-MM-DD' strings.
+ * @returns {Set<string>} The public holiday dates as 'YYYY-MM-DD' strings.
+ */
+function gatherPublicHolidays(holidayState, electricityData, importedHolidays) {
+    // 1. Work out which years the usage data covers (or this year if there is no data).
+    const years = new Set((electricityData || []).map(day => parseInt(day.date.substring(0, 4), 10)).filter(Number.isInteger));
+    if (years.size === 0) years.add(new Date().getFullYear());
+    // 2. Combine the built-in and imported holidays.
+    const holidays = holidayState ? getPublicHolidays(holidayState, [...years]) : new Set();
+    (importedHolidays || []).forEach(date => holidays.add(date));
+    return holidays;
+}
+
+/**
+ * Reads one setting from the page, the way `saveStateToFile` (storage.js) saves it: a checkbox's
+ * checked state, or the value of any other input or dropdown.
+ * @param {string} id - The ID of the HTML element.
+ * @returns {string|boolean|undefined} The setting, or undefined if the element is not found.
+ */
+function readInputFromPage(id) {
+    const el = document.getElementById(id);
+    if (!el) return undefined;
+    return el.type === 'checkbox' ? el.checked : el.value;
+}
 
 /**
  * Reads all input fields, checkboxes, and provider settings from the DOM
@@ -42,70 +74,103 @@ export function gatherConfigFromUI() {
     // Get the IDs of only the providers the user has checked for inclusion in the analysis.
     const selectedProviderIds = Array.from(document.querySelectorAll(".providerCheckbox:checked")).map(cb => cb.value);
 
+    return buildConfig(readInputFromPage, allProviders, selectedProviderIds, { electricityData: state.electricityData, importedHolidays: state.importedHolidays });
+}
+
+/**
+ * Assembles the analysis configuration object from the settings, read one at a time by element ID. The page
+ * reads them from its form; saved settings (the `uiInputs` of a file from `saveStateToFile`) can be read with
+ * `id => uiInputs[id]`.
+ * @param {Function} readInput - Returns the setting with the given element ID: the checked state of a
+ *   checkbox, the value of any other input (a number input's value may be a string), or undefined if unset.
+ * @param {Array<object>} allProviders - All provider configurations.
+ * @param {Array<string>} selectedProviderIds - The IDs of the providers to analyze; the first is the baseline.
+ * @param {object} [data={}] - `{ electricityData, importedHolidays }`: the usage days (their years decide which
+ *   public holidays are needed) and any holiday dates imported from a calendar file.
+ * @returns {object} The complete analysis configuration object.
+ */
+export function buildConfig(readInput, allProviders, selectedProviderIds, { electricityData = [], importedHolidays = [] } = {}) {
+    // Numbers that are missing or not numeric fall back to a default, as with `getNumericInput` (utils.js).
+    const getNumber = (id, defaultValue = 0) => {
+        const value = parseFloat(readInput(id));
+        return isNaN(value) ? defaultValue : value;
+    };
+
     // Determine if the user is using manual data entry or CSV upload.
-    const useManual = document.getElementById("manualInputToggle")?.checked;
+    const useManual = readInput("manualInputToggle");
 
     // The main configuration object.
     const config = {
         // --- General Settings ---
         selectedProviders: selectedProviderIds, // IDs of providers to analyze
         useManual: useManual,
-        noExistingSolar: document.getElementById("noExistingSolar")?.checked,
+        noExistingSolar: readInput("noExistingSolar"),
+        gapFillStrategy: readInput("gapFillStrategy") || 'none', // How gaps in the CSV data are filled
         
         // --- System Sizing ---
-        existingSolarKW: getNumericInput("existingSolarKW"),
-        existingBattery: getNumericInput("existingBattery"),
-        existingBatteryInverter: getNumericInput("existingBatteryInverter"),
-        existingSystemAge: getNumericInput("existingSystemAge", 0), // Age for degradation calculation
-        newSolarKW: getNumericInput("newSolarKW"),
-        replaceExistingSystem: document.getElementById("replaceExistingSystem")?.checked,
-        newBatteryKWH: getNumericInput("newBattery"),
-        newBatteryInverterKW: getNumericInput("newBatteryInverter"),
-        costSolar: getNumericInput("costSolar"),
-        costBattery: getNumericInput("costBattery"),
+        existingSolarKW: getNumber("existingSolarKW"),
+        existingSolarInverterKW: getNumber("existingSolarInverter"), // 0 = no clipping
+        existingBattery: getNumber("existingBattery"),
+        existingBatteryInverter: getNumber("existingBatteryInverter"),
+        existingSystemAge: getNumber("existingSystemAge", 0), // Age for degradation calculation
+        newSolarKW: getNumber("newSolarKW"),
+        newSolarInverterKW: getNumber("newSolarInverter"), // 0 = new panels share the existing inverter
+        replaceExistingSystem: readInput("replaceExistingSystem"),
+        newBatteryKWH: getNumber("newBattery"),
+        newBatteryInverterKW: getNumber("newBatteryInverter"),
+        costSolar: getNumber("costSolar"),
+        costBattery: getNumber("costBattery"),
 		
         // --- Blackout & Sizing Recommendation Settings ---
-        blackoutSizingEnabled: document.getElementById("enableBlackoutSizing")?.checked,
-        blackoutDuration: getNumericInput('blackoutDuration'), // hours
-        blackoutCoverage: getNumericInput('blackoutCoverage') / 100, // as a decimal
-        recommendationCoverageTarget: getNumericInput('recommendationCoverageTarget', 90),
+        blackoutSizingEnabled: readInput("enableBlackoutSizing"),
+        blackoutDuration: getNumber('blackoutDuration'), // hours
+        blackoutCoverage: getNumber('blackoutCoverage') / 100, // as a decimal
+        recommendationCoverageTarget: getNumber('recommendationCoverageTarget', 90),
         
         // --- Financial Settings ---
-        loanEnabled: document.getElementById("enableLoan")?.checked,
-        discountRateEnabled: document.getElementById("enableDiscountRate")?.checked,
-        loanAmount: getNumericInput("loanAmount"),
-        loanInterestRate: getNumericInput("loanInterestRate") / 100, // as a decimal
-        loanTerm: getNumericInput("loanTerm"), // in years
-        discountRate: getNumericInput("discountRate") / 100, // as a decimal for NPV
+        loanEnabled: readInput("enableLoan"),
+        discountRateEnabled: readInput("enableDiscountRate"),
+        loanAmount: getNumber("loanAmount"),
+        loanInterestRate: getNumber("loanInterestRate") / 100, // as a decimal
+        loanTerm: getNumber("loanTerm"), // in years
+        discountRate: getNumber("discountRate") / 100, // as a decimal for NPV
         
         // --- Analysis Period & Degradation ---
-        numYears: getNumericInput("numYears", 15),
-        tariffEscalation: getNumericInput("tariffEscalation", 2) / 100, // annual % increase
-        solarDegradation: getNumericInput("solarDegradation", 0.5) / 100, // annual % loss
-        batteryDegradation: getNumericInput("batteryDegradation", 2) / 100, // annual % loss
-        fitDegradationStartYear: getNumericInput("fitDegradationStartYear", 1),
-        fitDegradationEndYear: getNumericInput("fitDegradationEndYear", 10),
-        fitMinimumRate: getNumericInput("fitMinimumRate", -0.03), // Final floor for FIT rate
+        numYears: getNumber("numYears", 15),
+        tariffEscalation: getNumber("tariffEscalation", 2) / 100, // annual % increase
+        solarDegradation: getNumber("solarDegradation", 0.5) / 100, // annual % loss
+        batteryDegradation: getNumber("batteryDegradation", 2) / 100, // annual % loss
+        fitDegradationStartYear: getNumber("fitDegradationStartYear", 1),
+        fitDegradationEndYear: getNumber("fitDegradationEndYear", 10),
+        fitMinimumRate: getNumber("fitMinimumRate", -0.03), // Final floor for FIT rate
+        holidayState: readInput("holidayState") || '',
+        publicHolidays: gatherPublicHolidays(readInput("holidayState") || '', electricityData, importedHolidays), // For day-type tariff rules
         
         // --- Battery-specific Settings ---
-        gridChargeThreshold: getNumericInput("gridChargeThreshold", 80), // Max SOC to charge to from grid
-		socChargeTrigger: getNumericInput("socChargeTrigger", 50),    // SOC level below which grid charging is allowed
+        gridChargeThreshold: getNumber("gridChargeThreshold", 80), // Max SOC to charge to from grid
+		socChargeTrigger: getNumber("socChargeTrigger", 50),    // SOC level below which grid charging is allowed
+        batteryRoundTripEfficiency: getNumber("batteryRoundTripEfficiency", 90) / 100, // as a decimal
+        batteryMinSoc: getNumber("batteryMinSoc", 5),           // % of capacity that is never used
+        batteryBackupReserve: getNumber("batteryBackupReserve", 0), // % held back for blackouts
+        batteryDcCoupled: readInput("batteryDcCoupled"), // Battery can capture clipped DC solar
+        divertControlledLoad: readInput("divertControlledLoad"), // Controlled load can run on surplus solar
+        compareDispatchStrategies: readInput("compareDispatchStrategies"), // Also cost Year 1 under every operating mode
         
         // --- Manual Mode Data ---
-        manualSolarProfile: getNumericInput("manualSolarProfile", 4.0), // kWh generated per kW of panels
+        manualSolarProfile: getNumber("manualSolarProfile", 4.0), // kWh generated per kW of panels
         manualData: null, // This will be populated if useManual is true
 
-        // Filter the full list of providers to only include the selected ones.
-        providers: allProviders.filter(p => selectedProviderIds.includes(p.id))
+        // The selected providers, in the order given (list order on the page), so the first is the baseline.
+        providers: selectedProviderIds.map(id => allProviders.find(p => p.id === id)).filter(Boolean)
     };
 
     // If in manual mode, gather the seasonal average daily values.
     if (useManual) {
         config.manualData = {
-            'Q1_Summer': { avgPeak: getNumericInput("summerDailyPeak"), avgShoulder: getNumericInput("summerDailyShoulder"), avgOffPeak: getNumericInput("summerDailyOffPeak"), avgSolar: getNumericInput("summerDailySolar") },
-            'Q2_Autumn': { avgPeak: getNumericInput("autumnDailyPeak"), avgShoulder: getNumericInput("autumnDailyShoulder"), avgOffPeak: getNumericInput("autumnDailyOffPeak"), avgSolar: getNumericInput("autumnDailySolar") },
-            'Q3_Winter': { avgPeak: getNumericInput("winterDailyPeak"), avgShoulder: getNumericInput("winterDailyShoulder"), avgOffPeak: getNumericInput("winterDailyOffPeak"), avgSolar: getNumericInput("winterDailySolar") },
-            'Q4_Spring': { avgPeak: getNumericInput("springDailyPeak"), avgShoulder: getNumericInput("springDailyShoulder"), avgOffPeak: getNumericInput("springDailyOffPeak"), avgSolar: getNumericInput("springDailySolar") },
+            'Q1_Summer': { avgPeak: getNumber("summerDailyPeak"), avgShoulder: getNumber("summerDailyShoulder"), avgOffPeak: getNumber("summerDailyOffPeak"), avgSolar: getNumber("summerDailySolar") },
+            'Q2_Autumn': { avgPeak: getNumber("autumnDailyPeak"), avgShoulder: getNumber("autumnDailyShoulder"), avgOffPeak: getNumber("autumnDailyOffPeak"), avgSolar: getNumber("autumnDailySolar") },
+            'Q3_Winter': { avgPeak: getNumber("winterDailyPeak"), avgShoulder: getNumber("winterDailyShoulder"), avgOffPeak: getNumber("winterDailyOffPeak"), avgSolar: getNumber("winterDailySolar") },
+            'Q4_Spring': { avgPeak: getNumber("springDailyPeak"), avgShoulder: getNumber("springDailyShoulder"), avgOffPeak: getNumber("springDailyOffPeak"), avgSolar: getNumber("springDailySolar") },
         };
     }
 
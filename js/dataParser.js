@@ -1,8 +1,8 @@
 // js/dataParser.js 
 // Version 1.1.4
-// This module is responsible for handling file uploads and parsing CSV data.
-// It reads electricity usage and solar generation files, processes them into a
-// standardized hourly format, and stores the results in the global state.
+// This module is responsible for handling file uploads.
+// It reads electricity usage, solar generation and price files, has them parsed into a
+// standardized interval format (see parsers.js), and stores the results in the global state.
 
 /*
  * Home Battery & Solar ROI Analyzer
@@ -29,353 +29,642 @@
  */
 
 import { state } from './state.js';
-import { displayError, parseDateString } from './utils.js';
+import { displayError, resampleIntervals, sanitize, parseRangesToHours } from './utils.js';
+import { SOLAR_CSV_FORMATS } from './solarFormats.js';
 import { toggleExistingSolar } from './uiEvents.js';
-import { generateHourlySolarProfileFromDaily } from './profiles.js';
+import { getLoadedData } from './dataQuality.js';
+import { calculateNem13Averages, parseDataFile, parsePriceCsv, calculateQuarterlyAverages } from './parsers.js';
+
+// The interval arrays a usage or solar day can have, which are added together when overlapping files are summed.
+const DAY_DATA_STREAMS = ['consumption', 'feedIn', 'controlledLoad', 'generation', 'load', 'batteryCharge', 'batteryDischarge'];
 
 /**
- * Parses a NEM12 format CSV file and transforms it into the hourly format
- * required by the calculator. This version is corrected to only process
- * relevant grid import (E1) and grid export (B1) data streams.
- * @param {string} csvText - The raw text content of the NEM12 file.
- * @returns {Array<object>} An array of day objects in the application's internal format.
+ * Reads the value of a form field on the page.
+ * @param {string} id - The ID of the HTML element.
+ * @returns {string|undefined} The field's value, or undefined if the element is not found.
  */
-function parseNEM12(csvText) {
-    const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-    const dailyData = new Map();
-
-    // Use these variables to track the state as we parse through the file
-    let currentIntervalLength = null;
-    let currentDataType = null; // e.g., 'E1' for consumption, 'B1' for feed-in
-
-    for (const line of lines) {
-        // NEM12 files can be comma or tab-separated. Handle both.
-        const parts = line.includes('\t') ? line.split('\t') : line.split(',');
-
-        // Process a 200 record to understand the data that follows
-        if (parts[0] === '200') {
-            currentDataType = parts[4]; // The 'Suffix' field, e.g., E1, B1
-            currentIntervalLength = parseInt(parts[8], 10);
-            // We only care about grid import (E1) and grid export (B1).
-            // Ignore other streams like gross generation, as that comes from the solar file.
-            if (currentDataType !== 'E1' && currentDataType !== 'B1') {
-                currentIntervalLength = null; // Invalidate to skip subsequent 300 records for this stream
-            }
-        }
+function readPageValue(id) {
+    return document.getElementById(id)?.value;
+}
 
-        // Process a 300 record, but only if its stream is relevant (E1 or B1)
-        if (parts[0] === '300' && currentIntervalLength) {
-            const dateStr = parts[1]; // YYYYMMDD format
-            if (dateStr.length !== 8) continue;
-            
-            const year = dateStr.substring(0, 4);
-            const month = dateStr.substring(4, 6);
-            const day = dateStr.substring(6, 8);
-            const date = `${year}-${month}-${day}`;
-
-            const intervalsInHour = 60 / currentIntervalLength;
-            const numIntervalsPerDay = 24 * intervalsInHour;
-            const values = parts.slice(2, 2 + numIntervalsPerDay).map(v => parseFloat(v) || 0);
-
-            // Ensure we have a data structure for this date
-            if (!dailyData.has(date)) {
-                dailyData.set(date, {
-                    date: date,
-                    consumption: Array(24).fill(0),
-                    feedIn: Array(24).fill(0)
-                });
-            }
-            const dayRecord = dailyData.get(date);
-
-            // Aggregate interval data into 24 hourly buckets
-            for (let hour = 0; hour < 24; hour++) {
-                const startInterval = hour * intervalsInHour;
-                const endInterval = startInterval + intervalsInHour;
-                const hourSlice = values.slice(startInterval, endInterval);
-                const hourTotal = hourSlice.reduce((sum, val) => sum + val, 0);
-
-                // Assign the hourly total to the correct array based on the stream type
-                if (currentDataType === 'E1') { // E1 = Grid Consumption (Import)
-                    dayRecord.consumption[hour] += hourTotal;
-                } else if (currentDataType === 'B1') { // B1 = Grid Feed-in (Export)
-                    dayRecord.feedIn[hour] += hourTotal;
-                }
-            }
+/**
+ * Reads the timezone settings that apply to every data file.
+ * @param {Function} [readValue] - Returns the setting with the given element ID; reads the page by default, or
+ *   e.g. `id => uiInputs[id]` for saved settings.
+ * @returns {object} `{ timeZone, csvTimeBasis }`: the IANA timezone to put the data on the local clock of ('' to use
+ *   timestamps as recorded), and what the timestamps in CSV files are in ('local', 'standard' or 'utc').
+ */
+export function getTimeSettings(readValue = readPageValue) {
+    return {
+        timeZone: readValue('dataTimeZone') || '',
+        csvTimeBasis: readValue('csvTimeBasis') || 'local',
+    };
+}
+
+/**
+ * Fills the manual mode daily average inputs from the last NEM13 file loaded, using the tariff period
+ * assigned to each register, and switches the analysis to manual mode. Solar inputs are left as they are,
+ * since basic meters don't record generation.
+ */
+export function applyNem13Averages() {
+    if (!state.nem13) return;
+    const touHours = state.touHoursForAnalysis || { peak: parseRangesToHours('3pm-11pm'), shoulder: parseRangesToHours('7am-3pm') };
+    const averages = calculateNem13Averages(state.nem13.registers, touHours);
+    const fields = { avgPeak: 'Peak', avgShoulder: 'Shoulder', avgOffPeak: 'OffPeak' };
+    for (const [q, seasonAverages] of Object.entries(averages)) {
+        const season = q.split('_')[1].toLowerCase();
+        for (const [field, suffix] of Object.entries(fields)) {
+            const input = document.getElementById(`${season}Daily${suffix}`);
+            if (input) input.value = seasonAverages[field].toFixed(2);
         }
     }
-    // Return the data in the application's standard internal format
-    return Array.from(dailyData.values()).sort((a, b) => a.date.localeCompare(b.date));
+    // Manual mode is the only way to analyse usage without interval data.
+    const manualToggle = document.getElementById('manualInputToggle');
+    if (manualToggle && !manualToggle.checked) {
+        manualToggle.checked = true;
+        manualToggle.dispatchEvent(new Event('change'));
+    }
 }
 
+/**
+ * Shows the registers found in the last NEM13 file, with a choice of the tariff period each one measures.
+ */
+function renderNem13Registers() {
+    const container = document.getElementById('nem13Registers');
+    if (!container) return;
+    const periodLabels = { anytime: 'Anytime (split by hours)', peak: 'Peak', shoulder: 'Shoulder', offPeak: 'Off-Peak', ignore: 'Ignore' };
+    container.innerHTML = !state.nem13 ? '' : `<table class="raw-data-table"><thead><tr><th>Register</th><th>Reads</th><th>Total (kWh)</th><th>Tariff Period</th></tr></thead><tbody>` +
+        state.nem13.registers.map(register => `<tr><td>${sanitize(register.key)}${register.direction === 'B' ? ' (export)' : ''}</td><td>${register.reads.length}</td><td>${register.reads.reduce((sum, read) => sum + read.kWh, 0).toFixed(1)}</td>` +
+            `<td><select class="nem13-period" data-key="${sanitize(register.key)}">${Object.entries(periodLabels).map(([value, label]) => `<option value="${value}" ${register.period === value ? 'selected' : ''}>${label}</option>`).join('')}</select></td></tr>`).join('') +
+        `</tbody></table>`;
+}
 
+/**
+ * Changes the tariff period assigned to one of the NEM13 registers and refreshes the manual averages.
+ * @param {string} key - The register's key ("NMI suffix").
+ * @param {string} period - 'peak', 'shoulder', 'offPeak', 'anytime' or 'ignore'.
+ */
+export function setNem13RegisterPeriod(key, period) {
+    const register = state.nem13?.registers.find(r => r.key === key);
+    if (!register) return;
+    register.period = period;
+    applyNem13Averages();
+}
 
 /**
- * A generic CSV parser that converts a CSV string into an array of objects.
- * @param {string} csvText - The raw text content of the CSV file.
- * @returns {Array<object>} An array of objects, where each object represents a row.
+ * Writes the CSV settings used for a file back into the Advanced CSV Options inputs, so the user can see
+ * (and correct) what was detected.
+ * @param {object} valuesById - The value for each input, keyed by the input's element ID.
  */
-function parseCSV(csvText) {
-    // Split text into lines, ignoring empty lines.
-    const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-    if (lines.length < 2) return []; // Must have at least a header and one data row.
-    
-    // Extract headers from the first line.
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    // Map each subsequent line to an object using the headers as keys.
-    const data = lines.slice(1).map(line => {
-        const values = line.split(',');
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header] = values[index] ? values[index].trim().replace(/"/g, '') : '';
-        });
-        return row;
-    });
-    return data;
+function prefillCsvOptions(valuesById) {
+    for (const [id, value] of Object.entries(valuesById)) {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    }
+}
+
+/**
+ * Describes the CSV settings used for a file in a short, HTML-safe sentence fragment for the status message.
+ * @param {object} options - The options returned by `fitCsvOptions`.
+ * @returns {string} e.g. 'date/time column "Date" (DD/MM/YYYY), kWh column "Usage"'.
+ */
+function describeCsvOptions(options) {
+    const parts = [
+        `date/time column "${sanitize(options.dateTimeHeader)}" (${sanitize(options.dateFormat)})`,
+        `kWh column "${sanitize(options.valueHeaders[0])}"`,
+    ];
+    if (options.typeHeader) {
+        parts.push(`type column "${sanitize(options.typeHeader)}" (imports: ${sanitize(options.importIdentifiers.join(', '))}; exports: ${sanitize(options.exportIdentifiers.join(', ') || 'none')})`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Reads how files are combined with the data already loaded from the UI.
+ * @returns {object} `{ append, overlapPolicy }`: whether new files are added to the data already loaded (rather than
+ *   replacing it), and what happens to days found in more than one file: 'newer' (the later file's day is used),
+ *   'sum' (the readings are added together) or 'reject' (the files aren't loaded).
+ */
+function getMergeSettings() {
+    return {
+        append: document.getElementById('appendDataFiles')?.checked || false,
+        overlapPolicy: document.getElementById('dataOverlapPolicy')?.value || 'newer',
+    };
+}
+
+/**
+ * Reads the text of the files chosen in a file input on the main thread, for when the parser worker isn't available.
+ * @param {Array<File>} files - The chosen files.
+ * @returns {Promise<Array<object>>} `{ name, text }` for each file, in the same order.
+ */
+function readFilesAsText(files) {
+    return Promise.all(files.map(file => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve({ name: file.name, text: e.target.result });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    })));
 }
 
 /**
- * A helper function to find a value in a row object using multiple possible column headers.
- * This adds flexibility if the CSV header names vary slightly (e.g., "Usage" vs "Usage in kWh").
- * @param {object} row - The row object from the parsed CSV.
- * @param {string[]} possibleHeaders - An array of possible header names to check.
- * @returns {string|null} The value found, or null if no matching header is found.
+ * Adds two day objects for the same date together, interval by interval, at the finer of their interval
+ * lengths. Intervals missing from either day are missing from the total when both days use the same intervals.
+ * @param {object} existingDay - The day already loaded.
+ * @param {object} incomingDay - The day from the new file.
+ * @returns {object} The summed day.
  */
-function findValueInRow(row, possibleHeaders) {
-    for (const header of possibleHeaders) {
-        if (row[header] !== undefined) {
-            return row[header];
+function sumDays(existingDay, incomingDay) {
+    const intervalMinutes = Math.min(existingDay.intervalMinutes, incomingDay.intervalMinutes);
+    const summed = { date: existingDay.date, intervalMinutes };
+    for (const stream of DAY_DATA_STREAMS) {
+        if (!existingDay[stream] && !incomingDay[stream]) continue;
+        const existingValues = resampleIntervals(existingDay[stream], intervalMinutes);
+        const incomingValues = resampleIntervals(incomingDay[stream], intervalMinutes);
+        summed[stream] = existingValues.map((value, i) => value + incomingValues[i]);
+    }
+    if (existingDay.intervalMinutes === incomingDay.intervalMinutes) {
+        for (const marker of ['missingIntervals', 'duplicateIntervals']) {
+            const intervals = [...new Set([...(existingDay[marker] || []), ...(incomingDay[marker] || [])])].sort((a, b) => a - b);
+            if (intervals.length > 0) summed[marker] = intervals;
         }
     }
-    return null;
+    return summed;
 }
 
 /**
- * Handles the processing of the electricity usage CSV file.
+ * Merges the days from a new file into the days already loaded, by date.
+ * @param {Array<object>} existingDays - The days already loaded.
+ * @param {Array<object>} incomingDays - The days from the new file.
+ * @param {string} policy - What to do with a date in both: 'newer' uses the new file's day, 'sum' adds the
+ *   two days together and 'reject' throws.
+ * @returns {object} `{ days, overlapDates }`: the merged days sorted by date, and the dates found in both.
+ * @throws {Error} With the policy 'reject', if any date is in both. The error has the `overlapDates`.
+ */
+function mergeDailyData(existingDays, incomingDays, policy) {
+    const daysByDate = new Map(existingDays.map(day => [day.date, day]));
+    const overlapDates = incomingDays.filter(day => daysByDate.has(day.date)).map(day => day.date);
+    if (policy === 'reject' && overlapDates.length > 0) {
+        const [firstDate, lastDate] = [overlapDates[0], overlapDates[overlapDates.length - 1]];
+        const error = new Error(`The files overlap on ${overlapDates.length === 1 ? `1 day (${firstDate})` : `${overlapDates.length} days (${firstDate} to ${lastDate})`}, so nothing was loaded. Choose another overlap option to combine them.`);
+        error.overlapDates = overlapDates;
+        throw error;
+    }
+    for (const day of incomingDays) {
+        const existingDay = daysByDate.get(day.date);
+        daysByDate.set(day.date, existingDay && policy === 'sum' ? sumDays(existingDay, day) : day);
+    }
+    return { days: Array.from(daysByDate.values()).sort((a, b) => a.date.localeCompare(b.date)), overlapDates };
+}
+
+/**
+ * Describes how the files were combined, for the status messages.
+ * @param {number} fileCount - The number of files loaded together.
+ * @param {Array<object>|null} baseDays - The days the files were added to, or null if they replaced them.
+ * @param {Array<string>} overlapDates - The dates found in more than one file.
+ * @param {string} policy - The overlap policy used.
+ * @returns {string} A sentence (with a leading space), or '' for a single file loaded on its own.
+ */
+function describeMerge(fileCount, baseDays, overlapDates, policy) {
+    const appended = baseDays?.length > 0;
+    if (fileCount <= 1 && !appended) return '';
+    const combined = fileCount > 1 ? `Combined ${fileCount} files` + (appended ? ` with the ${baseDays.length} days already loaded` : '')
+        : `Added to the ${baseDays.length} days already loaded`;
+    const overlapDays = new Set(overlapDates).size;
+    const overlapNote = overlapDays === 0 ? 'no days overlapped'
+        : `${overlapDays} ${overlapDays === 1 ? 'day' : 'days'} overlapped and ${policy === 'sum' ? 'the readings were added together' : 'the later file was used'}`;
+    return ` ${combined}; ${overlapNote}.`;
+}
+
+/**
+ * Reads the Advanced Usage CSV Options from the UI, as passed to `fitCsvOptions`.
+ * @param {Function} [readValue] - Returns the setting with the given element ID, as for `getTimeSettings`.
+ * @returns {object} `{ dateTimeHeader, dateFormat, typeHeader, valueHeaders, importIdentifiers, exportIdentifiers }`.
+ */
+export function getUsageCsvOptions(readValue = readPageValue) {
+    return {
+        dateTimeHeader: readValue('elecDateTimeHeader') || '',
+        dateFormat: readValue('elecDateFormat') || '',
+        typeHeader: (readValue('usageTypeHeader') || '').trim(),
+        valueHeaders: (readValue('consumptionHeader') || '').split(',').map(h => h.trim()),
+        importIdentifiers: (readValue('importIdentifier') || '').split(',').map(id => id.trim()),
+        exportIdentifiers: (readValue('exportIdentifier') || '').split(',').map(id => id.trim()),
+    };
+}
+
+/**
+ * Reads the solar file format and the Advanced Solar CSV Options (used for custom files) from the UI, with the
+ * timezone settings, as passed to `parseSolarCsv`.
+ * @param {Function} [readValue] - Returns the setting with the given element ID, as for `getTimeSettings`.
+ * @returns {object} `{ format, dateTimeHeader, dateFormat, generationHeaders, timeZone, csvTimeBasis }`.
+ */
+export function getSolarCsvOptions(readValue = readPageValue) {
+    return {
+        format: readValue('solarFormat') || 'auto',
+        dateTimeHeader: readValue('solarDateTimeHeader') || '',
+        dateFormat: readValue('solarDateFormat') || '',
+        generationHeaders: (readValue('solarGenerationHeader') || '').split(',').map(h => h.trim()),
+        ...getTimeSettings(readValue),
+    };
+}
+
+/**
+ * Parses the chosen files in the parser worker, which reads each file in chunks and parses it as it goes. The
+ * progress is shown in the status element, with a cancel button while it runs. Where workers aren't available
+ * (e.g. outside a browser) the files are read and parsed on the main thread instead.
+ * @param {string} kind - 'usage' or 'solar'.
+ * @param {Array<File>} files - The chosen files.
+ * @param {object} options - The options for `parseDataFile`.
+ * @param {HTMLElement|null} statusEl - The element to show the progress in.
+ * @param {HTMLElement|null} cancelButtonEl - The button that cancels the parse.
+ * @returns {Promise<Array<object>>} `{ name, result }` for each file, oldest first (by last modified time) so the
+ *   newest export is merged last and wins under the 'newer' overlap policy. If the user cancels, it rejects with
+ *   an error marked `cancelled`.
+ */
+function parseFilesInWorker(kind, files, options, statusEl, cancelButtonEl) {
+    const sortedFiles = [...files].sort((a, b) => (a.lastModified || 0) - (b.lastModified || 0));
+    if (typeof Worker === 'undefined') {
+        return readFilesAsText(sortedFiles).then(texts => texts.map(({ name, text }) => ({ name, result: parseDataFile(kind, text, options) })));
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./parserWorker.js', import.meta.url), { type: 'module' });
+        const finish = () => {
+            worker.terminate();
+            if (cancelButtonEl) {
+                cancelButtonEl.style.display = 'none';
+                cancelButtonEl.onclick = null;
+            }
+        };
+        if (cancelButtonEl) {
+            cancelButtonEl.style.display = 'inline-block';
+            cancelButtonEl.onclick = () => {
+                finish();
+                reject(Object.assign(new Error('Loading was cancelled.'), { cancelled: true }));
+            };
+        }
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                if (statusEl) {
+                    statusEl.textContent = `Parsing ${message.name}` +
+                        (message.fileCount > 1 ? ` (file ${message.fileIndex + 1} of ${message.fileCount})` : '') + `: ${Math.round(message.fraction * 100)}%`;
+                    statusEl.style.color = '';
+                }
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message.results);
+            } else {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || 'The parser worker could not be started.'));
+        };
+        worker.postMessage({ kind, files: sortedFiles, options });
+    });
+}
+
+/**
+ * Handles the processing of the electricity usage CSV files. Several files (or NEM12 files) chosen
+ * together are merged by date, and with "Add new files" ticked they're merged into the usage data
+ * already loaded, using the overlap policy for any day found in more than one file.
  * @param {Event} event - The file input change event.
  */
 export function handleUsageCsv(event) {
-    const file = event.target.files[0];
+    const files = Array.from(event.target.files || []);
     const statusEl = document.getElementById('usageCounts');
     const fileNameEl = document.getElementById('usageFileName');
 
-    if (!file) {
+    if (files.length === 0) {
         if (fileNameEl) fileNameEl.textContent = 'No file chosen';
         if (statusEl) statusEl.textContent = '';
         return;
     }
 
-    if (fileNameEl) fileNameEl.textContent = file.name;
+    if (fileNameEl) fileNameEl.textContent = files.map(file => file.name).join(', ');
     if (statusEl) statusEl.textContent = 'Processing...';
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
+    const isNem12 = document.getElementById('formatNem12').checked;
+    const isNem13 = document.getElementById('formatNem13')?.checked;
+    // The files are parsed in the worker; merging them and updating the page happens here.
+    const parseOptions = {
+        format: isNem13 ? 'nem13' : isNem12 ? 'nem12' : 'advanced',
+        csvOptions: isNem13 || isNem12 ? null : getUsageCsvOptions(),
+        timeSettings: getTimeSettings(),
+    };
+    return parseFilesInWorker('usage', files, parseOptions, statusEl, document.getElementById('usageCancel')).then((parsedFiles) => {
         try {
-            const isNem12 = document.getElementById('formatNem12').checked;
-            let parsedData;
-
-            if (isNem12) {
-                // --- USE THE NEW NEM12 PARSER ---
-                parsedData = parseNEM12(e.target.result);
-            } else {
-                // --- USE THE EXISTING ADVANCED CSV PARSER ---
-                const csvData = parseCSV(e.target.result);
-                const dailyData = new Map();
-                const dateTimeHeader = document.getElementById('elecDateTimeHeader').value;
-                const dateFormat = document.getElementById('elecDateFormat').value;
-                const typeHeader = document.getElementById('usageTypeHeader').value;
-                const consumptionHeaders = document.getElementById('consumptionHeader').value.split(',').map(h => h.trim());
-                const importIdentifier = document.getElementById('importIdentifier').value;
-                const exportIdentifier = document.getElementById('exportIdentifier').value;
-                for (const row of csvData) {
-                    const dateTimeString = row[dateTimeHeader];
-                    const dateTime = parseDateString(dateTimeString, dateFormat);
-                    if (!dateTime || isNaN(dateTime.getTime())) continue;
-                    const date = dateTime.toISOString().split('T')[0];
-                    const hour = dateTime.getUTCHours();
-                    if (!dailyData.has(date)) {
-                        dailyData.set(date, { date: date, consumption: Array(24).fill(0), feedIn: Array(24).fill(0) });
+            const nmiWrapperEl = document.getElementById('nem12NmiWrapper');
+            const { append, overlapPolicy } = getMergeSettings();
+            // New files are merged into the usage data as loaded, never into gap-filled copies of it.
+            const baseData = append && !isNem13 ? getLoadedData().electricityData : null;
+            // A problem in one of several files is labelled with the file's name.
+            const labelProblem = (name, problem) => parsedFiles.length > 1 ? `${name}: ${problem}` : problem;
+            state.nem13 = null;
+
+            if (isNem13) {
+                // --- NEM13 BASIC METER READS: AVERAGED INTO THE MANUAL MODE INPUTS ---
+                // The reads for each register are combined across the files (a read repeated in another file counts once).
+                const registersByKey = new Map();
+                const problems = [];
+                for (const { name, result: parsed } of parsedFiles) {
+                    problems.push(...parsed.problems.map(problem => labelProblem(name, problem)));
+                    for (const register of parsed.registers) {
+                        const existing = registersByKey.get(register.key);
+                        if (!existing) {
+                            registersByKey.set(register.key, register);
+                            continue;
+                        }
+                        existing.reads.push(...register.reads.filter(read => !existing.reads.some(r => r.startDate === read.startDate && r.endDate === read.endDate)));
                     }
-                    const day = dailyData.get(date);
-                    const valueString = findValueInRow(row, consumptionHeaders);
-                    const value = parseFloat(valueString);
-                    if (!isNaN(value)) {
-                        const type = row[typeHeader];
-                        if (type === importIdentifier) { day.consumption[hour] += value; } 
-                        else if (type === exportIdentifier) { day.feedIn[hour] += value; }
+                }
+                const registers = Array.from(registersByKey.values());
+                if (registers.length === 0) {
+                    throw new Error(`No usable register reads were found in the NEM13 file. ${problems.join(' ')}`);
+                }
+                state.nem13 = { registers };
+                state.nem12 = null;
+                if (nmiWrapperEl) nmiWrapperEl.style.display = 'none';
+                applyNem13Averages();
+                if (statusEl) {
+                    statusEl.innerHTML = `${registers.length} meter registers loaded into the manual daily averages` + (parsedFiles.length > 1 ? ` from ${parsedFiles.length} files` : '') + '. Check the tariff period of each register below.' +
+                        (problems.length > 0 ? ` Problems found in the file:<ul>${problems.map(problem => `<li>${sanitize(problem)}</li>`).join('')}</ul>` : '');
+                    statusEl.style.color = problems.length > 0 ? '#b36b00' : '';
+                }
+            } else if (isNem12) {
+                // --- USE THE NEM12 PARSER ---
+                const dailyDataByNmi = {};
+                const report = { problems: [], nmis: {} };
+                const overlapDates = [];
+                for (const { name, result: parsed } of parsedFiles) {
+                    report.problems.push(...parsed.report.problems.map(problem => labelProblem(name, problem)));
+                    for (const [nmi, days] of Object.entries(parsed.dailyDataByNmi)) {
+                        const merged = mergeDailyData(dailyDataByNmi[nmi] || [], days, overlapPolicy);
+                        dailyDataByNmi[nmi] = merged.days;
+                        overlapDates.push(...merged.overlapDates);
+                        const nmiReport = parsed.report.nmis[nmi];
+                        const combined = report.nmis[nmi] || { meters: [], days: 0, quality: { actual: 0, estimated: 0, substituted: 0, missing: 0 } };
+                        combined.meters = [...new Set([...combined.meters, ...nmiReport.meters])];
+                        Object.keys(combined.quality).forEach(quality => combined.quality[quality] += nmiReport.quality[quality] || 0);
+                        combined.days = merged.days.length;
+                        report.nmis[nmi] = combined;
                     }
                 }
-                parsedData = Array.from(dailyData.values()).sort((a, b) => a.date.localeCompare(b.date));
+                // Start with the NMI with the most data; the user can pick another if the file has several.
+                const nmis = Object.keys(dailyDataByNmi).sort((a, b) => report.nmis[b].days - report.nmis[a].days);
+                if (nmis.length === 0) {
+                    throw new Error(`No usable interval data was found in the NEM12 file. ${report.problems.join(' ')}`);
+                }
+                // The data already loaded is kept so whichever NMI is picked can be added to it.
+                state.nem12 = { dailyDataByNmi, report, baseData, overlapPolicy, fileCount: parsedFiles.length, overlapDates };
+                const nmiSelectEl = document.getElementById('nem12Nmi');
+                if (nmiSelectEl) {
+                    nmiSelectEl.innerHTML = nmis.map(nmi => `<option value="${sanitize(nmi)}">${sanitize(nmi)} (${report.nmis[nmi].days} days)</option>`).join('');
+                }
+                if (nmiWrapperEl) nmiWrapperEl.style.display = nmis.length > 1 ? 'block' : 'none';
+                selectNem12Nmi(nmis[0]);
+            } else {
+                // --- USE THE EXISTING ADVANCED CSV PARSER ---
+                // Any advanced option that doesn't fit a file was replaced with the detected setting; it's pre-filled in the UI.
+                let days = baseData || [];
+                let fit = null;
+                const overlapDates = [];
+                const warnings = [];
+                for (const { name, result } of parsedFiles) {
+                    fit = result;
+                    warnings.push(...fit.warnings.map(warning => labelProblem(name, warning)));
+                    const merged = mergeDailyData(days, fit.days, overlapPolicy);
+                    days = merged.days;
+                    overlapDates.push(...merged.overlapDates);
+                }
+                const { options, changed } = fit;
+                prefillCsvOptions({
+                    elecDateTimeHeader: options.dateTimeHeader,
+                    elecDateFormat: options.dateFormat,
+                    usageTypeHeader: options.typeHeader,
+                    consumptionHeader: options.valueHeaders.join(','),
+                    importIdentifier: options.importIdentifiers.join(','),
+                    exportIdentifier: options.exportIdentifiers.join(','),
+                });
+                state.electricityData = days;
+                state.nem12 = null;
+                if (nmiWrapperEl) nmiWrapperEl.style.display = 'none';
+                if (statusEl) {
+                    statusEl.innerHTML = `${state.electricityData.length} days of usage data loaded.` +
+                        describeMerge(parsedFiles.length, baseData, overlapDates, overlapPolicy) +
+                        (changed.length > 0 ? ` The Advanced Usage CSV Options were filled in from the file: ${describeCsvOptions(options)}.` : '') +
+                        (warnings.length > 0 ? `<ul>${warnings.map(warning => `<li>${sanitize(warning)}</li>`).join('')}</ul>` : '');
+                    statusEl.style.color = warnings.length > 0 ? '#b36b00' : '';
+                }
             }
-
-            state.electricityData = parsedData;
-            if(statusEl) statusEl.textContent = `${state.electricityData.length} days of usage data loaded.`;
+            renderNem13Registers();
             toggleExistingSolar();
 
         } catch (err) {
-            if(statusEl) statusEl.textContent = 'Failed to process electricity CSV.';
-            displayError('Please check the file format and advanced options.', 'data-input-error');
+            // Overlapping files under the 'reject' policy say which days overlap; other errors are about the format.
+            if(statusEl) statusEl.textContent = err.overlapDates ? err.message : 'Failed to process electricity CSV.';
+            displayError(err.overlapDates ? err.message : 'Please check the file format and advanced options.', 'data-input-error');
             console.error(err);
         } finally {
             event.target.value = null;
         }
-    };
-    reader.readAsText(file);
+    }).catch((err) => {
+        // Parsing errors come from the worker. Cancelling leaves the data already loaded as it was.
+        if(statusEl) statusEl.textContent = err.cancelled ? 'Loading cancelled; the data already loaded is unchanged.' : 'Failed to process electricity CSV.';
+        if (!err.cancelled) {
+            displayError('Please check the file format and advanced options.', 'data-input-error');
+            console.error(err);
+        }
+        event.target.value = null;
+    });
 }
 
 /**
- * Handles the processing of the solar generation CSV file.
+ * Switches the usage data to one of the NMIs in the last NEM12 files loaded (added to the data already
+ * loaded before them, if they were appended), and shows the files' validation report: the meters and
+ * interval quality for that NMI, and any problems found.
+ * @param {string} nmi - The NMI to use.
+ */
+export function selectNem12Nmi(nmi) {
+    const statusEl = document.getElementById('usageCounts');
+    const nmiReport = state.nem12?.report.nmis[nmi];
+    if (!nmiReport) return;
+
+    const { baseData, overlapPolicy, fileCount } = state.nem12;
+    const { problems } = state.nem12.report;
+    let overlapDates = state.nem12.overlapDates || [];
+    if (baseData) {
+        try {
+            const merged = mergeDailyData(baseData, state.nem12.dailyDataByNmi[nmi], overlapPolicy);
+            state.electricityData = merged.days;
+            overlapDates = [...overlapDates, ...merged.overlapDates];
+        } catch (err) {
+            if (!err.overlapDates) throw err;
+            if (statusEl) {
+                statusEl.textContent = err.message;
+                statusEl.style.color = '#b36b00';
+            }
+            displayError(err.message, 'data-input-error');
+            return;
+        }
+    } else {
+        state.electricityData = state.nem12.dailyDataByNmi[nmi];
+    }
+    const hasControlledLoad = state.electricityData.some(day => day.controlledLoad);
+    // Intervals that weren't actual meter readings are worth knowing about, as they may not reflect real usage.
+    const qualityNotes = ['estimated', 'substituted', 'missing']
+        .filter(quality => nmiReport.quality[quality] > 0)
+        .map(quality => `${nmiReport.quality[quality]} ${quality}`);
+    if (statusEl) {
+        statusEl.innerHTML = `${state.electricityData.length} days of usage data loaded for NMI ${sanitize(nmi)}` +
+            (nmiReport.meters.length > 0 ? ` (meter ${sanitize(nmiReport.meters.join(', '))})` : '') +
+            (hasControlledLoad ? ', including controlled load' : '') + '.' +
+            describeMerge(fileCount || 1, baseData, overlapDates, overlapPolicy) +
+            (qualityNotes.length > 0 ? ` Intervals that aren't actual reads: ${qualityNotes.join(', ')}.` : '') +
+            (problems.length > 0 ? ` Problems found in the file:<ul>${problems.map(problem => `<li>${sanitize(problem)}</li>`).join('')}</ul>` : '');
+        statusEl.style.color = problems.length > 0 || qualityNotes.length > 0 ? '#b36b00' : '';
+    }
+}
+
+/**
+ * Handles the processing of the solar generation CSV files. Several files chosen together are merged
+ * by date, and with "Add new files" ticked they're merged into the solar data already loaded, using the
+ * overlap policy for any day found in more than one file.
  * @param {Event} event - The file input change event.
  */
 export function handleSolarCsv(event) {
-    // Get the selected file from the input event.
-    const file = event.target.files[0];
+    // Get the selected files from the input event.
+    const files = Array.from(event.target.files || []);
     // Get the UI elements for displaying status and filename.
     const statusEl = document.getElementById('solarCounts');
     const fileNameEl = document.getElementById('solarFileName');
 
     // If the user cancels the file dialog, reset the UI.
-    if (!file) {
+    if (files.length === 0) {
         if (fileNameEl) fileNameEl.textContent = 'No file chosen';
         if (statusEl) statusEl.textContent = '';
         return;
     }
 
-    // 1. Immediately display the selected filename in the designated span.
-    if (fileNameEl) fileNameEl.textContent = file.name;
+    // 1. Immediately display the selected filenames in the designated span.
+    if (fileNameEl) fileNameEl.textContent = files.map(file => file.name).join(', ');
     // 2. Show a "Processing..." message to the user.
     if (statusEl) statusEl.textContent = 'Processing...';
 
-    // Initialize FileReader to read the file content.
-    const reader = new FileReader();
-    reader.onload = (e) => {
+    // Read the format and the advanced CSV parsing options (used for custom files) from the UI.
+    const options = getSolarCsvOptions();
+    // Parse the files in the worker, then merge them here.
+    return parseFilesInWorker('solar', files, options, statusEl, document.getElementById('solarCancel')).then((parsedFiles) => {
         try {
-            // Parse the raw CSV text into an array of objects.
-            const csvData = parseCSV(e.target.result);
-            // Use a Map to efficiently aggregate data by date.
-            const dailyData = new Map();
-
-            // Read all advanced CSV parsing options from the UI.
-            const dateTimeHeader = document.getElementById('solarDateTimeHeader').value;
-            const dateFormat = document.getElementById('solarDateFormat').value;
-            const generationHeaders = document.getElementById('solarGenerationHeader').value.split(',').map(h => h.trim());
-
-            // Iterate through each row of the parsed CSV data.
-            for (const row of csvData) {
-                const dateTimeString = row[dateTimeHeader];
-                const dateTime = parseDateString(dateTimeString, dateFormat);
-                // Skip rows with invalid or unparsable dates.
-                if (!dateTime || isNaN(dateTime.getTime())) continue;
-
-                // Standardize date and get the hour for aggregation.
-                const date = dateTime.toISOString().split('T')[0];
-                const hour = dateTime.getUTCHours();
-
-                // If this is the first entry for a date, initialize its data structure.
-                if (!dailyData.has(date)) {
-                    dailyData.set(date, { date: date, hourly: Array(24).fill(0), rowCount: 0 });
-                }
-                const day = dailyData.get(date);
-
-                // Find and parse the energy value, checking multiple possible headers.
-                const valueString = findValueInRow(row, generationHeaders);
-                const value = parseFloat(valueString);
-                
-                // Add the value to the hourly array for that day.
-                if (!isNaN(value)) {
-                    day.hourly[hour] += value;
-                    day.rowCount++;
-                }
+            // New files are merged into the solar data as loaded, never into gap-filled copies of it.
+            const { append, overlapPolicy } = getMergeSettings();
+            const baseData = append ? getLoadedData().solarData : null;
+            let days = baseData || [];
+            let format = null;
+            let fit = null;
+            const overlapDates = [];
+            for (const { result: parsed } of parsedFiles) {
+                const merged = mergeDailyData(days, parsed.days, overlapPolicy);
+                days = merged.days;
+                overlapDates.push(...merged.overlapDates);
+                ({ format, fit } = parsed);
             }
-
-            // Post-processing step: Check for and distribute daily total entries.
-            // Some systems export a single daily total at midnight instead of hourly data.
-            for (const day of dailyData.values()) {
-                const totalForDay = day.hourly.reduce((a,b) => a + b, 0);
-                // If a day has only one data row and all the energy is at midnight...
-                if (day.rowCount === 1 && day.hourly[0] === totalForDay && totalForDay > 0) {
-                    const month = parseInt(day.date.split('-')[1], 10);
-                    const season = [12,1,2].includes(month) ? 'Q1_Summer' : [3,4,5].includes(month) ? 'Q2_Autumn' : [6,7,8].includes(month) ? 'Q3_Winter' : 'Q4_Spring';
-                    // ...replace the hourly data with a realistic solar curve for that season.
-                    day.hourly = generateHourlySolarProfileFromDaily(totalForDay, season);
-                }
-            }
-            // Convert the Map to an array, sort by date, and store in the global state.
-            state.solarData = Array.from(dailyData.values()).sort((a, b) => a.date.localeCompare(b.date));
+            // Store the days in the global state.
+            state.solarData = days;
             
-            // 3. Update the status message with the successful result.
-            if(statusEl) statusEl.textContent = `${state.solarData.length} days of solar data loaded.`;
+            // 3. Update the status message with the successful result, including what the files contained.
+            const extras = [
+                days.some(day => day.load) ? 'household load' : null,
+                days.some(day => day.batteryCharge) ? 'battery' : null,
+            ].filter(Boolean);
+            const formatLabel = SOLAR_CSV_FORMATS[format]?.label;
+            if (fit) {
+                prefillCsvOptions({
+                    solarDateTimeHeader: fit.options.dateTimeHeader,
+                    solarDateFormat: fit.options.dateFormat,
+                    solarGenerationHeader: fit.options.valueHeaders.join(','),
+                });
+            }
+            if (statusEl) {
+                statusEl.innerHTML = `${state.solarData.length} days of solar data loaded` +
+                    (formatLabel ? ` from a ${formatLabel} export` : '') + (extras.length > 0 ? ` (with ${extras.join(' and ')} data)` : '') + '.' +
+                    describeMerge(parsedFiles.length, baseData, overlapDates, overlapPolicy) +
+                    (fit?.changed.length > 0 ? ` The Advanced Solar CSV Options were filled in from the file: ${describeCsvOptions(fit.options)}.` : '') +
+                    (fit?.warnings.length > 0 ? `<ul>${fit.warnings.map(warning => `<li>${sanitize(warning)}</li>`).join('')}</ul>` : '');
+                statusEl.style.color = fit?.warnings.length > 0 ? '#b36b00' : '';
+            }
 
         } catch (err) {
-            // If an error occurs, update the status and log the error.
-            if(statusEl) statusEl.textContent = 'Failed to process solar CSV.';
-            displayError('Please check the file format and advanced options.', 'data-input-error');
+            // If an error occurs, update the status and log the error. Overlapping files under
+            // the 'reject' policy say which days overlap; other errors are about the format.
+            if(statusEl) statusEl.textContent = err.overlapDates ? err.message : 'Failed to process solar CSV.';
+            displayError(err.overlapDates ? err.message : 'Please check the file format and advanced options.', 'data-input-error');
             console.error(err);
         } finally {
             // 4. Reset the hidden input's value. This is crucial to allow
             // the user to re-upload the same file again, triggering the 'change' event.
             event.target.value = null;
         }
-    };
-    // Start reading the file as text.
-    reader.readAsText(file);
-} 
+    }).catch((err) => {
+        // Parsing errors come from the worker. Cancelling leaves the data already loaded as it was.
+        if(statusEl) statusEl.textContent = err.cancelled ? 'Loading cancelled; the data already loaded is unchanged.' : 'Failed to process solar CSV.';
+        if (!err.cancelled) {
+            displayError('Please check the file format and advanced options.', 'data-input-error');
+            console.error(err);
+        }
+        event.target.value = null;
+    });
+}
  
 
 /**
- * Calculates average daily consumption and solar generation for each quarter/season
- * based on the parsed CSV data. This is used for heuristic calculations.
- * @param {Array} electricityData - The parsed hourly electricity data.
- * @param {Array} solarData - The parsed hourly solar data.
- * @param {object} touHours - An object defining peak and shoulder hours.
- * @returns {object|null} An object containing the calculated averages for each quarter, or null if data is missing.
+ * Handles the processing of the wholesale price CSV file, used by dynamic tariff rules.
+ * @param {Event} event - The file input change event.
  */
-export function calculateQuarterlyAverages(electricityData, solarData, touHours) {
-    if (!electricityData || !solarData) return null;
-    
-    // Initialize data structure to aggregate totals.
-    const quarterlyData = {
-        Q1_Summer: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
-        Q2_Autumn: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
-        Q3_Winter: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
-        Q4_Spring: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
-    };
-    // Use a Map for efficient lookup of a day's total solar generation.
-    const solarDataMap = new Map(solarData.map(day => [day.date, day.hourly.reduce((a, b) => a + b, 0)]));
-
-    electricityData.forEach(day => {
-        // Determine the season for the current day.
-        const month = parseInt(day.date.split('-')[1], 10);
-        let season;
-        if ([12, 1, 2].includes(month)) season = 'Q1_Summer';
-        else if ([3, 4, 5].includes(month)) season = 'Q2_Autumn';
-        else if ([6, 7, 8].includes(month)) season = 'Q3_Winter';
-        else season = 'Q4_Spring';
-        
-        const q = quarterlyData[season];
-        q.days++;
-        q.solar += solarDataMap.get(day.date) || 0;
-        
-        // Reconstruct true consumption and categorize it into TOU periods.
-        for (let h = 0; h < 24; h++) {
-            // True consumption = Grid Import + Self-Consumed Solar
-            const consumption = day.consumption[h] + Math.max(0, (solarDataMap.get(day.date) || 0) / 24 - day.feedIn[h]);
-            if (touHours.peak.includes(h)) q.peak += consumption;
-            else if (touHours.shoulder.includes(h)) q.shoulder += consumption;
-            else q.offPeak += consumption;
+export function handlePriceCsv(event) {
+    const file = event.target.files[0];
+    const statusEl = document.getElementById('priceCounts');
+    const fileNameEl = document.getElementById('priceFileName');
+
+    if (!file) {
+        if (fileNameEl) fileNameEl.textContent = 'No file chosen';
+        if (statusEl) statusEl.textContent = '';
+        return;
+    }
+
+    if (fileNameEl) fileNameEl.textContent = file.name;
+    if (statusEl) statusEl.textContent = 'Processing...';
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            state.priceData = parsePriceCsv(e.target.result, getTimeSettings());
+            if (statusEl) statusEl.textContent = `${state.priceData.length} days of price data loaded.`;
+        } catch (err) {
+            if (statusEl) statusEl.textContent = 'Failed to process price CSV.';
+            displayError(err.message || 'Please check the price file format.', 'data-input-error');
+            console.error(err);
+        } finally {
+            event.target.value = null;
         }
-    });
+    };
+    reader.readAsText(file);
+}
 
-    // Calculate the final daily averages for each quarter.
-    const result = {};
-    for (const q in quarterlyData) {
-        const data = quarterlyData[q];
-        result[q] = {
-            avgPeak: data.days > 0 ? data.peak / data.days : 0,
-            avgShoulder: data.days > 0 ? data.shoulder / data.days : 0,
-            avgOffPeak: data.days > 0 ? data.offPeak / data.days : 0,
-            avgSolar: data.days > 0 ? data.solar / data.days : 0
-        };
+/**
+ * A helper to get or calculate and then cache the seasonal average data from CSVs.
+ * @param {object} touHours - An object defining TOU hours, needed for the calculation.
+ * @param {Array} electricityData - The parsed electricity data.
+ * @returns {object|null} The quarterly averages object.
+ */
+export function getSimulationData(touHours, electricityData) {
+    // This function is only for CSV data; manual data is handled directly in the config.
+    // If the averages haven't been calculated yet, calculate and cache them in the global state.
+    if (!state.quarterlyAverages) {
+        if (!electricityData || !state.solarData) return null;
+        state.quarterlyAverages = calculateQuarterlyAverages(electricityData, state.solarData, touHours);
     }
-    return result;
+    return state.quarterlyAverages;
 }
\ No newline at end of file
@@ -0,0 +1,373 @@
+// js/dataQuality.js
+// Version 1.1.4
+// This module checks the loaded usage and solar data before it is analysed: days and intervals
+// with no readings, repeated timestamps, daylight saving changeovers, outliers, and usage days
+// with no matching solar data. It can also fill the gaps with estimates, so an outage in the
+// data doesn't leave days out of the simulated year.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { state } from './state.js';
+import { getSeason, resampleIntervals } from './utils.js';
+
+// The ways gaps in the data can be filled, and how each is described to the user.
+export const GAP_FILL_STRATEGIES = {
+    none: 'Leave gaps (days without data are skipped)',
+    weekday: 'Same weekday average',
+    interpolate: 'Interpolation',
+    seasonal: 'Seasonal profile',
+};
+// An interval reading more than this many times the 99th percentile of all readings is reported as an outlier.
+const OUTLIER_FACTOR = 4;
+// The "same weekday" strategy averages days up to this many days either side of the gap.
+const WEEKDAY_WINDOW_DAYS = 28;
+
+/**
+ * Moves a 'YYYY-MM-DD' date string forward or back by a number of days.
+ * @param {string} date - The date to start from.
+ * @param {number} days - The number of days to add (negative to go back).
+ * @returns {string} The new date as 'YYYY-MM-DD'.
+ */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Counts the days from one 'YYYY-MM-DD' date to another.
+ * @param {string} from - The earlier date.
+ * @param {string} to - The later date.
+ * @returns {number} The number of days between them (negative if `to` is earlier).
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Finds the daylight saving changeover dates for a year in the Australian states that observe it:
+ * clocks go forward at 2am on the first Sunday in October and back at 3am on the first Sunday in April.
+ * @param {number} year - The calendar year.
+ * @returns {object} `{ start, end }` as 'YYYY-MM-DD' dates.
+ */
+function getDstChangeDates(year) {
+    const firstSunday = (month) => {
+        const d = new Date(Date.UTC(year, month, 1));
+        d.setUTCDate(1 + (7 - d.getUTCDay()) % 7);
+        return d.toISOString().split('T')[0];
+    };
+    return { start: firstSunday(9), end: firstSunday(3) };
+}
+
+/**
+ * Works out the interval length used by most days in a dataset.
+ * @param {Array<object>} days - Day objects with an `intervalMinutes` value or a data array.
+ * @param {string} stream - The name of the data array to measure if `intervalMinutes` is missing.
+ * @returns {number} The most common interval length in minutes.
+ */
+function getCommonIntervalMinutes(days, stream) {
+    const counts = new Map();
+    for (const day of days) {
+        const minutes = day.intervalMinutes || 1440 / day[stream].length;
+        counts.set(minutes, (counts.get(minutes) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Checks the loaded usage and solar data and reports on its coverage and quality.
+ * Every date between the first and last usage day is expected to have usage and solar data.
+ * A missing or repeated hour between 2am and 3am on a daylight saving changeover date is
+ * reported as a daylight saving shift, since that is what a file in local time shows.
+ * @param {Array<object>} electricityData - The usage days (with optional `missingIntervals` and `duplicateIntervals`).
+ * @param {Array<object>|null} solarData - The solar days, if any.
+ * @returns {object} `{ firstDate, lastDate, totalDays, usage, solar, months }`: `usage` lists the missing days,
+ *   partial days, days with repeated readings, daylight saving shifts and outliers; `solar` lists the usage days
+ *   with no solar data (null if there is no solar data); `months` gives the coverage of each calendar month.
+ */
+export function analyseDataQuality(electricityData, solarData) {
+    const usageDays = [...(electricityData || [])].sort((a, b) => a.date.localeCompare(b.date));
+    const report = {
+        firstDate: null, lastDate: null, totalDays: 0,
+        usage: { days: usageDays.length, missingDays: [], partialDays: [], duplicateDays: [], dstDays: [], outliers: [], outlierThreshold: 0 },
+        solar: null,
+        months: [],
+    };
+    if (usageDays.length === 0) return report;
+    const usageByDate = new Map(usageDays.map(day => [day.date, day]));
+    const solarByDate = solarData ? new Map(solarData.map(day => [day.date, day])) : null;
+    report.firstDate = usageDays[0].date;
+    report.lastDate = usageDays[usageDays.length - 1].date;
+    report.totalDays = daysBetween(report.firstDate, report.lastDate) + 1;
+
+    // 1. Missing, partial and repeated days.
+    for (let i = 0; i < report.totalDays; i++) {
+        const date = addDays(report.firstDate, i);
+        const day = usageByDate.get(date);
+        if (!day) {
+            report.usage.missingDays.push(date);
+            continue;
+        }
+        if (day.missingIntervals?.length > 0) report.usage.partialDays.push({ date, intervals: day.missingIntervals.length });
+        if (day.duplicateIntervals?.length > 0) report.usage.duplicateDays.push({ date, intervals: day.duplicateIntervals.length });
+    }
+
+    // 2. Daylight saving shifts: the skipped hour on the start date and the repeated hour on the end date.
+    const years = new Set(usageDays.map(day => parseInt(day.date.slice(0, 4), 10)));
+    const isInDstHour = (day) => (interval) => {
+        const minute = interval * (day.intervalMinutes || 1440 / day.consumption.length);
+        return minute >= 120 && minute < 180;
+    };
+    for (const year of years) {
+        const { start, end } = getDstChangeDates(year);
+        const startDay = usageByDate.get(start);
+        const endDay = usageByDate.get(end);
+        if (startDay?.missingIntervals?.some(isInDstHour(startDay))) report.usage.dstDays.push({ date: start, change: 'start' });
+        if (endDay?.duplicateIntervals?.some(isInDstHour(endDay))) report.usage.dstDays.push({ date: end, change: 'end' });
+    }
+
+    // 3. Outliers: negative readings, and readings far above the usual peak.
+    const positiveReadings = usageDays.flatMap(day => day.consumption.filter(value => value > 0)).sort((a, b) => a - b);
+    const percentile99 = positiveReadings.length > 0 ? positiveReadings[Math.floor(positiveReadings.length * 0.99)] : 0;
+    report.usage.outlierThreshold = percentile99 * OUTLIER_FACTOR;
+    for (const day of usageDays) {
+        const intervalMinutes = day.intervalMinutes || 1440 / day.consumption.length;
+        day.consumption.forEach((value, i) => {
+            if (value < 0 || (percentile99 > 0 && value > report.usage.outlierThreshold)) {
+                report.usage.outliers.push({ date: day.date, minuteOfDay: i * intervalMinutes, kWh: value });
+            }
+        });
+    }
+
+    // 4. Usage days with no solar data are skipped by the analysis unless the gaps are filled.
+    if (solarByDate) {
+        report.solar = {
+            days: solarByDate.size,
+            usageDaysWithoutSolar: usageDays.filter(day => !solarByDate.has(day.date)).map(day => day.date),
+            solarDaysWithoutUsage: [...solarByDate.keys()].filter(date => !usageByDate.has(date)).length,
+            duplicateDays: solarData.filter(day => day.duplicateIntervals?.length > 0).map(day => ({ date: day.date, intervals: day.duplicateIntervals.length })),
+        };
+    }
+
+    // 5. Coverage of each calendar month in the date range.
+    const months = new Map();
+    for (let i = 0; i < report.totalDays; i++) {
+        const date = addDays(report.firstDate, i);
+        const month = date.slice(0, 7);
+        if (!months.has(month)) months.set(month, { month, days: 0, usageDays: 0, completeUsageDays: 0, solarDays: 0 });
+        const coverage = months.get(month);
+        const day = usageByDate.get(date);
+        coverage.days++;
+        if (day) coverage.usageDays++;
+        if (day && !(day.missingIntervals?.length > 0)) coverage.completeUsageDays++;
+        if (solarByDate?.has(date)) coverage.solarDays++;
+    }
+    report.months = [...months.values()];
+    return report;
+}
+
+/**
+ * Averages the same data array from several days, at a given interval length.
+ * @param {Array<object>} days - The days to average.
+ * @param {string} stream - The data array to average (e.g., 'consumption').
+ * @param {number} intervalMinutes - The interval length of the result.
+ * @returns {number[]} The average value of each interval.
+ */
+function averageDays(days, stream, intervalMinutes) {
+    const total = Array(1440 / intervalMinutes).fill(0);
+    for (const day of days) {
+        resampleIntervals(day[stream], intervalMinutes).forEach((value, i) => total[i] += value);
+    }
+    return total.map(value => value / Math.max(1, days.length));
+}
+
+/**
+ * Blends the same data array from the nearest complete days before and after a date, weighted by how
+ * close each is. If there is only a day on one side, that day is used as it is.
+ * @param {Array<object>} days - Complete days, sorted by date.
+ * @param {string} date - The date to estimate.
+ * @param {string} stream - The data array to blend.
+ * @param {number} intervalMinutes - The interval length of the result.
+ * @returns {number[]} The interpolated value of each interval.
+ */
+function interpolateBetweenDays(days, date, stream, intervalMinutes) {
+    const next = days.find(day => day.date > date);
+    const previous = [...days].reverse().find(day => day.date < date);
+    if (!previous || !next) return averageDays([previous || next].filter(Boolean), stream, intervalMinutes);
+    const weight = daysBetween(previous.date, date) / daysBetween(previous.date, next.date);
+    const before = resampleIntervals(previous[stream], intervalMinutes);
+    const after = resampleIntervals(next[stream], intervalMinutes);
+    return before.map((value, i) => value + (after[i] - value) * weight);
+}
+
+/**
+ * Fills a day's missing intervals by drawing straight lines between the readings either side of each gap.
+ * A gap at the start or end of the day takes the nearest reading.
+ * @param {number[]} values - The day's data array.
+ * @param {Set<number>} missing - The indexes of the missing intervals.
+ * @returns {number[]|null} The filled array, or null if the day has no readings at all.
+ */
+function interpolateWithinDay(values, missing) {
+    const known = values.map((_, i) => i).filter(i => !missing.has(i));
+    if (known.length === 0) return null;
+    return values.map((value, i) => {
+        if (!missing.has(i)) return value;
+        const after = known.find(k => k > i);
+        const before = [...known].reverse().find(k => k < i);
+        if (before === undefined) return values[after];
+        if (after === undefined) return values[before];
+        return values[before] + (values[after] - values[before]) * (i - before) / (after - before);
+    });
+}
+
+/**
+ * Fills the gaps in the usage data, and estimates solar data for usage days that have none.
+ * Whole missing days between the first and last usage day are added, and the missing intervals
+ * of partial days are filled. The strategies are:
+ * - 'weekday': the average of complete days on the same weekday within four weeks (any same weekday if none).
+ * - 'interpolate': a blend of the nearest complete days before and after; gaps within a day are
+ *   interpolated between the readings either side.
+ * - 'seasonal': the average of the complete days in the same season.
+ * Solar has no weekly pattern, so missing solar days use the seasonal average unless 'interpolate' is chosen.
+ * The data passed in is not changed.
+ * @param {Array<object>} electricityData - The usage days.
+ * @param {Array<object>|null} solarData - The solar days, if any.
+ * @param {string} strategy - A key of `GAP_FILL_STRATEGIES`.
+ * @returns {object} `{ electricityData, solarData, filledDays, filledIntervals, filledSolarDays }`. Added days are
+ *   marked `estimated: true`; filled days list the replaced intervals in `filledIntervals` instead of `missingIntervals`.
+ */
+export function fillDataGaps(electricityData, solarData, strategy) {
+    const result = { electricityData, solarData, filledDays: 0, filledIntervals: 0, filledSolarDays: 0 };
+    if (!GAP_FILL_STRATEGIES[strategy] || strategy === 'none' || !electricityData || electricityData.length === 0) return result;
+
+    // 1. Set up an estimator from the complete days, for any date and data array.
+    const usageDays = [...electricityData].sort((a, b) => a.date.localeCompare(b.date));
+    const completeDays = usageDays.filter(day => !(day.missingIntervals?.length > 0));
+    const intervalMinutes = getCommonIntervalMinutes(usageDays, 'consumption');
+    const streams = ['consumption', 'feedIn', ...(usageDays.some(day => day.controlledLoad) ? ['controlledLoad'] : [])];
+    const seasonalCache = new Map();
+    const seasonalAverage = (days, date, stream, minutes) => {
+        // Usage and solar use different data arrays, so the array name keeps their averages apart.
+        const key = `${getSeason(date)}|${stream}|${minutes}`;
+        if (!seasonalCache.has(key)) {
+            const sameSeason = days.filter(day => getSeason(day.date) === getSeason(date));
+            seasonalCache.set(key, averageDays(sameSeason.length > 0 ? sameSeason : days, stream, minutes));
+        }
+        return seasonalCache.get(key);
+    };
+    const estimateUsage = (date, stream, minutes) => {
+        const withStream = completeDays.filter(day => day[stream]);
+        if (withStream.length === 0) return Array(1440 / minutes).fill(0);
+        if (strategy === 'interpolate') return interpolateBetweenDays(withStream, date, stream, minutes);
+        if (strategy === 'weekday') {
+            const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+            const sameWeekday = withStream.filter(day => new Date(`${day.date}T00:00:00Z`).getUTCDay() === weekday);
+            const nearby = sameWeekday.filter(day => Math.abs(daysBetween(day.date, date)) <= WEEKDAY_WINDOW_DAYS);
+            if (nearby.length > 0) return averageDays(nearby, stream, minutes);
+            if (sameWeekday.length > 0) return averageDays(sameWeekday, stream, minutes);
+        }
+        return seasonalAverage(withStream, date, stream, minutes);
+    };
+
+    // 2. Fill the missing intervals of partial days, and add the missing days.
+    const usageByDate = new Map(usageDays.map(day => [day.date, day]));
+    const filledUsage = [];
+    const totalDays = daysBetween(usageDays[0].date, usageDays[usageDays.length - 1].date) + 1;
+    for (let i = 0; i < totalDays; i++) {
+        const date = addDays(usageDays[0].date, i);
+        const day = usageByDate.get(date);
+        if (!day) {
+            const estimatedDay = { date, intervalMinutes, estimated: true };
+            streams.forEach(stream => estimatedDay[stream] = estimateUsage(date, stream, intervalMinutes));
+            filledUsage.push(estimatedDay);
+            result.filledDays++;
+        } else if (day.missingIntervals?.length > 0) {
+            const { missingIntervals, ...filledDay } = day;
+            const missing = new Set(missingIntervals);
+            const dayMinutes = day.intervalMinutes || 1440 / day.consumption.length;
+            for (const stream of streams.filter(stream => day[stream])) {
+                const withinDay = strategy === 'interpolate' ? interpolateWithinDay(day[stream], missing) : null;
+                const estimate = withinDay || estimateUsage(date, stream, dayMinutes);
+                filledDay[stream] = day[stream].map((value, i) => (missing.has(i) ? estimate[i] : value));
+            }
+            filledDay.filledIntervals = missingIntervals;
+            filledUsage.push(filledDay);
+            result.filledIntervals += missingIntervals.length;
+        } else {
+            filledUsage.push(day);
+        }
+    }
+    result.electricityData = filledUsage;
+
+    // 3. Estimate solar generation for usage days with no solar data.
+    if (solarData && solarData.length > 0) {
+        const solarDays = [...solarData].sort((a, b) => a.date.localeCompare(b.date));
+        const solarByDate = new Map(solarDays.map(day => [day.date, day]));
+        const solarMinutes = getCommonIntervalMinutes(solarDays, 'generation');
+        const addedSolar = filledUsage.filter(day => !solarByDate.has(day.date)).map(day => ({
+            date: day.date,
+            intervalMinutes: solarMinutes,
+            generation: strategy === 'interpolate'
+                ? interpolateBetweenDays(solarDays, day.date, 'generation', solarMinutes)
+                : [...seasonalAverage(solarDays, day.date, 'generation', solarMinutes)],
+            estimated: true,
+        }));
+        result.filledSolarDays = addedSolar.length;
+        result.solarData = [...solarDays, ...addedSolar].sort((a, b) => a.date.localeCompare(b.date));
+    }
+    return result;
+}
+
+/**
+ * Gets the usage and solar data as it was loaded, before any gap filling.
+ * @returns {object} `{ electricityData, solarData }`.
+ */
+export function getLoadedData() {
+    const gapFill = state.gapFill;
+    // The state holds the filled copies after gap filling, unless a file has been loaded since.
+    return {
+        electricityData: gapFill && state.electricityData === gapFill.electricityData ? gapFill.source.electricityData : state.electricityData,
+        solarData: gapFill && state.solarData === gapFill.solarData ? gapFill.source.solarData : state.solarData,
+    };
+}
+
+/**
+ * Fills the gaps in the loaded usage and solar data with the chosen strategy, and puts the result
+ * in the state for the analysis. The loaded data is kept, so the strategy can be changed later.
+ * @param {string} strategy - A key of `GAP_FILL_STRATEGIES`.
+ * @returns {object} The result of `fillDataGaps`, with the `strategy` and the loaded data as `source`.
+ */
+export function applyGapFilling(strategy) {
+    const source = getLoadedData();
+    const previous = state.gapFill;
+    if (!previous || previous.strategy !== strategy || previous.source.electricityData !== source.electricityData || previous.source.solarData !== source.solarData) {
+        state.gapFill = { strategy, source, ...fillDataGaps(source.electricityData, source.solarData, strategy) };
+        // The seasonal averages depend on the data, so they need recalculating.
+        state.quarterlyAverages = null;
+    }
+    state.electricityData = state.gapFill.electricityData;
+    state.solarData = state.gapFill.solarData;
+    return state.gapFill;
+}
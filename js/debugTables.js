@@ -32,7 +32,10 @@ import {
 	getNumericInput, 
 	displayError, 
 	clearError,
-	formatHoursToRanges	
+	formatHoursToRanges,
+	resampleIntervals,
+	formatIntervalTime,
+	reconstructConsumption
 } from './utils.js';
 import { 
 	generateHourlyConsumptionProfileFromDailyTOU, 
@@ -41,6 +44,10 @@ import {
 import { simulateDay, calculateSizingRecommendations, calculateDetailedSizing } from './analysis.js';
 import { state } from './state.js';
 import { renderSizingResults, drawDistributionCharts } from './uiRender.js';
+import { analyseDataQuality, getLoadedData, GAP_FILL_STRATEGIES } from './dataQuality.js';
+
+// The most dates (or readings) listed for each kind of problem in the data quality report.
+const MAX_LISTED_ISSUES = 10;
 
 /**
  * Hides all debug and results containers to provide a clean slate
@@ -73,7 +80,7 @@ function calculateSeasonalAverages(provider, batteryConfig, state) {
 
     // Simulate day-by-day, carrying over the battery's state of charge.
     let currentSOC = batteryConfig.capacity * 0.5;
-    const solarDataMap = new Map((state.solarData || []).map(d => [d.date, d.hourly]));
+    const solarDataMap = new Map((state.solarData || []).map(d => [d.date, d]));
 
     state.electricityData.forEach(day => {
         const month = parseInt(day.date.split('-')[1], 10);
@@ -83,17 +90,15 @@ function calculateSeasonalAverages(provider, batteryConfig, state) {
         else if ([6, 7, 8].includes(month)) season = 'Winter';
         else season = 'Spring';
 
-        const hourlySolar = solarDataMap.get(day.date) || Array(24).fill(0);
+        const numIntervals = day.consumption.length;
+        const solarDay = solarDataMap.get(day.date);
+        const intervalSolar = resampleIntervals(solarDay?.generation, 1440 / numIntervals);
         
-        // Reconstruct true household consumption (grid import + self-consumed solar).
-        const trueHourlyConsumption = Array(24).fill(0);
-        for (let h = 0; h < 24; h++) {
-            const selfConsumed = Math.max(0, (hourlySolar[h] || 0) - (day.feedIn[h] || 0));
-            trueHourlyConsumption[h] = (day.consumption[h] || 0) + selfConsumed;
-        }
+        // Reconstruct true household consumption (grid import + self-consumed solar, or the inverter's measured load).
+        const trueIntervalConsumption = reconstructConsumption(day, intervalSolar, solarDay);
 
         // Run the simulation for the day.
-        const simResults = simulateDay(trueHourlyConsumption, hourlySolar, provider, batteryConfig, currentSOC);
+        const simResults = simulateDay(trueIntervalConsumption, intervalSolar, provider, batteryConfig, { initialSOC: currentSOC });
         currentSOC = simResults.finalSOC; // Update SOC for the next day.
 
         // Aggregate results for the correct season.
@@ -116,8 +121,48 @@ function calculateSeasonalAverages(provider, batteryConfig, state) {
 }
 
 /**
- * Renders the "Data Debug Table" which shows the raw hourly input data
- * used for the simulation, either from CSV or manual entry.
+ * Builds the data quality report shown above the Data Debug Table, for the data as loaded: coverage by
+ * month, missing and partial days, repeated readings, daylight saving shifts, outliers and usage days
+ * without solar data. It also says what the current gap filling estimated.
+ * @param {object} state - The global application state.
+ * @returns {string} The report's HTML.
+ */
+function buildDataQualityHtml(state) {
+    const { electricityData, solarData } = getLoadedData();
+    const report = analyseDataQuality(electricityData, solarData);
+    const list = (items, describe = item => item) => items.length === 0 ? '' :
+        ` (${items.slice(0, MAX_LISTED_ISSUES).map(describe).join(', ')}${items.length > MAX_LISTED_ISSUES ? `, and ${items.length - MAX_LISTED_ISSUES} more` : ''})`;
+    const withIntervals = item => `${item.date}: ${item.intervals}`;
+
+    let html = `<h3>Data Quality</h3><p>Usage data from ${report.firstDate} to ${report.lastDate}: ${report.usage.days} of ${report.totalDays} days.</p><ul>`;
+    html += `<li>Missing days: ${report.usage.missingDays.length}${list(report.usage.missingDays)}</li>`;
+    html += `<li>Days with missing intervals: ${report.usage.partialDays.length}${list(report.usage.partialDays, withIntervals)}</li>`;
+    html += `<li>Days with repeated timestamps: ${report.usage.duplicateDays.length}${list(report.usage.duplicateDays, withIntervals)}</li>`;
+    html += `<li>Daylight saving shifts: ${report.usage.dstDays.length}${list(report.usage.dstDays, item => `${item.date}: hour ${item.change === 'start' ? 'skipped' : 'repeated'}`)}</li>`;
+    html += `<li>Outliers (below zero or above ${report.usage.outlierThreshold.toFixed(3)} kWh in an interval): ${report.usage.outliers.length}${list(report.usage.outliers, item => `${item.date} ${formatIntervalTime(item.minuteOfDay, 1)} ${item.kWh.toFixed(3)} kWh`)}</li>`;
+    if (report.solar) {
+        html += `<li>Usage days without solar data: ${report.solar.usageDaysWithoutSolar.length}${list(report.solar.usageDaysWithoutSolar)}</li>`;
+        html += `<li>Solar days outside the usage data: ${report.solar.solarDaysWithoutUsage}</li>`;
+        html += `<li>Solar days with repeated timestamps: ${report.solar.duplicateDays.length}${list(report.solar.duplicateDays, withIntervals)}</li>`;
+    }
+    const gapFill = state.gapFill;
+    if (gapFill && gapFill.strategy !== 'none' && state.electricityData === gapFill.electricityData) {
+        html += `<li>Gap filling (${GAP_FILL_STRATEGIES[gapFill.strategy]}): ${gapFill.filledDays} days and ${gapFill.filledIntervals} intervals of usage, and ${gapFill.filledSolarDays} days of solar, were estimated. They are marked below.</li>`;
+    } else if (report.usage.missingDays.length + report.usage.partialDays.length + (report.solar?.usageDaysWithoutSolar.length || 0) > 0) {
+        html += `<li>Gap filling: none. Choose a way to fill the gaps in the data to estimate them; otherwise usage days without solar data are left out of the analysis.</li>`;
+    }
+    html += "</ul><table><thead><tr><th>Month</th><th>Days</th><th>Usage Days</th><th>Complete Usage Days</th><th>Solar Days</th></tr></thead><tbody>";
+    for (const month of report.months) {
+        html += `<tr><td>${month.month}</td><td>${month.days}</td><td>${month.usageDays}</td><td>${month.completeUsageDays}</td><td>${report.solar ? month.solarDays : 'N/A'}</td></tr>`;
+    }
+    html += "</tbody></table>";
+    return html;
+}
+
+/**
+ * Renders the "Data Debug Table" which shows the raw interval input data
+ * used for the simulation, either from CSV or manual entry. For CSV data, the
+ * data quality report is shown first.
  * @param {object} state - The global application state.
  * @param {boolean} [shouldShow=true] - Whether to display the container after rendering.
  */
@@ -132,7 +177,7 @@ export function renderDebugDataTable(state, shouldShow = true) {
     }
     
     const debugContainer = document.getElementById("dataDebugTableContainer");
-    let tableHTML = "<h3>Debug Data</h3><table><thead><tr><th>Date</th><th>Hour</th><th>Consumption (kWh)</th><th>Feed In (kWh)</th><th>Solar (kWh)</th></tr></thead><tbody>";
+    let tableHTML = "<h3>Debug Data</h3><table><thead><tr><th>Date</th><th>Time</th><th>Consumption (kWh)</th><th>Feed In (kWh)</th><th>Solar (kWh)</th></tr></thead><tbody>";
     
     if (useManual) {
         // For manual mode, show the hourly profiles generated from the daily averages.
@@ -148,20 +193,23 @@ export function renderDebugDataTable(state, shouldShow = true) {
             tableHTML += `<tr><td>Manual Average</td><td>${(h<10?'0':'')+h}:00</td><td>${(hourlyConsumption[h] || 0).toFixed(3)}</td><td>0.000</td><td>${(hourlySolar[h] || 0).toFixed(3)}</td></tr>`;
         }
     } else {
-        // For CSV mode, show the first 100 rows of processed hourly data.
+        // For CSV mode, show the first 100 days of processed data at their native interval resolution.
         const numEntries = Math.min(state.electricityData.length, 100);
-        const solarDataMap = new Map((state.solarData || []).map(d => [d.date, d.hourly]));
+        const solarDataMap = new Map((state.solarData || []).map(d => [d.date, d.generation]));
         for (let d = 0; d < numEntries; d++) {
             const dayData = state.electricityData[d];
-            const hourlySolar = solarDataMap.get(dayData.date) || Array(24).fill(0);
-            for (let h = 0; h < 24; h++) {
-                tableHTML += `<tr><td>${dayData.date}</td><td>${(h<10?'0':'')+h}:00</td><td>${(dayData.consumption[h] || 0).toFixed(3)}</td><td>${(dayData.feedIn[h] || 0).toFixed(3)}</td><td>${(hourlySolar[h] || 0).toFixed(3)}</td></tr>`;
+            const intervalMinutes = 1440 / dayData.consumption.length;
+            const intervalSolar = resampleIntervals(solarDataMap.get(dayData.date), intervalMinutes);
+            const filledIntervals = new Set(dayData.filledIntervals || []);
+            for (let i = 0; i < dayData.consumption.length; i++) {
+                const estimatedNote = dayData.estimated || filledIntervals.has(i) ? ' (estimated)' : '';
+                tableHTML += `<tr><td>${dayData.date}${estimatedNote}</td><td>${formatIntervalTime(i, intervalMinutes)}</td><td>${(dayData.consumption[i] || 0).toFixed(3)}</td><td>${(dayData.feedIn[i] || 0).toFixed(3)}</td><td>${(intervalSolar[i] || 0).toFixed(3)}</td></tr>`;
             }
         }
     }
 
     tableHTML += "</tbody></table>";
-    if (debugContainer) debugContainer.innerHTML = tableHTML;
+    if (debugContainer) debugContainer.innerHTML = (useManual ? '' : buildDataQualityHtml(state)) + tableHTML;
     
     // Show the container if requested.
     if (shouldShow) {
@@ -199,13 +247,13 @@ export function renderExistingSystemDebugTable(state, shouldShow = true) {
     // Calculate baseline statistics from the raw data.
     let totalGridImports = 0, totalGridExports = 0, totalSolarGeneration = 0;
     let totalDays = 0;
-    const solarDataMap = new Map(state.solarData.map(day => [day.date, day.hourly]));
+    const solarDataMap = new Map(state.solarData.map(day => [day.date, day.generation]));
     state.electricityData.forEach(day => {
         const dateKey = day.date;
-        const hourlySolar = solarDataMap.get(dateKey);
-        if (hourlySolar) { // Only process days with both usage and solar data.
+        const daySolar = solarDataMap.get(dateKey);
+        if (daySolar) { // Only process days with both usage and solar data.
             totalDays++;
-            totalSolarGeneration += hourlySolar.reduce((a, b) => a + b, 0);
+            totalSolarGeneration += daySolar.reduce((a, b) => a + b, 0);
             totalGridImports += day.consumption.reduce((a, b) => a + b, 0);
             totalGridExports += day.feedIn.reduce((a, b) => a + b, 0);
         }
@@ -225,9 +273,13 @@ export function renderExistingSystemDebugTable(state, shouldShow = true) {
     let tableHTML = "<h3>Existing System & Baseline Data</h3><table><thead><tr><th>Parameter</th><th>Value</th></tr></thead><tbody>";
     tableHTML += `<tr><td colspan="2"><strong>Existing System Inputs</strong></td></tr>`;
     tableHTML += `<tr><td>Existing Solar Panel Size (kW)</td><td>${document.getElementById("existingSolarKW")?.value || ''}</td></tr>`;
-    tableHTML += `<tr><td>Existing Solar Inverter Size (kWh)</td><td>${document.getElementById("existingSolarInverter")?.value || ''}</td></tr>`;
+    tableHTML += `<tr><td>Existing Solar Inverter Size (kW)</td><td>${document.getElementById("existingSolarInverter")?.value || ''}</td></tr>`;
     tableHTML += `<tr><td>Existing Battery Size (kWh)</td><td>${document.getElementById("existingBattery")?.value || ''}</td></tr>`;
     tableHTML += `<tr><td>Existing Battery Inverter (kW)</td><td>${document.getElementById("existingBatteryInverter")?.value || ''}</td></tr>`;
+    tableHTML += `<tr><td colspan="2"><strong>Battery Operating Limits</strong></td></tr>`;
+    tableHTML += `<tr><td>Round-Trip Efficiency (%)</td><td>${document.getElementById("batteryRoundTripEfficiency")?.value || ''}</td></tr>`;
+    tableHTML += `<tr><td>Minimum State of Charge (%)</td><td>${document.getElementById("batteryMinSoc")?.value || ''}</td></tr>`;
+    tableHTML += `<tr><td>Backup Reserve (%)</td><td>${document.getElementById("batteryBackupReserve")?.value || ''}</td></tr>`;
     tableHTML += `<tr><td colspan="2"><strong>Baseline Data Analysis (from CSV)</strong></td></tr>`;
     tableHTML += `<tr><td>Total Days Analyzed</td><td>${totalDays} days</td></tr>`;
     tableHTML += `<tr><td>Total Consumption (Grid Imports + Self-Consumed Solar)</td><td>${totalConsumption.toFixed(2)} kWh</td></tr>`;
@@ -271,7 +323,7 @@ export function renderNewSystemDebugTable(state, shouldShow = true) {
             'Q3_Winter': { avgPeak: getNumericInput("winterDailyPeak"), avgShoulder: getNumericInput("winterDailyShoulder"), avgOffPeak: getNumericInput("winterDailyOffPeak"), avgSolar: getNumericInput("winterDailySolar") },
             'Q4_Spring': { avgPeak: getNumericInput("springDailyPeak"), avgShoulder: getNumericInput("springDailyShoulder"), avgOffPeak: getNumericInput("springDailyOffPeak"), avgSolar: getNumericInput("springDailySolar") },
         };
-        const heuristicRecs = calculateSizingRecommendations(config.recommendationCoverageTarget, simulationData);
+        const heuristicRecs = calculateSizingRecommendations(config.recommendationCoverageTarget, simulationData, state.solarData, config.existingSolarKW);
         let recommendationHTML = `<div class="recommendation-section">`;
         if (heuristicRecs) {
             recommendationHTML += `<h4>Heuristic Sizing (based on ${heuristicRecs.coverageTarget}% annual coverage)</h4><p><strong>Recommended Solar: ${heuristicRecs.solar.toFixed(1)} kW</strong><br><strong>Recommended Battery: ${heuristicRecs.battery.toFixed(1)} kWh</strong><br><strong>Recommended Inverter: ${heuristicRecs.inverter.toFixed(1)} kW</strong></p>`;
@@ -398,7 +450,10 @@ export function renderProvidersDebugTable(state, shouldShow = true) {
                 capacity: (config.replaceExistingSystem ? 0 : config.existingBattery) + config.newBatteryKWH,
                 inverterKW: (config.replaceExistingSystem ? 0 : config.existingBatteryInverter) + config.newBatteryInverterKW,
                 gridChargeThreshold: config.gridChargeThreshold,
-                socChargeTrigger: config.socChargeTrigger
+                socChargeTrigger: config.socChargeTrigger,
+                roundTripEfficiency: config.batteryRoundTripEfficiency,
+                minSocPercent: config.batteryMinSoc,
+                backupReservePercent: config.batteryBackupReserve
             };
             // Run a separate simulation to get diagnostic averages for this provider.
             const seasonalAverages = calculateSeasonalAverages(providerConfig, batteryConfig, state);
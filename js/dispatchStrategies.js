@@ -0,0 +1,255 @@
+// js/dispatchStrategies.js
+// Version 1.1.4
+// This module defines the battery dispatch strategies (inverter operating modes) available to the simulation.
+// Each strategy builds a plan for the day that tells `simulateDay` how much charge to hold back
+// for later in the day and when to force-discharge the battery into the grid.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { parseRangesToIntervals, getDynamicRate } from './utils.js';
+import { optimiseDispatch } from './optimalDispatch.js';
+
+/**
+ * Finds the intervals covered by the highest-rate TOU rule in a list of rules.
+ * @param {Array} rules - An array of import or export rule objects.
+ * @param {number} intervalMinutes - The length of each interval in minutes.
+ * @returns {number[]} The interval indices of the highest-rate rule, or an empty array if there are no TOU rules.
+ */
+function getHighestRateIntervals(rules, intervalMinutes) {
+    const touRules = (rules || []).filter(r => r.type === 'tou' && r.hours);
+    if (touRules.length === 0) return [];
+    const highestRule = touRules.reduce((best, r) => ((r.rate || 0) > (best.rate || 0) ? r : best));
+    return parseRangesToIntervals(highestRule.hours, intervalMinutes);
+}
+
+/**
+ * Calculates how much charge must be held in the battery at each interval to cover the
+ * consumption in a set of target intervals later in the day.
+ * @param {number[]} targetIntervals - The interval indices the battery should be saved for.
+ * @param {object} context - The day's simulation context (see `getDispatchPlan`).
+ * @returns {number[]} The charge (kWh) to hold back at each interval, above the normal discharge floor.
+ */
+function reserveForIntervals(targetIntervals, context) {
+    const { intervalConsumption, numIntervals, batteryConfig, legEfficiency } = context;
+    const reserveSOC = Array(numIntervals).fill(0);
+    const targets = new Set(targetIntervals);
+    // Walk backwards through the day, accumulating the energy still needed for the target intervals.
+    let energyNeeded = 0;
+    for (let i = numIntervals - 1; i >= 0; i--) {
+        if (targets.has(i)) {
+            energyNeeded += intervalConsumption[i] || 0;
+        } else {
+            // Outside a target interval, keep enough charge to cover the targets still to come.
+            reserveSOC[i] = Math.min(batteryConfig.capacity, energyNeeded / legEfficiency);
+        }
+    }
+    return reserveSOC;
+}
+
+/**
+ * Pure self-consumption: charge from surplus solar and discharge to the house whenever it needs power.
+ * @param {object} context - The day's simulation context.
+ * @returns {object} The dispatch plan for the day.
+ */
+function planSelfConsumption(context) {
+    return {
+        reserveSOC: Array(context.numIntervals).fill(0),
+        forceExport: Array(context.numIntervals).fill(false),
+        blockGridCharge: Array(context.numIntervals).fill(false),
+        gridCharge: Array(context.numIntervals).fill(false)
+    };
+}
+
+/**
+ * TOU arbitrage: hold enough charge to cover the house through the most expensive import window,
+ * rather than spending it on cheaper periods earlier in the day.
+ * @param {object} context - The day's simulation context.
+ * @returns {object} The dispatch plan for the day.
+ */
+function planTouArbitrage(context) {
+    const plan = planSelfConsumption(context);
+    const peakIntervals = getHighestRateIntervals(context.provider.importRules, context.intervalMinutes);
+    if (peakIntervals.length > 0) {
+        plan.reserveSOC = reserveForIntervals(peakIntervals, context);
+    }
+    return plan;
+}
+
+/**
+ * Export-maximising: force-discharge the battery into the grid during the highest-rate
+ * export window (e.g. a peak feed-in tariff), after the house has been supplied.
+ * @param {object} context - The day's simulation context.
+ * @returns {object} The dispatch plan for the day.
+ */
+function planExportMax(context) {
+    const plan = planSelfConsumption(context);
+    for (const i of getHighestRateIntervals(context.provider.exportRules, context.intervalMinutes)) {
+        plan.forceExport[i] = true;
+    }
+    return plan;
+}
+
+/**
+ * Reserve for ZEROHERO: hold enough charge to avoid grid imports during any 'import_in_window'
+ * special condition window (such as GloBird's ZEROHERO credit) that applies on the day.
+ * @param {object} context - The day's simulation context.
+ * @returns {object} The dispatch plan for the day.
+ */
+function planZeroHeroReserve(context) {
+    const plan = planSelfConsumption(context);
+    const windowIntervals = [];
+    for (const condition of context.provider.specialConditions || []) {
+        if (condition.condition?.metric !== 'import_in_window') continue;
+        // If the month is unknown (e.g. a seasonal average day), reserve for every window.
+        if (context.month && condition.months && condition.months.length > 0 && !condition.months.includes(context.month)) continue;
+        windowIntervals.push(...parseRangesToIntervals(condition.condition.hours || '', context.intervalMinutes));
+    }
+    if (windowIntervals.length > 0) {
+        plan.reserveSOC = reserveForIntervals(windowIntervals, context);
+    }
+    return plan;
+}
+
+/**
+ * Demand shaving: finds the lowest grid demand the battery can hold the house to during the day's
+ * demand charge windows, and holds back enough charge to cover the load above that level.
+ * Grid charging is paused inside the windows so it can't set a new peak.
+ * @param {object} context - The day's simulation context.
+ * @returns {object} `{ reserveSOC: number[], blockGridCharge: boolean[] }` for each interval of the day.
+ */
+function planDemandShaving(context) {
+    const { provider, intervalConsumption, intervalSolar, numIntervals, intervalMinutes, batteryConfig, legEfficiency } = context;
+    const reserveSOC = Array(numIntervals).fill(0);
+    const blockGridCharge = Array(numIntervals).fill(false);
+
+    // 1. Find the intervals covered by the demand windows in force today.
+    const windowIntervals = new Set();
+    for (const rule of provider.importRules || []) {
+        if (rule.type !== 'demand') continue;
+        const intervals = rule.hours ? parseRangesToIntervals(rule.hours, intervalMinutes) : [...Array(numIntervals).keys()];
+        intervals.forEach(i => windowIntervals.add(i));
+    }
+    if (windowIntervals.size === 0) return { reserveSOC, blockGridCharge };
+
+    // 2. Estimate the grid load in each window interval and how much of it the battery could cover
+    // if held to a given demand target, limited by the inverter.
+    const netLoad = i => Math.max(0, (intervalConsumption[i] || 0) - (intervalSolar?.[i] || 0));
+    const maxTransferPerInterval = batteryConfig.inverterKW * intervalMinutes / 60;
+    const shavedEnergy = (target, i) => Math.min(maxTransferPerInterval, Math.max(0, netLoad(i) - target));
+    const floorPercent = Math.max(batteryConfig.minSocPercent || 0, batteryConfig.backupReservePercent || 0);
+    const usableEnergy = batteryConfig.capacity * (1 - floorPercent / 100) * legEfficiency;
+
+    // 3. Binary search for the lowest target the battery's usable energy can sustain.
+    let low = 0;
+    let high = Math.max(...[...windowIntervals].map(netLoad));
+    for (let iteration = 0; iteration < 30; iteration++) {
+        const mid = (low + high) / 2;
+        const energyNeeded = [...windowIntervals].reduce((sum, i) => sum + shavedEnergy(mid, i), 0);
+        if (energyNeeded > usableEnergy) low = mid; else high = mid;
+    }
+
+    // 4. Walk backwards through the day, holding enough charge to shave the window intervals still to come.
+    let energyNeeded = 0;
+    for (let i = numIntervals - 1; i >= 0; i--) {
+        reserveSOC[i] = Math.min(batteryConfig.capacity, energyNeeded / legEfficiency);
+        if (windowIntervals.has(i)) {
+            energyNeeded += shavedEnergy(high, i);
+            blockGridCharge[i] = true;
+        }
+    }
+    return { reserveSOC, blockGridCharge };
+}
+
+/**
+ * Wholesale price response for dynamic tariffs: charge from the grid (and leave the battery alone)
+ * while import prices are negative, and save charge to force-export during price spikes, when the
+ * export price reaches the provider's `priceSpikeThreshold` ($/kWh).
+ * @param {object} context - The day's simulation context, including `intervalPrices`.
+ * @returns {object} `{ reserveSOC, forceExport, gridCharge }` for each interval of the day.
+ */
+function planPriceResponse(context) {
+    const { provider, intervalPrices, numIntervals, intervalMinutes, batteryConfig, legEfficiency } = context;
+    const plan = planSelfConsumption(context);
+    const importRule = (provider.importRules || []).find(r => r.type === 'dynamic');
+    const exportRule = (provider.exportRules || []).find(r => r.type === 'dynamic');
+    const spikeThreshold = provider.priceSpikeThreshold ?? 1;
+    const maxTransferPerInterval = batteryConfig.inverterKW * intervalMinutes / 60;
+
+    // Walk backwards through the day, holding enough charge to export at full power in the spikes still to come.
+    let spikeEnergy = 0;
+    for (let i = numIntervals - 1; i >= 0; i--) {
+        if (importRule && getDynamicRate(importRule, intervalPrices[i]) < 0) {
+            // Being paid to import: run the house from the grid and fill the battery.
+            plan.gridCharge[i] = true;
+            plan.reserveSOC[i] = batteryConfig.capacity;
+        } else if (exportRule && getDynamicRate(exportRule, intervalPrices[i]) >= spikeThreshold) {
+            plan.forceExport[i] = true;
+            plan.reserveSOC[i] = Math.min(batteryConfig.capacity, spikeEnergy / legEfficiency);
+            spikeEnergy += maxTransferPerInterval;
+        } else {
+            plan.reserveSOC[i] = Math.min(batteryConfig.capacity, spikeEnergy / legEfficiency);
+        }
+    }
+    return plan;
+}
+
+// --- EXPORTED STRATEGY LIBRARY ---
+// Each strategy has a display label and either a `plan` function, which guides the greedy simulation,
+// or an `optimise` function, which replaces it with a full schedule for the day. New operating modes can be added here.
+export const DISPATCH_STRATEGIES = {
+    self_consumption: { label: 'Self-Consumption', plan: planSelfConsumption },
+    tou_arbitrage: { label: 'TOU Arbitrage', plan: planTouArbitrage },
+    export_max: { label: 'Export Maximising', plan: planExportMax },
+    zerohero_reserve: { label: 'Reserve for ZEROHERO Window', plan: planZeroHeroReserve },
+    optimal: { label: 'Optimal (Best Achievable)', optimise: optimiseDispatch },
+};
+
+/**
+ * Builds the dispatch plan for a single day using the provider's selected strategy.
+ * Falls back to self-consumption if the provider has no (or an unknown) strategy. If the provider
+ * has demand shaving turned on, charge is also held back for its demand charge windows, and on a
+ * dynamic tariff the battery also responds to negative and spike wholesale prices.
+ * @param {object} context - The day's simulation context: `provider`, `intervalConsumption`, `intervalSolar`,
+ *   `numIntervals`, `intervalMinutes`, `batteryConfig`, `legEfficiency` and (optionally) `month` and `intervalPrices`.
+ * @returns {object} `{ reserveSOC: number[], forceExport: boolean[], blockGridCharge: boolean[], gridCharge: boolean[] }`
+ *   for each interval of the day.
+ */
+export function getDispatchPlan(context) {
+    const strategy = DISPATCH_STRATEGIES[context.provider.dispatchStrategy];
+    const plan = (strategy?.plan || planSelfConsumption)(context);
+    if (context.provider.demandShaving) {
+        const shaving = planDemandShaving(context);
+        plan.reserveSOC = plan.reserveSOC.map((reserve, i) => Math.max(reserve, shaving.reserveSOC[i]));
+        plan.blockGridCharge = shaving.blockGridCharge;
+    }
+    const hasDynamicRules = [...(context.provider.importRules || []), ...(context.provider.exportRules || [])].some(r => r.type === 'dynamic');
+    if (context.intervalPrices && hasDynamicRules) {
+        const response = planPriceResponse(context);
+        plan.reserveSOC = plan.reserveSOC.map((reserve, i) => Math.max(reserve, response.reserveSOC[i]));
+        plan.forceExport = plan.forceExport.map((force, i) => force || response.forceExport[i]);
+        plan.gridCharge = response.gridCharge;
+    }
+    return plan;
+}
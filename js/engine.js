@@ -0,0 +1,153 @@
+// js/engine.js
+// Version 1.1.4
+// This module is the headless entry point to the analysis engine. It takes the settings, the usage, solar
+// and price data and the provider plans as arguments and returns the full results, without reading the page
+// or the application state, so analyses can be scripted, run in workers and tested.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { runSimulation, calculateDetailedSizing } from './analysis.js';
+import { calculateQuarterlyAverages } from './parsers.js';
+import { fillDataGaps } from './dataQuality.js';
+import { parseRangesToHours } from './utils.js';
+
+/**
+ * Finds the peak and shoulder hours used to turn usage data into seasonal averages, from a provider's
+ * tariff rules. A plan with neither gets the default peak (3pm-11pm) and shoulder (7am-3pm) periods.
+ * @param {object} provider - The baseline provider's configuration.
+ * @returns {object} `{ peak, shoulder }`, each an array of hours (0-23).
+ */
+export function getTouHours(provider) {
+    const peakRule = (provider.importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('peak'));
+    const shoulderRule = (provider.importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('shoulder'));
+    const touHours = {
+        peak: parseRangesToHours(peakRule?.hours || ''),
+        shoulder: parseRangesToHours(shoulderRule?.hours || ''),
+    };
+    if (touHours.peak.length === 0 && touHours.shoulder.length === 0) {
+        touHours.peak = parseRangesToHours('3pm-11pm');
+        touHours.shoulder = parseRangesToHours('7am-3pm');
+    }
+    return touHours;
+}
+
+/**
+ * Lists the selected plans with dynamic import rules that can't be priced. Dynamic rules are priced from the
+ * wholesale prices and skipped on days without them, so those days' import falls to the plan's other rules, or
+ * costs nothing if it has none. Manual mode has no prices at all.
+ * @param {Array<object>} providers - The selected providers' configurations.
+ * @param {Array<object>|null} usage - Usage days `{ date, ... }` (ignored in manual mode).
+ * @param {Array<object>|null} prices - Wholesale price days `{ date, prices }`.
+ * @param {boolean} useManual - Whether the analysis uses the manual daily averages.
+ * @returns {Array<string>} A warning for each plan that has days without prices.
+ */
+export function getDynamicPriceWarnings(providers, usage, prices, useManual) {
+    const pricedDates = new Set((prices || []).map(day => day.date));
+    const warnings = [];
+    for (const provider of providers) {
+        const dynamicRule = (provider.importRules || []).find(r => r.type === 'dynamic');
+        if (!dynamicRule) continue;
+        const fallback = (provider.importRules || []).some(r => r.type === 'flat' || r.type === 'tou' || r.type === 'tiered')
+            ? 'is priced by its other import rules' : 'costs nothing, as it has no other import rules';
+        if (useManual) {
+            warnings.push(`${provider.name} has a dynamic import rule, which manual mode can't price (it has no wholesale prices), so its import ${fallback}.`);
+            continue;
+        }
+        const unpricedDays = (usage || []).filter(day => !pricedDates.has(day.date)).length;
+        if (unpricedDays > 0) {
+            warnings.push(`${provider.name} has a dynamic import rule, but ${unpricedDays} of the ${usage.length} usage days have no wholesale prices, so their import ${fallback}.`);
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Runs a complete ROI analysis from the settings and data, the same way the "Run ROI Analysis" button does:
+ * the gaps in CSV data are filled with the configured strategy, the seasonal averages are worked out from the
+ * baseline provider's tariff periods, and every selected provider is simulated over the analysis period.
+ * @param {object} inputs - The analysis inputs.
+ * @param {object} inputs.config - The analysis settings, in the format `gatherConfigFromUI` (config.js) returns.
+ * @param {Array<object>|null} [inputs.usage=null] - Usage days `{ date, consumption, feedIn, ... }`, required unless
+ *   `config.useManual` is set.
+ * @param {Array<object>|null} [inputs.solar=null] - Solar days `{ date, generation }` of the existing system. With
+ *   `config.noExistingSolar` and no solar data, zero generation is used.
+ * @param {Array<object>|null} [inputs.prices=null] - Wholesale price days `{ date, prices }`, for dynamic tariff rules.
+ * @param {Array<object>|null} [inputs.providers=null] - The provider plans `config.selectedProviders` refers to.
+ *   Defaults to `config.providers`.
+ * @param {boolean} [inputs.sizing=false] - Whether to also run the detailed sizing (CSV mode only).
+ * @param {Function} [inputs.onProgress] - Called with the simulation's progress, as for `runSimulation`.
+ * @returns {object} `{ financials, rawData, config, simulationData, touHours, gapFill, sizing, warnings }`: the
+ *   results of `runSimulation`, the seasonal averages and tariff periods used, what gap filling added (`{ filledDays,
+ *   filledIntervals, filledSolarDays }`, or null), the result of `calculateDetailedSizing` (or null) and the
+ *   warnings from `getDynamicPriceWarnings`.
+ * @throws {Error} If no known provider is selected, or CSV mode is missing the usage or solar data.
+ */
+export function runAnalysis({ config, usage = null, solar = null, prices = null, providers = null, sizing = false, onProgress = () => {} }) {
+    // 1. Use the selected providers, in the order given (the first is the baseline).
+    const allProviders = providers || config.providers || [];
+    const selectedProviders = config.selectedProviders || [];
+    const analysisConfig = { ...config, providers: selectedProviders.map(id => allProviders.find(p => p.id === id)).filter(Boolean) };
+    const baselineProvider = allProviders.find(p => p.id === selectedProviders[0]);
+    if (!baselineProvider) {
+        throw new Error('Please select at least one provider to run the analysis.');
+    }
+    const touHours = getTouHours(baselineProvider);
+    const warnings = getDynamicPriceWarnings(analysisConfig.providers, usage, prices, config.useManual);
+
+    if (config.useManual) {
+        const results = runSimulation(analysisConfig, config.manualData, null, null, null, onProgress);
+        return { ...results, simulationData: config.manualData, touHours, gapFill: null, sizing: null, warnings };
+    }
+
+    // 2. CSV mode: a household without solar gets a day of zero generation for each usage day.
+    if (!Array.isArray(usage) || usage.length === 0) {
+        throw new Error('Please provide electricity usage data to run the analysis.');
+    }
+    let electricityData = usage;
+    let solarData = solar;
+    if (!Array.isArray(solarData) || solarData.length === 0) {
+        if (!config.noExistingSolar) {
+            throw new Error('Please provide solar data for the existing system, or set noExistingSolar if there is none.');
+        }
+        solarData = usage.map(day => ({ date: day.date, intervalMinutes: day.intervalMinutes, generation: Array(day.consumption.length).fill(0) }));
+    }
+
+    // 3. Fill the gaps in the data, if asked to.
+    let gapFill = null;
+    if (config.gapFillStrategy && config.gapFillStrategy !== 'none') {
+        const filled = fillDataGaps(electricityData, solarData, config.gapFillStrategy);
+        ({ electricityData, solarData } = filled);
+        gapFill = { filledDays: filled.filledDays, filledIntervals: filled.filledIntervals, filledSolarDays: filled.filledSolarDays };
+    }
+
+    // 4. Work out the seasonal averages, then run the simulation (and the sizing, if asked for).
+    const simulationData = calculateQuarterlyAverages(electricityData, solarData, touHours);
+    if (!simulationData) {
+        throw new Error('Could not calculate seasonal averages. Please check your data.');
+    }
+    const results = runSimulation(analysisConfig, simulationData, electricityData, solarData, prices, onProgress);
+    const sizingResults = sizing ? calculateDetailedSizing(electricityData, solarData, analysisConfig, simulationData) : null;
+    return { ...results, simulationData, touHours, gapFill, sizing: sizingResults, warnings };
+}
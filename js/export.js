@@ -211,12 +211,12 @@ async function generateCsvModeReport(pdf, commonData, config) {
 
     // --- Calculate baseline statistics from the input CSV data ---
     let totalGridImports = 0, totalGridExports = 0, totalSolarGeneration = 0, totalDays = 0;
-    const solarDataMap = new Map(state.solarData.map(day => [day.date, day.hourly]));
+    const solarDataMap = new Map(state.solarData.map(day => [day.date, day.generation]));
     state.electricityData.forEach(day => {
-        const hourlySolar = solarDataMap.get(day.date);
-        if (hourlySolar) {
+        const daySolar = solarDataMap.get(day.date);
+        if (daySolar) {
             totalDays++;
-            totalSolarGeneration += hourlySolar.reduce((a, b) => a + b, 0);
+            totalSolarGeneration += daySolar.reduce((a, b) => a + b, 0);
             totalGridImports += day.consumption.reduce((a, b) => a + b, 0);
             totalGridExports += day.feedIn.reduce((a, b) => a + b, 0);
         }
@@ -291,12 +291,13 @@ async function generateCsvModeReport(pdf, commonData, config) {
         reportContainer.innerHTML = `<div class="provider-details-report"><h3>${provider.name}</h3><table class="summary-table"><tbody>
             <tr><td>Daily Charge</td><td>$${provider.dailyCharge.toFixed(4)}</td></tr>
             <tr><td>Monthly Fee</td><td>$${provider.monthlyFee.toFixed(2)}</td></tr>
+            <tr><td>Controlled Load</td><td>$${(provider.controlledLoadRate || 0).toFixed(4)}/kWh + $${(provider.controlledLoadDailyCharge || 0).toFixed(4)}/day</td></tr>
             <tr><td>Rebate</td><td>$${provider.rebate.toFixed(2)}</td></tr>
             <tr><td>Grid Charging Enabled</td><td>${provider.gridChargeEnabled ? `Yes (${provider.gridChargeStart}:00 - ${provider.gridChargeEnd}:00)` : 'No'}</td></tr>
         </tbody></table><h4>Import Rules</h4><table><thead><tr><th>Name</th><th>Type</th><th>Rate</th><th>Hours / Limit</th></tr></thead><tbody>
-        ${(provider.importRules || []).map(r => `<tr><td>${r.name}</td><td>${r.type}</td><td>$${r.rate.toFixed(4)}</td><td>${r.type === 'tou' ? r.hours : r.type === 'tiered' ? `${r.limit} kWh` : 'N/A'}</td></tr>`).join('')}
+        ${(provider.importRules || []).map(r => `<tr><td>${r.name}</td><td>${r.type}</td><td>$${r.rate.toFixed(4)}</td><td>${r.type === 'tou' || r.type === 'demand' ? r.hours : r.type === 'tiered' ? `${r.limit} kWh/${r.tierPeriod || 'day'}` : r.type === 'dynamic' ? `+ Spot x ${r.multiplier ?? 1}` : 'N/A'}</td></tr>`).join('')}
         </tbody></table><h4>Export Rules</h4><table><thead><tr><th>Name</th><th>Type</th><th>Rate</th><th>Hours / Limit</th></tr></thead><tbody>
-        ${(provider.exportRules || []).map(r => `<tr><td>${r.name}</td><td>${r.type}</td><td>$${r.rate.toFixed(4)}</td><td>${r.type === 'tou' ? r.hours : r.type === 'tiered' ? `${r.limit} kWh` : 'N/A'}</td></tr>`).join('')}
+        ${(provider.exportRules || []).map(r => `<tr><td>${r.name}</td><td>${r.type}</td><td>$${r.rate.toFixed(4)}</td><td>${r.type === 'tou' ? r.hours : r.type === 'tiered' ? `${r.limit} kWh/${r.tierPeriod || 'day'}` : r.type === 'dynamic' ? `+ Spot x ${r.multiplier ?? 1}` : 'N/A'}</td></tr>`).join('')}
         </tbody></table></div>`;
         yPos = await addElementToPdf(pdf, reportContainer, yPos);
     }
@@ -408,15 +409,13 @@ async function generateCsvModeReport(pdf, commonData, config) {
 // --- MAIN EXPORT FUNCTIONS ---
 
 /**
- * Compiles the analysis results into a CSV string and triggers a file download.
+ * Compiles the analysis results into a CSV string: a row per year with the baseline cost, and each
+ * provider's cost with the system and cumulative savings.
+ * @param {object} analysisResults - The `financials` returned by `runSimulation` (analysis.js).
+ * @param {object} analysisConfig - The configuration the analysis was run with.
+ * @returns {string} The CSV content, with CRLF line endings.
  */
-export function exportCsv() {
-  const { analysisResults, analysisConfig } = state;
-  if (!analysisResults || !analysisConfig) {
-    alert("Please run an analysis before exporting.");
-    return;
-  }
-
+export function buildResultsCsv(analysisResults, analysisConfig) {
   // Find the baseline provider name for the header.
   const baselineProvider = analysisConfig.providers.find(p => p.id === analysisConfig.selectedProviders[0]);
   const baselineName = baselineProvider ? baselineProvider.name : 'Baseline';
@@ -446,6 +445,19 @@ export function exportCsv() {
     });
     csvContent += row.join(",") + "\r\n";
   }
+  return csvContent;
+}
+
+/**
+ * Compiles the analysis results into a CSV string and triggers a file download.
+ */
+export function exportCsv() {
+  const { analysisResults, analysisConfig } = state;
+  if (!analysisResults || !analysisConfig) {
+    alert("Please run an analysis before exporting.");
+    return;
+  }
+  const csvContent = buildResultsCsv(analysisResults, analysisConfig);
   
   // Create a blob and trigger the download.
   const encodedUri = encodeURI("data:text/csv;charset=utf-8," + csvContent);
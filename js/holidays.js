@@ -0,0 +1,203 @@
+// js/holidays.js
+// Version 1.1.4
+// This module provides the public holiday calendar used by day-type (weekday/weekend/holiday) tariff rules.
+// Holidays can be generated for an Australian state or territory, or imported from an ICS or CSV file.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Formats a UTC date as a 'YYYY-MM-DD' string.
+ * @param {Date} date - The date (in UTC).
+ * @returns {string} The formatted date.
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Finds the nth occurrence of a weekday in a month, e.g. the 2nd Monday of June.
+ * @param {number} year - The year.
+ * @param {number} month - The month (1-12).
+ * @param {number} weekday - The day of the week (0 = Sunday, 1 = Monday, ...).
+ * @param {number} n - The occurrence (1 = first); -1 finds the last occurrence in the month.
+ * @returns {Date} The date (in UTC).
+ */
+function nthWeekday(year, month, weekday, n) {
+    if (n === -1) {
+        const last = new Date(Date.UTC(year, month, 0));
+        last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+        return last;
+    }
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7));
+}
+
+/**
+ * Calculates Easter Sunday for a year using the anonymous Gregorian algorithm.
+ * @param {number} year - The year.
+ * @returns {Date} Easter Sunday (in UTC).
+ */
+function easterSunday(year) {
+    const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+    const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Returns a date shifted by a number of days.
+ * @param {Date} date - The starting date (in UTC).
+ * @param {number} days - The number of days to add (may be negative).
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+/**
+ * Generates the main gazetted public holidays for an Australian state or territory.
+ * Holidays falling on a weekend are also observed on the following weekday, as most states do.
+ * One-off and part-day holidays (e.g. the AFL Grand Final Friday, Christmas Eve) are not included;
+ * import an ICS or CSV file for a complete calendar.
+ * @param {string} stateCode - The state code ('NSW', 'VIC', 'QLD', 'SA', 'WA', 'TAS', 'ACT' or 'NT').
+ * @param {number[]} years - The years to generate holidays for.
+ * @returns {Set<string>} The holiday dates as 'YYYY-MM-DD' strings.
+ */
+export function getPublicHolidays(stateCode, years) {
+    const holidays = new Set();
+    if (!stateCode) return holidays;
+
+    for (const year of years) {
+        const easter = easterSunday(year);
+        const dates = [];
+
+        // 1. Fixed-date national holidays, moved to the next weekday if they fall on a weekend.
+        const christmas = new Date(Date.UTC(year, 11, 25));
+        const boxingDay = new Date(Date.UTC(year, 11, 26));
+        for (const fixed of [new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 0, 26))]) {
+            const day = fixed.getUTCDay();
+            dates.push(fixed);
+            if (day === 6) dates.push(addDays(fixed, 2));
+            if (day === 0) dates.push(addDays(fixed, 1));
+        }
+        dates.push(christmas, boxingDay);
+        if (christmas.getUTCDay() === 6) dates.push(addDays(christmas, 2), addDays(christmas, 3)); // Mon and Tue
+        if (christmas.getUTCDay() === 0) dates.push(addDays(christmas, 2)); // Tue (Boxing Day is Mon)
+        if (christmas.getUTCDay() === 5) dates.push(addDays(christmas, 3)); // Boxing Day on Sat, observed Mon
+        dates.push(new Date(Date.UTC(year, 3, 25))); // Anzac Day
+
+        // 2. Easter.
+        dates.push(addDays(easter, -2), addDays(easter, 1)); // Good Friday, Easter Monday
+        if (['NSW', 'VIC', 'QLD', 'SA', 'ACT', 'NT'].includes(stateCode)) dates.push(addDays(easter, -1)); // Easter Saturday
+        if (['NSW', 'VIC', 'QLD', 'ACT', 'WA'].includes(stateCode)) dates.push(easter); // Easter Sunday
+
+        // 3. Labour Day and the King's Birthday, which vary by state.
+        const labourDay = {
+            VIC: nthWeekday(year, 3, 1, 2), TAS: nthWeekday(year, 3, 1, 2), WA: nthWeekday(year, 3, 1, 1),
+            QLD: nthWeekday(year, 5, 1, 1), NT: nthWeekday(year, 5, 1, 1),
+            NSW: nthWeekday(year, 10, 1, 1), ACT: nthWeekday(year, 10, 1, 1), SA: nthWeekday(year, 10, 1, 1),
+        }[stateCode];
+        if (labourDay) dates.push(labourDay);
+        if (stateCode === 'QLD') dates.push(nthWeekday(year, 10, 1, 1));
+        else if (stateCode === 'WA') dates.push(nthWeekday(year, 9, 1, -1));
+        else dates.push(nthWeekday(year, 6, 1, 2));
+
+        // 4. Other state and territory holidays.
+        switch (stateCode) {
+            case 'VIC':
+                dates.push(nthWeekday(year, 11, 2, 1)); // Melbourne Cup Day
+                break;
+            case 'ACT':
+                dates.push(nthWeekday(year, 3, 1, 2)); // Canberra Day
+                const may27 = new Date(Date.UTC(year, 4, 27));
+                dates.push(addDays(may27, (8 - may27.getUTCDay()) % 7)); // Reconciliation Day (first Monday on or after 27 May)
+                break;
+            case 'SA':
+                dates.push(nthWeekday(year, 3, 1, 2)); // Adelaide Cup Day
+                break;
+            case 'WA':
+                dates.push(nthWeekday(year, 6, 1, 1)); // Western Australia Day
+                break;
+            case 'NT':
+                dates.push(nthWeekday(year, 8, 1, 1)); // Picnic Day
+                break;
+        }
+
+        dates.forEach(date => holidays.add(toDateString(date)));
+    }
+    return holidays;
+}
+
+/**
+ * Parses a public holiday calendar file. ICS files (e.g. from a government calendar feed) are read from their
+ * VEVENT start and end dates. CSV files may use 'YYYY-MM-DD', 'YYYYMMDD' or 'DD/MM/YYYY' dates in any column;
+ * if the file has a 'Jurisdiction' or 'State' column (as in the data.gov.au holiday dataset), only rows for
+ * the selected state are kept.
+ * @param {string} text - The file contents.
+ * @param {string} [stateCode=''] - The selected state, used to filter multi-state CSV files.
+ * @returns {string[]} The holiday dates as 'YYYY-MM-DD' strings.
+ */
+export function parseHolidayFile(text, stateCode = '') {
+    const holidays = new Set();
+    const normaliseDate = value => {
+        let match = value.match(/(\d{4})-?(\d{2})-?(\d{2})/);
+        if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+        match = value.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        return null;
+    };
+
+    if (text.includes('BEGIN:VCALENDAR')) {
+        // --- ICS: each VEVENT has a DTSTART and an (exclusive) DTEND date ---
+        for (const event of text.split('BEGIN:VEVENT').slice(1)) {
+            const start = normaliseDate(event.match(/^DTSTART[^:\r\n]*:(\S+)/m)?.[1] || '');
+            if (!start) continue;
+            const end = normaliseDate(event.match(/^DTEND[^:\r\n]*:(\S+)/m)?.[1] || '');
+            let date = new Date(`${start}T00:00:00Z`);
+            const endDate = end ? new Date(`${end}T00:00:00Z`) : addDays(date, 1);
+            do {
+                holidays.add(toDateString(date));
+                date = addDays(date, 1);
+            } while (date < endDate);
+        }
+    } else {
+        // --- CSV: find a date on each row, filtering by jurisdiction if the file has one ---
+        const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+        const header = (rows[0] || []).map(cell => cell.toLowerCase());
+        const jurisdictionIndex = header.findIndex(cell => cell === 'jurisdiction' || cell === 'state');
+        for (const row of rows) {
+            if (jurisdictionIndex > -1 && stateCode && row[jurisdictionIndex] && row[jurisdictionIndex].toUpperCase() !== stateCode) continue;
+            const date = row.map(normaliseDate).find(Boolean);
+            if (date) holidays.add(date);
+        }
+    }
+    return [...holidays].sort();
+}
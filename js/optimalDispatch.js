@@ -0,0 +1,258 @@
+// js/optimalDispatch.js
+// Version 1.1.4
+// This module finds the cost-minimising battery schedule for a single day using dynamic programming
+// over a discretised state of charge. It gives an upper bound on what any operating mode could save,
+// so the greedy heuristic in `simulateDay` can be compared against the best achievable result.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { parseRangesToIntervals, getDynamicRate } from './utils.js';
+import { tariffComponents } from './tariffComponents.js';
+
+// The number of steps the usable battery capacity is divided into for the dynamic program.
+const SOC_STEPS = 20;
+// A tiny cost per kWh moved through the battery, so the optimiser prefers to sit idle when it makes no difference.
+const THROUGHPUT_TIE_BREAK = 1e-6;
+// The share of the cheapest import rate that energy left in the battery at the end of the day is valued at.
+// It is less than one so the battery uses its charge today rather than holding it when that saves the same.
+const CARRY_OVER_VALUE = 0.9;
+// The cost per kWh used to keep imports out of a special condition window (e.g. ZEROHERO).
+const WINDOW_IMPORT_PENALTY = 10;
+
+/**
+ * Builds the marginal rate for each interval of the day from a list of import or export rules.
+ * TOU, flat and dynamic rules are applied in order; tiered rules depend on the daily total rather than the
+ * time of day, so their rate is only used for intervals no other rule covers.
+ * @param {Array} rules - An array of rule objects from the provider's configuration.
+ * @param {number} intervalMinutes - The length of each interval in minutes.
+ * @param {number} numIntervals - The number of intervals in the day.
+ * @param {number[]|null} [intervalPrices=null] - The wholesale price for each interval, for dynamic rules.
+ * @returns {number[]} The rate ($/kWh) for each interval.
+ */
+function getIntervalRates(rules, intervalMinutes, numIntervals, intervalPrices = null) {
+    const rates = Array(numIntervals).fill(null);
+    let tieredRate = null;
+    for (const rule of rules || []) {
+        if (rule.type === 'tou') {
+            for (const i of parseRangesToIntervals(rule.hours || '', intervalMinutes)) {
+                if (rates[i] === null) rates[i] = rule.rate || 0;
+            }
+        } else if (rule.type === 'flat') {
+            for (let i = 0; i < numIntervals; i++) {
+                if (rates[i] === null) rates[i] = rule.rate || 0;
+            }
+        } else if (rule.type === 'dynamic' && intervalPrices) {
+            for (let i = 0; i < numIntervals; i++) {
+                if (rates[i] === null) rates[i] = getDynamicRate(rule, intervalPrices[i]);
+            }
+        } else if (rule.type === 'tiered' && tieredRate === null) {
+            tieredRate = rule.rate || 0;
+        }
+    }
+    return rates.map(r => (r === null ? (tieredRate ?? 0) : r));
+}
+
+/**
+ * Finds the 'import_in_window' special conditions that credit keeping imports below a threshold on the day.
+ * @param {object} provider - The provider tariff configuration.
+ * @param {number|undefined} month - The month of the day (1-12), or undefined if unknown.
+ * @returns {Array} The applicable condition objects.
+ */
+function getWindowCreditConditions(provider, month) {
+    return (provider.specialConditions || []).filter(c =>
+        c.condition?.metric === 'import_in_window' &&
+        ['less_than', 'less_than_or_equal_to'].includes(c.condition.operator) &&
+        c.action?.type === 'flat_credit' &&
+        (!month || !c.months || c.months.length === 0 || c.months.includes(month))
+    );
+}
+
+/**
+ * Runs the dynamic program for one set of interval rates and returns the optimal energy flows.
+ * The cost to go is worked out at evenly spaced states of charge, but the battery isn't held to them: each
+ * interval it may sit idle, charge or discharge at full power, exactly cover the house's net load or soak
+ * up the solar surplus, or move to any state within reach, with the cost to go between states interpolated.
+ * The schedule is then built from the actual state of charge, so no energy is lost or gained by rounding.
+ * Energy left in the battery at the end of the day is valued at `ctx.storedValue` per kWh, so the battery
+ * carries charge over to the next day rather than exporting it cheaply. Outside the intervals in
+ * `ctx.gridChargeAllowed` the battery can only charge from the solar surplus and any clipped solar
+ * (`ctx.intervalClippedSolar`) it can capture, which it takes first.
+ * @param {object} ctx - The day's optimisation context (see `optimiseDispatch`).
+ * @param {number[]} importRates - The import cost for each interval, including any penalties.
+ * @param {number[]} exportRates - The export credit for each interval.
+ * @returns {object} The interval imports/exports, curtailed export, energy charged from the grid, clipped solar
+ *   captured, and SOC results for the schedule.
+ */
+function solveSchedule(ctx, importRates, exportRates) {
+    const { intervalConsumption, intervalSolar, exportLimits, numIntervals, intervalMinutes, initialSOC, floorSOC, capacity, stepKWh, steps, storedValue, legEfficiency, maxTransfer, gridChargeAllowed, intervalClippedSolar } = ctx;
+
+    // Calculates the grid flows in interval `i` when the stored energy changes by `storedDelta` kWh.
+    const intervalFlow = (i, storedDelta) => {
+        const drawn = storedDelta > 0 ? storedDelta / legEfficiency : 0;
+        // Charge comes from clipped solar first, then the AC side of the house.
+        const clippedCaptured = Math.min(drawn, intervalClippedSolar[i] || 0);
+        const batteryFlow = storedDelta > 0 ? drawn - clippedCaptured : storedDelta * legEfficiency;
+        const net = (intervalConsumption[i] || 0) - (intervalSolar[i] || 0) + batteryFlow;
+        const surplus = Math.max(0, -net);
+        const gridExport = Math.min(surplus, exportLimits[i]);
+        // Whatever charge the solar surplus can't supply comes from the grid.
+        const gridCharge = Math.max(0, Math.min(batteryFlow, net));
+        return { gridImport: Math.max(0, net), gridExport: gridExport, curtailed: surplus - gridExport, gridCharge: gridCharge, clippedCaptured: clippedCaptured, throughput: drawn || Math.abs(batteryFlow) };
+    };
+
+    // Lists the changes in stored energy worth trying from `soc` in interval `i`.
+    const candidateDeltas = (i, soc) => {
+        const net = (intervalConsumption[i] || 0) - (intervalSolar[i] || 0);
+        const clipped = intervalClippedSolar[i] || 0;
+        const chargeSource = gridChargeAllowed[i] ? maxTransfer : Math.min(maxTransfer, clipped + Math.max(0, -net));
+        const maxCharge = Math.max(0, Math.min(chargeSource * legEfficiency, capacity - soc));
+        const maxDischarge = Math.max(0, Math.min(maxTransfer / legEfficiency, soc - floorSOC));
+        const deltas = [0, maxCharge, -maxDischarge, Math.min(maxCharge, clipped * legEfficiency)];
+        deltas.push(net > 0 ? -Math.min(maxDischarge, net / legEfficiency) : Math.min(maxCharge, (clipped - net) * legEfficiency));
+        if (steps > 0) {
+            const lowest = Math.max(0, Math.ceil((soc - maxDischarge - floorSOC) / stepKWh - 1e-9));
+            const highest = Math.min(steps, Math.floor((soc + maxCharge - floorSOC) / stepKWh + 1e-9));
+            for (let k = lowest; k <= highest; k++) deltas.push(floorSOC + k * stepKWh - soc);
+        }
+        return deltas;
+    };
+
+    // Interpolates the cost to go at `soc` from its values at the neighbouring states.
+    const costToGoAt = (costToGo, soc) => {
+        if (steps === 0) return costToGo[0];
+        const position = Math.min(steps, Math.max(0, (soc - floorSOC) / stepKWh));
+        const k = Math.min(steps - 1, Math.floor(position));
+        return costToGo[k] + (costToGo[k + 1] - costToGo[k]) * (position - k);
+    };
+
+    // Finds the cheapest move from `soc` in interval `i`, given the cost to go from the next interval.
+    const bestMove = (i, soc, nextCostToGo) => {
+        let best = null;
+        for (const storedDelta of candidateDeltas(i, soc)) {
+            const flow = intervalFlow(i, storedDelta);
+            const cost = flow.gridImport * importRates[i] - flow.gridExport * exportRates[i] + flow.throughput * THROUGHPUT_TIE_BREAK + costToGoAt(nextCostToGo, soc + storedDelta);
+            if (!best || cost < best.cost) best = { cost, storedDelta, flow };
+        }
+        return best;
+    };
+
+    // 1. Backward pass: costToGo[i][k] is the cheapest cost from interval i to the end of the day when starting
+    // at state k, less the value of the energy left in the battery.
+    const costToGo = Array(numIntervals + 1);
+    costToGo[numIntervals] = Array.from({ length: steps + 1 }, (_, k) => -(floorSOC + k * stepKWh) * storedValue);
+    for (let i = numIntervals - 1; i >= 0; i--) {
+        costToGo[i] = Array.from({ length: steps + 1 }, (_, k) => bestMove(i, floorSOC + k * stepKWh, costToGo[i + 1]).cost);
+    }
+
+    // 2. Forward pass: make the best move from the actual state of charge in each interval to build the schedule.
+    const schedule = { intervalImports: Array(numIntervals).fill(0), intervalExports: Array(numIntervals).fill(0), curtailedExportKWh: 0, gridChargeKWh: 0, clippedCapturedKWh: 0, socAt6am: 0 };
+    let soc = initialSOC;
+    for (let i = 0; i < numIntervals; i++) {
+        if (i * intervalMinutes === 360) schedule.socAt6am = soc;
+        const { storedDelta, flow } = bestMove(i, soc, costToGo[i + 1]);
+        schedule.intervalImports[i] = flow.gridImport;
+        schedule.intervalExports[i] = flow.gridExport;
+        schedule.curtailedExportKWh += flow.curtailed;
+        schedule.gridChargeKWh += flow.gridCharge;
+        schedule.clippedCapturedKWh += flow.clippedCaptured;
+        soc += storedDelta;
+    }
+    schedule.finalSOC = soc;
+    return schedule;
+}
+
+/**
+ * Finds the cost-minimising charge/discharge schedule for a day. The battery may charge from solar and
+ * discharge to the house or the grid, within its inverter limit, the discharge floor (minimum SOC and
+ * backup reserve) and the export limit. It charges from the grid only where the greedy modes may: in the
+ * provider's grid charging window (if enabled), and on dynamic tariffs while the import price is negative.
+ * How much it charges there is left to the optimiser; the grid charge threshold and trigger SOC, which
+ * steer the greedy modes, don't apply. Tariffs are priced per interval; where the provider offers a
+ * credit for avoiding imports in a window, a second schedule that keeps the window clear is also solved
+ * and whichever is cheaper overall is kept. A DC-coupled battery (`batteryConfig.dcCoupled`) can also
+ * charge from solar the solar inverter clips, as in the greedy modes.
+ * @param {number[]} intervalConsumption - Consumption (kWh) for each interval of the day.
+ * @param {number[]} intervalSolar - Solar generation (kWh) for each interval of the day.
+ * @param {object} provider - The provider tariff configuration.
+ * @param {object} batteryConfig - The battery configuration used by `simulateDay`.
+ * @param {number} initialSOC - The state of charge at the start of the day in kWh.
+ * @param {number[]} exportLimits - The maximum kWh that may be exported in each interval.
+ * @param {number} [month] - The month of the day (1-12), used to find the special conditions that apply.
+ * @param {number[]|null} [intervalPrices=null] - The wholesale price ($/kWh) for each interval, for dynamic tariffs.
+ * @param {number[]|null} [intervalClippedSolar=null] - DC energy lost to solar inverter clipping in each interval.
+ * @returns {object} `{ intervalImports, intervalExports, curtailedExportKWh, gridChargeKWh, clippedCapturedKWh, finalSOC, socAt6am }`.
+ */
+export function optimiseDispatch(intervalConsumption, intervalSolar, provider, batteryConfig, initialSOC, exportLimits, month, intervalPrices = null, intervalClippedSolar = null) {
+    const numIntervals = intervalConsumption.length || 24;
+    const intervalMinutes = 1440 / numIntervals;
+    const capacity = batteryConfig.capacity || 0;
+    const minSOC = capacity * ((batteryConfig.minSocPercent || 0) / 100);
+    const floorSOC = Math.min(capacity, Math.max(minSOC, capacity * ((batteryConfig.backupReservePercent || 0) / 100)));
+    const steps = capacity - floorSOC > 0 ? SOC_STEPS : 0;
+    const importRates = getIntervalRates(provider.importRules, intervalMinutes, numIntervals, intervalPrices);
+    const exportRates = getIntervalRates(provider.exportRules, intervalMinutes, numIntervals, intervalPrices);
+    const legEfficiency = Math.sqrt(batteryConfig.roundTripEfficiency ?? 1);
+
+    const ctx = {
+        intervalConsumption, intervalSolar, exportLimits, numIntervals, intervalMinutes, initialSOC, floorSOC, capacity, steps, legEfficiency,
+        // Only a DC-coupled battery can capture the solar inverter's clipped energy.
+        intervalClippedSolar: (batteryConfig.dcCoupled && intervalClippedSolar) || [],
+        stepKWh: steps > 0 ? (capacity - floorSOC) / steps : 0,
+        maxTransfer: (batteryConfig.inverterKW || 0) * (intervalMinutes / 60),
+        // Energy left at the end of the day will be used in the house tomorrow, at no less than the cheapest import rate.
+        storedValue: CARRY_OVER_VALUE * legEfficiency * Math.max(0, Math.min(...importRates)),
+        gridChargeAllowed: importRates.map((rate, i) => {
+            const hour = Math.floor(i * intervalMinutes / 60);
+            return rate < 0 || (provider.gridChargeEnabled && hour >= provider.gridChargeStart && hour < provider.gridChargeEnd);
+        }),
+    };
+    const candidates = [solveSchedule(ctx, importRates, exportRates)];
+
+    // Solve again with imports in any credit window heavily penalised.
+    const windowConditions = getWindowCreditConditions(provider, month);
+    if (windowConditions.length > 0) {
+        const penalisedRates = [...importRates];
+        for (const c of windowConditions) {
+            for (const i of parseRangesToIntervals(c.condition.hours || '', intervalMinutes)) {
+                penalisedRates[i] += WINDOW_IMPORT_PENALTY;
+            }
+        }
+        candidates.push(solveSchedule(ctx, penalisedRates, exportRates));
+    }
+
+    // Choose the candidate with the lowest cost under the full tariff rules, including window credits.
+    const dayCost = schedule => {
+        const breakdown = { ...schedule, intervalPrices: intervalPrices };
+        let cost = tariffComponents.IMPORT_RULES.calculate(provider.importRules || [], breakdown, { rate: 0, year: 1 });
+        cost -= tariffComponents.EXPORT_RULES.calculate(provider.exportRules || [], breakdown, 1, {}, rate => rate);
+        for (const c of windowConditions) {
+            const windowImport = parseRangesToIntervals(c.condition.hours || '', intervalMinutes).reduce((sum, i) => sum + schedule.intervalImports[i], 0);
+            const met = c.condition.operator === 'less_than' ? windowImport < c.condition.value : windowImport <= c.condition.value;
+            if (met) cost -= c.action.value;
+        }
+        return cost - (schedule.finalSOC - initialSOC) * ctx.storedValue;
+    };
+    return candidates.reduce((best, candidate) => (dayCost(candidate) < dayCost(best) ? candidate : best));
+}
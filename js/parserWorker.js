@@ -0,0 +1,83 @@
+// js/parserWorker.js
+// Version 1.1.4
+// This module runs as a Web Worker. It reads usage and solar files in chunks and parses them as they are
+// read, off the main thread, so large multi-year interval files don't freeze the page, and reports its progress.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { createDataFileParser } from './parsers.js';
+
+// How much of a file is read at a time.
+const CHUNK_BYTES = 4 * 1024 * 1024;
+// How many lines are parsed between progress reports.
+const PROGRESS_LINES = 5000;
+
+/**
+ * Reads a file a chunk at a time and passes each complete line to the parser as soon as it has been read,
+ * so the whole file is never held as one string. The decoder is streamed, so a character split across two
+ * chunks is still decoded correctly, and a line split across two chunks is held back until the rest arrives.
+ * @param {File} file - The file to read.
+ * @param {object} parser - The parser from `createDataFileParser`.
+ * @param {function} onProgress - Called now and then with the fraction of the file parsed.
+ * @returns {Promise<object>} The parser's result.
+ */
+async function parseFileInChunks(file, parser, onProgress) {
+    const decoder = new TextDecoder();
+    let partialLine = '';
+    for (let offset = 0; offset < file.size; offset += CHUNK_BYTES) {
+        const buffer = await file.slice(offset, offset + CHUNK_BYTES).arrayBuffer();
+        const lines = (partialLine + decoder.decode(buffer, { stream: true })).split(/\r?\n/);
+        // The last line may carry on in the next chunk.
+        partialLine = lines.pop();
+        const chunkBytes = Math.min(CHUNK_BYTES, file.size - offset);
+        lines.forEach((line, index) => {
+            if (index % PROGRESS_LINES === 0) onProgress((offset + chunkBytes * index / lines.length) / file.size);
+            parser.readLine(line);
+        });
+    }
+    parser.readLine(partialLine + decoder.decode());
+    onProgress(1);
+    return parser.finish();
+}
+
+/**
+ * Parses the files sent by `parseFilesInWorker` (in dataParser.js), one at a time. Posts
+ * `{ type: 'progress', name, fileIndex, fileCount, fraction }` while parsing each file, then
+ * `{ type: 'done', results }` with `{ name, result }` for each file, or `{ type: 'error', message }`.
+ * @param {MessageEvent} event - The message, with `{ kind, files, options }` for `createDataFileParser`.
+ */
+self.onmessage = async (event) => {
+    const { kind, files, options } = event.data;
+    try {
+        const results = [];
+        for (const [fileIndex, file] of files.entries()) {
+            const reportProgress = (fraction) => self.postMessage({ type: 'progress', name: file.name, fileIndex, fileCount: files.length, fraction });
+            results.push({ name: file.name, result: await parseFileInChunks(file, createDataFileParser(kind, options), reportProgress) });
+        }
+        self.postMessage({ type: 'done', results });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
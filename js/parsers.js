@@ -0,0 +1,1043 @@
+// js/parsers.js
+// Version 1.1.4
+// This module contains the parsers for the usage, solar and price files (NEM12, NEM13, CSV and inverter
+// exports) and the seasonal averages worked out from the parsed days. It only works on the text and data
+// it is given, without the page or the application state, so the engine, the parser worker and scripts
+// can use it on their own; dataParser.js wires it to the file inputs.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { parseDateString, detectDateFormat, getIntervalMinutes, resampleIntervals, getSeason, createTimestampConverter, isSkippedLocalTime } from './utils.js';
+import { SOLAR_CSV_FORMATS, detectSolarCsvFormat } from './solarFormats.js';
+import { generateHourlySolarProfileFromDaily } from './profiles.js';
+
+// Multipliers that convert each NEM12 unit of measure (the 200 record's UOM field) into kWh.
+const NEM12_UOM_TO_KWH = { KWH: 1, WH: 0.001, MWH: 1000 };
+// The NEM12 quality flags (the first letter of a quality method), and how they're counted in the report.
+const NEM12_QUALITY_NAMES = { A: 'actual', E: 'estimated', S: 'substituted', F: 'substituted', N: 'missing' };
+// Timezones in the National Electricity Market, where NEM12 files and AEMO prices are in market time (AEST, UTC+10) all year.
+const NEM_MARKET_TIMEZONES = ['Australia/Sydney', 'Australia/Melbourne', 'Australia/Brisbane', 'Australia/Adelaide', 'Australia/Hobart'];
+const NEM_MARKET_OFFSET_MINUTES = 600;
+// How many rows at the start of a CSV file are inspected when detecting its columns and date format.
+const CSV_DETECTION_ROWS = 200;
+// Values in an import/export type column that mark grid exports, and those that mark grid imports.
+const CSV_EXPORT_TYPE_PATTERN = /feed|export|generat|solar|sold|^B\d/i;
+const CSV_IMPORT_TYPE_PATTERN = /consum|import|usage|general|purchas|bought|peak|shoulder|^E\d/i;
+// Header names that suggest a column of energy readings, and those that suggest some other number.
+const CSV_ENERGY_HEADER_PATTERN = /kwh|wh\b|usage|consum|amount|energy|import|read|value|quantity/i;
+const CSV_OTHER_NUMBER_HEADER_PATTERN = /cost|\$|price|rate|charge|temp|volt|%|\bid\b|nmi|meter|quality|soc|interval|duration|length|cents/i;
+// How many lines are parsed between progress reports.
+const PARSE_PROGRESS_LINES = 5000;
+
+/**
+ * Works out the clock that meter data and wholesale prices from the market operator are recorded in:
+ * market time (AEST) in the NEM states, and local standard time elsewhere (e.g. WA).
+ * @param {string} timeZone - The IANA timezone of the analysis.
+ * @returns {string|number} A source for `createTimestampConverter`.
+ */
+function getMarketTimeSource(timeZone) {
+    return NEM_MARKET_TIMEZONES.includes(timeZone) ? NEM_MARKET_OFFSET_MINUTES : 'standard';
+}
+
+/**
+ * Moves interval data recorded on another clock (e.g. NEM12 market time) onto the local clock of a timezone.
+ * Each interval is moved whole, so during daylight saving the last hour of one day becomes the first hour of
+ * the next. Intervals the move leaves without data are listed as missing, except in the hour skipped when
+ * daylight saving starts, and the first and last days are dropped if the move leaves them incomplete.
+ * @param {Array<object>} days - Day objects with `consumption` and `feedIn` (and optionally `controlledLoad`) arrays.
+ * @param {string} timeZone - The IANA timezone to move the data into.
+ * @param {string|number} source - The clock the data is recorded on, as for `createTimestampConverter`.
+ * @returns {Array<object>} The days on the local clock, sorted by date.
+ */
+function convertDaysToLocalTime(days, timeZone, source) {
+    const toLocalTime = createTimestampConverter(timeZone, source);
+    const streams = ['consumption', 'feedIn', 'controlledLoad'];
+    const localDays = new Map();
+    for (const day of days) {
+        const intervalMinutes = day.intervalMinutes || 1440 / day.consumption.length;
+        const missing = new Set(day.missingIntervals || []);
+        const dayStart = Date.parse(`${day.date}T00:00:00Z`);
+        for (let i = 0; i < day.consumption.length; i++) {
+            const { date, minuteOfDay } = toLocalTime(new Date(dayStart + i * intervalMinutes * 60000));
+            if (!localDays.has(date)) {
+                localDays.set(date, { date, intervalMinutes, consumption: Array(1440 / intervalMinutes).fill(0), feedIn: Array(1440 / intervalMinutes).fill(0), covered: Array(1440 / intervalMinutes).fill(false), missing: new Set() });
+            }
+            const localDay = localDays.get(date);
+            const interval = Math.floor(minuteOfDay / localDay.intervalMinutes);
+            for (const stream of streams.filter(stream => day[stream])) {
+                if (!localDay[stream]) localDay[stream] = Array(localDay.consumption.length).fill(0);
+                localDay[stream][interval] += day[stream][i];
+            }
+            localDay.covered[interval] = true;
+            if (missing.has(i)) localDay.missing.add(interval);
+        }
+    }
+    const sortedDays = [...localDays.values()].sort((a, b) => a.date.localeCompare(b.date));
+    const isIncomplete = (day) => day.covered.some((covered, i) => !covered && !isSkippedLocalTime(timeZone, day.date, i * day.intervalMinutes));
+    return sortedDays.filter((day, index) => !((index === 0 || index === sortedDays.length - 1) && isIncomplete(day))).map(day => {
+        day.covered.forEach((covered, i) => { if (!covered && !isSkippedLocalTime(timeZone, day.date, i * day.intervalMinutes)) day.missing.add(i); });
+        const { covered, missing, ...localDay } = day;
+        if (missing.size > 0) localDay.missingIntervals = [...missing].sort((a, b) => a - b);
+        return localDay;
+    });
+}
+
+/**
+ * Parses a NEM12 format CSV file and transforms it into the interval format
+ * required by the calculator. Only the grid import (E1), grid export (B1) and
+ * controlled load (E2) data streams are kept, at the meter's native interval
+ * length (5, 15 or 30 minutes) instead of collapsing to hourly. Controlled load
+ * (e.g. an off-peak hot water circuit) is kept separate from general usage
+ * because it is billed at its own rate.
+ *
+ * Each 300 record is tied to the NMI and meter of the 200 record before it, so a file covering
+ * several NMIs gives one set of days per NMI. Readings are converted to kWh from the 200 record's
+ * unit of measure, and the quality of every interval (from the 300 record, or its 400 records when
+ * the quality varies through the day) is counted. Anything unexpected in the file is listed in the
+ * returned report rather than stopping the import.
+ * @param {string} csvText - The raw text content of the NEM12 file.
+ * @param {function} [onProgress] - Called now and then with the fraction of the file's lines parsed.
+ * @returns {object} `{ dailyDataByNmi, report }`: the days for each NMI (in the application's internal format,
+ *   sorted by date), and a validation report `{ problems, nmis }` where `nmis[nmi]` lists the NMI's meters and
+ *   the number of actual, estimated, substituted and missing intervals.
+ */
+export function parseNEM12(csvText, onProgress = () => {}) {
+    const reader = createNem12Reader();
+    readLines(csvText, reader.readLine, onProgress);
+    return reader.finish();
+}
+
+/**
+ * Creates a reader that parses a NEM12 file a line at a time, for `parseNEM12` and `createDataFileParser`.
+ * @returns {object} `{ readLine, finish }`: `readLine(line)` parses the file's next line, and `finish()` returns
+ *   the result of `parseNEM12`.
+ */
+function createNem12Reader() {
+    const problems = [];
+    // Collects the raw interval arrays for each NMI and date before they are merged into day records.
+    // Keyed NMI -> date -> "meter|suffix", so a re-sent reading replaces the earlier one instead of adding to it.
+    const rawDays = new Map();
+    const meters = new Map(); // NMI -> Set of meter serial numbers.
+
+    // Use these variables to track the state as we parse through the file
+    let hasHeader = false;
+    let hasEnd = false;
+    let currentStream = null; // The NMI, meter, stream suffix, unit and interval length from the last 200 record.
+    let lastReading = null; // The last 300 record's reading, which any 400 records that follow refer to.
+    let skippedStreamRecords = 0;
+    let lineNumber = 0;
+
+    const readLine = (line) => {
+        lineNumber++;
+        if (line.trim() === '') return;
+        // NEM12 files can be comma or tab-separated. Handle both.
+        const parts = line.includes('\t') ? line.split('\t') : line.split(',');
+        const recordType = parts[0].trim();
+
+        if (recordType === '100') {
+            hasHeader = true;
+            if ((parts[1] || '').trim() !== 'NEM12') {
+                problems.push(`Line ${lineNumber}: the header says the file is "${parts[1]}", not NEM12.`);
+            }
+        } else if (recordType === '200') {
+            // A 200 record describes the data stream that the following 300 records belong to.
+            lastReading = null;
+            const nmi = (parts[1] || '').trim();
+            const suffix = (parts[4] || '').trim(); // The 'Suffix' field, e.g., E1, B1, E2
+            const meterSerial = (parts[6] || '').trim();
+            const uom = (parts[7] || '').trim().toUpperCase();
+            const intervalLength = parseInt(parts[8], 10);
+            currentStream = null;
+            // We only care about grid import (E1), grid export (B1) and controlled load (E2).
+            // Ignore other streams like gross generation, as that comes from the solar file.
+            if (suffix !== 'E1' && suffix !== 'B1' && suffix !== 'E2') return;
+            if (!nmi) {
+                problems.push(`Line ${lineNumber}: a 200 record has no NMI; its readings were skipped.`);
+            } else if (!NEM12_UOM_TO_KWH[uom]) {
+                problems.push(`Line ${lineNumber}: ${nmi} ${suffix} is measured in "${parts[7]}", which isn't an energy unit (kWh, Wh or MWh); its readings were skipped.`);
+            } else if (![5, 15, 30].includes(intervalLength)) {
+                problems.push(`Line ${lineNumber}: ${nmi} ${suffix} has an interval length of "${parts[8]}" minutes; only 5, 15 and 30 are valid, so its readings were skipped.`);
+            } else {
+                currentStream = { nmi, meterSerial, suffix, unitMultiplier: NEM12_UOM_TO_KWH[uom], intervalLength };
+                if (!meters.has(nmi)) meters.set(nmi, new Set());
+                if (meterSerial) meters.get(nmi).add(meterSerial);
+            }
+        } else if (recordType === '300') {
+            // Process a 300 record, but only if its stream is relevant (E1, B1 or E2)
+            lastReading = null;
+            if (!currentStream) {
+                skippedStreamRecords++;
+                return;
+            }
+            const dateStr = (parts[1] || '').trim(); // YYYYMMDD format
+            const date = `${dateStr.substring(0, 4)}-${dateStr.substring(4, 6)}-${dateStr.substring(6, 8)}`;
+            if (!/^\d{8}$/.test(dateStr) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+                problems.push(`Line ${lineNumber}: "${parts[1]}" is not a valid interval date; the record was skipped.`);
+                return;
+            }
+
+            const numIntervalsPerDay = 1440 / currentStream.intervalLength;
+            if (parts.length < 2 + numIntervalsPerDay + 1) {
+                problems.push(`Line ${lineNumber}: ${currentStream.nmi} ${currentStream.suffix} on ${date} has fewer than ${numIntervalsPerDay} readings; the missing intervals were treated as zero.`);
+            }
+            // Always build a full day so the array length reflects the interval length, even on short rows.
+            const values = Array.from({ length: numIntervalsPerDay }, (_, i) => (parseFloat(parts[2 + i]) || 0) * currentStream.unitMultiplier);
+            // The quality method follows the readings, e.g. 'A' (actual) or 'E52'; 'V' means 400 records follow.
+            const qualityFlag = (parts[2 + numIntervalsPerDay] || 'A').trim().charAt(0).toUpperCase() || 'A';
+            const quality = Array(numIntervalsPerDay).fill(qualityFlag);
+            // A blank reading (or one past the end of a short row) is missing rather than zero.
+            values.forEach((_, i) => { if ((parts[2 + i] || '').trim() === '') quality[i] = 'N'; });
+
+            // Ensure we have a data structure for this NMI and date
+            if (!rawDays.has(currentStream.nmi)) rawDays.set(currentStream.nmi, new Map());
+            const nmiDays = rawDays.get(currentStream.nmi);
+            if (!nmiDays.has(date)) nmiDays.set(date, new Map());
+            const streamKey = `${currentStream.meterSerial}|${currentStream.suffix}`;
+            if (nmiDays.get(date).has(streamKey)) {
+                problems.push(`Line ${lineNumber}: ${currentStream.nmi} ${currentStream.suffix} has a second reading for ${date}; the later one was used.`);
+            }
+            lastReading = { suffix: currentStream.suffix, values, quality };
+            nmiDays.get(date).set(streamKey, lastReading);
+        } else if (recordType === '400') {
+            // A 400 record sets the quality of a range of intervals in the 300 record before it.
+            if (!lastReading) return;
+            const startInterval = parseInt(parts[1], 10);
+            const endInterval = parseInt(parts[2], 10);
+            const qualityFlag = (parts[3] || '').trim().charAt(0).toUpperCase();
+            if (!(startInterval >= 1 && endInterval >= startInterval && endInterval <= lastReading.quality.length) || !qualityFlag) {
+                problems.push(`Line ${lineNumber}: the 400 record's interval range or quality flag is invalid; it was ignored.`);
+                return;
+            }
+            lastReading.quality.fill(qualityFlag, startInterval - 1, endInterval);
+        } else if (recordType === '900') {
+            hasEnd = true;
+        }
+    };
+
+    const finish = () => {
+        if (!hasHeader) problems.push('The file has no 100 (header) record, so it may not be a complete NEM12 file.');
+        if (!hasEnd) problems.push('The file has no 900 (end) record, so it may have been cut short.');
+        if (skippedStreamRecords > 0 && rawDays.size === 0) {
+            problems.push('No grid import (E1), export (B1) or controlled load (E2) readings were found.');
+        }
+
+        // Merge each date's streams into a single day record at the finest interval length present.
+        const dailyDataByNmi = {};
+        const nmiReports = {};
+        for (const [nmi, nmiDays] of rawDays) {
+            const qualityCounts = { actual: 0, estimated: 0, substituted: 0, missing: 0 };
+            let unresolvedVariableIntervals = 0;
+            const dailyData = [];
+            for (const [date, streams] of nmiDays) {
+                const readings = [...streams.values()];
+                for (const reading of readings) {
+                    reading.quality.forEach((flag, i) => {
+                        if (flag === 'V') unresolvedVariableIntervals++;
+                        qualityCounts[NEM12_QUALITY_NAMES[flag] || 'actual']++;
+                        // Null data ('N') has no usable reading.
+                        if (flag === 'N') reading.values[i] = 0;
+                    });
+                }
+                const intervalMinutes = Math.min(...readings.map(reading => getIntervalMinutes(reading.values)));
+                const numIntervals = 1440 / intervalMinutes;
+                const sumStreams = (suffix) => readings.filter(reading => reading.suffix === suffix).reduce((total, reading) => {
+                    const resampled = resampleIntervals(reading.values, intervalMinutes);
+                    return total.map((v, i) => v + resampled[i]);
+                }, Array(numIntervals).fill(0));
+
+                const dayRecord = {
+                    date: date,
+                    intervalMinutes: intervalMinutes,
+                    consumption: sumStreams('E1'),
+                    feedIn: sumStreams('B1')
+                };
+                // Only meters with a controlled load circuit get the extra stream.
+                if (readings.some(reading => reading.suffix === 'E2')) dayRecord.controlledLoad = sumStreams('E2');
+                // List the usage intervals with null data so the data quality report can find (and fill) them.
+                const missingIntervals = new Set();
+                for (const reading of readings.filter(reading => reading.suffix === 'E1')) {
+                    const ratio = (1440 / reading.values.length) / intervalMinutes;
+                    reading.quality.forEach((flag, i) => {
+                        if (flag === 'N') for (let s = 0; s < ratio; s++) missingIntervals.add(i * ratio + s);
+                    });
+                }
+                if (missingIntervals.size > 0) dayRecord.missingIntervals = [...missingIntervals].sort((a, b) => a - b);
+                dailyData.push(dayRecord);
+            }
+            if (unresolvedVariableIntervals > 0) {
+                problems.push(`${nmi}: ${unresolvedVariableIntervals} intervals were marked as variable quality without a 400 record; they were counted as actual readings.`);
+            }
+            // Return the data in the application's standard internal format
+            dailyDataByNmi[nmi] = dailyData.sort((a, b) => a.date.localeCompare(b.date));
+            nmiReports[nmi] = { meters: [...(meters.get(nmi) || [])], days: dailyData.length, quality: qualityCounts };
+        }
+        return { dailyDataByNmi, report: { problems, nmis: nmiReports } };
+    };
+    return { readLine, finish };
+}
+
+/**
+ * Parses a NEM13 format file of accumulation (basic) meter reads. Each 250 record is one read of
+ * one register: the energy used between the previous and current read dates. Reads are converted
+ * to kWh from the record's unit of measure.
+ * @param {string} csvText - The raw text content of the NEM13 file.
+ * @returns {object} `{ registers, problems }`: one entry per NMI register, `{ key, nmi, suffix, registerId,
+ *   direction, period, reads: [{ startDate, endDate, kWh }] }` with `period` a first guess at the tariff period
+ *   it measures, and a list of problems found in the file.
+ */
+function parseNEM13(csvText) {
+    const reader = createNem13Reader();
+    readLines(csvText, reader.readLine);
+    return reader.finish();
+}
+
+/**
+ * Creates a reader that parses a NEM13 file a line at a time, for `parseNEM13` and `createDataFileParser`.
+ * @returns {object} `{ readLine, finish }`: `readLine(line)` parses the file's next line, and `finish()` returns
+ *   the result of `parseNEM13`.
+ */
+function createNem13Reader() {
+    const problems = [];
+    const registers = new Map();
+    let hasHeader = false;
+    let estimatedReads = 0;
+    // Read dates are 'YYYYMMDDhhmmss'; only the date matters for quarterly reads.
+    const toDate = (dateTime) => /^\d{8}/.test(dateTime || '') ? `${dateTime.substring(0, 4)}-${dateTime.substring(4, 6)}-${dateTime.substring(6, 8)}` : null;
+
+    let lineNumber = 0;
+
+    const readLine = (line) => {
+        lineNumber++;
+        if (line.trim() === '') return;
+        const parts = (line.includes('\t') ? line.split('\t') : line.split(',')).map(part => part.trim());
+
+        if (parts[0] === '100') {
+            hasHeader = true;
+            if (parts[1] !== 'NEM13') problems.push(`Line ${lineNumber}: the header says the file is "${parts[1]}", not NEM13.`);
+            return;
+        }
+        if (parts[0] !== '250') return;
+
+        const [, nmi, , registerId, suffix, , , direction, previousRead, previousDateTime, , , , currentRead, currentDateTime, currentQuality, , , quantity, uom] = parts;
+        const startDate = toDate(previousDateTime);
+        const endDate = toDate(currentDateTime);
+        const unitMultiplier = NEM12_UOM_TO_KWH[(uom || '').toUpperCase()];
+        if (!startDate || !endDate || endDate <= startDate) {
+            problems.push(`Line ${lineNumber}: ${nmi} ${suffix} has no valid read period; the read was skipped.`);
+            return;
+        }
+        if (!unitMultiplier) {
+            problems.push(`Line ${lineNumber}: ${nmi} ${suffix} is measured in "${uom}", which isn't an energy unit (kWh, Wh or MWh); the read was skipped.`);
+            return;
+        }
+        // The quantity is the energy used; if it's missing, fall back to the difference between the two reads.
+        const energy = quantity !== '' && quantity !== undefined ? parseFloat(quantity) : parseFloat(currentRead) - parseFloat(previousRead);
+        if (isNaN(energy) || energy < 0) {
+            problems.push(`Line ${lineNumber}: ${nmi} ${suffix} has no usable quantity for ${startDate} to ${endDate}; the read was skipped.`);
+            return;
+        }
+        if (/^[ESF]/i.test(currentQuality || '')) estimatedReads++;
+
+        const key = `${nmi} ${suffix}`;
+        if (!registers.has(key)) {
+            const register = { key, nmi, suffix, registerId, direction: (direction || 'E').toUpperCase(), reads: [] };
+            register.period = guessNem13RegisterPeriod(register);
+            registers.set(key, register);
+        }
+        registers.get(key).reads.push({ startDate, endDate, kWh: energy * unitMultiplier });
+    };
+
+    const finish = () => {
+        if (!hasHeader) problems.push('The file has no 100 (header) record, so it may not be a complete NEM13 file.');
+        if (estimatedReads > 0) problems.push(`Reads that were estimated or substituted rather than read from the meter: ${estimatedReads}.`);
+        return { registers: [...registers.values()], problems };
+    };
+    return { readLine, finish };
+}
+
+/**
+ * Makes a first guess at the tariff period a NEM13 register measures. Basic meter files don't say
+ * which register is peak or off-peak, so this only looks for hints in the register ID. Export
+ * registers are ignored, as manual mode works from consumption and solar generation.
+ * @param {object} register - A register from `parseNEM13`.
+ * @returns {string} 'peak', 'shoulder', 'offPeak', 'anytime' or 'ignore'.
+ */
+function guessNem13RegisterPeriod(register) {
+    const id = `${register.registerId || ''}`.toUpperCase();
+    if (register.direction === 'B') return 'ignore';
+    if (/OFF|^OP/.test(id)) return 'offPeak';
+    if (/SH/.test(id)) return 'shoulder';
+    if (/PEAK|^PK/.test(id)) return 'peak';
+    if (/CL|CONT/.test(id)) return 'ignore'; // Controlled load isn't part of the manual averages.
+    return 'anytime';
+}
+
+/**
+ * Turns NEM13 register reads into the average daily peak, shoulder and off-peak usage for each season,
+ * in the same shape as the manual mode inputs. Each read is spread evenly over the days it covers, so a
+ * quarterly read that straddles two seasons counts towards both. 'Anytime' registers are split across the
+ * periods in proportion to their hours. A season with no reads uses the register's overall average.
+ * @param {Array} registers - The registers from `parseNEM13`, each with its assigned `period`.
+ * @param {object} touHours - The peak and shoulder hours (`{ peak, shoulder }`), for splitting 'anytime' registers.
+ * @returns {object} Averages keyed by quarter (e.g. 'Q1_Summer'), each `{ avgPeak, avgShoulder, avgOffPeak }`.
+ */
+export function calculateNem13Averages(registers, touHours) {
+    const quarters = { Summer: 'Q1_Summer', Autumn: 'Q2_Autumn', Winter: 'Q3_Winter', Spring: 'Q4_Spring' };
+    const averages = {};
+    Object.values(quarters).forEach(q => averages[q] = { avgPeak: 0, avgShoulder: 0, avgOffPeak: 0 });
+    const offPeakHours = Math.max(0, 24 - touHours.peak.length - touHours.shoulder.length);
+    const periodShares = {
+        peak: { avgPeak: 1 },
+        shoulder: { avgShoulder: 1 },
+        offPeak: { avgOffPeak: 1 },
+        anytime: { avgPeak: touHours.peak.length / 24, avgShoulder: touHours.shoulder.length / 24, avgOffPeak: offPeakHours / 24 },
+    };
+
+    for (const register of registers) {
+        const shares = periodShares[register.period];
+        if (!shares) continue;
+        // 1. Spread each read evenly over the days it covers, totalling the energy and days per season.
+        const seasonTotals = {};
+        let totalKWh = 0;
+        let totalDays = 0;
+        for (const read of register.reads) {
+            const start = new Date(`${read.startDate}T00:00:00Z`);
+            const days = Math.round((new Date(`${read.endDate}T00:00:00Z`) - start) / 86400000);
+            for (let d = 0; d < days; d++) {
+                const season = getSeason(new Date(start.getTime() + d * 86400000).toISOString().split('T')[0]);
+                seasonTotals[season] = seasonTotals[season] || { kWh: 0, days: 0 };
+                seasonTotals[season].kWh += read.kWh / days;
+                seasonTotals[season].days++;
+            }
+            totalKWh += read.kWh;
+            totalDays += days;
+        }
+        // 2. Add the register's daily average for each season to the periods it's assigned to.
+        for (const [season, q] of Object.entries(quarters)) {
+            const seasonTotal = seasonTotals[season];
+            const dailyAverage = seasonTotal ? seasonTotal.kWh / seasonTotal.days : (totalDays > 0 ? totalKWh / totalDays : 0);
+            for (const [field, share] of Object.entries(shares)) {
+                averages[q][field] += dailyAverage * share;
+            }
+        }
+    }
+    return averages;
+}
+
+/**
+ * Works out the interval length of a time series from the minute-of-day of its timestamps.
+ * E.g., rows at :00 and :30 give 30 minutes, rows only on the hour give 60 minutes.
+ * @param {number[]} minutesOfDay - The minute-of-day (0-1439) of every timestamp in the file.
+ * @returns {number} The detected interval length in minutes (a divisor of 60, minimum 5).
+ */
+function detectIntervalMinutes(minutesOfDay) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    let interval = 60;
+    for (const minute of minutesOfDay) {
+        interval = gcd(interval, minute % 60);
+        if (interval <= 5) break;
+    }
+    return Math.max(5, interval);
+}
+
+/**
+ * A generic CSV parser that converts a CSV string into an array of objects.
+ * @param {string} csvText - The raw text content of the CSV file.
+ * @returns {Array<object>} An array of objects, where each object represents a row.
+ */
+function parseCSV(csvText) {
+    const reader = createCsvReader();
+    readLines(csvText, reader.readLine);
+    return reader.finish();
+}
+
+/**
+ * Creates a reader that parses a CSV file a line at a time, for `parseCSV` and `createDataFileParser`.
+ * The first non-empty line is the header row; empty lines are ignored.
+ * @returns {object} `{ readLine, finish }`: `readLine(line)` parses the file's next line, and `finish()` returns
+ *   the rows, as from `parseCSV`.
+ */
+function createCsvReader() {
+    const data = [];
+    let delimiter = null;
+    let headers = null;
+
+    const readLine = (line) => {
+        if (line.trim() === '') return;
+        if (!headers) {
+            // Use whichever of comma, semicolon or tab separates the header row (some portals export with semicolons).
+            delimiter = [',', ';', '\t'].reduce((best, d) => line.split(d).length > line.split(best).length ? d : best);
+            headers = line.split(delimiter).map(h => h.trim().replace(/"/g, ''));
+            return;
+        }
+        // Map each subsequent line to an object using the headers as keys.
+        const values = line.split(delimiter);
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] ? values[index].trim().replace(/"/g, '') : '';
+        });
+        data.push(row);
+    };
+    return { readLine, finish: () => data };
+}
+
+/**
+ * Passes each line of a file's text to a reader's `readLine`.
+ * @param {string} text - The raw text content of the file.
+ * @param {function} readLine - Called with each line, in order.
+ * @param {function} [onProgress] - Called now and then with the fraction of the lines read.
+ */
+function readLines(text, readLine, onProgress = () => {}) {
+    const lines = text.split(/\r?\n/);
+    lines.forEach((line, index) => {
+        if (index % PARSE_PROGRESS_LINES === 0) onProgress(index / lines.length);
+        readLine(line);
+    });
+}
+
+/**
+ * A helper function to find a value in a row object using multiple possible column headers.
+ * This adds flexibility if the CSV header names vary slightly (e.g., "Usage" vs "Usage in kWh").
+ * @param {object} row - The row object from the parsed CSV.
+ * @param {string[]} possibleHeaders - An array of possible header names to check.
+ * @returns {string|null} The value found, or null if no matching header is found.
+ */
+function findValueInRow(row, possibleHeaders) {
+    for (const header of possibleHeaders) {
+        if (row[header] !== undefined) {
+            return row[header];
+        }
+    }
+    return null;
+}
+
+/**
+ * Inspects the first rows of a CSV file and proposes the settings needed to read it: the date/time
+ * column and its date format, the column of energy readings, and (for usage files) the column that
+ * says whether each row is a grid import or export, with the values it uses for each.
+ *
+ * The date/time column is the one whose values parse as dates, preferring a "from"/"start" column
+ * over a "to"/"end" one. Dates whose first two parts are never above 12 could be day-first or
+ * month-first; these are read day-first and flagged with `dateFormatAmbiguous`.
+ * @param {Array<object>} csvData - The rows from `parseCSV`.
+ * @param {RegExp} valueHeaderPattern - Header names to prefer for the energy column (e.g., generation for a solar file).
+ * @returns {object} `{ dateTimeHeader, dateFormat, dateFormatAmbiguous, valueHeader, typeHeader, importIdentifiers,
+ *   exportIdentifiers }`. Headers are null (and identifier lists empty) when nothing suitable is found.
+ */
+function detectCsvColumns(csvData, valueHeaderPattern) {
+    const sample = csvData.slice(0, CSV_DETECTION_ROWS);
+    const headers = sample.length > 0 ? Object.keys(sample[0]) : [];
+    const valuesOf = (header) => sample.map(row => row[header]).filter(value => value !== '' && value !== undefined);
+    const isNumber = (value) => /^-?\d+(\.\d+)?$/.test(value);
+    const detected = { dateTimeHeader: null, dateFormat: null, dateFormatAmbiguous: false, valueHeader: null, typeHeader: null, importIdentifiers: [], exportIdentifiers: [] };
+
+    // 1. Score each column as a date/time column by how many of its values parse as dates.
+    let bestDateScore = 0;
+    for (const header of headers) {
+        const values = valuesOf(header);
+        if (values.length === 0) continue;
+        const format = detectDateFormat(values);
+        const parsedShare = values.filter(value => parseDateString(value, format)).length / values.length;
+        if (parsedShare < 0.8) continue;
+        const score = parsedShare * 10 + (/from|start|begin/i.test(header) ? 2 : 0) + (/date|time/i.test(header) ? 1 : 0) - (/\bto\b|end/i.test(header) ? 2 : 0);
+        if (score > bestDateScore) {
+            bestDateScore = score;
+            detected.dateTimeHeader = header;
+            detected.dateFormat = format;
+            // Day-first and month-first readings both being valid for every date means the order is a guess.
+            detected.dateFormatAmbiguous = format !== 'YYYY-MM-DD' &&
+                values.every(value => parseDateString(value, 'DD/MM/YYYY') && parseDateString(value, 'MM/DD/YYYY'));
+        }
+    }
+
+    // 2. Pick the numeric column that looks most like energy readings.
+    let bestValueScore = -Infinity;
+    for (const header of headers) {
+        const values = valuesOf(header);
+        if (header === detected.dateTimeHeader || values.length === 0) continue;
+        if (values.filter(isNumber).length / values.length < 0.8) continue;
+        const score = (valueHeaderPattern.test(header) ? 2 : 0) + (CSV_ENERGY_HEADER_PATTERN.test(header) ? 1 : 0) - (CSV_OTHER_NUMBER_HEADER_PATTERN.test(header) ? 3 : 0);
+        if (score > bestValueScore) {
+            bestValueScore = score;
+            detected.valueHeader = header;
+        }
+    }
+
+    // 3. Look for a text column with a handful of values that name imports and exports.
+    for (const header of headers) {
+        const values = valuesOf(header);
+        if (header === detected.dateTimeHeader || values.length === 0 || values.some(isNumber)) continue;
+        const distinct = [...new Set(values)];
+        if (distinct.length > 6) continue;
+        const exportIdentifiers = distinct.filter(value => CSV_EXPORT_TYPE_PATTERN.test(value));
+        const importIdentifiers = distinct.filter(value => !exportIdentifiers.includes(value) && CSV_IMPORT_TYPE_PATTERN.test(value));
+        if (importIdentifiers.length > 0) {
+            detected.typeHeader = header;
+            detected.importIdentifiers = importIdentifiers;
+            detected.exportIdentifiers = exportIdentifiers;
+            break;
+        }
+    }
+    return detected;
+}
+
+/**
+ * Checks the configured CSV options against a file and swaps any that don't fit it for the detected
+ * ones, so a file with different headers can be loaded without configuring anything first. Options
+ * that do fit the file are left alone.
+ * @param {Array<object>} csvData - The rows from `parseCSV`.
+ * @param {object} options - The configured `{ dateTimeHeader, dateFormat, valueHeaders }`, plus `typeHeader`,
+ *   `importIdentifiers` and `exportIdentifiers` for a usage file.
+ * @param {object} detected - The settings proposed by `detectCsvColumns`.
+ * @returns {object} `{ options, changed, warnings }`: the options to use, the names of those that were replaced,
+ *   and messages about settings the user should check.
+ */
+function fitCsvOptions(csvData, options, detected) {
+    const headers = csvData.length > 0 ? Object.keys(csvData[0]) : [];
+    const fitted = { ...options };
+    const changed = [];
+    const warnings = [];
+
+    // 1. The date/time column, then a date format that reads at least most of its first rows.
+    if (!headers.includes(fitted.dateTimeHeader) && detected.dateTimeHeader) {
+        fitted.dateTimeHeader = detected.dateTimeHeader;
+        changed.push('dateTimeHeader');
+    }
+    const dateValues = csvData.slice(0, CSV_DETECTION_ROWS).map(row => row[fitted.dateTimeHeader]).filter(Boolean);
+    const parsedShare = dateValues.filter(value => parseDateString(value, fitted.dateFormat)).length / Math.max(1, dateValues.length);
+    if (parsedShare < 0.8 && detected.dateFormat) {
+        fitted.dateFormat = detected.dateFormat;
+        changed.push('dateFormat');
+        if (detected.dateFormatAmbiguous) {
+            warnings.push(`The dates in this file could be day-first or month-first, so ${detected.dateFormat} was assumed. Change the date format if that's wrong.`);
+        }
+    }
+
+    // 2. The energy readings column.
+    if (!fitted.valueHeaders.some(header => headers.includes(header)) && detected.valueHeader) {
+        fitted.valueHeaders = [detected.valueHeader];
+        changed.push('valueHeaders');
+    }
+
+    // 3. The import/export type column and its values (usage files only). Without one, every row is an import.
+    if (fitted.typeHeader !== undefined) {
+        if (fitted.typeHeader !== '' && !headers.includes(fitted.typeHeader)) {
+            fitted.typeHeader = detected.typeHeader || '';
+            changed.push('typeHeader');
+            if (!detected.typeHeader) warnings.push('No import/export type column was found, so every reading was loaded as a grid import.');
+        }
+        if (fitted.typeHeader) {
+            const types = new Set(csvData.slice(0, CSV_DETECTION_ROWS).map(row => row[fitted.typeHeader]));
+            const useDetected = fitted.typeHeader === detected.typeHeader;
+            if (!fitted.importIdentifiers.some(id => types.has(id)) && useDetected) {
+                fitted.importIdentifiers = detected.importIdentifiers;
+                changed.push('importIdentifiers');
+            }
+            if (!fitted.exportIdentifiers.some(id => types.has(id)) && useDetected && detected.exportIdentifiers.length > 0) {
+                fitted.exportIdentifiers = detected.exportIdentifiers;
+                changed.push('exportIdentifiers');
+            }
+        }
+    }
+    if (!headers.includes(fitted.dateTimeHeader)) warnings.push('No date/time column could be found.');
+    if (!fitted.valueHeaders.some(header => headers.includes(header))) warnings.push('No column of kWh readings could be found.');
+    return { options: fitted, changed, warnings };
+}
+
+/**
+ * Parses an electricity usage CSV with the Advanced Usage CSV Options. Any option that doesn't fit the file
+ * is replaced with the setting detected from it.
+ * @param {Array<object>} csvData - The usage file's rows, as from `parseCSV`.
+ * @param {object} configuredOptions - The options from the UI, as passed to `fitCsvOptions`.
+ * @param {object} timeSettings - `{ timeZone, csvTimeBasis }` from `getTimeSettings` (dataParser.js).
+ * @returns {object} `{ days, options, changed, warnings }`: day objects `{ date, intervalMinutes, consumption, feedIn }`
+ *   sorted by date, and the result of `fitCsvOptions`.
+ */
+function parseUsageCsv(csvData, configuredOptions, timeSettings) {
+    const readings = [];
+    const dailyData = new Map();
+    const { options, changed, warnings } = fitCsvOptions(csvData, configuredOptions, detectCsvColumns(csvData, /usage|consum|import/i));
+    const { dateTimeHeader, dateFormat, typeHeader, valueHeaders: consumptionHeaders, importIdentifiers, exportIdentifiers } = options;
+    // Put each timestamp on the local clock of the chosen timezone (or use it as recorded if none is set).
+    const { timeZone, csvTimeBasis } = timeSettings;
+    const toLocalTime = createTimestampConverter(timeZone, csvTimeBasis);
+    for (const row of csvData) {
+        const dateTimeString = row[dateTimeHeader];
+        const dateTime = parseDateString(dateTimeString, dateFormat);
+        if (!dateTime || isNaN(dateTime.getTime())) continue;
+        const { date, minuteOfDay, instant } = toLocalTime(dateTime, typeHeader ? row[typeHeader] : '', dateTimeString);
+        readings.push({ date, minuteOfDay, instant, row });
+    }
+    // Bucket the rows at the file's own interval length rather than forcing them into hours.
+    const intervalMinutes = detectIntervalMinutes(readings.map(r => r.minuteOfDay));
+    const numIntervals = 1440 / intervalMinutes;
+    for (const { date, minuteOfDay, instant, row } of readings) {
+        if (!dailyData.has(date)) {
+            dailyData.set(date, { date: date, intervalMinutes: intervalMinutes, consumption: Array(numIntervals).fill(0), feedIn: Array(numIntervals).fill(0), readings: new Map() });
+        }
+        const day = dailyData.get(date);
+        const interval = Math.floor(minuteOfDay / intervalMinutes);
+        const valueString = findValueInRow(row, consumptionHeaders);
+        const value = parseFloat(valueString);
+        if (isNaN(value)) continue;
+        // With no type column every reading is an import.
+        const type = !typeHeader || importIdentifiers.includes(row[typeHeader]) ? 'import' : exportIdentifiers.includes(row[typeHeader]) ? 'export' : null;
+        if (!type) continue;
+        // A repeated reading for the same moment replaces the earlier one. (Readings from the hour repeated
+        // when daylight saving ends are different moments, so both count.)
+        const key = `${instant}|${type}|${row[typeHeader] || ''}`;
+        if (day.readings.has(key)) {
+            day.duplicateIntervals = day.duplicateIntervals || [];
+            if (!day.duplicateIntervals.includes(interval)) day.duplicateIntervals.push(interval);
+        }
+        day.readings.set(key, { interval, type, value });
+    }
+    for (const day of dailyData.values()) {
+        const hasReading = Array(numIntervals).fill(false);
+        for (const { interval, type, value } of day.readings.values()) {
+            if (type === 'import') day.consumption[interval] += value;
+            else day.feedIn[interval] += value;
+            hasReading[interval] = true;
+        }
+        // Intervals without any reading are listed so the data quality report can find (and fill) them,
+        // apart from the hour skipped when daylight saving starts, which has no readings on the local clock.
+        const missingIntervals = hasReading.map((has, i) => (has || isSkippedLocalTime(timeZone, day.date, i * intervalMinutes) ? -1 : i)).filter(i => i >= 0);
+        if (missingIntervals.length > 0) day.missingIntervals = missingIntervals;
+        delete day.readings;
+    }
+    let days = Array.from(dailyData.values()).sort((a, b) => a.date.localeCompare(b.date));
+    // Converting to another clock can leave the first and last days part-filled; they're dropped.
+    if (timeZone && csvTimeBasis !== 'local') {
+        days = days.filter((day, index) => !((index === 0 || index === days.length - 1) && day.missingIntervals));
+    }
+    return { days, options, changed, warnings };
+}
+
+/**
+ * Parses the text of one usage or solar file. This is the slow part of loading a file, which the
+ * parser worker (parserWorker.js) runs off the main thread; the results are merged and shown by the handlers.
+ * @param {string} kind - 'usage' or 'solar'.
+ * @param {string} text - The raw text content of the file.
+ * @param {object} options - The options for `createDataFileParser`.
+ * @param {function} [onProgress] - Called now and then with the fraction of the file parsed.
+ * @returns {object} The result of `parseNEM13`, `parseNEM12` (with the days on the local clock if a timezone is set),
+ *   `parseUsageCsv` or `parseSolarCsv`.
+ */
+export function parseDataFile(kind, text, options, onProgress = () => {}) {
+    const parser = createDataFileParser(kind, options);
+    readLines(text, parser.readLine, onProgress);
+    return parser.finish();
+}
+
+/**
+ * Creates a parser for one usage or solar file that is given the file a line at a time, so a large file can be
+ * parsed as it is read (see parserWorker.js) rather than held in memory as one string.
+ * @param {string} kind - 'usage' or 'solar'.
+ * @param {object} options - For usage files `{ format, csvOptions, timeSettings }`, where `format` is 'advanced',
+ *   'nem12' or 'nem13', `csvOptions` is from `getUsageCsvOptions` and `timeSettings` from `getTimeSettings` (dataParser.js).
+ *   For solar files, the options of `parseSolarCsv`.
+ * @returns {object} `{ readLine, finish }`: `readLine(line)` parses the file's next line, and `finish()` returns the
+ *   result, as for `parseDataFile`.
+ */
+export function createDataFileParser(kind, options) {
+    if (kind === 'solar') {
+        const reader = createCsvReader();
+        return { readLine: reader.readLine, finish: () => parseSolarCsv(reader.finish(), options) };
+    }
+    if (options.format === 'nem13') return createNem13Reader();
+    if (options.format === 'nem12') {
+        const reader = createNem12Reader();
+        const finish = () => {
+            const { dailyDataByNmi, report } = reader.finish();
+            // NEM12 readings are in market time; move them onto the local clock if a timezone is set.
+            const { timeZone } = options.timeSettings;
+            if (timeZone) {
+                for (const nmi of Object.keys(dailyDataByNmi)) {
+                    dailyDataByNmi[nmi] = convertDaysToLocalTime(dailyDataByNmi[nmi], timeZone, getMarketTimeSource(timeZone));
+                    report.nmis[nmi].days = dailyDataByNmi[nmi].length;
+                }
+            }
+            return { dailyDataByNmi, report };
+        };
+        return { readLine: reader.readLine, finish };
+    }
+    const reader = createCsvReader();
+    return { readLine: reader.readLine, finish: () => parseUsageCsv(reader.finish(), options.csvOptions, options.timeSettings) };
+}
+
+/**
+ * Parses a solar generation CSV into the interval format required by the calculator. The columns are
+ * found from one of the known inverter portal exports (see solarFormats.js) or, for a 'custom' file,
+ * from the date/time header, date format and generation headers given. Exports that also record the
+ * household load and battery charging/discharging keep those too, at the same interval length.
+ * @param {Array<object>} csvData - The solar file's rows, as from `parseCSV`.
+ * @param {object} options - `{ format, dateTimeHeader, dateFormat, generationHeaders, timeZone, csvTimeBasis }`. `format` is
+ *   a key of `SOLAR_CSV_FORMATS`, 'auto' to detect it from the header row (falling back to 'custom'), or 'custom'.
+ *   Custom files use the header and date options, except any that don't fit the file, which are detected from it
+ *   instead. `timeZone` and `csvTimeBasis` are passed to `createTimestampConverter` (an empty `timeZone` uses the
+ *   timestamps as recorded).
+ * @returns {object} `{ days, format, fit }`: day objects `{ date, intervalMinutes, generation }` (plus `load`,
+ *   `batteryCharge` and `batteryDischarge` arrays when the file has them) sorted by date, the format used, and
+ *   for custom files the result of `fitCsvOptions` (null otherwise).
+ */
+function parseSolarCsv(csvData, options) {
+    const headers = csvData.length > 0 ? Object.keys(csvData[0]) : [];
+    const formatKey = options.format === 'auto' ? (detectSolarCsvFormat(headers) || 'custom') : options.format;
+    const format = SOLAR_CSV_FORMATS[formatKey];
+
+    // 1. Work out where the date/time and each energy column are, and what units they're in.
+    let getDateTimeString;
+    let dateFormat;
+    let fit = null;
+    const columns = {};
+    if (format) {
+        if (typeof format.dateTime === 'function') {
+            getDateTimeString = format.dateTime;
+        } else {
+            const dateTimeHeader = headers.find(h => format.dateTime.test(h));
+            getDateTimeString = (row) => row[dateTimeHeader];
+        }
+        dateFormat = format.dateFormat;
+        for (const [name, column] of Object.entries(format.columns)) {
+            const header = headers.find(h => column.header.test(h));
+            if (header) columns[name] = { header, unit: column.unit };
+        }
+    } else {
+        fit = fitCsvOptions(csvData, { dateTimeHeader: options.dateTimeHeader, dateFormat: options.dateFormat, valueHeaders: options.generationHeaders },
+            detectCsvColumns(csvData, /gener|produc|solar|pv|yield/i));
+        getDateTimeString = (row) => row[fit.options.dateTimeHeader];
+        dateFormat = fit.options.dateFormat;
+        const generationHeader = fit.options.valueHeaders.find(h => headers.includes(h));
+        if (generationHeader) columns.generation = { header: generationHeader, unit: 'kWh' };
+    }
+    if (!columns.generation) {
+        throw new Error(`No generation column was found in the ${format ? format.label : 'solar'} file.`);
+    }
+    if (dateFormat === 'auto') dateFormat = detectDateFormat(csvData.slice(0, 500).map(getDateTimeString));
+
+    // 2. Collect the valid, timestamped rows before the interval length is known.
+    const readings = [];
+    const toLocalTime = createTimestampConverter(options.timeZone || '', options.csvTimeBasis || 'local');
+    for (const row of csvData) {
+        const dateTimeString = getDateTimeString(row);
+        const dateTime = parseDateString(dateTimeString, dateFormat);
+        // Skip rows with invalid or unparsable dates (including unit rows under the headers).
+        if (!dateTime || isNaN(dateTime.getTime())) continue;
+        // Get the local date and minute of the day for aggregation.
+        const { date, minuteOfDay, instant } = toLocalTime(dateTime, '', dateTimeString);
+        readings.push({ date, minuteOfDay, instant, row });
+    }
+    if (readings.length === 0) throw new Error('No rows with a valid date/time were found in the solar file.');
+    // A repeated reading for the same moment replaces the earlier row, as it does in the usage file.
+    const latestReadings = new Map();
+    const duplicateMinutes = new Map();
+    for (const reading of readings) {
+        const key = reading.instant;
+        if (latestReadings.has(key)) {
+            if (!duplicateMinutes.has(reading.date)) duplicateMinutes.set(reading.date, new Set());
+            duplicateMinutes.get(reading.date).add(reading.minuteOfDay);
+        }
+        latestReadings.set(key, reading);
+    }
+
+    // 3. Add each reading to its interval, keeping the file's native interval length (e.g., 5-minute inverter data).
+    const intervalMinutes = detectIntervalMinutes(readings.map(r => r.minuteOfDay));
+    const numIntervals = 1440 / intervalMinutes;
+    // Energy columns are converted to kWh; power columns are average power over the interval.
+    const toKWh = { kWh: 1, Wh: 0.001, kW: intervalMinutes / 60, W: intervalMinutes / 60000 };
+    const outputs = ['generation', 'load', 'batteryCharge', 'batteryDischarge'].filter(name =>
+        columns[name] || (columns.batteryPower && name.startsWith('battery')));
+    // Use a Map to efficiently aggregate data by date.
+    const dailyData = new Map();
+    for (const { date, minuteOfDay, row } of latestReadings.values()) {
+        // If this is the first entry for a date, initialize its data structure.
+        if (!dailyData.has(date)) {
+            const day = { date: date, intervalMinutes: intervalMinutes, rowCount: 0 };
+            outputs.forEach(name => day[name] = Array(numIntervals).fill(0));
+            dailyData.set(date, day);
+        }
+        const day = dailyData.get(date);
+        const interval = Math.floor(minuteOfDay / intervalMinutes);
+        const readColumn = (name) => parseFloat(row[columns[name].header]) * toKWh[columns[name].unit];
+
+        const generation = readColumn('generation');
+        if (!isNaN(generation)) {
+            day.generation[interval] += generation;
+            day.rowCount++;
+        }
+        for (const name of ['load', 'batteryCharge', 'batteryDischarge']) {
+            const value = columns[name] ? readColumn(name) : NaN;
+            if (!isNaN(value)) day[name][interval] += Math.abs(value);
+        }
+        // A signed battery power column is positive while discharging and negative while charging.
+        const batteryPower = columns.batteryPower ? readColumn('batteryPower') : NaN;
+        if (!isNaN(batteryPower)) {
+            if (batteryPower > 0) day.batteryDischarge[interval] += batteryPower;
+            else day.batteryCharge[interval] -= batteryPower;
+        }
+    }
+
+    // 4. Post-processing step: Check for and distribute daily total entries.
+    // Some systems export a single daily total at midnight instead of interval data.
+    for (const day of dailyData.values()) {
+        const totalForDay = day.generation.reduce((a,b) => a + b, 0);
+        // If a day has only one data row and all the energy is at midnight...
+        if (day.rowCount === 1 && day.generation[0] === totalForDay && totalForDay > 0) {
+            const month = parseInt(day.date.split('-')[1], 10);
+            const season = [12,1,2].includes(month) ? 'Q1_Summer' : [3,4,5].includes(month) ? 'Q2_Autumn' : [6,7,8].includes(month) ? 'Q3_Winter' : 'Q4_Spring';
+            // ...replace the data with a realistic solar curve for that season.
+            day.generation = resampleIntervals(generateHourlySolarProfileFromDaily(totalForDay, season), intervalMinutes);
+        }
+        delete day.rowCount;
+        if (duplicateMinutes.has(day.date)) {
+            day.duplicateIntervals = [...new Set([...duplicateMinutes.get(day.date)].map(minute => Math.floor(minute / intervalMinutes)))];
+        }
+    }
+
+    // Convert the Map to an array, sorted by date.
+    return { days: Array.from(dailyData.values()).sort((a, b) => a.date.localeCompare(b.date)), format: formatKey, fit };
+}
+
+/**
+ * Parses a wholesale price CSV into daily interval price arrays. AEMO aggregated price and demand files
+ * (REGION, SETTLEMENTDATE, RRP...) are recognised directly: RRP is in $/MWh and each SETTLEMENTDATE marks the
+ * end of its interval. Other files need a date/time column (interval start) and a price column; a price header
+ * mentioning MWh or c/kWh is converted, otherwise prices are taken as $/kWh. Intervals missing from a day are
+ * filled with that day's average price. With a timezone set, AEMO prices are moved from market time onto the
+ * local clock (other files are read as the CSV timestamp setting says), so the hour repeated when daylight saving
+ * ends averages both hours' prices.
+ * @param {string} csvText - The raw text content of the price file.
+ * @param {object} [timeSettings={}] - `{ timeZone, csvTimeBasis }` from `getTimeSettings` (dataParser.js).
+ * @returns {Array<object>} An array of `{ date, intervalMinutes, prices }` day objects, with prices in $/kWh.
+ * @throws {Error} If the date/time or price column can't be found.
+ */
+export function parsePriceCsv(csvText, timeSettings = {}) {
+    const csvData = parseCSV(csvText);
+    if (csvData.length === 0) return [];
+
+    // 1. Find the date/time and price columns, and the units the prices are in.
+    const headers = Object.keys(csvData[0]);
+    const findHeader = patterns => patterns.map(p => headers.find(h => p.test(h))).find(Boolean);
+    const dateTimeHeader = findHeader([/^SETTLEMENTDATE$/i, /interval.?start/i, /date.?time/i, /timestamp/i, /^date$/i]);
+    const priceHeader = findHeader([/^RRP$/i, /spot/i, /price/i]);
+    if (!dateTimeHeader || !priceHeader) {
+        throw new Error("Couldn't find a date/time column and a price column in the price file.");
+    }
+    const isIntervalEnding = /^SETTLEMENTDATE$/i.test(dateTimeHeader);
+    const priceScale = /^RRP$/i.test(priceHeader) || /mwh/i.test(priceHeader) ? 1 / 1000 : /c\/kwh|cents/i.test(priceHeader) ? 1 / 100 : 1;
+
+    // 2. Read every valid row, trying ISO and then Australian date order.
+    const readings = [];
+    for (const row of csvData) {
+        const dateTime = parseDateString(row[dateTimeHeader], 'YYYY-MM-DD') || parseDateString(row[dateTimeHeader], 'DD/MM/YYYY');
+        const price = parseFloat(row[priceHeader]);
+        if (!dateTime || isNaN(dateTime.getTime()) || isNaN(price)) continue;
+        readings.push({ dateTime, dateString: row[dateTimeHeader], price: price * priceScale });
+    }
+    const intervalMinutes = detectIntervalMinutes(readings.map(r => r.dateTime.getUTCHours() * 60 + r.dateTime.getUTCMinutes()));
+    const numIntervals = 1440 / intervalMinutes;
+
+    // 3. Average the prices into each day's intervals (moving interval-ending timestamps back to the interval start).
+    const dailyData = new Map();
+    const toLocalTime = createTimestampConverter(timeSettings.timeZone || '', isIntervalEnding ? getMarketTimeSource(timeSettings.timeZone) : (timeSettings.csvTimeBasis || 'local'));
+    for (const { dateTime, dateString, price } of readings) {
+        const start = isIntervalEnding ? new Date(dateTime.getTime() - intervalMinutes * 60000) : dateTime;
+        const { date, minuteOfDay } = toLocalTime(start, '', dateString);
+        if (!dailyData.has(date)) {
+            dailyData.set(date, { date: date, intervalMinutes: intervalMinutes, totals: Array(numIntervals).fill(0), counts: Array(numIntervals).fill(0) });
+        }
+        const day = dailyData.get(date);
+        const interval = Math.floor(minuteOfDay / intervalMinutes);
+        day.totals[interval] += price;
+        day.counts[interval]++;
+    }
+    return Array.from(dailyData.values()).map(day => {
+        const knownIntervals = day.counts.map((count, i) => (count > 0 ? i : -1)).filter(i => i >= 0);
+        const dayAverage = knownIntervals.reduce((sum, i) => sum + day.totals[i] / day.counts[i], 0) / knownIntervals.length;
+        const prices = day.totals.map((total, i) => (day.counts[i] > 0 ? total / day.counts[i] : dayAverage));
+        return { date: day.date, intervalMinutes: day.intervalMinutes, prices: prices };
+    }).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Calculates average daily consumption and solar generation for each quarter/season
+ * based on the parsed CSV data. This is used for heuristic calculations.
+ * @param {Array} electricityData - The parsed interval electricity data.
+ * @param {Array} solarData - The parsed interval solar data.
+ * @param {object} touHours - An object defining peak and shoulder hours.
+ * @returns {object|null} An object containing the calculated averages for each quarter, or null if data is missing.
+ */
+export function calculateQuarterlyAverages(electricityData, solarData, touHours) {
+    if (!electricityData || !solarData) return null;
+    
+    // Initialize data structure to aggregate totals.
+    const quarterlyData = {
+        Q1_Summer: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
+        Q2_Autumn: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
+        Q3_Winter: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
+        Q4_Spring: { days: 0, peak: 0, shoulder: 0, offPeak: 0, solar: 0 },
+    };
+    // Use a Map for efficient lookup of a day's total solar generation.
+    const solarDataMap = new Map(solarData.map(day => [day.date, day.generation.reduce((a, b) => a + b, 0)]));
+
+    electricityData.forEach(day => {
+        // Determine the season for the current day.
+        const month = parseInt(day.date.split('-')[1], 10);
+        let season;
+        if ([12, 1, 2].includes(month)) season = 'Q1_Summer';
+        else if ([3, 4, 5].includes(month)) season = 'Q2_Autumn';
+        else if ([6, 7, 8].includes(month)) season = 'Q3_Winter';
+        else season = 'Q4_Spring';
+        
+        const q = quarterlyData[season];
+        q.days++;
+        q.solar += solarDataMap.get(day.date) || 0;
+        
+        // Reconstruct true consumption and categorize it into TOU periods.
+        const numIntervals = day.consumption.length;
+        const intervalMinutes = getIntervalMinutes(day.consumption);
+        for (let i = 0; i < numIntervals; i++) {
+            const h = Math.floor(i * intervalMinutes / 60);
+            // True consumption = Grid Import + Self-Consumed Solar
+            const consumption = day.consumption[i] + Math.max(0, (solarDataMap.get(day.date) || 0) / numIntervals - day.feedIn[i]);
+            if (touHours.peak.includes(h)) q.peak += consumption;
+            else if (touHours.shoulder.includes(h)) q.shoulder += consumption;
+            else q.offPeak += consumption;
+        }
+    });
+
+    // Calculate the final daily averages for each quarter.
+    const result = {};
+    for (const q in quarterlyData) {
+        const data = quarterlyData[q];
+        result[q] = {
+            avgPeak: data.days > 0 ? data.peak / data.days : 0,
+            avgShoulder: data.days > 0 ? data.shoulder / data.days : 0,
+            avgOffPeak: data.days > 0 ? data.offPeak / data.days : 0,
+            avgSolar: data.days > 0 ? data.solar / data.days : 0
+        };
+    }
+    return result;
+}
\ No newline at end of file
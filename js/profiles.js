@@ -42,8 +42,8 @@ export function generateHourlyConsumptionProfileFromDailyTOU(dailyPeak, dailySho
     const hourlyConsumption = Array(24).fill(0);
 
     // Find the rules that define the peak and shoulder periods.
-    const peakRule = (importRules || []).find(r => r.name.toLowerCase().includes('peak'));
-    const shoulderRule = (importRules || []).find(r => r.name.toLowerCase().includes('shoulder'));
+    const peakRule = (importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('peak'));
+    const shoulderRule = (importRules || []).find(r => r.type !== 'demand' && r.name.toLowerCase().includes('shoulder'));
 
     // Parse the hour ranges from the rules into arrays of numbers (0-23).
     const peakHours = peakRule ? parseRangesToHours(peakRule.hours) : [];
@@ -32,6 +32,10 @@
 const PROVIDERS_KEY = 'roiAnalyzer_providers';
 const DEFAULTS_LOADED_KEY = 'roiAnalyzer_defaults_loaded';
 
+// CDR prices are published exclusive of GST; this converts them to the GST-inclusive rates used here.
+const GST_MULTIPLIER = 1.1;
+const ALL_DAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
 // A hardcoded array of default provider configurations.
 // This is used to populate the application with initial data on first use.
 const defaultProviders = [
@@ -45,6 +49,8 @@ const defaultProviders = [
         dailyCharge: 1.1605,
         rebate: 0,
         monthlyFee: 0,
+        controlledLoadRate: 0,
+        controlledLoadDailyCharge: 0,
         importRules: [
             { type: 'tou', name: 'Peak', rate: 0.59653, hours: '7am-10am, 4pm-10pm' },
             { type: 'tou', name: 'Shoulder', rate: 0.29425, hours: '10am-4pm' },
@@ -57,7 +63,13 @@ const defaultProviders = [
 		specialConditions: [], 
         gridChargeEnabled: false,
         gridChargeStart: 1,
-        gridChargeEnd: 5
+        gridChargeEnd: 5,
+        dispatchStrategy: 'self_consumption',
+        demandShaving: false,
+        priceSpikeThreshold: 1,
+        exportLimitType: 'none',
+        exportLimitKW: 5,
+        exportLimitSchedule: ''
     },
     {
         id: "GloBird",
@@ -70,6 +82,8 @@ const defaultProviders = [
         rebate: 1500,
         zeroHeroCredit: -1.00,
         monthlyFee: 0,
+        controlledLoadRate: 0,
+        controlledLoadDailyCharge: 0,
         importRules: [
             { type: 'tou', name: 'Peak Import', rate: 0.528, hours: '3pm-11pm' },
             { type: 'tou', name: 'Shoulder Import', rate: 0.396, hours: '7am-11am, 10pm-12am' },
@@ -112,7 +126,13 @@ const defaultProviders = [
 			}], 
         gridChargeEnabled: true,
         gridChargeStart: 11,
-        gridChargeEnd: 15
+        gridChargeEnd: 15,
+        dispatchStrategy: 'self_consumption',
+        demandShaving: false,
+        priceSpikeThreshold: 1,
+        exportLimitType: 'none',
+        exportLimitKW: 5,
+        exportLimitSchedule: ''
     },
     {
         id: "Amber",
@@ -124,16 +144,26 @@ const defaultProviders = [
         dailyCharge: 1.091,
         monthlyFee: 25,
         rebate: 1500,
+        controlledLoadRate: 0,
+        controlledLoadDailyCharge: 0,
         importRules: [
+            { type: 'dynamic', name: 'Wholesale Import', rate: 0.22, multiplier: 1.1 },
             { type: 'flat', name: 'Average Import', rate: 0.355 }
         ],
         exportRules: [
+            { type: 'dynamic', name: 'Wholesale Export', rate: -0.01, multiplier: 1 },
             { type: 'flat', name: 'Average Export', rate: 0.007 }
         ],
 		specialConditions: [], 
         gridChargeEnabled: false,
         gridChargeStart: 23,
-        gridChargeEnd: 5
+        gridChargeEnd: 5,
+        dispatchStrategy: 'self_consumption',
+        demandShaving: false,
+        priceSpikeThreshold: 1,
+        exportLimitType: 'none',
+        exportLimitKW: 5,
+        exportLimitSchedule: ''
     },
     {
         id: "AGL",
@@ -145,6 +175,8 @@ const defaultProviders = [
         dailyCharge: 1.2,
         rebate: 0,
         monthlyFee: 0,
+        controlledLoadRate: 0,
+        controlledLoadDailyCharge: 0,
         importRules: [
             { type: 'tou', name: 'Peak', rate: 0.5, hours: '3pm-11pm' },
             { type: 'tou', name: 'Shoulder', rate: 0.3, hours: '7am-11am, 11pm-12am' },
@@ -156,7 +188,13 @@ const defaultProviders = [
 		specialConditions: [], 
         gridChargeEnabled: false,
         gridChargeStart: 0,
-        gridChargeEnd: 7
+        gridChargeEnd: 7,
+        dispatchStrategy: 'self_consumption',
+        demandShaving: false,
+        priceSpikeThreshold: 1,
+        exportLimitType: 'none',
+        exportLimitKW: 5,
+        exportLimitSchedule: ''
     },
 ];
 
@@ -219,4 +257,249 @@ export function initializeDefaultProviders() {
         saveAllProviders(defaultProviders);
         localStorage.setItem(DEFAULTS_LOADED_KEY, 'true');
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Converts a CDR time of day ("HH:MM" or "HHMM") into a time string our range parser understands, e.g. "6:30pm".
+ * CDR end times are usually inclusive ("15:59"), so a time one minute short of the hour is rounded up.
+ * @param {string} cdrTime - The time from the CDR file.
+ * @param {boolean} [isEndTime=false] - True if this is the end of a window.
+ * @returns {string|null} The formatted time, or null if it can't be parsed.
+ */
+function formatCdrTime(cdrTime, isEndTime = false) {
+    const match = String(cdrTime || '').match(/^(\d{1,2}):?(\d{2})/);
+    if (!match) return null;
+    let minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    if (isEndTime && minutes % 60 === 59) minutes += 1;
+    const hour = Math.floor(minutes / 60) % 24;
+    const minute = minutes % 60;
+    const suffix = hour < 12 ? 'am' : 'pm';
+    return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''}${suffix}`;
+}
+
+/**
+ * Converts a list of CDR time windows into our comma-separated hours string (e.g. "7am-10am, 4pm-10pm").
+ * Windows that only apply on some days of the week are still included, but reported as a warning.
+ * @param {Array} windows - CDR `timeOfUse` or `timeVariations` entries ({ days, startTime, endTime }).
+ * @param {string} ruleName - The name of the rule, for warning messages.
+ * @param {string[]} warnings - The list to add any warnings to.
+ * @returns {string} The hours string.
+ */
+function cdrWindowsToHours(windows, ruleName, warnings) {
+    const ranges = [];
+    for (const window of windows || []) {
+        const start = formatCdrTime(window.startTime);
+        const end = formatCdrTime(window.endTime, true);
+        if (!start || !end) {
+            warnings.push(`"${ruleName}": a time window (${window.startTime}-${window.endTime}) could not be read and was skipped.`);
+            continue;
+        }
+        const days = [].concat(window.days || ALL_DAYS);
+        if (!ALL_DAYS.every(d => days.includes(d))) {
+            warnings.push(`"${ruleName}": the window ${start}-${end} only applies on ${days.join(', ')}, but has been applied to every day.`);
+        }
+        ranges.push(`${start}-${end}`);
+    }
+    return ranges.join(', ');
+}
+
+/**
+ * Converts an ISO 8601 period (e.g. "P1D", "P1M", "P1Y") into an approximate number of days.
+ * @param {string} period - The CDR period string.
+ * @returns {number} The number of days, defaulting to 1 if the period can't be read.
+ */
+function cdrPeriodToDays(period) {
+    const match = String(period || '').match(/^P(\d+)([DWMY])$/);
+    if (!match) return 1;
+    const daysPerUnit = { D: 1, W: 7, M: 365.25 / 12, Y: 365.25 };
+    return parseInt(match[1], 10) * daysPerUnit[match[2]];
+}
+
+/**
+ * Converts a CDR list of rate steps ({ unitPrice, volume }) into our rules. A single step becomes a flat rule;
+ * multiple steps become tiered rules over the same period (daily, monthly or quarterly). Volumes over any
+ * other period are converted to a daily limit.
+ * @param {Array} rates - The CDR rate steps.
+ * @param {string} period - The period the volumes apply over (e.g. "P1D", "P1M").
+ * @param {string} name - The base name for the rules.
+ * @param {number} priceMultiplier - Multiplier applied to each unit price (e.g. to add GST).
+ * @param {string[]} warnings - The list to add any warnings to.
+ * @returns {Array} The rule objects.
+ */
+function cdrRatesToRules(rates, period, name, priceMultiplier, warnings) {
+    const rules = [];
+    const tierPeriod = { P1D: 'day', P1M: 'month', P3M: 'quarter' }[period] || 'day';
+    const daysInPeriod = tierPeriod === 'day' ? cdrPeriodToDays(period) : 1;
+    if (rates.length > 1 && daysInPeriod !== 1) {
+        warnings.push(`"${name}": stepped rates over ${period} have been converted to daily limits.`);
+    }
+    rates.forEach((step, index) => {
+        const rate = Number((parseFloat(step.unitPrice ?? step.amount ?? 0) * priceMultiplier).toFixed(5));
+        const isLastStep = index === rates.length - 1;
+        if (isLastStep || !step.volume) {
+            rules.push({ type: 'flat', name: rates.length > 1 ? `${name} Step ${index + 1}` : name, rate: rate });
+        } else {
+            rules.push({ type: 'tiered', name: `${name} Step ${index + 1}`, rate: rate, limit: Number((parseFloat(step.volume) / daysInPeriod).toFixed(2)), tierPeriod: tierPeriod });
+        }
+    });
+    return rules;
+}
+
+/**
+ * Maps an Australian CDR (Consumer Data Right) Energy Plan Detail JSON document into a provider object.
+ * Usage rates and supply charges are converted to GST-inclusive prices; feed-in tariffs are not subject to GST.
+ * Plan features that the analyzer can't represent are skipped or approximated and listed in the returned warnings
+ * (which are also saved in the provider's notes).
+ * @param {object} planJson - The parsed CDR JSON, either the full API response ({ data: {...} }) or the plan itself.
+ * @returns {{provider: object, warnings: string[]}} The new provider and a list of import warnings.
+ * @throws {Error} If the document doesn't contain an electricity plan.
+ */
+export function importCdrPlan(planJson) {
+    const plan = planJson?.data ?? planJson;
+    const contract = plan?.electricityContract;
+    if (!contract || !Array.isArray(contract.tariffPeriod) || contract.tariffPeriod.length === 0) {
+        throw new Error("This file doesn't contain a CDR electricity plan (no electricityContract.tariffPeriod found).");
+    }
+    const warnings = [];
+
+    // 1. Tariff period: only a single set of rates can be represented.
+    const tariffPeriod = contract.tariffPeriod[0];
+    if (contract.tariffPeriod.length > 1) {
+        warnings.push(`The plan has ${contract.tariffPeriod.length} tariff periods (e.g. seasonal rates); only the first (${tariffPeriod.startDate || '?'} to ${tariffPeriod.endDate || '?'}) was imported.`);
+    }
+
+    // 2. Daily supply charge.
+    const dailySupplyCharge = tariffPeriod.dailySupplyCharge ?? tariffPeriod.dailySupplyCharges;
+    if (tariffPeriod.dailySupplyChargeType === 'BAND') {
+        warnings.push('Banded daily supply charges are not supported; the supply charge has been set to 0.');
+    }
+
+    // 3. Usage (import) rates.
+    const importRules = [];
+    const rateBlockType = tariffPeriod.rateBlockUType;
+    if (rateBlockType === 'singleRate' && tariffPeriod.singleRate) {
+        importRules.push(...cdrRatesToRules(tariffPeriod.singleRate.rates || [], tariffPeriod.singleRate.period, tariffPeriod.singleRate.displayName || 'Single Rate', GST_MULTIPLIER, warnings));
+    } else if (rateBlockType === 'timeOfUseRates' && tariffPeriod.timeOfUseRates) {
+        for (const touRate of tariffPeriod.timeOfUseRates) {
+            const name = touRate.displayName || touRate.description || touRate.type || 'Time of Use';
+            const rates = touRate.rates || [];
+            if (rates.length > 1) {
+                warnings.push(`"${name}": stepped time of use rates are not supported; only the first step was imported.`);
+            }
+            const rate = Number((parseFloat(rates[0]?.unitPrice || 0) * GST_MULTIPLIER).toFixed(5));
+            importRules.push({ type: 'tou', name: name, rate: rate, hours: cdrWindowsToHours(touRate.timeOfUse, name, warnings) });
+        }
+    } else if (rateBlockType !== 'demandCharges') {
+        warnings.push(`Usage rates of type "${rateBlockType || 'unknown'}" are not supported; no import rates were imported.`);
+    }
+
+    // 3b. Demand charges become demand rules, charged on the month's peak demand in their window.
+    for (const demandCharge of [].concat(tariffPeriod.demandCharges || [])) {
+        const name = demandCharge.displayName || demandCharge.description || 'Demand Charge';
+        if (demandCharge.measurementPeriod && demandCharge.measurementPeriod !== 'MONTH') {
+            warnings.push(`"${name}": demand is measured per ${demandCharge.measurementPeriod.toLowerCase().replace('_', ' ')} in the plan, but is modelled on each month's peak.`);
+        }
+        if (demandCharge.minDemand || demandCharge.maxDemand || demandCharge.measureUnit === 'KVA') {
+            warnings.push(`"${name}": minimum/maximum demand and kVA measurement are not supported; demand is charged on kW from zero.`);
+        }
+        importRules.push({
+            type: 'demand',
+            name: name,
+            rate: Number((parseFloat(demandCharge.amount || 0) * GST_MULTIPLIER).toFixed(5)),
+            hours: cdrWindowsToHours([demandCharge], name, warnings),
+            demandPeriod: demandCharge.chargePeriod === 'MONTH' ? 'month' : 'day'
+        });
+    }
+
+    // 4. Solar feed-in tariffs (export rates). Legacy premium schemes aren't open to new customers, so they're skipped.
+    const exportRules = [];
+    for (const fit of contract.solarFeedInTariff || []) {
+        const name = fit.displayName || fit.description || 'Feed-in Tariff';
+        if (fit.scheme === 'PREMIUM') {
+            warnings.push(`"${name}": premium (legacy government) feed-in schemes were not imported.`);
+            continue;
+        }
+        if (fit.tariffUType === 'timeVaryingTariffs' || (!fit.tariffUType && fit.timeVaryingTariffs)) {
+            for (const tariff of [].concat(fit.timeVaryingTariffs || [])) {
+                const tariffName = tariff.displayName || tariff.type || name;
+                const rates = tariff.rates || [{ unitPrice: tariff.amount }];
+                if (rates.length > 1) {
+                    warnings.push(`"${tariffName}": stepped time-varying feed-in rates are not supported; only the first step was imported.`);
+                }
+                exportRules.push({ type: 'tou', name: tariffName, rate: Number(parseFloat(rates[0]?.unitPrice ?? 0).toFixed(5)), hours: cdrWindowsToHours(tariff.timeVariations, tariffName, warnings) });
+            }
+        } else if (fit.singleTariff) {
+            const rates = fit.singleTariff.rates || [{ unitPrice: fit.singleTariff.amount }];
+            exportRules.push(...cdrRatesToRules(rates, fit.singleTariff.period, name, 1, warnings));
+        }
+    }
+
+    // Rules are applied in order, so tiered blocks go first and catch-all flat rates go last.
+    const ruleOrder = { tiered: 0, tou: 1, flat: 2 };
+    exportRules.sort((a, b) => ruleOrder[a.type] - ruleOrder[b.type]);
+
+    // 5. Membership fees become a monthly fee; other fees (connection, late payment, etc.) are not modelled.
+    let monthlyFee = 0;
+    for (const fee of contract.fees || []) {
+        const amount = parseFloat(fee.amount || 0) * GST_MULTIPLIER;
+        if (fee.type === 'MEMBERSHIP' && fee.term === 'MONTHLY') monthlyFee += amount;
+        else if (fee.type === 'MEMBERSHIP' && fee.term === 'ANNUAL') monthlyFee += amount / 12;
+        else warnings.push(`Fee "${fee.type}${fee.term ? ` (${fee.term})` : ''}" was not imported.`);
+    }
+
+    // 6. Discounts, incentives and other plan features that have no equivalent here.
+    for (const discount of contract.discounts || []) {
+        warnings.push(`Discount "${discount.displayName || discount.description || discount.type}" was not imported; add it manually as a rebate or special condition if needed.`);
+    }
+    for (const incentive of contract.incentives || []) {
+        warnings.push(`Incentive "${incentive.displayName || incentive.description}" was not imported.`);
+    }
+
+    // 7. A single-rate controlled load tariff becomes the controlled load rate and daily charge.
+    let controlledLoadRate = 0;
+    let controlledLoadDailyCharge = 0;
+    const controlledLoads = [].concat(contract.controlledLoad || []);
+    const singleRateLoad = controlledLoads.find(load => load.singleRate);
+    if (singleRateLoad) {
+        const rates = singleRateLoad.singleRate.rates || [];
+        controlledLoadRate = Number((parseFloat(rates[0]?.unitPrice || 0) * GST_MULTIPLIER).toFixed(5));
+        controlledLoadDailyCharge = Number((parseFloat(singleRateLoad.singleRate.dailySupplyCharge || 0) * GST_MULTIPLIER).toFixed(5));
+        if (rates.length > 1) {
+            warnings.push(`Controlled load "${singleRateLoad.displayName || 'Controlled Load'}": stepped rates are not supported; only the first step was imported.`);
+        }
+    }
+    if (controlledLoads.some(load => load !== singleRateLoad)) {
+        warnings.push('Only one single-rate controlled load tariff can be imported; the others were not imported.');
+    }
+    if (contract.greenPowerCharges && contract.greenPowerCharges.length > 0) {
+        warnings.push('Optional GreenPower charges were not imported.');
+    }
+
+    const planName = [plan.brandName, plan.displayName].filter(Boolean).join(' - ') || 'Imported CDR Plan';
+    const provider = {
+        id: `cdr_${String(plan.planId || Date.now()).replace(/[^A-Za-z0-9_-]/g, '_')}`,
+        name: planName,
+        isExpanded: true,
+        notes: [`Imported from CDR plan ${plan.planId || ''}. Usage rates and supply charges include GST.`, ...warnings].join('\n'),
+        noteHeight: '',
+        noteWidth: '',
+        dailyCharge: Number((parseFloat(dailySupplyCharge || 0) * GST_MULTIPLIER).toFixed(5)),
+        rebate: 0,
+        monthlyFee: Number(monthlyFee.toFixed(2)),
+        controlledLoadRate: controlledLoadRate,
+        controlledLoadDailyCharge: controlledLoadDailyCharge,
+        importRules: importRules,
+        exportRules: exportRules,
+        specialConditions: [],
+        gridChargeEnabled: false,
+        gridChargeStart: 0,
+        gridChargeEnd: 0,
+        dispatchStrategy: 'self_consumption',
+        demandShaving: false,
+        priceSpikeThreshold: 1,
+        exportLimitType: 'none',
+        exportLimitKW: 5,
+        exportLimitSchedule: ''
+    };
+    return { provider, warnings };
+}
@@ -0,0 +1,135 @@
+// js/solarFormats.js
+// Version 1.1.4
+// This module describes the CSV exports of common inverter and battery monitoring portals, so a solar
+// file can be loaded without setting its column headers and date format by hand. Each format can be
+// recognised from the file's header row.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * The known export formats. For each one:
+ * - `label`: the name shown in the format dropdown.
+ * - `signature`: a pattern the header row must match for the format to be auto-detected.
+ * - `dateTime`: a pattern matching the date/time column's header, or a function that builds the
+ *   date/time string from a row (for exports with separate date and time columns).
+ * - `dateFormat`: the order of the date parts (as used by `parseDateString`), or 'auto' where it
+ *   depends on the portal's regional settings.
+ * - `columns`: patterns for the `generation` column and, where the export has them, the household `load`,
+ *   `batteryCharge` and `batteryDischarge` columns, or a signed `batteryPower` column (positive when
+ *   discharging). Each has a `unit`: 'kWh' or 'Wh' for energy per interval, 'kW' or 'W' for average power.
+ */
+export const SOLAR_CSV_FORMATS = {
+    fronius: {
+        label: 'Fronius Solar.web',
+        signature: /date and time/i,
+        dateTime: /^date and time/i,
+        dateFormat: 'DD.MM.YYYY',
+        columns: {
+            generation: { header: /^(pv production|energy produced|produced)/i, unit: 'Wh' },
+            load: { header: /^consumption/i, unit: 'Wh' },
+            batteryCharge: { header: /^(energy to battery|battery charg)/i, unit: 'Wh' },
+            batteryDischarge: { header: /^(energy from battery|battery discharg)/i, unit: 'Wh' },
+        },
+    },
+    solaredge: {
+        label: 'SolarEdge Monitoring',
+        signature: /(system production|^time,energy) \(wh\)/i,
+        dateTime: /^(time|date)$/i,
+        dateFormat: 'auto',
+        columns: {
+            generation: { header: /^(system production|production|energy) \(wh\)/i, unit: 'Wh' },
+            load: { header: /^consumption \(wh\)/i, unit: 'Wh' },
+            batteryCharge: { header: /^(storage|battery) charge \(wh\)/i, unit: 'Wh' },
+            batteryDischarge: { header: /^(storage|battery) discharge \(wh\)/i, unit: 'Wh' },
+        },
+    },
+    enphase: {
+        label: 'Enphase Enlighten',
+        signature: /energy produced \(wh\)/i,
+        dateTime: /^date\/?\s?time$/i,
+        dateFormat: 'auto',
+        columns: {
+            generation: { header: /^energy produced \(wh\)/i, unit: 'Wh' },
+            load: { header: /^energy consumed \(wh\)/i, unit: 'Wh' },
+            batteryCharge: { header: /^(battery )?charged \(wh\)/i, unit: 'Wh' },
+            batteryDischarge: { header: /^(battery )?discharged \(wh\)/i, unit: 'Wh' },
+        },
+    },
+    sungrow: {
+        label: 'Sungrow iSolarCloud',
+        signature: /pv yield/i,
+        dateTime: /^time$/i,
+        dateFormat: 'auto',
+        columns: {
+            generation: { header: /^pv yield\s?\(kwh\)/i, unit: 'kWh' },
+            load: { header: /^load consumption\s?\(kwh\)/i, unit: 'kWh' },
+            batteryCharge: { header: /^battery charging\s?\(kwh\)/i, unit: 'kWh' },
+            batteryDischarge: { header: /^battery discharging\s?\(kwh\)/i, unit: 'kWh' },
+        },
+    },
+    goodwe: {
+        label: 'GoodWe SEMS',
+        signature: /\bpv\s?\(w\)/i,
+        dateTime: /^time$/i,
+        dateFormat: 'auto',
+        columns: {
+            generation: { header: /^pv\s?\(w\)/i, unit: 'W' },
+            load: { header: /^load\s?\(w\)/i, unit: 'W' },
+            batteryPower: { header: /^battery\s?\(w\)/i, unit: 'W' },
+        },
+    },
+    tesla: {
+        label: 'Tesla App',
+        signature: /powerwall/i,
+        dateTime: /^date ?time$/i,
+        dateFormat: 'YYYY-MM-DD',
+        columns: {
+            generation: { header: /^solar \(kw\)/i, unit: 'kW' },
+            load: { header: /^home \(kw\)/i, unit: 'kW' },
+            batteryPower: { header: /^powerwall \(kw\)/i, unit: 'kW' },
+        },
+    },
+    pvoutput: {
+        label: 'PVOutput',
+        signature: /^date,time,energy,efficiency,power/i,
+        // PVOutput has the date ('YYYYMMDD') and the time in separate columns.
+        dateTime: row => /^\d{8}$/.test(row['Date'] || '') ? `${row['Date'].slice(0, 4)}-${row['Date'].slice(4, 6)}-${row['Date'].slice(6, 8)} ${row['Time']}` : null,
+        dateFormat: 'YYYY-MM-DD',
+        columns: {
+            generation: { header: /^power$/i, unit: 'W' },
+            load: { header: /^power used$/i, unit: 'W' },
+        },
+    },
+};
+
+/**
+ * Works out which known export format a solar CSV is in from its header row.
+ * @param {string[]} headers - The file's column headers.
+ * @returns {string|null} The key of the matching format in `SOLAR_CSV_FORMATS`, or null if none match.
+ */
+export function detectSolarCsvFormat(headers) {
+    const headerRow = headers.join(',');
+    return Object.keys(SOLAR_CSV_FORMATS).find(key => SOLAR_CSV_FORMATS[key].signature.test(headerRow)) || null;
+}
@@ -29,10 +29,22 @@
  */
 
 export const state = {
-  // Holds the parsed hourly electricity usage data from the CSV file.
+  // Holds the parsed electricity usage data from the CSV file, one record per day at the
+  // file's native interval length (e.g., 48 half-hourly values in `consumption` and `feedIn`).
+  // Days from a NEM12 file with a controlled load circuit also carry a `controlledLoad` array.
   electricityData: null,
-  // Holds the parsed hourly solar generation data from the CSV file.
+  // Holds every NMI's days and the validation report from the last NEM12 file, so another NMI can be picked.
+  nem12: null,
+  // Holds the registers and reads from the last NEM13 (basic meter) file, used to fill the manual daily averages.
+  nem13: null,
+  // Holds the parsed solar generation data from the CSV file, one record per day with a `generation` interval array.
   solarData: null,
+  // Holds the last gap-filling run: the strategy, the data as loaded (`source`), and the filled data now in use.
+  gapFill: null,
+  // Holds the wholesale price data from the price CSV, one record per day with a `prices` interval array ($/kWh).
+  priceData: null,
+  // Holds the public holiday dates ('YYYY-MM-DD') imported from an ICS or CSV file, if any.
+  importedHolidays: null,
   // Caches the calculated quarterly averages from the CSV data.
   quarterlyAverages: null,
   // Holds the hour ranges for TOU for the Total Household Consumption Quarterly Averages (Daily) table 
@@ -34,7 +34,7 @@ import { downloadBlob } from './utils.js';
 import { state } from './state.js';
 
 /**
- * Gathers all current values from UI input fields (text, number, checkbox)
+ * Gathers all current values from UI input fields (text, number, checkbox, select)
  * and returns them as a single object, keyed by the element's ID.
  * @returns {object} An object containing all UI input values.
  */
@@ -52,6 +52,10 @@ function gatherAllInputs() {
             inputs[input.id] = input.checked;
         }
     });
+    // Select all dropdowns with an ID.
+    document.querySelectorAll('select[id]').forEach(select => {
+        inputs[select.id] = select.value;
+    });
     return inputs;
 }
 
@@ -84,6 +88,7 @@ function saveStateToFile() {
         version: "1.0.2", // Version of the settings file format.
         savedAt: new Date().toISOString(),
         providers: getProviders(), // Get all current provider configurations.
+        selectedProviders: Array.from(document.querySelectorAll('.providerCheckbox:checked')).map(cb => cb.value), // The providers ticked for the analysis, in list order.
         uiInputs: gatherAllInputs(), // Get all current UI input values.
         // Note: We don't save CSV data itself, only the configuration settings.
     };
@@ -137,6 +142,10 @@ function loadStateFromFile(event) {
             saveAllProviders(appState.providers);
             applyAllInputs(appState.uiInputs);
             renderProviderSettings();
+            // Tick only the providers that were selected when the settings were saved (older files don't say).
+            if (Array.isArray(appState.selectedProviders)) {
+                document.querySelectorAll('.providerCheckbox').forEach(cb => { cb.checked = appState.selectedProviders.includes(cb.value); });
+            }
             
             // 3. Display the success message
             if (statusEl) {
@@ -28,28 +28,68 @@
  * SOFTWARE.
  */
 
-import { escalate, parseRangesToHours } from './utils.js';
+import { escalate, parseRangesToIntervals, getIntervalMinutes, filterRulesForDate, getDynamicRate, getTierPeriodKey, getTierPeriodDays } from './utils.js';
+
+/**
+ * Works out how much of a tiered rule's block is still available today. Daily tiers reset every day;
+ * longer tier periods draw down an allowance shared by every day in the period, tracked in `tierUsage`.
+ * Without a tracker or a date (e.g. an average day in manual mode) the period's limit is spread evenly over its days.
+ * @param {object} rule - The tiered rule object.
+ * @param {string|null} date - The date being costed ('YYYY-MM-DD').
+ * @param {Map|null} tierUsage - The usage so far in each rule's current tier period.
+ * @returns {number} The kWh still available in the tier.
+ */
+function getTierAllowance(rule, date, tierUsage) {
+    const limit = rule.limit || Infinity;
+    if (!rule.tierPeriod || rule.tierPeriod === 'day') return limit;
+    if (!tierUsage || !date) return limit / getTierPeriodDays(rule);
+    const usage = tierUsage.get(rule);
+    return usage && usage.periodKey === getTierPeriodKey(rule, date) ? Math.max(0, limit - usage.used) : limit;
+}
+
+/**
+ * Adds the energy billed in a tier today to the rule's running total for its tier period.
+ * @param {object} rule - The tiered rule object.
+ * @param {string|null} date - The date being costed ('YYYY-MM-DD').
+ * @param {Map|null} tierUsage - The usage so far in each rule's current tier period.
+ * @param {number} amount - The kWh billed in the tier today.
+ */
+function recordTierUsage(rule, date, tierUsage, amount) {
+    if (!tierUsage || !date || !rule.tierPeriod || rule.tierPeriod === 'day') return;
+    const periodKey = getTierPeriodKey(rule, date);
+    const usage = tierUsage.get(rule);
+    if (usage && usage.periodKey === periodKey) usage.used += amount;
+    else tierUsage.set(rule, { periodKey: periodKey, used: amount }); // A new tier period has started.
+}
 
 /**
  * A generic "rules engine" to calculate the total import cost for a day.
  * It processes a list of import rules in the order they are provided, which is
  * crucial for correctly calculating costs under tiered or combined tariff schemes.
+ * Rules restricted to certain months, dates or day types are skipped unless they apply on
+ * `dailyBreakdown.date` (a `dailyBreakdown.dayType` of 'holiday' marks a public holiday).
+ * Dynamic rules are priced from `dailyBreakdown.intervalPrices`, and skipped on days without prices.
+ * Tiered rules with a monthly, quarterly or billing-cycle `tierPeriod` share their limit across the period.
  * @param {Array} importRules - An array of rule objects from the provider's configuration.
- * @param {object} dailyBreakdown - An object containing the day's hourly and total energy data.
+ * @param {object} dailyBreakdown - An object containing the day's interval and total energy data, its date
+ *   and (for dynamic tariffs) the wholesale price for each interval.
  * @param {object} escalationConfig - Contains the tariff escalation rate and the current simulation year.
+ * @param {Map|null} [tierUsage=null] - Tracks usage in each tier period across days. Pass the same Map for
+ *   every day of a simulated year, in date order.
  * @returns {number} The total calculated import cost for the day.
  */
-function calculateImportCost(importRules, dailyBreakdown, escalationConfig) {
+function calculateImportCost(importRules, dailyBreakdown, escalationConfig, tierUsage = null) {
     let totalCost = 0;
-    // Create a mutable copy of the hourly import data. As costs are calculated,
+    // Create a mutable copy of the interval import data. As costs are calculated,
     // the corresponding kWh in this array will be set to zero to prevent double-counting.
-    const remainingHourlyImports = [...(dailyBreakdown.hourlyImports || [])];
-    let remainingTotalImport = remainingHourlyImports.reduce((a, b) => a + b, 0);
+    const remainingIntervalImports = [...(dailyBreakdown.intervalImports || [])];
+    const intervalMinutes = getIntervalMinutes(remainingIntervalImports);
+    let remainingTotalImport = remainingIntervalImports.reduce((a, b) => a + b, 0);
 
     const { rate: escalationRate, year } = escalationConfig;
 
-    // Process rules in the order they appear in the provider's array.
-    for (const rule of importRules) {
+    // Process the rules in force today, in the order they appear in the provider's array.
+    for (const rule of filterRulesForDate(importRules, dailyBreakdown.date, dailyBreakdown.dayType)) {
         if (remainingTotalImport <= 0) break; // Stop if all imported energy has been costed.
 
         // Apply the annual tariff escalation to the rule's base rate.
@@ -57,18 +97,19 @@ function calculateImportCost(importRules, dailyBreakdown, escalationConfig) {
 
         switch (rule.type) {
             case 'tou': // Time of Use rule: Applies to specific hours of the day.
-                const ruleHours = parseRangesToHours(rule.hours || '');
-                for (const h of ruleHours) {
-                    if (remainingHourlyImports[h] > 0) {
-                        totalCost += remainingHourlyImports[h] * escalatedRate;
-                        remainingTotalImport -= remainingHourlyImports[h];
-                        remainingHourlyImports[h] = 0; // Mark this hour's import as processed.
+                const ruleIntervals = parseRangesToIntervals(rule.hours || '', intervalMinutes);
+                for (const i of ruleIntervals) {
+                    if (remainingIntervalImports[i] > 0) {
+                        totalCost += remainingIntervalImports[i] * escalatedRate;
+                        remainingTotalImport -= remainingIntervalImports[i];
+                        remainingIntervalImports[i] = 0; // Mark this interval's import as processed.
                     }
                 }
                 break;
 
-            case 'tiered': // Tiered rule: Applies to a block of the total daily import.
-                const amountInTier = Math.min(remainingTotalImport, rule.limit || Infinity);
+            case 'tiered': // Tiered rule: Applies to a block of the total import for the day (or tier period).
+                const amountInTier = Math.min(remainingTotalImport, getTierAllowance(rule, dailyBreakdown.date, tierUsage));
+                recordTierUsage(rule, dailyBreakdown.date, tierUsage, amountInTier);
                 totalCost += amountInTier * escalatedRate;
                 remainingTotalImport -= amountInTier;
                 // Note: This simplified model assumes tiers apply to the daily total regardless of time.
@@ -79,54 +120,131 @@ function calculateImportCost(importRules, dailyBreakdown, escalationConfig) {
                 totalCost += remainingTotalImport * escalatedRate;
                 remainingTotalImport = 0;
                 break;
+
+            case 'demand': // Demand rule: Charged on peak kW per month (see calculateDemandCharge), not on energy.
+                break;
+
+            case 'dynamic': // Dynamic rule: Each interval is priced from the wholesale price for that interval.
+                if (!dailyBreakdown.intervalPrices) break; // No prices for this day; fall through to the next rule.
+                for (let i = 0; i < remainingIntervalImports.length; i++) {
+                    if (remainingIntervalImports[i] > 0) {
+                        totalCost += remainingIntervalImports[i] * escalate(getDynamicRate(rule, dailyBreakdown.intervalPrices[i]), escalationRate, year);
+                        remainingTotalImport -= remainingIntervalImports[i];
+                        remainingIntervalImports[i] = 0;
+                    }
+                }
+                break;
         }
     }
     return totalCost;
 }
 
+/**
+ * Finds the day's highest demand within the time window of each demand rule in force on
+ * `dailyBreakdown.date`. Demand is the average power (kW) drawn from the grid over an interval.
+ * @param {Array} importRules - An array of rule objects from the provider's configuration.
+ * @param {object} dailyBreakdown - An object containing the day's interval import data, and its date.
+ * @returns {number[]} The peak demand (kW) for each of `importRules`; 0 for rules that aren't demand rules in force today.
+ */
+function calculatePeakDemand(importRules, dailyBreakdown) {
+    const intervalImports = dailyBreakdown.intervalImports || [];
+    const intervalMinutes = getIntervalMinutes(intervalImports);
+    const activeRules = filterRulesForDate(importRules, dailyBreakdown.date, dailyBreakdown.dayType);
+
+    return (importRules || []).map(rule => {
+        if (rule.type !== 'demand' || !activeRules.includes(rule)) return 0;
+        // A demand rule without hours measures demand across the whole day.
+        const windowIntervals = rule.hours ? parseRangesToIntervals(rule.hours, intervalMinutes) : intervalImports.map((_, i) => i);
+        return windowIntervals.reduce((peak, i) => Math.max(peak, (intervalImports[i] || 0) * 60 / intervalMinutes), 0);
+    });
+}
+
+/**
+ * Calculates the demand charge for one billing month from the peak demand recorded for each demand rule.
+ * Rates are $/kW/day (the default) or $/kW/month (`demandPeriod: 'month'`), in which case a month only
+ * partly covered by the data is charged pro rata.
+ * @param {Array} importRules - An array of rule objects from the provider's configuration.
+ * @param {object} monthlyDemand - `{ peaks, days, daysInMonth }`: the month's peak demand (kW) for each of
+ *   `importRules`, the number of days of data in the month, and the number of days in the month.
+ * @param {object} escalationConfig - Contains the tariff escalation rate and the current simulation year.
+ * @returns {number} The total demand charge for the month.
+ */
+function calculateDemandCharge(importRules, monthlyDemand, escalationConfig) {
+    let totalCharge = 0;
+    const { rate: escalationRate, year } = escalationConfig;
+
+    (importRules || []).forEach((rule, index) => {
+        if (rule.type !== 'demand') return;
+        const escalatedRate = escalate(rule.rate || 0, escalationRate, year);
+        const billedPeriods = rule.demandPeriod === 'month' ? monthlyDemand.days / monthlyDemand.daysInMonth : monthlyDemand.days;
+        totalCharge += (monthlyDemand.peaks[index] || 0) * escalatedRate * billedPeriods;
+    });
+    return totalCharge;
+}
+
+/**
+ * Calculates the cost of a day's controlled load (e.g. an off-peak hot water circuit), which is metered
+ * separately and billed at the provider's controlled load rate plus its own daily supply charge.
+ * @param {object} provider - The provider's configuration (`controlledLoadRate`, `controlledLoadDailyCharge`).
+ * @param {number} gridKWh - The controlled load energy drawn from the grid for the day.
+ * @param {object} escalationConfig - Contains the tariff escalation rate and the current simulation year.
+ * @returns {number} The controlled load cost for the day.
+ */
+function calculateControlledLoadCost(provider, gridKWh, escalationConfig) {
+    const { rate: escalationRate, year } = escalationConfig;
+    return gridKWh * escalate(provider.controlledLoadRate || 0, escalationRate, year) + (provider.controlledLoadDailyCharge || 0);
+}
+
 /**
  * A generic "rules engine" to calculate the total export credit for a day.
  * It processes rules in order, allowing for complex schemes like a bonus tier
  * for the first X kWh, followed by different Time of Use rates for the rest.
+ * Rules restricted to certain months, dates or day types are skipped unless they apply on
+ * `dailyBreakdown.date` (a `dailyBreakdown.dayType` of 'holiday' marks a public holiday).
+ * Dynamic rules follow the wholesale price in `dailyBreakdown.intervalPrices`, escalated like import
+ * tariffs rather than degraded like a FIT, and are skipped on days without prices.
  * @param {Array} exportRules - An array of rule objects from the provider's configuration.
- * @param {object} dailyBreakdown - An object containing the day's energy data.
+ * @param {object} dailyBreakdown - An object containing the day's energy data, its date and any interval prices.
  * @param {number} year - The current simulation year (for degradation calculation).
- * @param {object} fitConfig - Configuration for Feed-In Tariff (FIT) degradation.
+ * @param {object} fitConfig - Configuration for Feed-In Tariff (FIT) degradation, and the `priceEscalation` for dynamic rules.
  * @param {Function} getDegradedFitRate - Helper function to calculate the FIT rate for the current year.
+ * @param {Map|null} [tierUsage=null] - Tracks export in each tier period across days (see `calculateImportCost`).
  * @returns {number} The total calculated export credit for the day.
  */
-function calculateExportCredit(exportRules, dailyBreakdown, year, fitConfig, getDegradedFitRate) {
+function calculateExportCredit(exportRules, dailyBreakdown, year, fitConfig, getDegradedFitRate, tierUsage = null) {
     let totalCredit = 0;
-    // Create a mutable copy of hourly exports to track what has been processed.
-    const remainingHourlyExports = [...(dailyBreakdown.hourlyExports || [])];
-    let remainingTotalExport = remainingHourlyExports.reduce((a, b) => a + b, 0);
+    // Create a mutable copy of interval exports to track what has been processed.
+    const remainingIntervalExports = [...(dailyBreakdown.intervalExports || [])];
+    const intervalMinutes = getIntervalMinutes(remainingIntervalExports);
+    let remainingTotalExport = remainingIntervalExports.reduce((a, b) => a + b, 0);
 
-    for (const rule of exportRules) {
+    for (const rule of filterRulesForDate(exportRules, dailyBreakdown.date, dailyBreakdown.dayType)) {
         if (remainingTotalExport <= 0) break;
 
         // Calculate the degraded FIT rate for the current year before applying it.
         const degradedRate = getDegradedFitRate(rule.rate || 0, year, fitConfig);
 
         switch (rule.type) {
-            case 'tiered': // Tiered rule: Applies to a block of the total daily export.
-                const amountInTier = Math.min(remainingTotalExport, rule.limit || Infinity);
+            case 'tiered': // Tiered rule: Applies to a block of the total export for the day (or tier period).
+                const amountInTier = Math.min(remainingTotalExport, getTierAllowance(rule, dailyBreakdown.date, tierUsage));
+                recordTierUsage(rule, dailyBreakdown.date, tierUsage, amountInTier);
                 totalCredit += amountInTier * degradedRate;
                 remainingTotalExport -= amountInTier;
                 // Since the tier consumes a portion of the total export, we must proportionally
-                // reduce all the hourly export values to reflect this consumption.
+                // reduce all the interval export values to reflect this consumption.
                 const reductionFactor = (remainingTotalExport + amountInTier) > 0 ? remainingTotalExport / (remainingTotalExport + amountInTier) : 0;
-                for (let h = 0; h < 24; h++) {
-                    remainingHourlyExports[h] *= reductionFactor;
+                for (let i = 0; i < remainingIntervalExports.length; i++) {
+                    remainingIntervalExports[i] *= reductionFactor;
                 }
                 break;
 
             case 'tou': // Time of Use rule: Applies to specific hours.
-                const ruleHours = parseRangesToHours(rule.hours || '');
-                for (const h of ruleHours) {
-                    if (remainingHourlyExports[h] > 0) {
-                        totalCredit += remainingHourlyExports[h] * degradedRate;
-                        remainingTotalExport -= remainingHourlyExports[h];
-                        remainingHourlyExports[h] = 0; // Mark as processed.
+                const ruleIntervals = parseRangesToIntervals(rule.hours || '', intervalMinutes);
+                for (const i of ruleIntervals) {
+                    if (remainingIntervalExports[i] > 0) {
+                        totalCredit += remainingIntervalExports[i] * degradedRate;
+                        remainingTotalExport -= remainingIntervalExports[i];
+                        remainingIntervalExports[i] = 0; // Mark as processed.
                     }
                 }
                 break;
@@ -135,15 +253,28 @@ function calculateExportCredit(exportRules, dailyBreakdown, year, fitConfig, get
                 totalCredit += remainingTotalExport * degradedRate;
                 remainingTotalExport = 0;
                 break;
+
+            case 'dynamic': // Dynamic rule: Each interval is credited at the wholesale price for that interval.
+                if (!dailyBreakdown.intervalPrices) break; // No prices for this day; fall through to the next rule.
+                for (let i = 0; i < remainingIntervalExports.length; i++) {
+                    if (remainingIntervalExports[i] > 0) {
+                        totalCredit += remainingIntervalExports[i] * escalate(getDynamicRate(rule, dailyBreakdown.intervalPrices[i]), fitConfig.priceEscalation || 0, year);
+                        remainingTotalExport -= remainingIntervalExports[i];
+                        remainingIntervalExports[i] = 0;
+                    }
+                }
+                break;
         }
     }
     return totalCredit;
 }
 
 // --- EXPORTED COMPONENT LIBRARY ---
-// This object exports the two main rules engines in a structured way,
+// This object exports the main rules engines in a structured way,
 // making them available to the main analysis module.
 export const tariffComponents = {
     IMPORT_RULES: { calculate: calculateImportCost },
     EXPORT_RULES: { calculate: calculateExportCredit },
+    DEMAND_RULES: { peak: calculatePeakDemand, calculate: calculateDemandCharge },
+    CONTROLLED_LOAD: { calculate: calculateControlledLoadCost },
 };
\ No newline at end of file
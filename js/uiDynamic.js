@@ -30,6 +30,7 @@
 
 import { getProviders } from './providerManager.js';
 import { sanitize } from './utils.js';
+import { DISPATCH_STRATEGIES } from './dispatchStrategies.js';
 
 /**
  * Renders the HTML for a single "special condition" rule row.
@@ -91,8 +92,10 @@ function renderConditionRow(condition, providerId, index) {
  */
 function renderRuleRow(rule, providerId, ruleType, index) {
     // Conditionally show/hide the 'hours' or 'limit' input based on the rule type.
-    const touStyle = rule.type === 'tou' ? '' : 'style="display:none;"';
+    const touStyle = rule.type === 'tou' || rule.type === 'demand' ? '' : 'style="display:none;"';
     const tieredStyle = rule.type === 'tiered' ? '' : 'style="display:none;"';
+    const demandStyle = rule.type === 'demand' ? '' : 'style="display:none;"';
+    const dynamicStyle = rule.type === 'dynamic' ? '' : 'style="display:none;"';
 
     // Returns a template literal with all the inputs for a tariff rule.
     return `
@@ -102,6 +105,8 @@ function renderRuleRow(rule, providerId, ruleType, index) {
                     <option value="tou" ${rule.type === 'tou' ? 'selected' : ''}>Time of Use</option>
                     <option value="tiered" ${rule.type === 'tiered' ? 'selected' : ''}>Tiered</option>
                     <option value="flat" ${rule.type === 'flat' ? 'selected' : ''}>Flat Rate</option>
+                    <option value="dynamic" ${rule.type === 'dynamic' ? 'selected' : ''}>Dynamic (Wholesale)</option>
+                    ${ruleType === 'import' ? `<option value="demand" ${rule.type === 'demand' ? 'selected' : ''}>Demand ($/kW)</option>` : ''}
                 </select>
                 <input type="text" class="provider-input" data-field="name" placeholder="Rule Name" value="${rule.name || ''}">
                 <label class="rule-label">$</label>
@@ -112,7 +117,34 @@ function renderRuleRow(rule, providerId, ruleType, index) {
                 </span>
                 <span class="limit-input-wrapper" ${tieredStyle}>
                     <input type="number" step="0.1" class="provider-input" data-field="limit" placeholder="Limit (kWh)" value="${rule.limit || ''}">
+                    <select class="provider-input" data-field="tierPeriod" title="The period the limit applies over. Usage is added up across the period before moving to the next tier.">
+                        ${[['day', 'per Day'], ['month', 'per Month'], ['quarter', 'per Quarter'], ['billing', 'per Billing Cycle']].map(([value, label]) =>
+                            `<option value="${value}" ${(rule.tierPeriod || 'day') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <input type="number" min="1" max="28" class="provider-input" data-field="billingStartDay" placeholder="Start Day" value="${rule.billingStartDay || 1}" title="Day of the month each billing cycle starts (only used for 'per Billing Cycle').">
                 </span>
+                <span class="dynamic-input-wrapper" ${dynamicStyle} title="Price = wholesale price x multiplier + the $ rate (e.g. network charges and margin). Needs a wholesale price CSV; days without prices use the next rule.">
+                    <label class="rule-label">+ Spot x</label>
+                    <input type="number" step="0.01" class="provider-input" data-field="multiplier" placeholder="Multiplier" value="${rule.multiplier ?? 1}">
+                </span>
+                <span class="demand-input-wrapper" ${demandStyle} title="Charged on the highest demand (kW) in the hours above each month. Leave the hours blank for all day.">
+                    <select class="provider-input" data-field="demandPeriod">
+                        <option value="day" ${rule.demandPeriod !== 'month' ? 'selected' : ''}>per kW per day</option>
+                        <option value="month" ${rule.demandPeriod === 'month' ? 'selected' : ''}>per kW per month</option>
+                    </select>
+                </span>
+
+                <span class="rule-label" title="Restrict this rule to certain months and/or a date range. Leave blank for all year.">Months:</span>
+                <input type="text" class="provider-input" data-field="months" placeholder="e.g., 12,1,2" value="${(rule.months || []).join(',')}" title="Comma-separated list of months (1-12). Leave blank for all year.">
+                <span class="rule-label">From:</span>
+                <input type="text" class="provider-input" data-field="startDate" placeholder="MM-DD" value="${rule.startDate || ''}" title="First day this rule applies (MM-DD). Leave blank for no start date.">
+                <span class="rule-label">To:</span>
+                <input type="text" class="provider-input" data-field="endDate" placeholder="MM-DD" value="${rule.endDate || ''}" title="Last day this rule applies (MM-DD). Ranges can wrap over the new year, e.g. 11-01 to 03-31.">
+                <span class="rule-label">Days:</span>
+                <select class="provider-input" data-field="dayTypes" title="Restrict this rule to weekdays, weekends and/or public holidays. Public holidays are set in the Public Holidays option above.">
+                    ${[['', 'All Days'], ['weekday', 'Weekdays'], ['weekend', 'Weekends'], ['holiday', 'Public Holidays'], ['weekend,holiday', 'Weekends & Holidays']].map(([value, label]) =>
+                        `<option value="${value}" ${(rule.dayTypes || []).join(',') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
 
                 <button class="remove-rule-button" data-type="${ruleType}" data-index="${index}" title="Remove this Rule">-</button>
             </div>
@@ -183,6 +215,13 @@ export function renderProviderSettings() {
                 <hr>${conditionsHTML}
                 <hr>
                 
+                <details class="collapsible-section">
+                    <summary>Controlled Load Options</summary>
+                    <div class="subsettings">
+                        <label>Controlled Load Rate ($/kWh): <input type="number" step="0.0001" class="provider-input" data-field="controlledLoadRate" value="${provider.controlledLoadRate ?? 0}" title="Rate for a separately metered circuit such as off-peak hot water (the E2 stream in a NEM12 file)"></label>
+                        <label>Controlled Load Daily Charge ($): <input type="number" step="0.001" class="provider-input" data-field="controlledLoadDailyCharge" value="${provider.controlledLoadDailyCharge ?? 0}"></label>
+                    </div>
+                </details>
                 <details class="collapsible-section">
                     <summary>Grid Charging Options</summary>
                     <div class="subsettings">
@@ -191,6 +230,33 @@ export function renderProviderSettings() {
                         <label>Charge End Hour: <input type="number" class="provider-input" data-field="gridChargeEnd" min="0" max="23" value="${provider.gridChargeEnd ?? 0}"></label>
                     </div>
                 </details>
+                <details class="collapsible-section">
+                    <summary>Battery Operating Mode</summary>
+                    <div class="subsettings">
+                        <label>Dispatch Strategy:
+                            <select class="provider-input" data-field="dispatchStrategy" title="How the battery is run on this plan. All modes are compared in the results.">
+                                ${Object.entries(DISPATCH_STRATEGIES).map(([key, strategy]) => `<option value="${key}" ${(provider.dispatchStrategy || 'self_consumption') === key ? 'selected' : ''}>${strategy.label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Price Spike Export ($/kWh): <input type="number" class="provider-input" data-field="priceSpikeThreshold" step="0.1" value="${provider.priceSpikeThreshold ?? 1}" title="On a dynamic tariff, the battery saves charge to export when the wholesale export price reaches this level, and charges from the grid when import prices are negative."></label>
+                        <label><input type="checkbox" class="provider-input" data-field="demandShaving" ${provider.demandShaving ? 'checked' : ''} title="Hold battery charge back to lower the peak demand in the plan's demand charge windows"> Shave Demand Peaks</label>
+                    </div>
+                </details>
+                <details class="collapsible-section">
+                    <summary>Export Limit Options</summary>
+                    <div class="subsettings">
+                        <label>Export Limit:
+                            <select class="provider-input" data-field="exportLimitType" title="Limit imposed by the network on energy exported to the grid. Excess is curtailed.">
+                                <option value="none" ${!provider.exportLimitType || provider.exportLimitType === 'none' ? 'selected' : ''}>No Limit</option>
+                                <option value="static" ${provider.exportLimitType === 'static' ? 'selected' : ''}>Static (kW)</option>
+                                <option value="zero" ${provider.exportLimitType === 'zero' ? 'selected' : ''}>Zero Export</option>
+                                <option value="schedule" ${provider.exportLimitType === 'schedule' ? 'selected' : ''}>Hourly Schedule</option>
+                            </select>
+                        </label>
+                        <label>Static Limit (kW): <input type="number" class="provider-input" data-field="exportLimitKW" step="0.1" min="0" value="${provider.exportLimitKW ?? 5}"></label>
+                        <label>Limit Schedule: <input type="text" class="provider-input" data-field="exportLimitSchedule" placeholder="10am-3pm=1.5; 3pm-10am=5" value="${provider.exportLimitSchedule || ''}" title="Semicolon separated time windows and kW limits. Hours not listed are unlimited."></label>
+                    </div>
+                </details>
                 <hr>
                 <button class="delete-provider-button" data-id="${provider.id}">Delete Provider</button>
                 <button class="save-provider-button" data-id="${provider.id}">Save Changes</button>
@@ -8,12 +8,15 @@ import { state } from './state.js';
 import { gatherConfigFromUI } from './config.js';
 import { calculateDetailedSizing, runSimulation } from './analysis.js';
 import { renderResults, renderSizingResults, drawDistributionCharts } from './uiRender.js';
-import { getNumericInput, getSimulationData, displayError, clearError, parseRangesToHours } from './utils.js';
-import { handleUsageCsv, handleSolarCsv } from './dataParser.js';
+import { getNumericInput, displayError, clearError, sanitize } from './utils.js';
+import { handleUsageCsv, handleSolarCsv, handlePriceCsv, selectNem12Nmi, setNem13RegisterPeriod, getSimulationData } from './dataParser.js';
 import { wireSaveLoadEvents } from './storage.js';
 import { hideAllDebugContainers, renderDebugDataTable, renderExistingSystemDebugTable, renderProvidersDebugTable, renderAnalysisPeriodDebugTable, renderLoanDebugTable, renderOpportunityCostDebugTable } from './debugTables.js';
-import { saveProvider, deleteProvider, getProviders, saveAllProviders } from './providerManager.js';
+import { saveProvider, deleteProvider, getProviders, saveAllProviders, importCdrPlan } from './providerManager.js';
+import { parseHolidayFile } from './holidays.js';
 import { renderProviderSettings } from './uiDynamic.js';
+import { applyGapFilling } from './dataQuality.js';
+import { getTouHours, getDynamicPriceWarnings } from './engine.js';
 
 /**
  * Checks which debug tables are currently visible and re-renders them.
@@ -30,6 +33,90 @@ function refreshVisibleDebugTables() {
     if (document.getElementById('opportunityCostDebugTableContainer')?.style.display !== 'none') { renderOpportunityCostDebugTable(); }
 }
 
+/**
+ * Fills the gaps in the loaded CSV data with the selected strategy and says what was filled.
+ * @param {string} strategy - A key of `GAP_FILL_STRATEGIES`.
+ */
+function updateGapFilling(strategy) {
+    const statusEl = document.getElementById('gapFillStatus');
+    if (!Array.isArray(state.electricityData) || state.electricityData.length === 0) {
+        if (statusEl) statusEl.textContent = '';
+        return;
+    }
+    const { filledDays, filledIntervals, filledSolarDays } = applyGapFilling(strategy);
+    if (!statusEl) return;
+    if (strategy === 'none') {
+        statusEl.textContent = '';
+    } else if (filledDays + filledIntervals + filledSolarDays === 0) {
+        statusEl.textContent = 'No gaps to fill.';
+    } else {
+        statusEl.textContent = `Estimated ${filledDays} missing days and ${filledIntervals} missing intervals of usage, and ${filledSolarDays} days of solar.`;
+    }
+}
+
+/**
+ * Runs an analysis task in the analysis worker (analysisWorker.js), so a long simulation doesn't
+ * freeze the page, with a cancel button while it runs. Where workers aren't available the task runs here instead.
+ * @param {string} task - 'analysis' (`runSimulation`) or 'sizing' (`calculateDetailedSizing`).
+ * @param {object} payload - The task's inputs, as described in analysisWorker.js.
+ * @param {Function} onProgress - Called with each of the task's progress reports.
+ * @param {HTMLElement|null} cancelButtonEl - The button that cancels the task.
+ * @returns {Promise<object>} The task's result. If the user cancels, it rejects with an error marked `cancelled`.
+ */
+function runInAnalysisWorker(task, payload, onProgress, cancelButtonEl) {
+    if (typeof Worker === 'undefined') {
+        return new Promise(resolve => resolve(task === 'sizing'
+            ? calculateDetailedSizing(payload.correctedElectricityData, payload.solarData, payload.config, payload.simulationData, onProgress)
+            : runSimulation(payload.config, payload.simulationData, payload.electricityData, payload.solarData, payload.priceData, onProgress)));
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+        const finish = () => {
+            worker.terminate();
+            if (cancelButtonEl) {
+                cancelButtonEl.style.display = 'none';
+                cancelButtonEl.onclick = null;
+            }
+        };
+        if (cancelButtonEl) {
+            cancelButtonEl.style.display = 'inline-block';
+            cancelButtonEl.onclick = () => {
+                finish();
+                reject(Object.assign(new Error('The calculation was cancelled.'), { cancelled: true }));
+            };
+        }
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message.result);
+            } else {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || 'The analysis worker could not be started.'));
+        };
+        worker.postMessage({ task, payload });
+    });
+}
+
+/**
+ * Shows a labelled progress bar for each row in a container.
+ * @param {HTMLElement|null} containerEl - The container for the bars.
+ * @param {Array<object>} rows - `{ label, value, max }` for each bar.
+ */
+function renderProgressBars(containerEl, rows) {
+    if (!containerEl) return;
+    containerEl.style.display = 'block';
+    containerEl.innerHTML = rows.map(({ label, value, max }) => `<div class="progress-row"><span>${sanitize(label)}</span><progress value="${value}" max="${max}"></progress></div>`).join('');
+}
+
 /**
  * A utility to safely set a value on a nested property within an object.
  * e.g., setNestedProperty(obj, 'condition.action.type', 'flat_credit').
@@ -74,6 +161,8 @@ function saveProviderFromDOM(providerId) {
         row.querySelectorAll('.provider-input[data-field]').forEach(input => {
             const field = input.dataset.field;
             if (input.type === 'number') rule[field] = parseFloat(input.value) || 0;
+            else if (field === 'months') rule[field] = input.value.split(',').map(m => parseInt(m.trim(), 10)).filter(Number.isInteger);
+            else if (field === 'dayTypes') rule[field] = input.value.split(',').filter(Boolean);
             else rule[field] = input.value;
         });
         providerToSave.importRules.push(rule);
@@ -86,6 +175,8 @@ function saveProviderFromDOM(providerId) {
         row.querySelectorAll('.provider-input[data-field]').forEach(input => {
             const field = input.dataset.field;
             if (input.type === 'number') rule[field] = parseFloat(input.value) || 0;
+            else if (field === 'months') rule[field] = input.value.split(',').map(m => parseInt(m.trim(), 10)).filter(Number.isInteger);
+            else if (field === 'dayTypes') rule[field] = input.value.split(',').filter(Boolean);
             else rule[field] = input.value;
         });
         providerToSave.exportRules.push(rule);
@@ -140,7 +231,7 @@ export function toggleExistingSolar() {
         if (existingSolarKWInput) existingSolarKWInput.value = '0';
         if (existingSolarInverterInput) existingSolarInverterInput.value = '0';
         if (state.electricityData && state.electricityData.length > 0) {
-            state.solarData = state.electricityData.map(day => ({ date: day.date, hourly: Array(24).fill(0) }));
+            state.solarData = state.electricityData.map(day => ({ date: day.date, intervalMinutes: day.intervalMinutes, generation: Array(day.consumption.length).fill(0) }));
             if (solarCounts) solarCounts.textContent = `${state.solarData.length} days of zero-solar data generated.`;
         } else {
             state.solarData = null;
@@ -150,6 +241,73 @@ export function toggleExistingSolar() {
     }
 }
 
+/**
+ * Handles the selection of a CDR Energy Plan Detail JSON file. The plan is converted into a
+ * new provider and saved, and any plan features that couldn't be imported are listed.
+ * @param {Event} event - The file input change event.
+ */
+function handleCdrPlanImport(event) {
+    const file = event.target.files[0];
+    const statusEl = document.getElementById('cdrImportStatus');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const { provider, warnings } = importCdrPlan(JSON.parse(e.target.result));
+            saveProvider(provider);
+            renderProviderSettings();
+            if (statusEl) {
+                statusEl.innerHTML = `Imported "${sanitize(provider.name)}".` +
+                    (warnings.length > 0 ? ` The following plan features could not be fully represented:<ul>${warnings.map(w => `<li>${sanitize(w)}</li>`).join('')}</ul>` : '');
+                statusEl.style.color = warnings.length > 0 ? '#b36b00' : 'green';
+            }
+        } catch (error) {
+            console.error("Failed to import CDR plan:", error);
+            if (statusEl) {
+                statusEl.textContent = `Failed to import plan: ${error.message}`;
+                statusEl.style.color = 'red';
+            }
+        } finally {
+            event.target.value = null;
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Handles the selection of a public holiday calendar (ICS or CSV file). The holiday dates are kept
+ * in the state and used alongside the selected state's built-in holidays.
+ * @param {Event} event - The file input change event.
+ */
+function handleHolidayImport(event) {
+    const file = event.target.files[0];
+    const statusEl = document.getElementById('holidayImportStatus');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const holidays = parseHolidayFile(e.target.result, document.getElementById('holidayState')?.value || '');
+            if (holidays.length === 0) throw new Error("No holiday dates were found in the file.");
+            state.importedHolidays = holidays;
+            if (statusEl) {
+                statusEl.textContent = `Imported ${holidays.length} public holiday(s) from ${file.name}.`;
+                statusEl.style.color = 'green';
+            }
+        } catch (error) {
+            console.error("Failed to import holidays:", error);
+            if (statusEl) {
+                statusEl.textContent = `Failed to import holidays: ${error.message}`;
+                statusEl.style.color = 'red';
+            }
+        } finally {
+            event.target.value = null;
+        }
+    };
+    reader.readAsText(file);
+}
+
 /**
  * Wires up event listeners for all static UI elements that exist on page load.
  */
@@ -169,7 +327,16 @@ export function wireStaticEvents() {
 
     // File input listeners
     document.getElementById("usageCsv")?.addEventListener("change", handleUsageCsv);
+    document.getElementById("nem12Nmi")?.addEventListener("change", (e) => selectNem12Nmi(e.target.value));
+    document.getElementById("nem13Registers")?.addEventListener("change", (e) => {
+        if (e.target.classList.contains('nem13-period')) setNem13RegisterPeriod(e.target.dataset.key, e.target.value);
+    });
     document.getElementById("solarCsv")?.addEventListener("change", handleSolarCsv);
+    document.getElementById("priceCsv")?.addEventListener("change", handlePriceCsv);
+    document.getElementById("gapFillStrategy")?.addEventListener("change", (e) => {
+        updateGapFilling(e.target.value);
+        refreshVisibleDebugTables();
+    });
 	wireSaveLoadEvents(); // Attach save/load button listeners
     
     // Main action button listeners
@@ -202,6 +369,10 @@ export function wireStaticEvents() {
         saveProvider(newProvider);
         renderProviderSettings();
     });
+    // Listener to import a provider from a CDR Energy Plan Detail JSON file
+    document.getElementById('importCdrPlan')?.addEventListener('change', handleCdrPlanImport);
+    // Listener to import a public holiday calendar
+    document.getElementById('importHolidays')?.addEventListener('change', handleHolidayImport);
 
     // Listeners for all the individual debug table buttons
     document.getElementById("showDataDebugTable")?.addEventListener("click", () => renderDebugDataTable(state));
@@ -211,17 +382,19 @@ export function wireStaticEvents() {
     document.getElementById("showLoanDebugTable")?.addEventListener("click", renderLoanDebugTable);
     document.getElementById("showOpportunityCostDebugTable")?.addEventListener("click", renderOpportunityCostDebugTable);
     
-    // Logic for the NEM12 vs Advanced CSV format selection
+    // Logic for the NEM12/NEM13 vs Advanced CSV format selection
     const formatNem12Radio = document.getElementById('formatNem12');
+    const formatNem13Radio = document.getElementById('formatNem13');
     const formatAdvancedRadio = document.getElementById('formatAdvanced');
     const advancedUsageOptions = document.getElementById('advanced-usage-options');
 
     const toggleAdvancedOptions = () => {
         if (advancedUsageOptions) {
-            advancedUsageOptions.style.display = formatNem12Radio.checked ? 'none' : 'block';
+            advancedUsageOptions.style.display = formatAdvancedRadio.checked ? 'block' : 'none';
         }
     };
     formatNem12Radio?.addEventListener('change', toggleAdvancedOptions);
+    formatNem13Radio?.addEventListener('change', toggleAdvancedOptions);
     formatAdvancedRadio?.addEventListener('change', toggleAdvancedOptions);
 }
 
@@ -242,8 +415,12 @@ export function wireDynamicProviderEvents() {
                 const hoursWrapper = parent.querySelector('.hours-input-wrapper');
                 const limitWrapper = parent.querySelector('.limit-input-wrapper');
                 const selectedType = target.value;
-                if (hoursWrapper) hoursWrapper.style.display = selectedType === 'tou' ? '' : 'none';
+                const demandWrapper = parent.querySelector('.demand-input-wrapper');
+                const dynamicWrapper = parent.querySelector('.dynamic-input-wrapper');
+                if (hoursWrapper) hoursWrapper.style.display = selectedType === 'tou' || selectedType === 'demand' ? '' : 'none';
                 if (limitWrapper) limitWrapper.style.display = selectedType === 'tiered' ? '' : 'none';
+                if (demandWrapper) demandWrapper.style.display = selectedType === 'demand' ? '' : 'none';
+                if (dynamicWrapper) dynamicWrapper.style.display = selectedType === 'dynamic' ? '' : 'none';
             }
         }
     });
@@ -386,6 +563,7 @@ function handleCalculateSizing() {
         
         // Use a timeout to allow the UI to update with "Calculating..." before the main work begins.
         setTimeout(() => {
+            updateGapFilling(config.gapFillStrategy);
             let correctedElectricityData = JSON.parse(JSON.stringify(state.electricityData));
             
             const baselineProviderId = config.selectedProviders[0];
@@ -399,19 +577,8 @@ function handleCalculateSizing() {
                 return;
             }
 
-            // Determine the Time-of-Use hours from the baseline provider's tariff rules.
-            const peakRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('peak'));
-            const shoulderRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('shoulder'));
-            let touHours = {
-                peak: parseRangesToHours(peakRule?.hours || ''),
-                shoulder: parseRangesToHours(shoulderRule?.hours || ''),
-            };
-
-            // FIX 2: If no TOU rules are found, apply a full set of sensible defaults.
-            if (touHours.peak.length === 0 && touHours.shoulder.length === 0) {
-                touHours.peak = parseRangesToHours('3pm-11pm');
-                touHours.shoulder = parseRangesToHours('7am-3pm');
-            }
+            // Determine the Time-of-Use hours from the baseline provider's tariff rules (or the defaults if it has none).
+            const touHours = getTouHours(baselineProvider);
 
             // Save the determined hours to the global state for the debug table to use.
             state.touHoursForAnalysis = touHours;
@@ -424,16 +591,33 @@ function handleCalculateSizing() {
                 displayError("Could not get seasonal data. Please check CSV or manual inputs.", "sizing-error-message");
                 return;
             }
-            // Run the detailed sizing calculation and render the results.
-            const sizingResults = calculateDetailedSizing(correctedElectricityData, state.solarData, config, simulationData);
-            if (sizingResults) {
-                renderSizingResults(sizingResults, state);
-                setTimeout(() => {
-                    drawDistributionCharts(sizingResults.distributions, state);
-                }, 0);
-            } else {
-                displayError("Sizing calculation failed. Please check the data files.", "sizing-error-message");
-            }
+            // Run the detailed sizing calculation in the worker and render the results.
+            const sizingButton = document.getElementById('calculateSizing');
+            const progressEl = document.getElementById('sizingProgress');
+            const showProgress = (fraction) => renderProgressBars(progressEl, [{ label: `Analysing the usage data: ${Math.round(fraction * 100)}%`, value: fraction, max: 1 }]);
+            showProgress(0);
+            if (sizingButton) sizingButton.disabled = true;
+            const payload = { correctedElectricityData, solarData: state.solarData, config, simulationData };
+            runInAnalysisWorker('sizing', payload, showProgress, document.getElementById('cancelSizing')).then((sizingResults) => {
+                if (sizingResults) {
+                    renderSizingResults(sizingResults, state);
+                    setTimeout(() => {
+                        drawDistributionCharts(sizingResults.distributions, state);
+                    }, 0);
+                } else {
+                    displayError("Sizing calculation failed. Please check the data files.", "sizing-error-message");
+                }
+            }).catch((error) => {
+                if (error.cancelled) {
+                    if (recommendationContainer) recommendationContainer.innerHTML = '<p>Sizing calculation cancelled.</p>';
+                    return;
+                }
+                console.error("Error during sizing calculation:", error);
+                displayError("An unexpected error occurred during the sizing calculation.", "sizing-error-message");
+            }).finally(() => {
+                if (sizingButton) sizingButton.disabled = false;
+                if (progressEl) progressEl.style.display = 'none';
+            });
         }, 10);
     } catch (error) {
         console.error("Error during sizing calculation:", error);
@@ -466,6 +650,7 @@ function handleRunAnalysis() {
                     displayError("Please upload your electricity usage CSV to run the analysis.", "data-input-error");
                     return;
                 }
+                updateGapFilling(config.gapFillStrategy);
                 const baselineProviderId = config.selectedProviders[0];
                 if (!baselineProviderId) {
                     displayError("Please select at least one provider to use as a baseline.", "provider-selection-error");
@@ -477,20 +662,8 @@ function handleRunAnalysis() {
                     return;
                 }
 
-                // Determine the Time-of-Use hours from the baseline provider's tariff rules.
-                const peakRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('peak'));
-                const shoulderRule = (baselineProvider.importRules || []).find(r => r.name.toLowerCase().includes('shoulder'));
-                let touHours = {
-                    peak: parseRangesToHours(peakRule?.hours || ''),
-                    shoulder: parseRangesToHours(shoulderRule?.hours || ''),
-                };
-
-                // FIX 2: If no TOU rules are found, apply a full set of sensible defaults.
-                if (touHours.peak.length === 0 && touHours.shoulder.length === 0) {
-                    console.log("No TOU rules found for provider. Applying default Peak (3pm-11pm) and Shoulder (7am-3pm) periods for analysis.");
-                    touHours.peak = parseRangesToHours('3pm-11pm');
-                    touHours.shoulder = parseRangesToHours('7am-3pm');
-                }
+                // Determine the Time-of-Use hours from the baseline provider's tariff rules (or the defaults if it has none).
+                const touHours = getTouHours(baselineProvider);
                 
                 // Save the determined hours to the global state for the debug table to use.
                 state.touHoursForAnalysis = touHours;
@@ -501,17 +674,51 @@ function handleRunAnalysis() {
                 displayError("Could not calculate seasonal averages. Please check your data.", "data-input-error");
                 return;
             }
+            // Dynamic plans without wholesale prices still run, but their cost would otherwise be silently wrong.
+            const selectedProviders = config.selectedProviders.map(id => config.providers.find(p => p.id === id)).filter(Boolean);
+            const priceWarnings = getDynamicPriceWarnings(selectedProviders, state.electricityData, state.priceData, config.useManual);
+            if (priceWarnings.length > 0) displayError(priceWarnings.join(' '), "run-analysis-warning");
+
+            // --- Run Simulation in the worker and Render Results ---
+            const runButton = document.getElementById('runAnalysis');
+            const progressEl = document.getElementById('analysisProgress');
+            // One progress bar per provider, moved on as each year (then each dispatch strategy compared) is simulated.
+            const progressRows = config.selectedProviders
+                .map(id => config.providers.find(p => p.id === id))
+                .filter(Boolean)
+                .map(provider => ({ id: provider.id, name: provider.name, label: `${provider.name}: year 1 of ${config.numYears}`, value: 0, max: 1 }));
+            renderProgressBars(progressEl, progressRows);
+            if (runButton) runButton.disabled = true;
+            const payload = { config, simulationData, electricityData: state.electricityData, solarData: state.solarData, priceData: state.priceData };
+            const updateProgress = ({ providerId, completed, total }) => {
+                const row = progressRows.find(r => r.id === providerId);
+                if (!row) return;
+                row.value = completed;
+                row.max = total;
+                row.label = completed < config.numYears ? `${row.name}: year ${completed + 1} of ${config.numYears}`
+                    : completed < total ? `${row.name}: comparing dispatch strategies` : `${row.name}: done`;
+                renderProgressBars(progressEl, progressRows);
+            };
+            runInAnalysisWorker('analysis', payload, updateProgress, document.getElementById('cancelAnalysis')).then((resultsObject) => {
+                renderResults(resultsObject);
+                // Store results in the global state for exporting
+                state.analysisResults = resultsObject.financials;
+                state.analysisConfig = resultsObject.config;
+                state.rawData = resultsObject.rawData;
+                // Refresh any open debug tables with the new analysis data.
+                refreshVisibleDebugTables();
+            }).catch((error) => {
+                if (error.cancelled) {
+                    displayError("The analysis was cancelled.", "run-analysis-error");
+                    return;
+                }
+                console.error("An error occurred during analysis:", error);
+                displayError("An unexpected error occurred during analysis. Check the console.", "run-analysis-error");
+            }).finally(() => {
+                if (runButton) runButton.disabled = false;
+                if (progressEl) progressEl.style.display = 'none';
+            });
 
-            // --- Run Simulation and Render Results ---
-            const resultsObject = runSimulation(config, simulationData, state.electricityData);
-            renderResults(resultsObject);
-            // Store results in the global state for exporting
-            state.analysisResults = resultsObject.financials;
-            state.analysisConfig = resultsObject.config;
-            state.rawData = resultsObject.rawData;
-            // Refresh any open debug tables with the new analysis data.
-			refreshVisibleDebugTables();
-			
         } catch (error) {
             console.error("An error occurred during analysis:", error);
             displayError("An unexpected error occurred during analysis. Check the console.", "run-analysis-error");
@@ -30,6 +30,7 @@
 
 import { state } from './state.js';
 import { formatHoursToRanges } from './utils.js';
+import { DISPATCH_STRATEGIES } from './dispatchStrategies.js';
 
 /**
  * Renders or updates the two distribution histogram charts in the sizing recommendation section.
@@ -108,14 +109,16 @@ export function drawDistributionCharts(distributions, state) {
 
 /**
  * A helper function that builds the HTML for a single raw data table. It dynamically
- * adjusts its columns based on whether the provider has a flat-rate import tariff
- * and/or a tiered export tariff.
+ * adjusts its columns based on whether the provider has a flat-rate import tariff,
+ * a tiered export tariff, demand charges and/or a controlled load.
  * @param {object} data - The raw seasonal data for a single simulation.
  * @param {boolean} [isFlatRate=false] - A flag indicating a flat-rate import tariff.
  * @param {boolean} [hasTieredExport=false] - A flag indicating a tiered export tariff.
+ * @param {boolean} [hasDemand=false] - A flag indicating the tariff has demand charges.
+ * @param {boolean} [hasControlledLoad=false] - A flag indicating the usage data has a controlled load.
  * @returns {string} The complete HTML string for the table.
  */
-function buildRawDataTable(data, isFlatRate = false, hasTieredExport = false) {
+function buildRawDataTable(data, isFlatRate = false, hasTieredExport = false, hasDemand = false, hasControlledLoad = false) {
     let tableHTML = `<table class="raw-data-table"><thead><tr>`;
     
     // --- Dynamically Build Headers ---
@@ -131,11 +134,18 @@ function buildRawDataTable(data, isFlatRate = false, hasTieredExport = false) {
     } else {
         tableHTML += `<th>Grid Export (kWh)</th>`;
     }
+    tableHTML += `<th>Clipped Solar (kWh)</th><th>Curtailed Export (kWh)</th>`;
+    if (hasDemand) {
+        tableHTML += `<th>Peak Demand (kW)</th><th>Demand Charge ($)</th>`;
+    }
+    if (hasControlledLoad) {
+        tableHTML += `<th>Controlled Load (kWh)</th><th>Solar Diverted (kWh)</th>`;
+    }
     tableHTML += `</tr></thead><tbody>`;
     
     // --- Dynamically Build Body Rows ---
     // Initialize totals for the summary row.
-    let totals = { days: 0, peak: 0, shoulder: 0, offPeak: 0, gridCharge: 0, tier1: 0, tier2: 0 };
+    let totals = { days: 0, peak: 0, shoulder: 0, offPeak: 0, gridCharge: 0, tier1: 0, tier2: 0, clipped: 0, curtailed: 0, peakDemand: 0, demandCharge: 0, controlledLoad: 0, diverted: 0 };
     
     for (const seasonName in data) {
         const seasonData = data[seasonName];
@@ -148,6 +158,12 @@ function buildRawDataTable(data, isFlatRate = false, hasTieredExport = false) {
             totals.gridCharge += seasonData.gridChargeKWh || 0;
             totals.tier1 += seasonData.tier1ExportKWh || 0;
             totals.tier2 += seasonData.tier2ExportKWh || 0;
+            totals.clipped += seasonData.clippedSolarKWh || 0;
+            totals.curtailed += seasonData.curtailedExportKWh || 0;
+            totals.peakDemand = Math.max(totals.peakDemand, seasonData.peakDemandKW || 0); // Demand is a peak, not a sum.
+            totals.demandCharge += seasonData.demandCharge || 0;
+            totals.controlledLoad += seasonData.controlledLoadKWh || 0;
+            totals.diverted += seasonData.divertedSolarKWh || 0;
             
             // Build the table row for the season.
             tableHTML += `<tr><td>${seasonName}</td><td>${seasonData.days}</td>`;
@@ -164,6 +180,13 @@ function buildRawDataTable(data, isFlatRate = false, hasTieredExport = false) {
                 const totalExport = (seasonData.tier1ExportKWh || 0) + (seasonData.tier2ExportKWh || 0);
                 tableHTML += `<td>${totalExport.toFixed(2)}</td>`;
             }
+            tableHTML += `<td>${(seasonData.clippedSolarKWh || 0).toFixed(2)}</td><td>${(seasonData.curtailedExportKWh || 0).toFixed(2)}</td>`;
+            if (hasDemand) {
+                tableHTML += `<td>${(seasonData.peakDemandKW || 0).toFixed(2)}</td><td>${(seasonData.demandCharge || 0).toFixed(2)}</td>`;
+            }
+            if (hasControlledLoad) {
+                tableHTML += `<td>${(seasonData.controlledLoadKWh || 0).toFixed(2)}</td><td>${(seasonData.divertedSolarKWh || 0).toFixed(2)}</td>`;
+            }
             tableHTML += `</tr>`;
         }
     }
@@ -183,6 +206,13 @@ function buildRawDataTable(data, isFlatRate = false, hasTieredExport = false) {
         const totalExport = totals.tier1 + totals.tier2;
         tableHTML += `<td><strong>${totalExport.toFixed(2)}</strong></td>`;
     }
+    tableHTML += `<td><strong>${totals.clipped.toFixed(2)}</strong></td><td><strong>${totals.curtailed.toFixed(2)}</strong></td>`;
+    if (hasDemand) {
+        tableHTML += `<td><strong>${totals.peakDemand.toFixed(2)}</strong></td><td><strong>${totals.demandCharge.toFixed(2)}</strong></td>`;
+    }
+    if (hasControlledLoad) {
+        tableHTML += `<td><strong>${totals.controlledLoad.toFixed(2)}</strong></td><td><strong>${totals.diverted.toFixed(2)}</strong></td>`;
+    }
     tableHTML += `</tr></tbody></table>`;
 
     return tableHTML;
@@ -274,7 +304,7 @@ export function renderSizingResults(sizingResults, state) {
 			<canvas id="peakPeriodHistogram"></canvas></details>
             <details class="collapsible-histogram" open><summary>📊 Daily Maximum Hourly Load Distribution</summary>
 				<p style="font-size: 0.9em; font-style: italic; margin: 5px 10px; color: #555;">
-				This chart shows the peak power you demand from your system. For each day in your history, it finds the single hour where you drew the most power <b>(in kW)</b> from the grid or battery after your solar panels were used first. This reveals your typical peak power needs and is used to recommend the appropriate <b>inverter size (kW)</b>, ensuring it's powerful enough to handle your highest-demand moments.
+				This chart shows the peak power you demand from your system. For each day in your history, it finds the single interval (at your meter data's resolution, e.g. 30 minutes) where you drew the most power <b>(in kW)</b> from the grid or battery after your solar panels were used first. This reveals your typical peak power needs and is used to recommend the appropriate <b>inverter size (kW)</b>, ensuring it's powerful enough to handle your highest-demand moments.
                 </p>
 			<canvas id="maxHourlyHistogram"></canvas></details>`;
     }
@@ -297,18 +327,29 @@ function renderFinancialSummary(financials, config) {
         const systemCostForProvider = config.initialSystemCost - (providerDetails.rebate || 0);
         const finalNPV = result.npv - systemCostForProvider;
 
+        // Compare the Year 1 cost of the selected operating mode with the optimal dispatch schedule.
+        let optimalHTML = '';
+        const optimalCost = result.strategyComparison?.optimal;
+        if (optimalCost !== undefined) {
+            const gap = result.annualCosts[0] - optimalCost;
+            const gapText = gap >= 0 ? `$${gap.toFixed(2)} less than` : `$${(-gap).toFixed(2)} more than`;
+            optimalHTML = `<li>Year 1 Cost with Optimal Dispatch: <strong>$${optimalCost.toFixed(2)}</strong> (${gapText} the selected operating mode)</li>`;
+        }
+
         summaryHTML += `<p><strong>${providerDetails.name}</strong></p>
             <ul>
                 <li>Payback Period: Year ${result.roiYear ? result.roiYear : `> ${config.numYears}`}</li>
                 ${config.discountRateEnabled ? `<li>Net Present Value (NPV): <strong>$${finalNPV.toFixed(2)}</strong></li>` : ''}
                 ${result.irr !== null ? `<li>Internal Rate of Return (IRR): <strong>${result.irr.toFixed(2)}%</strong></li>` : ''}
+                ${optimalHTML}
             </ul>`;
     });
     document.getElementById("roiSummary").innerHTML = summaryHTML;
 }
 
 /**
- * Renders the detailed year-by-year financial breakdown table.
+ * Renders the detailed year-by-year financial breakdown table. Where the operating modes were compared,
+ * each provider also gets a column with its Year 1 cost under the optimal dispatch schedule.
  * @param {object} financials - The financial results object.
  * @param {Array} baselineCosts - The calculated annual baseline costs.
  * @param {object} config - The configuration object.
@@ -318,12 +359,17 @@ function renderFinancialTable(financials, baselineCosts, config) {
     const baselineProviderDetails = config.providers.find(p => p.id === config.selectedProviders[0]);
     const baselineProviderName = baselineProviderDetails ? baselineProviderDetails.name : "Baseline";
 
+    // The optimal dispatch cost is only worked out for Year 1.
+    const hasOptimalCost = pKey => financials[pKey]?.strategyComparison?.optimal !== undefined;
+
     // Build table headers.
     let tableHTML = `<h3>Financial Breakdown by Year</h3><table><thead><tr><th>Year</th><th>Baseline Cost (${baselineProviderName})</th>`;
     config.selectedProviders.forEach(pKey => {
         const providerDetails = config.providers.find(p => p.id === pKey);
         if (providerDetails) {
-            tableHTML += `<th>${providerDetails.name} Cost w/ System</th><th>${providerDetails.name} Cumulative Net Cash Flow</th>`;
+            tableHTML += `<th>${providerDetails.name} Cost w/ System</th>`;
+            if (hasOptimalCost(pKey)) tableHTML += `<th>${providerDetails.name} Cost w/ Optimal Dispatch</th>`;
+            tableHTML += `<th>${providerDetails.name} Cumulative Net Cash Flow</th>`;
         }
     });
     tableHTML += `</tr></thead><tbody>`;
@@ -336,7 +382,9 @@ function renderFinancialTable(financials, baselineCosts, config) {
             const result = financials[pKey];
             const annualCost = result?.annualCosts[y] || 0;
             const cumulativeSaving = result?.cumulativeSavingsPerYear[y] || 0;
-            tableHTML += `<td>$${annualCost.toFixed(2)}</td><td>$${cumulativeSaving.toFixed(2)}</td>`;
+            tableHTML += `<td>$${annualCost.toFixed(2)}</td>`;
+            if (hasOptimalCost(pKey)) tableHTML += `<td>${y === 0 ? `$${result.strategyComparison.optimal.toFixed(2)}` : 'N/A'}</td>`;
+            tableHTML += `<td>$${cumulativeSaving.toFixed(2)}</td>`;
         });
         tableHTML += "</tr>";
     }
@@ -344,6 +392,48 @@ function renderFinancialTable(financials, baselineCosts, config) {
     document.getElementById("results").innerHTML = tableHTML;
 }
 
+/**
+ * Renders a table comparing the Year 1 cost of each battery dispatch strategy for every provider,
+ * highlighting the cheapest operating mode. Nothing is shown if the analysis has no battery.
+ * @param {object} financials - The financial results object.
+ * @param {object} config - The configuration object.
+ */
+function renderStrategyComparison(financials, config) {
+    const container = document.getElementById("strategyComparison");
+    if (!container) return;
+
+    const providerKeys = config.selectedProviders.filter(pKey => financials[pKey]?.strategyComparison);
+    if (providerKeys.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    // Build table headers, one column per provider.
+    let tableHTML = `<h3>Battery Operating Mode Comparison (Year 1 Cost)</h3><table><thead><tr><th>Operating Mode</th>`;
+    providerKeys.forEach(pKey => {
+        const providerDetails = config.providers.find(p => p.id === pKey);
+        tableHTML += `<th>${providerDetails ? providerDetails.name : pKey}</th>`;
+    });
+    tableHTML += `</tr></thead><tbody>`;
+
+    // Build one row per strategy, marking the provider's selected mode and the cheapest mode.
+    for (const strategyKey in DISPATCH_STRATEGIES) {
+        tableHTML += `<tr><td>${DISPATCH_STRATEGIES[strategyKey].label}</td>`;
+        providerKeys.forEach(pKey => {
+            const comparison = financials[pKey].strategyComparison;
+            const providerDetails = config.providers.find(p => p.id === pKey);
+            const selectedKey = providerDetails?.dispatchStrategy || 'self_consumption';
+            const cheapest = Math.min(...Object.values(comparison));
+            const cost = comparison[strategyKey];
+            const label = `$${cost.toFixed(2)}${strategyKey === selectedKey ? ' (selected)' : ''}`;
+            tableHTML += `<td>${cost === cheapest ? `<strong>${label}</strong>` : label}</td>`;
+        });
+        tableHTML += "</tr>";
+    }
+    tableHTML += "</tbody></table>";
+    container.innerHTML = tableHTML;
+}
+
 /**
  * Renders the main cumulative savings line chart using Chart.js.
  * @param {object} financials - The financial results object.
@@ -415,6 +505,8 @@ function renderRawDataTables(rawData, config) {
     if (!container) return;
 
     let tablesHTML = '';
+    // Controlled load columns are only shown when the usage data had a controlled load stream.
+    const hasControlledLoad = Object.values(rawData.baseline?.year1 || {}).some(season => season.controlledLoadKWh > 0);
 
     // Check the baseline provider's tariff type for both import and export.
     const baselineProviderDetails = config.providers.find(p => p.id === config.selectedProviders[0]);
@@ -423,10 +515,12 @@ function renderRawDataTables(rawData, config) {
         const isBaselineFlatRate = !(baselineProviderDetails.importRules || []).some(r => r.type === 'tou');
         // Check if there ARE 'tiered' export rules.
         const baselineHasTieredExport = (baselineProviderDetails.exportRules || []).some(r => r.type === 'tiered');
+        // Check if there ARE 'demand' import rules.
+        const baselineHasDemand = (baselineProviderDetails.importRules || []).some(r => r.type === 'demand');
         
         tablesHTML += `<h3>Baseline Performance (Year 1)</h3>`;
-        // Pass both flags to the table builder.
-        tablesHTML += buildRawDataTable(rawData.baseline.year1, isBaselineFlatRate, baselineHasTieredExport);
+        // Pass the flags to the table builder.
+        tablesHTML += buildRawDataTable(rawData.baseline.year1, isBaselineFlatRate, baselineHasTieredExport, baselineHasDemand, hasControlledLoad);
     }
     
     // Repeat the checks for each simulated provider.
@@ -438,10 +532,11 @@ function renderRawDataTables(rawData, config) {
         if (providerSystemData?.year1) {
             const isProviderFlatRate = !(providerDetails.importRules || []).some(r => r.type === 'tou');
             const providerHasTieredExport = (providerDetails.exportRules || []).some(r => r.type === 'tiered');
+            const providerHasDemand = (providerDetails.importRules || []).some(r => r.type === 'demand');
             
             tablesHTML += `<h3>${providerDetails.name} - System Performance (Year 1)</h3>`;
-            // Pass both flags to the table builder.
-            tablesHTML += buildRawDataTable(providerSystemData.year1, isProviderFlatRate, providerHasTieredExport);
+            // Pass the flags to the table builder.
+            tablesHTML += buildRawDataTable(providerSystemData.year1, isProviderFlatRate, providerHasTieredExport, providerHasDemand, hasControlledLoad);
         }
     });
 
@@ -463,6 +558,7 @@ export function renderResults(resultsObject) {
     // Call each rendering function in sequence.
     renderFinancialSummary(financials, config);
     renderFinancialTable(financials, financials.baselineCosts, config);
+    renderStrategyComparison(financials, config);
     renderCharts(financials, config);
 	renderRawDataTables(rawData, config);
 
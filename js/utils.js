@@ -27,9 +27,6 @@
  * SOFTWARE.
  */
 
-import { state } from './state.js';
-import { calculateQuarterlyAverages } from './dataParser.js';
-
 /**
  * Determines the season for a given date string.
  * @param {string} date - A date string in 'YYYY-MM-DD' format.
@@ -43,6 +40,60 @@ export function getSeason(date) {
     return 'Spring';
 };
 
+/**
+ * Determines whether a date is a weekday, a weekend day, or a public holiday.
+ * A public holiday takes precedence, even if it falls on a weekend.
+ * @param {string} dateString - A date string in 'YYYY-MM-DD' format.
+ * @param {Set<string>|null} [publicHolidays=null] - The public holiday dates ('YYYY-MM-DD').
+ * @returns {string} 'weekday', 'weekend' or 'holiday'.
+ */
+export function getDayType(dateString, publicHolidays = null) {
+    if (publicHolidays?.has(dateString)) return 'holiday';
+    const dayOfWeek = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    return dayOfWeek === 0 || dayOfWeek === 6 ? 'weekend' : 'weekday';
+}
+
+/**
+ * Checks whether a tariff rule applies on a given date. A rule may be limited to a list of
+ * `months` (1-12), a `startDate`-`endDate` range in 'MM-DD' format, which may wrap
+ * around the new year (e.g. '11-01' to '03-31'), and/or a list of `dayTypes`
+ * ('weekday', 'weekend', 'holiday'). Rules without restrictions always apply,
+ * as does every rule when the date is unknown.
+ * @param {object} rule - The import or export rule.
+ * @param {string|null} dateString - A date string in 'YYYY-MM-DD' format.
+ * @param {string|null} [dayType=null] - The day type of the date. If not given, it is worked out from the
+ *   date without a holiday calendar.
+ * @returns {boolean} True if the rule applies on the date.
+ */
+export function isRuleActiveOnDate(rule, dateString, dayType = null) {
+    if (!dateString) return true;
+    const [, month, day] = dateString.split('-').map(n => parseInt(n, 10));
+    if (rule.months && rule.months.length > 0 && !rule.months.includes(month)) return false;
+    if (rule.dayTypes && rule.dayTypes.length > 0 && !rule.dayTypes.includes(dayType || getDayType(dateString))) return false;
+    if (!rule.startDate && !rule.endDate) return true;
+
+    // Compare dates as MMDD numbers, e.g. '03-31' becomes 331.
+    const toMonthDay = mmdd => {
+        const [m, d] = mmdd.split('-').map(n => parseInt(n, 10));
+        return m * 100 + (d || 1);
+    };
+    const today = month * 100 + day;
+    const start = rule.startDate ? toMonthDay(rule.startDate) : 101;
+    const end = rule.endDate ? toMonthDay(rule.endDate) : 1231;
+    return start <= end ? (today >= start && today <= end) : (today >= start || today <= end);
+}
+
+/**
+ * Filters a list of tariff rules down to those that apply on a given date.
+ * @param {Array} rules - An array of import or export rule objects.
+ * @param {string|null} dateString - A date string in 'YYYY-MM-DD' format.
+ * @param {string|null} [dayType=null] - The day type of the date ('weekday', 'weekend' or 'holiday').
+ * @returns {Array} The rules that apply on the date.
+ */
+export function filterRulesForDate(rules, dateString, dayType = null) {
+    return (rules || []).filter(rule => isRuleActiveOnDate(rule, dateString, dayType));
+}
+
 /**
  * Finds the correct tariff rate for a specific hour from a list of rate rules.
  * @param {number} hour - The hour of the day (0-23).
@@ -58,6 +109,51 @@ export function getRateForHour(hour, rates) {
     return otherRule ? otherRule.rate : 0;
 }
 
+/**
+ * Identifies the tier period a date falls in for a tiered rule, so usage can be accumulated across days.
+ * Periods are 'day' (the default), calendar 'month' or 'quarter', or 'billing': a monthly billing cycle
+ * starting on the rule's `billingStartDay` (1-31; in shorter months a late start day falls on the month's last day).
+ * @param {object} rule - The tiered rule object.
+ * @param {string} dateString - A date string in 'YYYY-MM-DD' format.
+ * @returns {string} A key that is the same for every date in the same tier period.
+ */
+export function getTierPeriodKey(rule, dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    switch (rule.tierPeriod) {
+        case 'month': return `${year}-${month}`;
+        case 'quarter': return `${year}-Q${Math.ceil(month / 3)}`;
+        case 'billing': {
+            // Days before the start day belong to the cycle that began last month.
+            const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            const startDay = Math.min(Math.max(Math.floor(rule.billingStartDay) || 1, 1), daysInMonth);
+            const cycleStart = day >= startDay ? new Date(Date.UTC(year, month - 1, 1)) : new Date(Date.UTC(year, month - 2, 1));
+            return `${cycleStart.getUTCFullYear()}-${cycleStart.getUTCMonth() + 1}-B`;
+        }
+        default: return dateString;
+    }
+}
+
+/**
+ * Returns the average number of days in a tiered rule's tier period.
+ * @param {object} rule - The tiered rule object.
+ * @returns {number} The days in the period (1 for daily tiers).
+ */
+export function getTierPeriodDays(rule) {
+    return { month: 365 / 12, billing: 365 / 12, quarter: 365 / 4 }[rule.tierPeriod] || 1;
+}
+
+/**
+ * Works out the price ($/kWh) a `dynamic` tariff rule charges or credits for one interval:
+ * the wholesale spot price scaled by the rule's `multiplier` (e.g. 1.1 to add GST), plus the rule's
+ * fixed `rate` (e.g. network charges and the retailer's margin).
+ * @param {object} rule - The dynamic rule object.
+ * @param {number} spotPrice - The wholesale price for the interval in $/kWh.
+ * @returns {number} The interval price in $/kWh (negative when the spot price is low enough).
+ */
+export function getDynamicRate(rule, spotPrice) {
+    return (spotPrice || 0) * (rule.multiplier ?? 1) + (rule.rate || 0);
+}
+
 /**
  * Safely parses a numeric value from an input field by its ID.
  * @param {string} id - The ID of the HTML input element.
@@ -115,67 +211,156 @@ export function escalate(baseValue, rate, year) {
 }
 
 /**
- * Parses a time string (e.g., "7am", "10pm", "14:00") into a 24-hour format number.
+ * Parses a time string (e.g., "7am", "6:30pm", "14:00") into minutes past midnight.
  * @param {string} timeStr - The time string to parse.
- * @returns {number|null} The hour (0-23), or null if parsing fails.
+ * @returns {number|null} The minutes past midnight (0-1440), or null if parsing fails.
  */
 function parseTime(timeStr) {
     timeStr = timeStr.toLowerCase().trim();
-    let hour = parseInt(timeStr, 10);
-    if (isNaN(hour)) return null;
-    if (timeStr.includes('am')) {
+    const match = timeStr.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    if (match[3] === 'am') {
         if (hour === 12) hour = 0; // 12am is hour 0.
-    } else if (timeStr.includes('pm')) {
+    } else if (match[3] === 'pm') {
         if (hour !== 12) hour += 12; // 1pm is 13, 2pm is 14, etc.
     }
-    return (hour >= 0 && hour <= 24) ? hour : null;
+    const totalMinutes = hour * 60 + minute;
+    return (minute < 60 && totalMinutes >= 0 && totalMinutes <= 1440) ? totalMinutes : null;
 }
 
 /**
- * Parses a comma-separated string of time ranges (e.g., "7am-10am, 4pm-10pm")
- * into a sorted array of unique hour numbers. Handles overnight ranges.
+ * Returns the length in minutes of each interval in a day's array of values.
+ * A 24-value array is hourly (60), a 48-value array is 30-minute, and so on.
+ * @param {number[]} values - An array of interval values covering one day.
+ * @returns {number} The interval length in minutes.
+ */
+export function getIntervalMinutes(values) {
+    return values && values.length > 0 ? 1440 / values.length : 60;
+}
+
+/**
+ * Parses a comma-separated string of time ranges (e.g., "7am-10am, 6:30pm-8pm")
+ * into a sorted array of the interval indices they cover at the given resolution.
+ * An interval is included when its start time falls inside a range. Handles overnight ranges.
  * @param {string} rangesStr - The string of time ranges.
- * @returns {number[]} A sorted array of hours (e.g., [7, 8, 9, 16, 17, ...]).
+ * @param {number} [intervalMinutes=60] - The length of each interval in minutes (5, 15, 30 or 60).
+ * @returns {number[]} A sorted array of interval indices (e.g., [14, 15, 32, 33, ...] for 30-minute data).
  */
-export function parseRangesToHours(rangesStr) {
+export function parseRangesToIntervals(rangesStr, intervalMinutes = 60) {
     if (!rangesStr || typeof rangesStr !== 'string') return [];
-    const allHours = new Set(); // Use a Set to automatically handle duplicate hours.
+    const intervalsPerDay = Math.round(1440 / intervalMinutes);
+    const allIntervals = new Set(); // Use a Set to automatically handle duplicates.
     const ranges = rangesStr.split(',');
     ranges.forEach(range => {
         range = range.trim();
         const parts = range.split('-').map(p => p.trim());
         const start = parseTime(parts[0]);
         if (start === null) return;
-        if (parts.length === 1) { // Single hour entry.
-            allHours.add(start);
-        } else { // Hour range.
-            let end = parseTime(parts[1]);
-            if (end === null) return;
+        if (parts.length === 1) { // Single entry: the interval containing that time.
+            allIntervals.add(Math.floor(start / intervalMinutes) % intervalsPerDay);
+            return;
+        }
+        const end = parseTime(parts[1]);
+        if (end === null) return;
+        for (let i = 0; i < intervalsPerDay; i++) {
+            const intervalStart = i * intervalMinutes;
             if (start < end) { // Standard range (e.g., 7am-10am).
-                for (let i = start; i < end; i++) allHours.add(i);
-            } else { // Overnight range (e.g., 10pm-7am).
-                for (let i = start; i < 24; i++) allHours.add(i); // From start to midnight.
-                for (let i = 0; i < end; i++) allHours.add(i);   // From midnight to end.
+                if (intervalStart >= start && intervalStart < end) allIntervals.add(i);
+            } else if (intervalStart >= start || intervalStart < end) { // Overnight range (e.g., 10pm-7am).
+                allIntervals.add(i);
             }
         }
     });
-    return Array.from(allHours).sort((a, b) => a - b);
+    return Array.from(allIntervals).sort((a, b) => a - b);
 }
 
 /**
- * A helper to get or calculate and then cache the seasonal average data from CSVs.
- * @param {object} touHours - An object defining TOU hours, needed for the calculation.
- * @param {Array} electricityData - The parsed electricity data.
- * @returns {object|null} The quarterly averages object.
- */
-export function getSimulationData(touHours, electricityData) {
-    // This function is only for CSV data; manual data is handled directly in the config.
-    // If the averages haven't been calculated yet, calculate and cache them in the global state.
-    if (!state.quarterlyAverages) {
-        if (!electricityData || !state.solarData) return null;
-        state.quarterlyAverages = calculateQuarterlyAverages(electricityData, state.solarData, touHours);
-    }
-    return state.quarterlyAverages;
+ * Parses a comma-separated string of time ranges (e.g., "7am-10am, 4pm-10pm")
+ * into a sorted array of unique hour numbers. Handles overnight ranges.
+ * @param {string} rangesStr - The string of time ranges.
+ * @returns {number[]} A sorted array of hours (e.g., [7, 8, 9, 16, 17, ...]).
+ */
+export function parseRangesToHours(rangesStr) {
+    return parseRangesToIntervals(rangesStr, 60);
+}
+
+/**
+ * Converts a day's array of interval values to a different resolution.
+ * Energy is conserved: coarse values are split evenly into finer intervals,
+ * and fine values are summed into coarser ones.
+ * @param {number[]} values - The source interval values for one day.
+ * @param {number} targetIntervalMinutes - The desired interval length in minutes.
+ * @returns {number[]} A new array of values at the target resolution.
+ */
+export function resampleIntervals(values, targetIntervalMinutes) {
+    const targetLength = Math.round(1440 / targetIntervalMinutes);
+    if (!values || values.length === 0) return Array(targetLength).fill(0);
+    if (values.length === targetLength) return [...values];
+
+    // Split both resolutions down to their greatest common interval, then regroup.
+    const sourceIntervalMinutes = getIntervalMinutes(values);
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const commonMinutes = gcd(sourceIntervalMinutes, targetIntervalMinutes);
+    const splitFactor = sourceIntervalMinutes / commonMinutes;
+    const groupFactor = targetIntervalMinutes / commonMinutes;
+
+    const resampled = Array(targetLength).fill(0);
+    values.forEach((value, i) => {
+        const share = (value || 0) / splitFactor;
+        for (let s = 0; s < splitFactor; s++) {
+            resampled[Math.floor((i * splitFactor + s) / groupFactor)] += share;
+        }
+    });
+    return resampled;
+}
+
+/**
+ * Converts a day's array of interval prices (or other rates) to a different resolution.
+ * Unlike energy, rates are averaged when combining intervals and repeated when splitting them.
+ * @param {number[]} values - The source interval rates for one day.
+ * @param {number} targetIntervalMinutes - The desired interval length in minutes.
+ * @returns {number[]} A new array of rates at the target resolution.
+ */
+export function resampleRates(values, targetIntervalMinutes) {
+    const sourceIntervalMinutes = getIntervalMinutes(values);
+    return resampleIntervals(values, targetIntervalMinutes).map(v => v * sourceIntervalMinutes / targetIntervalMinutes);
+}
+
+/**
+ * Reconstructs the household's total consumption in each interval of a day, as if there were no solar or battery.
+ * If the inverter export recorded the household load, that is used directly. Otherwise it is the grid import plus
+ * the solar used on site (generation that wasn't exported), adjusted for any battery charging and discharging
+ * the inverter recorded.
+ * @param {object} day - A day of usage data, with `consumption` (grid import) and `feedIn` interval arrays.
+ * @param {number[]} intervalSolar - The day's solar generation, at the same interval length as the usage data.
+ * @param {object|null} [solarDay=null] - The day's record from the solar file, for its `load`, `batteryCharge`
+ *   and `batteryDischarge` arrays (if the export had them).
+ * @returns {number[]} The household consumption (kWh) for each interval.
+ */
+export function reconstructConsumption(day, intervalSolar, solarDay = null) {
+    const intervalMinutes = getIntervalMinutes(day.consumption);
+    if (solarDay?.load) return resampleIntervals(solarDay.load, intervalMinutes);
+    const batteryCharge = solarDay?.batteryCharge ? resampleIntervals(solarDay.batteryCharge, intervalMinutes) : [];
+    const batteryDischarge = solarDay?.batteryDischarge ? resampleIntervals(solarDay.batteryDischarge, intervalMinutes) : [];
+    return day.consumption.map((gridImport, i) => {
+        const selfConsumed = Math.max(0, (intervalSolar[i] || 0) - (day.feedIn[i] || 0));
+        return Math.max(0, (gridImport || 0) + selfConsumed - (batteryCharge[i] || 0) + (batteryDischarge[i] || 0));
+    });
+}
+
+/**
+ * Formats an interval index as a clock time label (e.g., 37 at 30-minute resolution becomes "18:30").
+ * @param {number} index - The interval index within the day.
+ * @param {number} intervalMinutes - The length of each interval in minutes.
+ * @returns {string} The formatted "HH:MM" label.
+ */
+export function formatIntervalTime(index, intervalMinutes) {
+    const minutes = index * intervalMinutes;
+    const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mm = String(minutes % 60).padStart(2, '0');
+    return `${hh}:${mm}`;
 }
 
 /**
@@ -258,6 +443,138 @@ export function parseDateString(dateString, format) {
     return null;
 }
 
+/**
+ * Works out the order of the date parts in a column of date/time strings, for files whose date format
+ * depends on where they were exported. A four-digit first part means year first; otherwise a first part
+ * above 12 means day first and a second part above 12 means month first. If every date is ambiguous,
+ * the Australian day-first order is assumed.
+ * @param {string[]} dateStrings - Sample date/time strings from the file.
+ * @returns {string} A format for `parseDateString`: 'YYYY-MM-DD', 'DD/MM/YYYY' or 'MM/DD/YYYY'.
+ */
+export function detectDateFormat(dateStrings) {
+    let dayFirst = false;
+    let monthFirst = false;
+    for (const dateString of dateStrings) {
+        const segments = (dateString || '').split(/ |T/)[0].split(/[-/.]/);
+        if (segments.length !== 3) continue;
+        if (segments[0].length === 4) return 'YYYY-MM-DD';
+        if (parseInt(segments[0], 10) > 12) dayFirst = true;
+        if (parseInt(segments[1], 10) > 12) monthFirst = true;
+    }
+    return monthFirst && !dayFirst ? 'MM/DD/YYYY' : 'DD/MM/YYYY';
+}
+
+/**
+ * Reads the UTC offset written at the end of a timestamp, e.g. "+11:00", "+1100" or "Z".
+ * @param {string} dateString - The date/time string from the file.
+ * @returns {number|null} The offset in minutes, or null if the timestamp doesn't include one.
+ */
+export function parseTimestampOffset(dateString) {
+    const match = (dateString || '').trim().match(/\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(Z|([+-])(\d{2}):?(\d{2}))$/i);
+    if (!match) return null;
+    if (match[1].toUpperCase() === 'Z') return 0;
+    return (match[2] === '-' ? -1 : 1) * (parseInt(match[3], 10) * 60 + parseInt(match[4], 10));
+}
+
+// Date formatters and offsets by timezone, cached because converting a year of 5-minute data needs many lookups.
+const timeZoneFormatters = new Map();
+const timeZoneOffsets = new Map();
+
+/**
+ * Gets a timezone's offset from UTC at a moment in time, e.g. 660 for Australia/Sydney during daylight saving.
+ * @param {string} timeZone - An IANA timezone name, e.g. 'Australia/Sydney'.
+ * @param {number} utcMillis - The moment, in milliseconds since the epoch.
+ * @returns {number} The offset in minutes.
+ */
+export function getTimeZoneOffsetMinutes(timeZone, utcMillis) {
+    // Offsets only change on the hour or half hour (in UTC) in the timezones used here, so one lookup per half hour is enough.
+    const key = `${timeZone}|${Math.floor(utcMillis / 1800000)}`;
+    if (timeZoneOffsets.has(key)) return timeZoneOffsets.get(key);
+    if (!timeZoneFormatters.has(timeZone)) {
+        timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric' }));
+    }
+    const periodStart = Math.floor(utcMillis / 1800000) * 1800000;
+    const parts = Object.fromEntries(timeZoneFormatters.get(timeZone).formatToParts(new Date(periodStart)).map(part => [part.type, part.value]));
+    const offset = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - periodStart) / 60000);
+    timeZoneOffsets.set(key, offset);
+    return offset;
+}
+
+/**
+ * Finds the moments a local clock time can refer to in a timezone. Usually there is one; the hour skipped
+ * when daylight saving starts has none, and the hour repeated when it ends has two.
+ * @param {string} timeZone - An IANA timezone name.
+ * @param {number} wallMillis - The local clock time, stored as if it were UTC (as `parseDateString` returns it).
+ * @returns {number[]} The matching moments in milliseconds since the epoch, earliest first.
+ */
+function getLocalTimeInstants(timeZone, wallMillis) {
+    const offsets = new Set([getTimeZoneOffsetMinutes(timeZone, wallMillis - 86400000), getTimeZoneOffsetMinutes(timeZone, wallMillis + 86400000)]);
+    return [...offsets]
+        .filter(offset => getTimeZoneOffsetMinutes(timeZone, wallMillis - offset * 60000) === offset)
+        .map(offset => wallMillis - offset * 60000)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Checks whether a local clock time was skipped because daylight saving started (e.g. 2:30am on the first
+ * Sunday in October in Sydney), so an interval with no reading there isn't mistaken for missing data.
+ * @param {string} timeZone - An IANA timezone name, or '' when timestamps are used as recorded.
+ * @param {string} date - The local date as 'YYYY-MM-DD'.
+ * @param {number} minuteOfDay - The local minute of the day (0-1439).
+ * @returns {boolean} True if that time never happened on the local clock.
+ */
+export function isSkippedLocalTime(timeZone, date, minuteOfDay) {
+    if (!timeZone) return false;
+    return getLocalTimeInstants(timeZone, Date.parse(`${date}T00:00:00Z`) + minuteOfDay * 60000).length === 0;
+}
+
+/**
+ * Creates a function that puts the timestamps from one file onto the local clock of a timezone, which is
+ * what tariff time windows follow. The file's timestamps can be in local clock time, local standard time
+ * all year (e.g. NEM market time, which is AEST), UTC, or a fixed offset; a timestamp with its own UTC
+ * offset (e.g. "+11:00") always uses that. Daylight saving days are handled the same way every time:
+ * - On local clock time files, a time in the skipped hour is read as if the clocks hadn't changed yet
+ *   (landing in the hour after), and a repeated time is read as the first occurrence, then the second.
+ * - Converted onto the local clock, the day daylight saving starts has no readings in the skipped hour,
+ *   and the day it ends has two readings in each interval of the repeated hour, which are added together.
+ * @param {string} timeZone - An IANA timezone name, or '' to use the timestamps as recorded (no conversion).
+ * @param {string|number} source - What the file's timestamps are in: 'local', 'standard', 'utc', or a UTC offset in minutes.
+ * @returns {function(Date, string=, string=): object} Called with a timestamp from `parseDateString`, a key for the data
+ *   stream it belongs to (so a repeated time is tracked per stream), and the original string (for an explicit offset).
+ *   Returns `{ date, minuteOfDay, instant }` on the local clock, where `instant` identifies the moment of the reading.
+ */
+export function createTimestampConverter(timeZone, source) {
+    const seenRepeatedTimes = new Set();
+    return (dateTime, streamKey = '', dateString = '') => {
+        const wallMillis = dateTime.getTime();
+        let instant = wallMillis;
+        if (timeZone) {
+            const explicitOffset = parseTimestampOffset(dateString);
+            if (explicitOffset !== null) {
+                instant = wallMillis - explicitOffset * 60000;
+            } else if (typeof source === 'number') {
+                instant = wallMillis - source * 60000;
+            } else if (source === 'standard') {
+                const year = dateTime.getUTCFullYear();
+                const standardOffset = Math.min(getTimeZoneOffsetMinutes(timeZone, Date.UTC(year, 0, 1)), getTimeZoneOffsetMinutes(timeZone, Date.UTC(year, 6, 1)));
+                instant = wallMillis - standardOffset * 60000;
+            } else if (source === 'local') {
+                const instants = getLocalTimeInstants(timeZone, wallMillis);
+                if (instants.length === 0) {
+                    instant = wallMillis - getTimeZoneOffsetMinutes(timeZone, wallMillis - 86400000) * 60000;
+                } else if (instants.length === 2 && seenRepeatedTimes.has(`${streamKey}|${wallMillis}`)) {
+                    instant = instants[1];
+                } else {
+                    instant = instants[0];
+                    if (instants.length === 2) seenRepeatedTimes.add(`${streamKey}|${wallMillis}`);
+                }
+            }
+        }
+        const local = timeZone ? new Date(instant + getTimeZoneOffsetMinutes(timeZone, instant) * 60000) : dateTime;
+        return { date: local.toISOString().split('T')[0], minuteOfDay: local.getUTCHours() * 60 + local.getUTCMinutes(), instant };
+    };
+}
+
 /**
  * Converts a 24-hour number into a 12-hour am/pm format string.
  * @param {number} hour - The hour of the day (0-24).
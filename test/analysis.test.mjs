@@ -0,0 +1,271 @@
+// test/analysis.test.mjs
+// Version 1.1.4
+// Hand-calculated cases for the day simulation, special conditions and IRR in analysis.js.
+// Run with `node --test test/` from the project folder.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateDay, applySpecialConditions, calculateIRR } from '../js/analysis.js';
+import { tariffComponents } from '../js/tariffComponents.js';
+
+// A simple TOU plan: peak 4pm-9pm at 50c, everything else at 20c, and a 5c FIT.
+const TOU_PROVIDER = {
+    id: 'Test',
+    importRules: [{ type: 'tou', name: 'Peak', rate: 0.50, hours: '4pm-9pm' }, { type: 'flat', name: 'Off-Peak', rate: 0.20 }],
+    exportRules: [{ type: 'flat', name: 'FIT', rate: 0.05 }],
+};
+
+// A 10 kWh battery with a 5 kW inverter and no losses. Grid charging (if the plan has it) tops it up to
+// 80% while it is below 50%.
+const LOSSLESS_BATTERY = { capacity: 10, inverterKW: 5, roundTripEfficiency: 1, gridChargeThreshold: 80, socChargeTrigger: 50 };
+
+// 1 kWh of use every hour, and 3 kWh of solar an hour from 10am to 2pm (a 2 kWh surplus in each of those hours).
+const CONSUMPTION = Array(24).fill(1);
+const SOLAR = Array.from({ length: 24 }, (_, hour) => hour >= 10 && hour < 14 ? 3 : 0);
+
+/**
+ * Checks an energy or dollar amount to within a thousandth.
+ * @param {number} actual - The calculated amount.
+ * @param {number} expected - The hand-calculated amount.
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 0.001, `expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Sums an array of numbers.
+ * @param {number[]} values - The values.
+ * @returns {number} The total.
+ */
+function sum(values) {
+    return values.reduce((a, b) => a + b, 0);
+}
+
+describe('simulateDay', () => {
+    it('imports the shortfall and exports the surplus without a battery', () => {
+        // 24 kWh used, 4 of it covered by solar: 20 kWh imported (5 of it in the peak) and 4 * 2 = 8 kWh exported.
+        const { dailyBreakdown } = simulateDay(CONSUMPTION, SOLAR, TOU_PROVIDER, null);
+        assertClose(sum(dailyBreakdown.intervalImports), 20);
+        assertClose(dailyBreakdown.peakKWh, 5);
+        assertClose(dailyBreakdown.offPeakKWh, 15);
+        assertClose(dailyBreakdown.tier1ExportKWh, 8);
+        assertClose(sum(dailyBreakdown.intervalExports), 8);
+    });
+
+    it('stores the surplus in the battery and uses it in the evening', () => {
+        // The 8 kWh surplus charges the battery instead of being exported; it then covers the 8 hours from 2pm
+        // to 10pm (including the whole peak), leaving 10pm-10am (12 hours) on the grid.
+        const { dailyBreakdown, finalSOC } = simulateDay(CONSUMPTION, SOLAR, TOU_PROVIDER, LOSSLESS_BATTERY);
+        assertClose(sum(dailyBreakdown.intervalExports), 0);
+        assertClose(sum(dailyBreakdown.intervalImports), 12);
+        assertClose(dailyBreakdown.peakKWh, 0);
+        assertClose(finalSOC, 0);
+    });
+
+    it('loses energy on both legs of the round trip', () => {
+        // 81% round trip is 90% each way: 8 kWh charged stores 7.2 kWh, which delivers 6.48 kWh.
+        // Imports are 24 - 4 (solar) - 6.48 = 13.52 kWh.
+        const battery = { ...LOSSLESS_BATTERY, roundTripEfficiency: 0.81 };
+        const { dailyBreakdown, finalSOC } = simulateDay(CONSUMPTION, SOLAR, TOU_PROVIDER, battery);
+        assertClose(sum(dailyBreakdown.intervalImports), 13.52);
+        assertClose(finalSOC, 0);
+    });
+
+    it('carries the starting charge and keeps the minimum SOC', () => {
+        // Starting at 5 kWh with a 10% (1 kWh) floor, 4 kWh covers midnight to 4am; the surplus then
+        // refills the battery by 8 kWh (to 9 kWh), which covers 2pm-10pm and leaves the 1 kWh floor.
+        // Imports: 4am-10am and 10pm-midnight = 8 kWh.
+        const battery = { ...LOSSLESS_BATTERY, minSocPercent: 10 };
+        const { dailyBreakdown, finalSOC } = simulateDay(CONSUMPTION, SOLAR, TOU_PROVIDER, battery, { initialSOC: 5 });
+        assertClose(sum(dailyBreakdown.intervalImports), 8);
+        assertClose(finalSOC, 1);
+    });
+
+    it('curtails exports above a static export limit', () => {
+        // A 1 kW limit lets 1 of each hour's 2 kWh surplus out: 4 kWh exported and 4 kWh curtailed.
+        const provider = { ...TOU_PROVIDER, exportLimitType: 'static', exportLimitKW: 1 };
+        const { dailyBreakdown } = simulateDay(CONSUMPTION, SOLAR, provider, null);
+        assertClose(sum(dailyBreakdown.intervalExports), 4);
+        assertClose(dailyBreakdown.curtailedExportKWh, 4);
+    });
+
+    it('charges from the grid in the grid charging window while the SOC is below the trigger', () => {
+        // Grid charging 1am-3am towards 80% of 10 kWh, allowed below 50%: the empty battery takes 5 kWh (the
+        // inverter limit) at 1am, costed at the 20c off-peak rate = $1.00. At 50% it is no longer below the trigger.
+        const provider = { ...TOU_PROVIDER, gridChargeEnabled: true, gridChargeStart: 1, gridChargeEnd: 3 };
+        const noUse = Array(24).fill(0);
+        const { dailyBreakdown, gridChargeCost } = simulateDay(noUse, noUse, provider, LOSSLESS_BATTERY);
+        assertClose(dailyBreakdown.gridChargeKWh, 5);
+        assertClose(dailyBreakdown.intervalImports[1], 5);
+        assertClose(dailyBreakdown.intervalImports[2], 0);
+        assertClose(gridChargeCost, 1.00);
+        // With a 60% trigger it carries on at 2am, taking the 3 kWh left to reach 80%: 8 kWh for $1.60.
+        const higherTrigger = simulateDay(noUse, noUse, provider, { ...LOSSLESS_BATTERY, socChargeTrigger: 60 });
+        assertClose(higherTrigger.dailyBreakdown.gridChargeKWh, 8);
+        assertClose(higherTrigger.dailyBreakdown.intervalImports[2], 3);
+        assertClose(higherTrigger.gridChargeCost, 1.60);
+    });
+
+    it('splits exports into the first tier and the rest', () => {
+        // With a 5 kWh first FIT tier, 5 of the 8 kWh exported are tier 1 and 3 are tier 2.
+        const provider = { ...TOU_PROVIDER, exportRules: [{ type: 'tiered', name: 'First 5 kWh', rate: 0.10, limit: 5 }, { type: 'flat', name: 'Rest', rate: 0.05 }] };
+        const { dailyBreakdown } = simulateDay(CONSUMPTION, SOLAR, provider, null);
+        assertClose(dailyBreakdown.tier1ExportKWh, 5);
+        assertClose(dailyBreakdown.tier2ExportKWh, 3);
+    });
+});
+
+describe('optimal dispatch', () => {
+    // A 13.5 kWh battery with a 5 kW inverter and 90% round-trip efficiency.
+    const battery = { capacity: 13.5, inverterKW: 5, roundTripEfficiency: 0.9 };
+    // 50c a kWh at any time, and a 5c FIT.
+    const flatProvider = { ...TOU_PROVIDER, importRules: [{ type: 'flat', name: 'Anytime', rate: 0.50 }] };
+
+    /**
+     * Simulates a day of 1 kW of use and 4 kW of solar from 8am to 4pm, and costs it on the provider's plan.
+     * @param {object} provider - The provider, with the dispatch strategy to use.
+     * @param {number} numIntervals - The number of intervals in the day (48 for half-hourly, 288 for 5-minute data).
+     * @param {number} initialSOC - The battery's charge at the start of the day in kWh.
+     * @returns {number} The cost of the day's imports less the export credit.
+     */
+    function dayCost(provider, numIntervals, initialSOC) {
+        const hours = 24 / numIntervals;
+        const consumption = Array(numIntervals).fill(hours);
+        const solar = Array.from({ length: numIntervals }, (_, i) => (i * hours >= 8 && i * hours < 16 ? 4 * hours : 0));
+        const { dailyBreakdown } = simulateDay(consumption, solar, provider, battery, { initialSOC });
+        return tariffComponents.IMPORT_RULES.calculate(provider.importRules, dailyBreakdown, { rate: 0, year: 1 }) -
+            tariffComponents.EXPORT_RULES.calculate(provider.exportRules, dailyBreakdown, 1, {}, rate => rate);
+    }
+
+    for (const [label, numIntervals] of [['30-minute', 48], ['5-minute', 288]]) {
+        it(`costs no more than self-consumption on the same day with ${label} data`, () => {
+            for (const provider of [flatProvider, TOU_PROVIDER]) {
+                for (const initialSOC of [0, 6]) {
+                    const selfConsumption = dayCost({ ...provider, dispatchStrategy: 'self_consumption' }, numIntervals, initialSOC);
+                    const optimal = dayCost({ ...provider, dispatchStrategy: 'optimal' }, numIntervals, initialSOC);
+                    assert.ok(optimal <= selfConsumption + 0.001, `${provider.importRules[0].name} plan from ${initialSOC} kWh: optimal $${optimal.toFixed(3)}, self-consumption $${selfConsumption.toFixed(3)}`);
+                }
+            }
+        });
+    }
+
+    it('captures clipped solar with a DC-coupled battery', () => {
+        // 2 kWh an hour clipped from 10am to 2pm (8 kWh), on top of the 2 kWh surplus in those hours. The battery
+        // takes the clipped energy first, so none of it is lost and the day costs no more than self-consumption.
+        const clippedSolar = Array.from({ length: 24 }, (_, hour) => hour >= 10 && hour < 14 ? 2 : 0);
+        const dcBattery = { ...LOSSLESS_BATTERY, capacity: 20, dcCoupled: true };
+        const cost = ({ dailyBreakdown }) => sum(dailyBreakdown.intervalImports) * 0.5 - sum(dailyBreakdown.intervalExports) * 0.05;
+        const provider = { ...flatProvider, dispatchStrategy: 'optimal' };
+        const optimal = simulateDay(CONSUMPTION, SOLAR, provider, dcBattery, { intervalClippedSolar: clippedSolar });
+        const selfConsumption = simulateDay(CONSUMPTION, SOLAR, { ...provider, dispatchStrategy: 'self_consumption' }, dcBattery, { intervalClippedSolar: clippedSolar });
+        assertClose(optimal.dailyBreakdown.clippedSolarKWh, 0);
+        assert.ok(cost(optimal) <= cost(selfConsumption) + 0.001, `optimal $${cost(optimal).toFixed(3)}, self-consumption $${cost(selfConsumption).toFixed(3)}`);
+    });
+
+    it('charges from the grid only in the grid charging window, and records it', () => {
+        // No solar. Without grid charging the battery stays empty; with a 1am-6am window it fills off-peak
+        // to cover the 5 kWh peak, and the energy drawn on top of the house's 5 kWh in the window is recorded
+        // as grid charge.
+        const noSolar = Array(24).fill(0);
+        const provider = { ...TOU_PROVIDER, dispatchStrategy: 'optimal' };
+        const withoutWindow = simulateDay(CONSUMPTION, noSolar, provider, LOSSLESS_BATTERY).dailyBreakdown;
+        assertClose(withoutWindow.gridChargeKWh, 0);
+        assertClose(withoutWindow.peakKWh, 5);
+        const withWindow = simulateDay(CONSUMPTION, noSolar, { ...provider, gridChargeEnabled: true, gridChargeStart: 1, gridChargeEnd: 6 }, LOSSLESS_BATTERY).dailyBreakdown;
+        assertClose(withWindow.peakKWh, 0);
+        assert.ok(withWindow.gridChargeKWh >= 5 - 0.001, `grid charge ${withWindow.gridChargeKWh}`);
+        assertClose(sum(withWindow.intervalImports.slice(1, 6)), 5 + withWindow.gridChargeKWh);
+    });
+});
+
+describe('applySpecialConditions', () => {
+    // 6 kWh imported (2 peak, 1 shoulder, 3 off-peak) and 2 kWh exported, on a $10 day.
+    const breakdown = { peakKWh: 2, shoulderKWh: 1, offPeakKWh: 3, tier1ExportKWh: 2, tier2ExportKWh: 0, intervalImports: Array(24).fill(0.25) };
+
+    it('credits a day whose net grid usage is under the limit', () => {
+        // Net grid usage is 6 - 2 = 4 kWh, under 5 kWh, so the $1 credit applies.
+        const conditions = [{ name: 'Low usage', months: [], condition: { metric: 'net_grid_usage', operator: 'less_than', value: 5 }, action: { type: 'flat_credit', value: 1 } }];
+        assertClose(applySpecialConditions(10, breakdown, conditions, '2024-01-15'), 9);
+    });
+
+    it('only applies a condition in its months', () => {
+        const conditions = [{ name: 'Winter credit', months: [6, 7, 8], condition: { metric: 'net_grid_usage', operator: 'less_than', value: 5 }, action: { type: 'flat_credit', value: 1 } }];
+        assertClose(applySpecialConditions(10, breakdown, conditions, '2024-01-15'), 10);
+        assertClose(applySpecialConditions(10, breakdown, conditions, '2024-07-15'), 9);
+    });
+
+    it('charges a day whose peak import is over the limit', () => {
+        // 2 kWh of peak import is over 1 kWh, so the 50c charge applies; at exactly 2 kWh, "greater than" doesn't.
+        const over = [{ name: 'Peak penalty', months: [], condition: { metric: 'peak_import', operator: 'greater_than', value: 1 }, action: { type: 'flat_charge', value: 0.5 } }];
+        const atLimit = [{ ...over[0], condition: { ...over[0].condition, value: 2 } }];
+        assertClose(applySpecialConditions(10, breakdown, over, '2024-01-15'), 10.5);
+        assertClose(applySpecialConditions(10, breakdown, atLimit, '2024-01-15'), 10);
+    });
+
+    it('sums the imports in a window at the interval length of the data', () => {
+        // 6pm-8pm is 2 hours: 2 * 0.25 kWh hourly = 0.5 kWh, or 4 * 0.125 kWh half-hourly; both are <= 0.5 kWh.
+        const conditions = [{ name: 'Free evening', months: [], condition: { metric: 'import_in_window', hours: '6pm-8pm', operator: 'less_than_or_equal_to', value: 0.5 }, action: { type: 'flat_credit', value: 2 } }];
+        assertClose(applySpecialConditions(10, breakdown, conditions, '2024-01-15'), 8);
+        const halfHourly = { ...breakdown, intervalImports: Array(48).fill(0.125) };
+        assertClose(applySpecialConditions(10, halfHourly, conditions, '2024-01-15'), 8);
+        // 0.3 kWh an hour is 0.6 kWh in the window, over the limit.
+        const busierEvening = { ...breakdown, intervalImports: Array(24).fill(0.3) };
+        assertClose(applySpecialConditions(10, busierEvening, conditions, '2024-01-15'), 10);
+    });
+
+    it('applies every condition that is met, in order', () => {
+        const conditions = [
+            { name: 'Low usage', months: [], condition: { metric: 'net_grid_usage', operator: 'less_than_or_equal_to', value: 4 }, action: { type: 'flat_credit', value: 1 } },
+            { name: 'Peak penalty', months: [], condition: { metric: 'peak_import', operator: 'greater_than_or_equal_to', value: 2 }, action: { type: 'flat_charge', value: 0.25 } },
+        ];
+        assertClose(applySpecialConditions(10, breakdown, conditions, '2024-01-15'), 9.25);
+    });
+
+    it('leaves the cost alone without conditions', () => {
+        assert.equal(applySpecialConditions(10, breakdown, [], '2024-01-15'), 10);
+        assert.equal(applySpecialConditions(10, breakdown, undefined, '2024-01-15'), 10);
+    });
+});
+
+describe('calculateIRR', () => {
+    it('finds the rate that brings the NPV to zero', () => {
+        // $100 returning $110 a year later is 10%; so is $121 two years later.
+        assertClose(calculateIRR([-100, 110]), 0.1);
+        assertClose(calculateIRR([-100, 0, 121]), 0.1);
+        // A $1000 bond paying $100 a year and its face value at the end yields its coupon rate.
+        assertClose(calculateIRR([-1000, 100, 100, 1100]), 0.1);
+    });
+
+    it('is zero when the savings only pay back the investment', () => {
+        assertClose(calculateIRR([-100, 50, 50]), 0);
+    });
+
+    it('returns null when there is no rate that works', () => {
+        assert.equal(calculateIRR([-100, -10, -10]), null);
+        assert.equal(calculateIRR([-100, 0, 0]), null);
+    });
+});
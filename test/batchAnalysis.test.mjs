@@ -0,0 +1,147 @@
+// test/batchAnalysis.test.mjs
+// Version 1.1.4
+// Runs the command-line batch runner (cli/batchAnalysis.mjs) on small cases: the providers it compares
+// and their order, and the wholesale price file used by dynamic tariffs.
+// Run with `node --test test/` from the project folder.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { loadDefaultProviders } from './helpers.mjs';
+
+const CLI = new URL('../cli/batchAnalysis.mjs', import.meta.url).pathname;
+// The page's default settings, keyed by element ID as in a saved settings file.
+const INPUTS = JSON.parse(fs.readFileSync(new URL('./golden/inputs.json', import.meta.url), 'utf8'));
+
+const PROVIDERS = loadDefaultProviders();
+
+/**
+ * Builds a NEM12 file of two weeks of half-hourly imports for one NMI: a little overnight and more in the evening.
+ * @returns {string} The file's text.
+ */
+function buildNem12() {
+    const lines = ['100,NEM12,202401150000,MDP1,RETAILER1', '200,NMI0000001,E1,1,E1,N1,METER1,kWh,30,'];
+    for (let day = 1; day <= 14; day++) {
+        const readings = Array.from({ length: 48 }, (_, i) => (i >= 34 && i < 42 ? 1.2 : 0.3));
+        lines.push(`300,202401${String(day).padStart(2, '0')},${readings.join(',')},A,,,20240115000000,`);
+    }
+    lines.push('900');
+    return lines.join('\n');
+}
+
+/**
+ * Builds a CSV of half-hourly wholesale prices ($/kWh) for the same two weeks, with an evening price spike.
+ * @returns {string} The file's text.
+ */
+function buildPriceCsv() {
+    const lines = ['Interval Start,Price'];
+    for (let day = 1; day <= 14; day++) {
+        for (let i = 0; i < 48; i++) {
+            const time = `${String(Math.floor(i / 2)).padStart(2, '0')}:${i % 2 ? '30' : '00'}`;
+            lines.push(`2024-01-${String(day).padStart(2, '0')} ${time},${i >= 34 && i < 42 ? 0.60 : 0.05}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Writes a settings file as "Save Settings" would, for a house with no existing solar.
+ * @param {string} file - The path to write to.
+ * @param {Array<string>} [selectedProviders] - The providers ticked when the settings were saved (left out if not given).
+ */
+function writeSettings(file, selectedProviders) {
+    const settings = { version: '1.0.2', savedAt: '2024-01-15T00:00:00.000Z', providers: PROVIDERS, uiInputs: { ...INPUTS, noExistingSolar: true } };
+    if (selectedProviders) settings.selectedProviders = selectedProviders;
+    fs.writeFileSync(file, JSON.stringify(settings));
+}
+
+/**
+ * Runs the batch runner and reads back the summary it wrote.
+ * @param {Array<string>} args - The command-line arguments.
+ * @param {string} outDir - The results folder given with --out.
+ * @returns {Array<object>} The summary rows, keyed by column.
+ */
+function runCli(args, outDir) {
+    execFileSync(process.execPath, [CLI, ...args, '--out', outDir], { stdio: 'pipe' });
+    const [header, ...rows] = fs.readFileSync(path.join(outDir, 'summary.csv'), 'utf8').trim().split(/\r?\n/).map(line => line.split(','));
+    return rows.map(values => Object.fromEntries(header.map((key, i) => [key, values[i]])));
+}
+
+describe('batchAnalysis CLI', () => {
+    let dir;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roi-cli-'));
+        fs.writeFileSync(path.join(dir, 'usage.csv'), buildNem12());
+        fs.writeFileSync(path.join(dir, 'prices.csv'), buildPriceCsv());
+        writeSettings(path.join(dir, 'settings.json'));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('compares the providers in the order given, with the first as the baseline', () => {
+        const files = ['--settings', path.join(dir, 'settings.json'), '--usage', path.join(dir, 'usage.csv')];
+        const reordered = runCli([...files, '--providers', 'Amber,Origin'], path.join(dir, 'reordered'));
+        const amberOnly = runCli([...files, '--providers', 'Amber'], path.join(dir, 'amber'));
+        const originOnly = runCli([...files, '--providers', 'Origin'], path.join(dir, 'origin'));
+        assert.deepEqual(reordered.map(row => row.providerId), ['Amber', 'Origin']);
+        // Every row's baseline is Amber's, not Origin's (the first in the settings file).
+        assert.notEqual(amberOnly[0].baselineYear1Cost, originOnly[0].baselineYear1Cost);
+        for (const row of reordered) assert.equal(row.baselineYear1Cost, amberOnly[0].baselineYear1Cost);
+    });
+
+    it('uses the providers ticked when the settings were saved, unless --providers is given', () => {
+        writeSettings(path.join(dir, 'settings-selected.json'), ['AGL', 'GloBird']);
+        const files = ['--settings', path.join(dir, 'settings-selected.json'), '--usage', path.join(dir, 'usage.csv')];
+        assert.deepEqual(runCli(files, path.join(dir, 'saved')).map(row => row.providerId), ['AGL', 'GloBird']);
+        assert.deepEqual(runCli([...files, '--providers', 'Origin'], path.join(dir, 'given')).map(row => row.providerId), ['Origin']);
+        // An older settings file without a saved selection compares every provider.
+        const all = runCli(['--settings', path.join(dir, 'settings.json'), '--usage', path.join(dir, 'usage.csv')], path.join(dir, 'all'));
+        assert.deepEqual(all.map(row => row.providerId), PROVIDERS.map(p => p.id));
+    });
+
+    it('prices dynamic tariffs from the price file, given on the command line or in a case folder', () => {
+        const files = ['--settings', path.join(dir, 'settings.json'), '--usage', path.join(dir, 'usage.csv'), '--providers', 'Amber'];
+        const withoutPrices = runCli(files, path.join(dir, 'no-prices'));
+        const withPrices = runCli([...files, '--prices', path.join(dir, 'prices.csv')], path.join(dir, 'prices'));
+        assert.notEqual(withPrices[0].baselineYear1Cost, withoutPrices[0].baselineYear1Cost);
+        // Without prices, the results say the dynamic rule couldn't be priced.
+        const warnings = outDir => JSON.parse(fs.readFileSync(path.join(dir, outDir, 'results.json'), 'utf8')).warnings;
+        assert.match(warnings('no-prices').join('\n'), /Amber has a dynamic import rule, but 14 of the 14 usage days have no wholesale prices/);
+        assert.deepEqual(warnings('prices'), []);
+
+        // A case folder's price* file is picked up like its usage* and solar* files.
+        const caseDir = path.join(dir, 'cases', 'dynamic');
+        fs.mkdirSync(caseDir, { recursive: true });
+        writeSettings(path.join(caseDir, 'settings.json'), ['Amber']);
+        fs.copyFileSync(path.join(dir, 'usage.csv'), path.join(caseDir, 'usage.csv'));
+        fs.copyFileSync(path.join(dir, 'prices.csv'), path.join(caseDir, 'price-2024.csv'));
+        const batch = runCli(['--batch', path.join(dir, 'cases', '*')], path.join(dir, 'batch'));
+        assert.equal(batch[0].baselineYear1Cost, withPrices[0].baselineYear1Cost);
+    });
+});
@@ -0,0 +1,176 @@
+// test/golden.test.mjs
+// Version 1.1.4
+// Golden end-to-end scenarios: the full analysis of the default providers in manual and CSV mode,
+// checked against the results saved in golden/results.json so that a change to the tariffs or the
+// engine can't shift the annual costs, ROI year, NPV or IRR without someone noticing.
+// Run with `node --test test/` from the project folder. If a change to the results is intended,
+// update the saved results with `UPDATE_GOLDEN=1 node --test test/` and review the diff.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { runAnalysis } from '../js/engine.js';
+import { buildConfig } from '../js/config.js';
+import { loadDefaultProviders } from './helpers.mjs';
+
+// The page's default settings, keyed by element ID as in a saved settings file.
+const INPUTS = JSON.parse(fs.readFileSync(new URL('./golden/inputs.json', import.meta.url), 'utf8'));
+const RESULTS_FILE = new URL('./golden/results.json', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+// Dollar amounts may differ by a cent from rounding; IRRs (in %) by a hundredth of a point.
+const DOLLAR_TOLERANCE = 0.011;
+const IRR_TOLERANCE = 0.011;
+
+const PROVIDERS = loadDefaultProviders();
+
+/**
+ * Builds a year of half-hourly usage and solar data from 1 July 2023 to 30 June 2024. The household uses a
+ * little overnight, more in the morning and most in the evening, and more in winter; the solar array follows
+ * the sun through the day and the seasons. Usage is what's left on the grid after the solar.
+ * @param {number} solarKW - The size of the existing solar array (0 for none).
+ * @returns {object} `{ usage, solar }` in the parsers' day format.
+ */
+function buildYearOfData(solarKW) {
+    const usage = [];
+    const solar = [];
+    const start = Date.UTC(2023, 6, 1);
+    for (let d = 0; d < 366; d++) {
+        const date = new Date(start + d * 86400000).toISOString().slice(0, 10);
+        const dayOfYear = Math.floor((Date.parse(date) - Date.UTC(parseInt(date, 10), 0, 1)) / 86400000);
+        const winterFactor = 1 + 0.3 * Math.cos(2 * Math.PI * (dayOfYear - 196) / 365);
+        const summerFactor = 0.6 + 0.4 * Math.cos(2 * Math.PI * (dayOfYear - 15) / 365);
+        const consumption = [];
+        const feedIn = [];
+        const generation = [];
+        for (let i = 0; i < 48; i++) {
+            const hour = i / 2;
+            const load = (0.25 + (hour >= 6 && hour < 8 ? 0.4 : 0) + (hour >= 17 && hour < 21 ? 0.8 : 0)) * winterFactor / 2;
+            const sun = solarKW * 0.4 * Math.max(0, Math.sin(Math.PI * (hour - 6) / 12)) * summerFactor;
+            const round = value => Math.round(value * 1000) / 1000;
+            consumption.push(round(Math.max(0, load - sun)));
+            feedIn.push(round(Math.max(0, sun - load)));
+            generation.push(round(sun));
+        }
+        usage.push({ date, intervalMinutes: 30, consumption, feedIn });
+        solar.push({ date, intervalMinutes: 30, generation });
+    }
+    return { usage, solar: solarKW > 0 ? solar : null };
+}
+
+// The scenarios: settings that differ from the page's defaults, and the data to run them on.
+const SCENARIOS = {
+    'manual mode': {
+        inputs: {
+            manualInputToggle: true,
+            summerDailyPeak: '6', summerDailyShoulder: '8', summerDailyOffPeak: '10', summerDailySolar: '12',
+            autumnDailyPeak: '5', autumnDailyShoulder: '7', autumnDailyOffPeak: '9', autumnDailySolar: '8',
+            winterDailyPeak: '7', winterDailyShoulder: '8', winterDailyOffPeak: '12', winterDailySolar: '5',
+            springDailyPeak: '5', springDailyShoulder: '7', springDailyOffPeak: '9', springDailySolar: '10',
+        },
+        data: () => ({ usage: null, solar: null }),
+    },
+    'CSV mode with existing solar': {
+        inputs: { existingSolarKW: '6.6', existingSolarInverter: '5' },
+        data: () => buildYearOfData(6.6),
+    },
+    'CSV mode without solar, public holidays and no loan': {
+        inputs: { noExistingSolar: true, holidayState: 'NSW', enableLoan: false },
+        data: () => buildYearOfData(0),
+    },
+};
+
+/**
+ * Runs a scenario through the engine with the default providers, and keeps the results that matter.
+ * @param {object} scenario - The scenario's settings and data.
+ * @returns {object} `{ baselineCosts, providers }`: the baseline cost for each year, and each provider's
+ *   annual costs, ROI year, NPV and IRR (rounded to cents and hundredths of a percent).
+ */
+function runScenario(scenario) {
+    const inputs = { ...INPUTS, ...scenario.inputs };
+    const { usage, solar } = scenario.data();
+    const config = buildConfig(id => inputs[id], PROVIDERS, PROVIDERS.map(p => p.id), { electricityData: usage || [] });
+    const { financials } = runAnalysis({ config, usage, solar, providers: PROVIDERS });
+
+    const cents = value => Math.round(value * 100) / 100;
+    const providers = {};
+    for (const provider of PROVIDERS) {
+        const result = financials[provider.id];
+        providers[provider.id] = {
+            annualCosts: result.annualCosts.map(cents),
+            roiYear: result.roiYear || null,
+            npv: cents(result.npv),
+            irr: result.irr === null ? null : cents(result.irr),
+        };
+    }
+    return { baselineCosts: financials.baselineCosts.slice(1).map(cents), providers };
+}
+
+/**
+ * Checks results against the saved ones, allowing for rounding in dollar amounts and IRRs.
+ * @param {*} actual - The results, or part of them.
+ * @param {*} expected - The saved results, or the same part of them.
+ * @param {string} [where='results'] - Where in the results this is, for the failure message.
+ */
+function assertMatchesSaved(actual, expected, where = 'results') {
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        const tolerance = where.endsWith('.irr') ? IRR_TOLERANCE : DOLLAR_TOLERANCE;
+        assert.ok(Math.abs(actual - expected) <= tolerance, `${where}: expected ${expected}, got ${actual}`);
+    } else if (Array.isArray(expected) || (expected && typeof expected === 'object')) {
+        assert.deepEqual(Object.keys(actual || {}), Object.keys(expected), `${where}: different entries`);
+        for (const key of Object.keys(expected)) {
+            assertMatchesSaved(actual[key], expected[key], `${where}.${key}`);
+        }
+    } else {
+        assert.equal(actual, expected, `${where}: expected ${expected}, got ${actual}`);
+    }
+}
+
+describe('golden scenarios', () => {
+    const saved = fs.existsSync(RESULTS_FILE) ? JSON.parse(fs.readFileSync(RESULTS_FILE, 'utf8')) : {};
+    const updated = {};
+
+    it('uses the four default providers', () => {
+        assert.deepEqual(PROVIDERS.map(p => p.id), ['Origin', 'GloBird', 'Amber', 'AGL']);
+    });
+
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+        it(name, () => {
+            const results = runScenario(scenario);
+            if (UPDATE) {
+                updated[name] = results;
+                return;
+            }
+            assert.ok(saved[name], `No saved results for "${name}"; run with UPDATE_GOLDEN=1 to save them.`);
+            assertMatchesSaved(results, saved[name], name);
+        });
+    }
+
+    after(() => {
+        if (UPDATE) fs.writeFileSync(RESULTS_FILE, JSON.stringify(updated, null, 2) + '\n');
+    });
+});
@@ -0,0 +1,41 @@
+// test/helpers.mjs
+// Version 1.1.4
+// Shared setup for the tests that run the analysis with the app's default provider plans.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { initializeDefaultProviders, getProviders } from '../js/providerManager.js';
+
+/**
+ * Loads the default provider plans. The provider manager keeps its plans in localStorage; a plain object
+ * stands in for it here.
+ * @returns {Array<object>} The default providers' configurations.
+ */
+export function loadDefaultProviders() {
+    const storage = {};
+    globalThis.localStorage = { getItem: key => storage[key] ?? null, setItem: (key, value) => { storage[key] = String(value); } };
+    initializeDefaultProviders();
+    return getProviders();
+}
@@ -0,0 +1,187 @@
+// test/parsers.test.mjs
+// Version 1.1.4
+// Hand-checked cases for the NEM12 parser in parsers.js.
+// Run with `node --test test/` from the project folder.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNEM12 } from '../js/parsers.js';
+
+const HEADER = '100,NEM12,202401030000,MDP1,RETAILER1';
+const END = '900';
+
+/**
+ * Builds a 200 (NMI details) record.
+ * @param {string} nmi - The NMI.
+ * @param {string} suffix - The data stream suffix, e.g. 'E1'.
+ * @param {string} [uom='kWh'] - The unit of measure.
+ * @param {number} [intervalLength=30] - The interval length in minutes.
+ * @returns {string} The record.
+ */
+function nmiRecord(nmi, suffix, uom = 'kWh', intervalLength = 30) {
+    return `200,${nmi},E1B1E2,1,${suffix},N1,METER1,${uom},${intervalLength},`;
+}
+
+/**
+ * Builds a 300 (interval data) record.
+ * @param {string} date - The date as YYYYMMDD.
+ * @param {Array<number|string>} readings - The readings for the day.
+ * @param {string} [quality='A'] - The quality method.
+ * @returns {string} The record.
+ */
+function intervalRecord(date, readings, quality = 'A') {
+    return `300,${date},${readings.join(',')},${quality},,,20240103000000,`;
+}
+
+/**
+ * Sums an array of numbers.
+ * @param {number[]} values - The values.
+ * @returns {number} The total.
+ */
+function sum(values) {
+    return values.reduce((a, b) => a + b, 0);
+}
+
+describe('parseNEM12', () => {
+    it('reads import and export streams into days at the meter interval length', () => {
+        // Two days of 0.5 kWh half-hourly imports (24 kWh a day), and 100 Wh (0.1 kWh) exports on the first day.
+        const text = [
+            HEADER,
+            nmiRecord('NMI0000001', 'E1'),
+            intervalRecord('20240101', Array(48).fill(0.5)),
+            intervalRecord('20240102', Array(48).fill(0.5)),
+            nmiRecord('NMI0000001', 'B1', 'Wh'),
+            intervalRecord('20240101', Array(48).fill(100)),
+            END,
+        ].join('\n');
+        const { dailyDataByNmi, report } = parseNEM12(text);
+        const days = dailyDataByNmi.NMI0000001;
+        assert.deepEqual(days.map(day => day.date), ['2024-01-01', '2024-01-02']);
+        assert.equal(days[0].intervalMinutes, 30);
+        assert.equal(days[0].consumption.length, 48);
+        assert.ok(Math.abs(sum(days[0].consumption) - 24) < 1e-9);
+        assert.ok(Math.abs(sum(days[0].feedIn) - 4.8) < 1e-9);
+        assert.equal(sum(days[1].feedIn), 0);
+        assert.equal(days[0].controlledLoad, undefined);
+        assert.deepEqual(report.problems, []);
+        assert.deepEqual(report.nmis.NMI0000001, { meters: ['METER1'], days: 2, quality: { actual: 144, estimated: 0, substituted: 0, missing: 0 } });
+    });
+
+    it('keeps controlled load separate and ignores other streams', () => {
+        // E2 is the controlled load circuit; Q1 (reactive energy) isn't used.
+        const text = [
+            HEADER,
+            nmiRecord('NMI0000001', 'E1'),
+            intervalRecord('20240101', Array(48).fill(0.5)),
+            nmiRecord('NMI0000001', 'E2'),
+            intervalRecord('20240101', Array(48).fill(0.25)),
+            nmiRecord('NMI0000001', 'Q1', 'kVArh'),
+            intervalRecord('20240101', Array(48).fill(9)),
+            END,
+        ].join('\n');
+        const [day] = parseNEM12(text).dailyDataByNmi.NMI0000001;
+        assert.equal(sum(day.consumption), 24);
+        assert.equal(sum(day.controlledLoad), 12);
+    });
+
+    it('counts interval quality from the 300 record and any 400 records', () => {
+        // Intervals 1-10 estimated and 11-48 actual on a variable ('V') quality day.
+        const text = [
+            HEADER,
+            nmiRecord('NMI0000001', 'E1'),
+            intervalRecord('20240101', Array(48).fill(0.5), 'V'),
+            '400,1,10,E52,,',
+            '400,11,48,A,,',
+            intervalRecord('20240102', Array(48).fill(0.5), 'S14'),
+            END,
+        ].join('\n');
+        const { report } = parseNEM12(text);
+        assert.deepEqual(report.nmis.NMI0000001.quality, { actual: 38, estimated: 10, substituted: 48, missing: 0 });
+        assert.deepEqual(report.problems, []);
+    });
+
+    it('lists blank readings as missing intervals', () => {
+        // The third and fourth readings are blank.
+        const readings = Array(48).fill(0.5);
+        readings[2] = '';
+        readings[3] = '';
+        const text = [HEADER, nmiRecord('NMI0000001', 'E1'), intervalRecord('20240101', readings), END].join('\n');
+        const { dailyDataByNmi, report } = parseNEM12(text);
+        const [day] = dailyDataByNmi.NMI0000001;
+        assert.deepEqual(day.missingIntervals, [2, 3]);
+        assert.equal(sum(day.consumption), 23);
+        assert.equal(report.nmis.NMI0000001.quality.missing, 2);
+    });
+
+    it('converts the unit of measure and reads 15-minute data', () => {
+        // 96 quarter-hours of 0.0005 MWh (0.5 kWh) each.
+        const text = [HEADER, nmiRecord('NMI0000001', 'E1', 'MWH', 15), intervalRecord('20240101', Array(96).fill(0.0005)), END].join('\n');
+        const [day] = parseNEM12(text).dailyDataByNmi.NMI0000001;
+        assert.equal(day.intervalMinutes, 15);
+        assert.equal(day.consumption.length, 96);
+        assert.ok(Math.abs(sum(day.consumption) - 48) < 1e-9);
+    });
+
+    it('gives each NMI its own days', () => {
+        const text = [
+            HEADER,
+            nmiRecord('NMI0000001', 'E1'),
+            intervalRecord('20240101', Array(48).fill(0.5)),
+            nmiRecord('NMI0000002', 'E1'),
+            intervalRecord('20240101', Array(48).fill(1)),
+            intervalRecord('20240102', Array(48).fill(1)),
+            END,
+        ].join('\n');
+        const { dailyDataByNmi, report } = parseNEM12(text);
+        assert.deepEqual(Object.keys(dailyDataByNmi).sort(), ['NMI0000001', 'NMI0000002']);
+        assert.equal(report.nmis.NMI0000001.days, 1);
+        assert.equal(report.nmis.NMI0000002.days, 2);
+        assert.equal(sum(dailyDataByNmi.NMI0000002[0].consumption), 48);
+    });
+
+    it('reports problems instead of stopping', () => {
+        // No header or end record, an invalid interval length, a bad date and a re-sent reading.
+        const text = [
+            nmiRecord('NMI0000001', 'E1', 'kWh', 60),
+            intervalRecord('20240101', Array(24).fill(1)),
+            nmiRecord('NMI0000001', 'E1'),
+            intervalRecord('20241301', Array(48).fill(0.5)),
+            intervalRecord('20240102', Array(48).fill(0.5)),
+            intervalRecord('20240102', Array(48).fill(0.25)),
+        ].join('\n');
+        const { dailyDataByNmi, report } = parseNEM12(text);
+        // The re-sent reading for 2 January replaces the first one.
+        assert.equal(dailyDataByNmi.NMI0000001.length, 1);
+        assert.equal(sum(dailyDataByNmi.NMI0000001[0].consumption), 12);
+        assert.equal(report.problems.length, 5);
+        assert.match(report.problems[0], /interval length of "60" minutes/);
+        assert.match(report.problems[1], /not a valid interval date/);
+        assert.match(report.problems[2], /second reading for 2024-01-02/);
+        assert.match(report.problems[3], /no 100 \(header\) record/);
+        assert.match(report.problems[4], /no 900 \(end\) record/);
+    });
+});
@@ -0,0 +1,166 @@
+// test/tariffComponents.test.mjs
+// Version 1.1.4
+// Hand-calculated cases for the import and export rules engines (tariffComponents.js).
+// Run with `node --test test/` from the project folder.
+
+/*
+ * Home Battery & Solar ROI Analyzer
+ * Copyright (c) 2025 [DaSando62]
+ *
+ * This software is licensed under the MIT License.
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tariffComponents } from '../js/tariffComponents.js';
+import { getDegradedFitRate } from '../js/analysis.js';
+
+const calculateImportCost = tariffComponents.IMPORT_RULES.calculate;
+const calculateExportCredit = tariffComponents.EXPORT_RULES.calculate;
+
+// No escalation, first year.
+const NO_ESCALATION = { rate: 0, year: 1 };
+// A FIT that never degrades.
+const FLAT_FIT = (rate) => rate;
+
+/**
+ * Checks a dollar amount to a tenth of a cent.
+ * @param {number} actual - The calculated amount.
+ * @param {number} expected - The hand-calculated amount.
+ */
+function assertDollars(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 0.001, `expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Builds an hourly day with the same energy in every hour, except where overridden.
+ * @param {number} kWh - The energy in each hour.
+ * @param {object} [overrides={}] - The energy for particular hours, keyed by hour.
+ * @returns {number[]} 24 hourly values.
+ */
+function hourlyDay(kWh, overrides = {}) {
+    return Array.from({ length: 24 }, (_, hour) => overrides[hour] ?? kWh);
+}
+
+describe('calculateImportCost', () => {
+    it('costs TOU hours at their rate and the rest at the flat rate', () => {
+        // 1 kWh an hour: 5 peak hours (4pm-9pm) at 50c = $2.50, and 19 hours at 20c = $3.80.
+        const rules = [{ type: 'tou', name: 'Peak', rate: 0.50, hours: '4pm-9pm' }, { type: 'flat', name: 'Off-Peak', rate: 0.20 }];
+        assertDollars(calculateImportCost(rules, { intervalImports: hourlyDay(1) }, NO_ESCALATION), 6.30);
+    });
+
+    it('escalates every rate by the tariff escalation for the year', () => {
+        // $6.30 in year 1, escalated by 10% a year for two years: 6.30 * 1.1^2.
+        const rules = [{ type: 'tou', name: 'Peak', rate: 0.50, hours: '4pm-9pm' }, { type: 'flat', name: 'Off-Peak', rate: 0.20 }];
+        assertDollars(calculateImportCost(rules, { intervalImports: hourlyDay(1) }, { rate: 0.1, year: 3 }), 7.623);
+    });
+
+    it('gives TOU windows the same cost at any interval length', () => {
+        // Half-hourly, 0.5 kWh each: the same 24 kWh day as the hourly case.
+        const rules = [{ type: 'tou', name: 'Peak', rate: 0.50, hours: '4pm-9pm' }, { type: 'flat', name: 'Off-Peak', rate: 0.20 }];
+        assertDollars(calculateImportCost(rules, { intervalImports: Array(48).fill(0.5) }, NO_ESCALATION), 6.30);
+    });
+
+    it('charges the first block of a tiered rule at its rate and the rest at the next rule', () => {
+        // 24 kWh: the first 10 kWh at 30c = $3.00, the other 14 kWh at 20c = $2.80.
+        const rules = [{ type: 'tiered', name: 'Step 1', rate: 0.30, limit: 10 }, { type: 'flat', name: 'Step 2', rate: 0.20 }];
+        assertDollars(calculateImportCost(rules, { intervalImports: hourlyDay(1) }, NO_ESCALATION), 5.80);
+    });
+
+    it('shares a monthly tier allowance across the days of the month', () => {
+        // 15 kWh a month at 30c, then 20c. 10 kWh a day: day 1 is all in the tier ($3.00), day 2 has 5 kWh
+        // left in it ($1.50 + 5 kWh at 20c = $2.50), and the allowance resets in the next month ($3.00).
+        const rules = [{ type: 'tiered', name: 'Step 1', rate: 0.30, limit: 15, tierPeriod: 'month' }, { type: 'flat', name: 'Step 2', rate: 0.20 }];
+        const tierUsage = new Map();
+        const day = (date) => ({ date, intervalImports: hourlyDay(0, { 10: 10 }) });
+        assertDollars(calculateImportCost(rules, day('2024-01-30'), NO_ESCALATION, tierUsage), 3.00);
+        assertDollars(calculateImportCost(rules, day('2024-01-31'), NO_ESCALATION, tierUsage), 2.50);
+        assertDollars(calculateImportCost(rules, day('2024-02-01'), NO_ESCALATION, tierUsage), 3.00);
+    });
+
+    it('starts a billing cycle on the last day of months shorter than its start day', () => {
+        // Cycles start on the 31st, so on 29 February in 2024: the 28th is still in January's cycle (5 kWh left
+        // in the tier: $1.50 + $1.00 = $2.50), and the 29th starts a new one ($3.00).
+        const rules = [{ type: 'tiered', name: 'Step 1', rate: 0.30, limit: 15, tierPeriod: 'billing', billingStartDay: 31 }, { type: 'flat', name: 'Step 2', rate: 0.20 }];
+        const tierUsage = new Map();
+        const day = (date) => ({ date, intervalImports: hourlyDay(0, { 10: 10 }) });
+        assertDollars(calculateImportCost(rules, day('2024-02-27'), NO_ESCALATION, tierUsage), 3.00);
+        assertDollars(calculateImportCost(rules, day('2024-02-28'), NO_ESCALATION, tierUsage), 2.50);
+        assertDollars(calculateImportCost(rules, day('2024-02-29'), NO_ESCALATION, tierUsage), 3.00);
+    });
+
+    it('skips rules that are not in force on the date', () => {
+        // A winter-only peak rate doesn't apply in January, so every kWh is at the flat rate: 24 * 20c.
+        const rules = [{ type: 'tou', name: 'Peak', rate: 0.50, hours: '4pm-9pm', months: [6, 7, 8] }, { type: 'flat', name: 'Anytime', rate: 0.20 }];
+        assertDollars(calculateImportCost(rules, { date: '2024-01-15', intervalImports: hourlyDay(1) }, NO_ESCALATION), 4.80);
+        // In July the peak rate applies as usual.
+        assertDollars(calculateImportCost(rules, { date: '2024-07-15', intervalImports: hourlyDay(1) }, NO_ESCALATION), 6.30);
+    });
+
+    it('prices dynamic rules from the interval prices, and falls through without them', () => {
+        // 2 kWh at 10:00 and 1 kWh at 18:00; spot prices of 5c and 40c, times 1.1, plus a 10c network rate:
+        // 2 * (0.055 + 0.10) + 1 * (0.44 + 0.10) = $0.85.
+        const rules = [{ type: 'dynamic', name: 'Wholesale', rate: 0.10, multiplier: 1.1 }, { type: 'flat', name: 'Fallback', rate: 0.30 }];
+        const intervalImports = hourlyDay(0, { 10: 2, 18: 1 });
+        const intervalPrices = hourlyDay(0.05, { 18: 0.40 });
+        assertDollars(calculateImportCost(rules, { intervalImports, intervalPrices }, NO_ESCALATION), 0.85);
+        // Without prices the fallback flat rate applies: 3 kWh at 30c.
+        assertDollars(calculateImportCost(rules, { intervalImports }, NO_ESCALATION), 0.90);
+    });
+
+    it('leaves demand rules to the demand charge', () => {
+        const rules = [{ type: 'demand', name: 'Demand', rate: 0.50, hours: '4pm-9pm' }, { type: 'flat', name: 'Anytime', rate: 0.20 }];
+        assertDollars(calculateImportCost(rules, { intervalImports: hourlyDay(1) }, NO_ESCALATION), 4.80);
+    });
+});
+
+describe('calculateExportCredit', () => {
+    it('credits the first block of a tiered rule at its rate and the rest at the next rule', () => {
+        // 2 kWh an hour for 4 hours = 8 kWh: the first 5 kWh at 10c = $0.50, the other 3 kWh at 5c = $0.15.
+        const rules = [{ type: 'tiered', name: 'First 5 kWh', rate: 0.10, limit: 5 }, { type: 'flat', name: 'Rest', rate: 0.05 }];
+        const intervalExports = hourlyDay(0, { 10: 2, 11: 2, 12: 2, 13: 2 });
+        assertDollars(calculateExportCredit(rules, { intervalExports }, 1, {}, FLAT_FIT), 0.65);
+    });
+
+    it('credits TOU hours at their rate and the rest at the flat rate', () => {
+        // 1 kWh at 5pm at 20c, and 2 kWh at noon at 3c = $0.26.
+        const rules = [{ type: 'tou', name: 'Evening', rate: 0.20, hours: '4pm-9pm' }, { type: 'flat', name: 'Anytime', rate: 0.03 }];
+        const intervalExports = hourlyDay(0, { 12: 2, 17: 1 });
+        assertDollars(calculateExportCredit(rules, { intervalExports }, 1, {}, FLAT_FIT), 0.26);
+    });
+
+    it('degrades the FIT linearly over the degradation period', () => {
+        // 10c degrading to 0c from year 1 to year 11 is 5c in year 6: 8 kWh * 5c = $0.40.
+        const rules = [{ type: 'flat', name: 'FIT', rate: 0.10 }];
+        const fitConfig = { degradationStartYear: 1, degradationEndYear: 11, minimumRate: 0 };
+        const intervalExports = hourlyDay(0, { 10: 2, 11: 2, 12: 2, 13: 2 });
+        assertDollars(calculateExportCredit(rules, { intervalExports }, 6, fitConfig, getDegradedFitRate), 0.40);
+        // From the end year on, the minimum rate applies.
+        assertDollars(calculateExportCredit(rules, { intervalExports }, 11, fitConfig, getDegradedFitRate), 0);
+    });
+
+    it('credits dynamic rules at the interval price, escalated rather than degraded', () => {
+        // 1 kWh at a 20c spot price and 1 kWh at a -5c spot price: 0.20 - 0.05 = $0.15, times 1.1 in year 2.
+        const rules = [{ type: 'dynamic', name: 'Wholesale', rate: 0, multiplier: 1 }];
+        const intervalExports = hourlyDay(0, { 12: 1, 18: 1 });
+        const intervalPrices = hourlyDay(0, { 12: -0.05, 18: 0.20 });
+        assertDollars(calculateExportCredit(rules, { intervalExports, intervalPrices }, 2, { priceEscalation: 0.1 }, FLAT_FIT), 0.165);
+    });
+});